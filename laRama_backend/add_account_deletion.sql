@@ -0,0 +1,10 @@
+-- Add account deletion to LaRama database
+-- Run this after connecting to LaRama_db_advances database
+-- Deleted accounts keep their user row, anonymised, so their orders stay in the books
+
+-- Set when the customer deletes their account; name, email and password are anonymised and orders kept
+ALTER TABLE users ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP;
+
+-- Verify the column was added
+SELECT 'Account deletion column added successfully!' as message;
+SELECT column_name, data_type FROM information_schema.columns WHERE table_name = 'users' AND column_name = 'deleted_at';
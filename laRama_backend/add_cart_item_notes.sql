@@ -0,0 +1,15 @@
+-- Add save-for-later and item notes to LaRama cart items
+-- Run this after connecting to LaRama_db_advances database
+
+-- Saved items stay in the cart but are left out of totals and checkout
+ALTER TABLE cart_items ADD COLUMN IF NOT EXISTS saved_for_later BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE cart_items ADD COLUMN IF NOT EXISTS note VARCHAR(300);
+
+-- Item notes are copied onto the order at checkout
+ALTER TABLE order_items ADD COLUMN IF NOT EXISTS note VARCHAR(300);
+
+-- Verify the columns were added
+SELECT 'Cart item notes columns added successfully!' as message;
+SELECT table_name, column_name, data_type FROM information_schema.columns
+WHERE (table_name = 'cart_items' AND column_name IN ('saved_for_later', 'note'))
+   OR (table_name = 'order_items' AND column_name = 'note');
@@ -0,0 +1,23 @@
+-- Add email verification to LaRama database
+-- Run this after connecting to LaRama_db_advances database
+-- Existing accounts start unverified and can request a link from their dashboard
+
+-- Set by the emailed verification link; REQUIRE_EMAIL_VERIFICATION blocks orders while NULL
+ALTER TABLE users ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMP;
+
+-- Email verification links; only the SHA-256 hash of the emailed token is stored
+CREATE TABLE IF NOT EXISTS email_verification_tokens (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    email VARCHAR(255) NOT NULL, -- Address the link was sent to; the token only verifies while the user still has it
+    token_hash CHAR(64) UNIQUE NOT NULL,
+    expires_at TIMESTAMP NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Resend throttling counts a customer's recent emails
+CREATE INDEX IF NOT EXISTS idx_email_verification_tokens_user_created ON email_verification_tokens(user_id, created_at);
+
+-- Verify the table was created
+SELECT 'Email verification tokens table created successfully!' as message;
+SELECT column_name, data_type FROM information_schema.columns WHERE table_name = 'email_verification_tokens' ORDER BY ordinal_position;
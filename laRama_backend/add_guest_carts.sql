@@ -0,0 +1,12 @@
+-- Add guest carts to LaRama database
+-- Run this after connecting to LaRama_db_advances database
+
+-- Guest carts have no owner until the visitor signs in and the cart is merged
+ALTER TABLE carts ALTER COLUMN user_id DROP NOT NULL;
+
+-- Abandoned guest carts are purged by age
+CREATE INDEX IF NOT EXISTS idx_carts_guest_updated_at ON carts(updated_at) WHERE user_id IS NULL;
+
+-- Verify the column is nullable
+SELECT 'Guest carts enabled successfully!' as message;
+SELECT column_name, is_nullable FROM information_schema.columns WHERE table_name = 'carts' AND column_name = 'user_id';
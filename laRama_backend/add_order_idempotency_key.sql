@@ -0,0 +1,16 @@
+-- Add idempotent order creation to LaRama database
+-- Run this after connecting to LaRama_db_advances database
+
+-- Idempotency-Key header of the checkout request that created the order
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS idempotency_key VARCHAR(100);
+
+-- SHA-256 of that request's checkout fields; a reused key must match it
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS idempotency_request_hash CHAR(64);
+
+-- A key creates at most one order per customer
+CREATE UNIQUE INDEX IF NOT EXISTS idx_orders_user_idempotency_key
+    ON orders(user_id, idempotency_key)
+    WHERE idempotency_key IS NOT NULL;
+
+-- Verify the column was added
+SELECT 'Order idempotency key added successfully!' as message;
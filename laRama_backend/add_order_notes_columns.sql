@@ -0,0 +1,10 @@
+-- Add checkout notes and gift messages to LaRama orders
+-- Run this after connecting to LaRama_db_advances database
+
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS order_notes TEXT;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS gift_message TEXT;
+
+-- Verify the columns were added
+SELECT 'Order notes columns added successfully!' as message;
+SELECT column_name, data_type FROM information_schema.columns
+WHERE table_name = 'orders' AND column_name IN ('order_notes', 'gift_message');
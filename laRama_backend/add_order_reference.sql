@@ -0,0 +1,29 @@
+-- Add customer-facing order references to LaRama database
+-- Run this after connecting to LaRama_db_advances database
+
+-- Sequence behind the customer-facing order reference (LRM-ORD-000123)
+CREATE SEQUENCE IF NOT EXISTS order_reference_seq;
+
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS reference VARCHAR(20);
+
+-- Backfill references for existing orders, oldest first
+DO $$
+DECLARE
+    existing_order RECORD;
+BEGIN
+    FOR existing_order IN
+        SELECT id FROM orders WHERE reference IS NULL ORDER BY created_at, id
+    LOOP
+        UPDATE orders
+        SET reference = 'LRM-ORD-' || LPAD(nextval('order_reference_seq')::text, 6, '0')
+        WHERE id = existing_order.id;
+    END LOOP;
+END $$;
+
+ALTER TABLE orders ALTER COLUMN reference SET DEFAULT ('LRM-ORD-' || LPAD(nextval('order_reference_seq')::text, 6, '0'));
+ALTER TABLE orders ALTER COLUMN reference SET NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_orders_reference ON orders(reference);
+
+-- Verify the column was added
+SELECT 'Order references added successfully!' as message;
+SELECT COUNT(*) as referenced_orders FROM orders WHERE reference IS NOT NULL;
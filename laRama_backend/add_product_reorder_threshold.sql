@@ -0,0 +1,10 @@
+-- Add low-stock reorder thresholds to LaRama products
+-- Run this after connecting to LaRama_db_advances database
+
+-- Products at or below their threshold are listed as low in stock on the admin dashboard
+ALTER TABLE products ADD COLUMN IF NOT EXISTS reorder_threshold INTEGER DEFAULT 3 CHECK (reorder_threshold >= 0);
+
+-- Verify the column was added
+SELECT 'Product reorder threshold added successfully!' as message;
+SELECT column_name, data_type, column_default FROM information_schema.columns
+WHERE table_name = 'products' AND column_name = 'reorder_threshold';
@@ -0,0 +1,350 @@
+/**
+ * @fileoverview Address Book Controller for LaRama E-commerce Platform
+ *
+ * This controller manages each customer's saved shipping addresses. One address
+ * per customer is the default and is preselected at checkout; orders copy the
+ * chosen address when they are placed, so editing or deleting an address here
+ * never changes past orders.
+ *
+ * Default Address Rules:
+ * - The first saved address becomes the default automatically
+ * - Saving an address with is_default=true moves the default to it
+ * - Deleting the default promotes the most recently added remaining address
+ *
+ * @author Mohamad Abou Naasse
+ * @course University of Balamand - Advances in Computer Science
+ * @project LaRama Handcrafted Products E-commerce Platform
+ * @business LaRama Handcrafted (Owner: Rama)
+ */
+
+const { pool } = require('../config/database'); // PostgreSQL database connection pool
+const {
+  MAX_ADDRESSES_PER_USER,
+  ADDRESS_FIELDS,
+  ADDRESS_COLUMNS,
+  getUserAddress
+} = require('../services/addressService'); // Address book helpers
+
+/**
+ * Normalises address fields from a request body: trims text, turns empty
+ * optional values into null and upper-cases the country code.
+ *
+ * @param {Object} body - Request body
+ * @returns {Object} Values for every column in ADDRESS_FIELDS
+ */
+const readAddressFields = (body) => Object.fromEntries(
+  ADDRESS_FIELDS.map((field) => {
+    const value = typeof body[field] === 'string' ? body[field].trim() : '';
+    if (field === 'country') {
+      return [field, value.toUpperCase()];
+    }
+    return [field, value === '' ? null : value];
+  })
+);
+
+/**
+ * Clears the default flag on every other address of a user.
+ *
+ * @param {import('pg').PoolClient} client - Transactional client
+ * @param {string} userId - Address book owner
+ * @param {string|null} keepId - Address that keeps or receives the default
+ */
+const clearOtherDefaults = async (client, userId, keepId) => {
+  await client.query(
+    `UPDATE user_addresses SET is_default = false
+     WHERE user_id = $1 AND is_default = true AND id IS DISTINCT FROM $2`,
+    [userId, keepId]
+  );
+};
+
+/**
+ * Get Addresses Controller
+ *
+ * Lists the authenticated customer's saved addresses, default first.
+ *
+ * @param {Object} req - Express request object with authenticated user
+ * @param {Object} res - Express response object for sending the addresses
+ *
+ * Role: Address book page and checkout address picker
+ */
+const getAddresses = async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT ${ADDRESS_COLUMNS}
+       FROM user_addresses
+       WHERE user_id = $1
+       ORDER BY is_default DESC, created_at DESC`,
+      [req.user.id]
+    );
+
+    res.json({
+      success: true,
+      data: { addresses: result.rows }
+    });
+  } catch (error) {
+    console.error('Get addresses error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching addresses'
+    });
+  }
+};
+
+/**
+ * Create Address Controller
+ *
+ * Saves a new address. The first address, or one sent with is_default=true,
+ * becomes the default.
+ *
+ * @param {Object} req - Express request object with address fields in the body
+ * @param {Object} res - Express response object for sending the created address
+ *
+ * Error Cases:
+ * - 409: Address book already holds MAX_ADDRESSES_PER_USER addresses
+ *
+ * Role: Adds an address to the customer's address book
+ */
+const createAddress = async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const userId = req.user.id;
+    const fields = readAddressFields(req.body);
+
+    const countResult = await client.query(
+      'SELECT COUNT(*) as count FROM user_addresses WHERE user_id = $1',
+      [userId]
+    );
+    const addressCount = parseInt(countResult.rows[0].count);
+
+    if (addressCount >= MAX_ADDRESSES_PER_USER) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        success: false,
+        message: `You can save up to ${MAX_ADDRESSES_PER_USER} addresses. Please remove one first.`
+      });
+    }
+
+    const isDefault = addressCount === 0 || req.body.is_default === true;
+    if (isDefault) {
+      await clearOtherDefaults(client, userId, null);
+    }
+
+    const result = await client.query(
+      `INSERT INTO user_addresses (user_id, ${ADDRESS_FIELDS.join(', ')}, is_default)
+       VALUES ($1, ${ADDRESS_FIELDS.map((field, index) => `$${index + 2}`).join(', ')}, $${ADDRESS_FIELDS.length + 2})
+       RETURNING ${ADDRESS_COLUMNS}`,
+      [userId, ...ADDRESS_FIELDS.map((field) => fields[field]), isDefault]
+    );
+
+    await client.query('COMMIT');
+
+    res.status(201).json({
+      success: true,
+      message: 'Address saved',
+      data: { address: result.rows[0] }
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Create address error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error saving address'
+    });
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Update Address Controller
+ *
+ * Replaces every field of one of the customer's addresses. Sending
+ * is_default=true also makes it the default; the default cannot be cleared
+ * without choosing another address.
+ *
+ * @param {Object} req - Express request object with address_id param and address fields
+ * @param {Object} res - Express response object for sending the updated address
+ *
+ * Role: Edits an address in the customer's address book
+ */
+const updateAddress = async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const userId = req.user.id;
+    const { address_id } = req.params;
+    const fields = readAddressFields(req.body);
+
+    const existing = await getUserAddress(client, userId, address_id);
+    if (!existing) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({
+        success: false,
+        message: 'Address not found'
+      });
+    }
+
+    const isDefault = existing.is_default || req.body.is_default === true;
+    if (isDefault) {
+      await clearOtherDefaults(client, userId, address_id);
+    }
+
+    const result = await client.query(
+      `UPDATE user_addresses
+       SET ${ADDRESS_FIELDS.map((field, index) => `${field} = $${index + 3}`).join(', ')},
+           is_default = $${ADDRESS_FIELDS.length + 3}
+       WHERE id = $1 AND user_id = $2
+       RETURNING ${ADDRESS_COLUMNS}`,
+      [address_id, userId, ...ADDRESS_FIELDS.map((field) => fields[field]), isDefault]
+    );
+
+    await client.query('COMMIT');
+
+    res.json({
+      success: true,
+      message: 'Address updated',
+      data: { address: result.rows[0] }
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Update address error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating address'
+    });
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Set Default Address Controller
+ *
+ * Makes one of the customer's addresses the default.
+ *
+ * @param {Object} req - Express request object with address_id param
+ * @param {Object} res - Express response object for sending the new default
+ *
+ * Role: "Make default" action in the address book
+ */
+const setDefaultAddress = async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const userId = req.user.id;
+    const { address_id } = req.params;
+
+    const existing = await getUserAddress(client, userId, address_id);
+    if (!existing) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({
+        success: false,
+        message: 'Address not found'
+      });
+    }
+
+    await clearOtherDefaults(client, userId, address_id);
+    const result = await client.query(
+      `UPDATE user_addresses SET is_default = true
+       WHERE id = $1 AND user_id = $2
+       RETURNING ${ADDRESS_COLUMNS}`,
+      [address_id, userId]
+    );
+
+    await client.query('COMMIT');
+
+    res.json({
+      success: true,
+      message: 'Default address updated',
+      data: { address: result.rows[0] }
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Set default address error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating default address'
+    });
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Delete Address Controller
+ *
+ * Removes one of the customer's addresses. When the default is removed, the
+ * most recently added remaining address becomes the default.
+ *
+ * @param {Object} req - Express request object with address_id param
+ * @param {Object} res - Express response object for sending the result
+ *
+ * Role: Removes an address from the customer's address book
+ */
+const deleteAddress = async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const userId = req.user.id;
+    const { address_id } = req.params;
+
+    const result = await client.query(
+      `DELETE FROM user_addresses WHERE id = $1 AND user_id = $2
+       RETURNING is_default`,
+      [address_id, userId]
+    );
+
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({
+        success: false,
+        message: 'Address not found'
+      });
+    }
+
+    if (result.rows[0].is_default) {
+      await client.query(
+        `UPDATE user_addresses SET is_default = true
+         WHERE id = (
+           SELECT id FROM user_addresses WHERE user_id = $1
+           ORDER BY created_at DESC
+           LIMIT 1
+         )`,
+        [userId]
+      );
+    }
+
+    await client.query('COMMIT');
+
+    res.json({
+      success: true,
+      message: 'Address removed'
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Delete address error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error removing address'
+    });
+  } finally {
+    client.release();
+  }
+};
+
+module.exports = {
+  getAddresses,
+  createAddress,
+  updateAddress,
+  setDefaultAddress,
+  deleteAddress
+};
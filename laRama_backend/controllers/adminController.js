@@ -99,7 +99,7 @@ const loginAdmin = async (req, res) => {
       admin: {
         email: normalizedEmail,
         name: 'LaRama Administrator',
-        permissions: ['dashboard:read', 'products:read', 'orders:read'],
+        permissions: ['dashboard:read', 'products:read', 'orders:read', 'orders:write', 'settings:write'],
       },
     },
   });
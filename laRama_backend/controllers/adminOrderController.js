@@ -0,0 +1,516 @@
+/**
+ * @fileoverview Administrative Order Management Controller for LaRama Platform
+ *
+ * Gives the LaRama administrator visibility over every customer order and the
+ * ability to move orders through the fulfilment state machine defined in
+ * `services/orderStatusService.js`. Every transition is stored together with the
+ * administrator who made it so the full history of an order can be reviewed.
+ *
+ * Administrative Order Features:
+ * - Paginated order listing filtered by status, date range and customer
+ * - Complete order details including customer, items and status history
+ * - Validated status transitions with stock restoration on cancellation
+ * - WhatsApp status-update messages rendered from the editable template
+ *
+ * @author Mohamad Abou Naasse
+ * @course University of Balamand - Advances in Computer Science
+ * @project LaRama Handcrafted Products E-commerce Platform
+ * @business LaRama Handcrafted (Owner: Rama)
+ */
+
+const { pool } = require('../config/database'); // PostgreSQL database connection pool
+const {
+  ORDER_STATUSES,
+  getAllowedTransitions,
+  transitionOrderStatus,
+  getOrderStatusHistory,
+} = require('../services/orderStatusService'); // Order state machine and audit trail
+const { buildWhatsAppLink, renderOrderMessage } = require('../services/whatsappService'); // WhatsApp message templating
+const { getOrderDiscounts } = require('../services/discountService'); // Order discount lines
+
+/**
+ * Parses an optional date query parameter.
+ *
+ * @param {string|undefined} value - Raw query string value
+ * @returns {Date|null|undefined} Parsed date, null when absent, undefined when invalid
+ */
+const parseDateParam = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+};
+
+/**
+ * Administrative Order Listing Controller
+ *
+ * Returns a paginated list of all orders with customer information. Supports
+ * filtering by one or more statuses (comma separated), a creation date range,
+ * a customer term matched against name, email or user id, and a free search
+ * matched against customer email, order reference or the beginning of the order id.
+ *
+ * Query Parameters:
+ * - status: Status or comma-separated statuses (e.g. `pending,processing`)
+ * - from / to: ISO dates bounding `created_at` (inclusive)
+ * - customer: Customer name, email or user id
+ * - search: Customer email, order reference (e.g. `LRM-ORD-000123`) or (partial) order id
+ * - page / limit: Pagination controls (defaults 1 / 20, limit capped at 100)
+ *
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>} Sends JSON response with orders and pagination
+ */
+const listOrders = async (req, res) => {
+  try {
+    const { status, from, to, customer, search } = req.query;
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const offset = (page - 1) * limit;
+
+    const conditions = [];
+    const params = [];
+
+    if (status) {
+      const statuses = String(status).split(',').map((value) => value.trim()).filter(Boolean);
+      const invalid = statuses.filter((value) => !ORDER_STATUSES.includes(value));
+      if (invalid.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid status filter: ${invalid.join(', ')}`,
+        });
+      }
+      params.push(statuses);
+      conditions.push(`o.status = ANY($${params.length})`);
+    }
+
+    const fromDate = parseDateParam(from);
+    const toDate = parseDateParam(to);
+    if (fromDate === undefined || toDate === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid date range. Use ISO dates such as 2024-11-01.',
+      });
+    }
+
+    if (fromDate) {
+      params.push(fromDate);
+      conditions.push(`o.created_at >= $${params.length}`);
+    }
+
+    if (toDate) {
+      // Date-only values include the whole day
+      if (/^\d{4}-\d{2}-\d{2}$/.test(String(to))) {
+        toDate.setUTCDate(toDate.getUTCDate() + 1);
+        params.push(toDate);
+        conditions.push(`o.created_at < $${params.length}`);
+      } else {
+        params.push(toDate);
+        conditions.push(`o.created_at <= $${params.length}`);
+      }
+    }
+
+    if (customer) {
+      const term = String(customer).trim();
+      params.push(`%${term}%`);
+      const patternIndex = params.length;
+      params.push(term);
+      conditions.push(`(u.email ILIKE $${patternIndex} OR u.name ILIKE $${patternIndex} OR u.id::text = $${params.length})`);
+    }
+
+    if (search) {
+      const term = String(search).trim();
+      params.push(`%${term}%`);
+      const patternIndex = params.length;
+      params.push(`${term.toLowerCase()}%`);
+      conditions.push(`(u.email ILIKE $${patternIndex} OR o.reference ILIKE $${patternIndex} OR o.id::text LIKE $${params.length})`);
+    }
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const ordersResult = await pool.query(
+      `SELECT
+         o.id,
+         o.reference,
+         o.total_amount,
+         o.status,
+         o.shipping_address,
+         o.created_at,
+         o.updated_at,
+         u.id AS customer_id,
+         u.name AS customer_name,
+         u.email AS customer_email,
+         (SELECT COALESCE(SUM(oi.quantity), 0) FROM order_items oi WHERE oi.order_id = o.id) AS item_count
+       FROM orders o
+       JOIN users u ON o.user_id = u.id
+       ${whereClause}
+       ORDER BY o.created_at DESC
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
+    );
+
+    const countResult = await pool.query(
+      `SELECT COUNT(*)
+       FROM orders o
+       JOIN users u ON o.user_id = u.id
+       ${whereClause}`,
+      params
+    );
+
+    const totalOrders = parseInt(countResult.rows[0].count, 10);
+    const totalPages = Math.ceil(totalOrders / limit);
+
+    return res.json({
+      success: true,
+      data: {
+        orders: ordersResult.rows.map((order) => ({
+          id: order.id,
+          reference: order.reference,
+          total_amount: parseFloat(order.total_amount),
+          status: order.status,
+          shipping_address: order.shipping_address,
+          created_at: order.created_at,
+          updated_at: order.updated_at,
+          item_count: parseInt(order.item_count, 10),
+          customer: {
+            id: order.customer_id,
+            name: order.customer_name,
+            email: order.customer_email,
+          },
+          allowed_transitions: getAllowedTransitions(order.status),
+        })),
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalOrders,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1,
+        },
+      },
+    });
+  } catch (error) {
+    console.error('Admin list orders error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error fetching orders',
+    });
+  }
+};
+
+/**
+ * Administrative Order Detail Controller
+ *
+ * Returns a single order with its customer, line items, status history and the
+ * statuses it may move to next.
+ *
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>} Sends JSON response with the order details
+ */
+const getOrderDetails = async (req, res) => {
+  try {
+    const { order_id } = req.params;
+
+    const orderResult = await pool.query(
+      `SELECT
+         o.id,
+         o.reference,
+         o.subtotal_amount,
+         o.shipping_amount,
+         o.discount_amount,
+         o.total_amount,
+         o.status,
+         o.shipping_address,
+         o.shipping_address_details,
+         o.shipping_country,
+         o.shipping_method,
+         o.order_notes,
+         o.gift_message,
+         o.created_at,
+         o.updated_at,
+         u.id AS customer_id,
+         u.name AS customer_name,
+         u.email AS customer_email
+       FROM orders o
+       JOIN users u ON o.user_id = u.id
+       WHERE o.id = $1`,
+      [order_id]
+    );
+
+    if (orderResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found',
+      });
+    }
+
+    const order = orderResult.rows[0];
+
+    const itemsResult = await pool.query(
+      `SELECT
+         oi.id,
+         oi.quantity,
+         oi.price,
+         oi.note,
+         p.id AS product_id,
+         p.name AS product_name,
+         p.image_url,
+         p.category,
+         p.stock_quantity,
+         (oi.quantity * oi.price) AS item_total
+       FROM order_items oi
+       LEFT JOIN products p ON oi.product_id = p.id
+       WHERE oi.order_id = $1
+       ORDER BY oi.created_at`,
+      [order_id]
+    );
+
+    const history = await getOrderStatusHistory(pool, order_id);
+
+    return res.json({
+      success: true,
+      data: {
+        order: {
+          id: order.id,
+          reference: order.reference,
+          subtotal_amount: parseFloat(order.subtotal_amount),
+          shipping_amount: parseFloat(order.shipping_amount),
+          discount_amount: parseFloat(order.discount_amount),
+          total_amount: parseFloat(order.total_amount),
+          discounts: await getOrderDiscounts(pool, order.id),
+          status: order.status,
+          shipping_address: order.shipping_address,
+          shipping_address_details: order.shipping_address_details,
+          shipping_country: order.shipping_country,
+          shipping_method: order.shipping_method,
+          order_notes: order.order_notes,
+          gift_message: order.gift_message,
+          created_at: order.created_at,
+          updated_at: order.updated_at,
+          customer: {
+            id: order.customer_id,
+            name: order.customer_name,
+            email: order.customer_email,
+          },
+          items: itemsResult.rows.map((item) => ({
+            id: item.id,
+            quantity: item.quantity,
+            price: parseFloat(item.price),
+            note: item.note,
+            item_total: parseFloat(item.item_total),
+            product: item.product_id ? {
+              id: item.product_id,
+              name: item.product_name,
+              image_url: item.image_url,
+              category: item.category,
+              stock_quantity: item.stock_quantity,
+            } : null,
+          })),
+          history,
+          allowed_transitions: getAllowedTransitions(order.status),
+        },
+      },
+    });
+  } catch (error) {
+    console.error('Admin get order error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error fetching order details',
+    });
+  }
+};
+
+/**
+ * Administrative Order Status Update Controller
+ *
+ * Moves an order to a new status. The transition is validated by the order
+ * state machine, cancellation restores product stock, and the change is stored
+ * in the order history together with the administrator's email.
+ *
+ * Request Body:
+ * - status: Target status (required)
+ * - note: Optional reason shown in the order history
+ *
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>} Sends JSON response with the updated order
+ */
+const updateOrderStatus = async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    const { order_id } = req.params;
+    const { status, note } = req.body;
+
+    await client.query('BEGIN');
+
+    const { order, previousStatus, history } = await transitionOrderStatus(client, {
+      orderId: order_id,
+      toStatus: status,
+      actorType: 'admin',
+      actorId: req.admin.email,
+      note: note ? String(note).trim() : null,
+    });
+
+    await client.query('COMMIT');
+
+    return res.json({
+      success: true,
+      message: `Order moved from ${previousStatus} to ${order.status}`,
+      data: {
+        order: {
+          ...order,
+          total_amount: parseFloat(order.total_amount),
+          allowed_transitions: getAllowedTransitions(order.status),
+        },
+        history_entry: history,
+      },
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    console.error('Admin update order status error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error updating order status',
+    });
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Administrative Bulk Order Status Update Controller
+ *
+ * Applies the same status transition to several orders, e.g. marking a batch of
+ * packed orders as shipped. Each order is processed in its own transaction so
+ * one illegal transition does not block the rest; the response lists which
+ * orders were updated and which failed with the reason.
+ *
+ * Request Body:
+ * - order_ids: Array of order identifiers (1-100)
+ * - status: Target status (required)
+ * - note: Optional reason stored on every history entry
+ *
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>} Sends JSON response with per-order results
+ */
+const bulkUpdateOrderStatus = async (req, res) => {
+  const { order_ids: orderIds, status, note } = req.body;
+
+  if (!Array.isArray(orderIds) || orderIds.length === 0 || orderIds.length > 100) {
+    return res.status(400).json({
+      success: false,
+      message: 'order_ids must be an array of 1 to 100 order ids',
+    });
+  }
+
+  const uniqueIds = [...new Set(orderIds.map((id) => String(id)))];
+  const updated = [];
+  const failed = [];
+
+  for (const orderId of uniqueIds) {
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const { order } = await transitionOrderStatus(client, {
+        orderId,
+        toStatus: status,
+        actorType: 'admin',
+        actorId: req.admin.email,
+        note: note ? String(note).trim() : null,
+      });
+
+      await client.query('COMMIT');
+      updated.push({
+        id: order.id,
+        status: order.status,
+        allowed_transitions: getAllowedTransitions(order.status),
+      });
+    } catch (error) {
+      await client.query('ROLLBACK');
+
+      if (!error.status) {
+        console.error('Admin bulk order status error:', error);
+      }
+
+      failed.push({
+        id: orderId,
+        message: error.status ? error.message : 'Server error updating order status',
+      });
+    } finally {
+      client.release();
+    }
+  }
+
+  return res.status(updated.length > 0 ? 200 : 409).json({
+    success: updated.length > 0,
+    message: `${updated.length} order(s) updated, ${failed.length} failed`,
+    data: {
+      updated,
+      failed,
+    },
+  });
+};
+
+/**
+ * Administrative Order WhatsApp Message Controller
+ *
+ * Renders the status-update template for an order so Rama can send it to the
+ * customer. The link has no recipient because customer phone numbers are not
+ * stored; WhatsApp asks which chat to send it to.
+ *
+ * Query Parameters:
+ * - note: Optional extra line inserted as `{{status_note}}`
+ *
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>} Sends JSON response with the message and link
+ */
+const getOrderWhatsAppMessage = async (req, res) => {
+  try {
+    const note = req.query.note ? String(req.query.note).slice(0, 500) : '';
+    const rendered = await renderOrderMessage(pool, {
+      orderId: req.params.order_id,
+      templateName: 'status_update',
+      statusNote: note,
+    });
+
+    if (!rendered) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found',
+      });
+    }
+
+    return res.json({
+      success: true,
+      data: {
+        message: rendered.message,
+        link: buildWhatsAppLink(null, rendered.message),
+      },
+    });
+  } catch (error) {
+    console.error('Admin order WhatsApp message error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error building WhatsApp message',
+    });
+  }
+};
+
+module.exports = {
+  listOrders,
+  getOrderDetails,
+  updateOrderStatus,
+  bulkUpdateOrderStatus,
+  getOrderWhatsAppMessage,
+};
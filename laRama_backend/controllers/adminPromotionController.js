@@ -0,0 +1,169 @@
+/**
+ * @fileoverview Administrative Promotions Controller for LaRama Platform
+ *
+ * Lets the LaRama administrator manage automatic promotions: buy X get Y,
+ * percentage off a category, and fixed prices for sets of products such as the
+ * Terra Bundle. Promotions apply to every matching cart without a code; the
+ * pricing rules live in `services/promotionService.js`.
+ *
+ * @author Mohamad Abou Naasse
+ * @course University of Balamand - Advances in Computer Science
+ * @project LaRama Handcrafted Products E-commerce Platform
+ * @business LaRama Handcrafted (Owner: Rama)
+ */
+
+const { pool } = require('../config/database'); // PostgreSQL database connection pool
+const {
+  listPromotions,
+  findPromotion,
+  normalizePromotionInput,
+  savePromotion,
+} = require('../services/promotionService'); // Promotion rules and storage
+
+/**
+ * Administrative Promotion List Controller
+ *
+ * Returns every promotion, newest first, with its products.
+ *
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>} Sends JSON response with the promotions
+ */
+const getPromotions = async (req, res) => {
+  try {
+    return res.json({
+      success: true,
+      data: { promotions: await listPromotions(pool) },
+    });
+  } catch (error) {
+    console.error('Admin get promotions error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error fetching promotions',
+    });
+  }
+};
+
+/**
+ * Creates a promotion, or replaces one when `promotionId` is given.
+ *
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {string} [promotionId] - Promotion to replace
+ * @returns {Promise<void>} Sends JSON response with the saved promotion
+ */
+const writePromotion = async (req, res, promotionId) => {
+  let promotion;
+  try {
+    promotion = normalizePromotionInput(req.body);
+  } catch (error) {
+    return res.status(error.status || 400).json({
+      success: false,
+      message: error.message,
+    });
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const id = await savePromotion(client, promotion, promotionId);
+
+    if (!id) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({
+        success: false,
+        message: 'Promotion not found',
+      });
+    }
+
+    await client.query('COMMIT');
+
+    return res.status(promotionId ? 200 : 201).json({
+      success: true,
+      message: promotionId ? 'Promotion updated' : 'Promotion created',
+      data: { promotion: await findPromotion(pool, id) },
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    console.error('Admin save promotion error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error saving promotion',
+    });
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Administrative Promotion Create Controller
+ *
+ * Body: `{ name, description?, promotion_type, category?, percentage?, buy_quantity?,
+ * get_quantity?, bundle_price?, starts_at?, expires_at?, is_active?, products? }`.
+ *
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>} Sends JSON response with the created promotion
+ */
+const createPromotion = (req, res) => writePromotion(req, res);
+
+/**
+ * Administrative Promotion Update Controller
+ *
+ * Replaces the promotion with the same body as create, including its products.
+ *
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>} Sends JSON response with the updated promotion
+ */
+const updatePromotion = (req, res) => writePromotion(req, res, req.params.promotion_id);
+
+/**
+ * Administrative Promotion Delete Controller
+ *
+ * Deletes a promotion. Orders keep their promotion lines, named as they were at checkout.
+ *
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>} Sends JSON response confirming the deletion
+ */
+const deletePromotion = async (req, res) => {
+  try {
+    const result = await pool.query('DELETE FROM promotions WHERE id = $1 RETURNING id', [req.params.promotion_id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promotion not found',
+      });
+    }
+
+    return res.json({
+      success: true,
+      message: 'Promotion deleted',
+    });
+  } catch (error) {
+    console.error('Admin delete promotion error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error deleting promotion',
+    });
+  }
+};
+
+module.exports = {
+  getPromotions,
+  createPromotion,
+  updatePromotion,
+  deletePromotion,
+};
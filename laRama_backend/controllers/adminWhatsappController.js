@@ -0,0 +1,181 @@
+/**
+ * @fileoverview Administrative WhatsApp Settings Controller for LaRama Platform
+ *
+ * Lets the LaRama administrator edit the WhatsApp Business number and the order,
+ * quote and status-update message templates without a redeploy. Templates that
+ * have never been edited fall back to the defaults in `services/whatsappService.js`.
+ *
+ * @author Mohamad Abou Naasse
+ * @course University of Balamand - Advances in Computer Science
+ * @project LaRama Handcrafted Products E-commerce Platform
+ * @business LaRama Handcrafted (Owner: Rama)
+ */
+
+const { pool } = require('../config/database'); // PostgreSQL database connection pool
+const {
+  TEMPLATE_NAMES,
+  getBusinessNumber,
+  getTemplates,
+  saveTemplate,
+  resetTemplate,
+  saveBusinessNumber,
+} = require('../services/whatsappService'); // WhatsApp message templating
+
+/**
+ * Maximum template length, comfortably below WhatsApp's message size limit.
+ */
+const MAX_TEMPLATE_LENGTH = 4000;
+
+/**
+ * Loads the settings payload returned by every endpoint in this controller.
+ *
+ * @returns {Promise<{business_number: string, templates: Object[]}>} Current settings
+ */
+const loadSettings = async () => ({
+  business_number: await getBusinessNumber(pool),
+  templates: await getTemplates(pool),
+});
+
+/**
+ * Administrative WhatsApp Settings Controller
+ *
+ * Returns the business number and every template with its placeholders.
+ *
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>} Sends JSON response with the settings
+ */
+const getWhatsAppSettings = async (req, res) => {
+  try {
+    return res.json({
+      success: true,
+      data: await loadSettings(),
+    });
+  } catch (error) {
+    console.error('Admin get WhatsApp settings error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error fetching WhatsApp settings',
+    });
+  }
+};
+
+/**
+ * Administrative WhatsApp Settings Update Controller
+ *
+ * Body: `{ business_number?, templates?: { order?, quote?, status_update? } }`.
+ * Only the provided values change; all changes are saved in one transaction.
+ *
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>} Sends JSON response with the updated settings
+ */
+const updateWhatsAppSettings = async (req, res) => {
+  const { business_number, templates = {} } = req.body;
+
+  if (typeof templates !== 'object' || templates === null || Array.isArray(templates)) {
+    return res.status(400).json({
+      success: false,
+      message: 'templates must be an object keyed by template name',
+    });
+  }
+
+  const errors = [];
+  Object.entries(templates).forEach(([name, body]) => {
+    if (!TEMPLATE_NAMES.includes(name)) {
+      errors.push(`Unknown template: ${name}`);
+    } else if (typeof body !== 'string' || body.trim() === '') {
+      errors.push(`${name} template must be a non-empty string`);
+    } else if (body.length > MAX_TEMPLATE_LENGTH) {
+      errors.push(`${name} template must not exceed ${MAX_TEMPLATE_LENGTH} characters`);
+    }
+  });
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors,
+    });
+  }
+
+  if (!business_number && Object.keys(templates).length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Nothing to update',
+    });
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    if (business_number) {
+      await saveBusinessNumber(client, business_number, req.admin.email);
+    }
+
+    for (const [name, body] of Object.entries(templates)) {
+      await saveTemplate(client, name, body, req.admin.email);
+    }
+
+    await client.query('COMMIT');
+
+    return res.json({
+      success: true,
+      message: 'WhatsApp settings updated',
+      data: await loadSettings(),
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Admin update WhatsApp settings error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error updating WhatsApp settings',
+    });
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Administrative WhatsApp Template Reset Controller
+ *
+ * Discards the customised version of a template so the built-in default applies.
+ *
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>} Sends JSON response with the updated settings
+ */
+const resetWhatsAppTemplate = async (req, res) => {
+  const { name } = req.params;
+
+  if (!TEMPLATE_NAMES.includes(name)) {
+    return res.status(404).json({
+      success: false,
+      message: `Unknown template: ${name}`,
+    });
+  }
+
+  try {
+    await resetTemplate(pool, name);
+
+    return res.json({
+      success: true,
+      message: `${name} template reset to default`,
+      data: await loadSettings(),
+    });
+  } catch (error) {
+    console.error('Admin reset WhatsApp template error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error resetting WhatsApp template',
+    });
+  }
+};
+
+module.exports = {
+  getWhatsAppSettings,
+  updateWhatsAppSettings,
+  resetWhatsAppTemplate,
+};
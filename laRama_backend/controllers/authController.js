@@ -3,19 +3,25 @@
  * 
  * This controller module handles all user authentication operations including
  * user registration, login, profile management, and JWT token operations.
- * It provides secure authentication mechanisms using bcrypt for password hashing
- * and JWT tokens for stateless authentication.
+ * It provides secure authentication mechanisms using bcrypt for password hashing,
+ * short-lived JWT access tokens, and rotating refresh tokens per device session.
  * 
  * Key Features:
  * - Secure user registration with password hashing
  * - User authentication with JWT token generation
  * - Profile management and token verification
+ * - Name, email and password changes; account deletion that keeps orders
+ * - Password reset by emailed single-use link
+ * - Email verification link sent on registration, with throttled resends
+ * - Refresh, logout and a signed-in devices list with revocation
  * - Automatic shopping cart creation for new users
+ * - Guest cart merge on login and registration
  * - Comprehensive input validation and error handling
  * 
  * Security Measures:
  * - bcrypt password hashing with high salt rounds (12)
- * - JWT tokens with configurable expiration
+ * - Short-lived JWT access tokens bound to a revocable session
+ * - Hashed, single-use refresh tokens with reuse detection
  * - Email normalization (lowercase, trimmed)
  * - Duplicate user prevention
  * - Secure password comparison
@@ -27,30 +33,104 @@
  */
 
 const bcrypt = require('bcryptjs');    // Password hashing library for secure password storage
-const jwt = require('jsonwebtoken');   // JSON Web Token library for stateless authentication
 const { pool } = require('../config/database'); // PostgreSQL database connection pool
+const { CART_TOKEN_HEADER, verifyCartToken, mergeGuestCart } = require('../services/cartService'); // Guest cart merge
+const { createResetToken, consumeResetToken, buildResetEmail } = require('../services/passwordResetService'); // Password reset tokens
+const {
+  createVerificationToken,
+  verifyEmailToken,
+  buildVerificationEmail
+} = require('../services/emailVerificationService'); // Email verification tokens
+const {
+  createSession,
+  rotateRefreshToken,
+  revokeSessionByRefreshToken,
+  revokeSessions,
+  listSessions
+} = require('../services/sessionService'); // Device sessions and refresh tokens
+const { anonymiseAccount } = require('../services/accountService'); // Account deletion
+const { removeExportFiles } = require('../services/dataExportService'); // Data export archive cleanup
+const { queueMail } = require('../services/mailService'); // Transactional email delivery
+const { patterns } = require('../utils/patterns'); // Shared validation patterns
 
 /**
- * JWT Token Generation Function
+ * Session Opening Helper
  * 
- * Creates a JSON Web Token for user authentication containing the user ID.
- * The token includes an expiration time for security purposes.
+ * Starts a device session for a customer who just registered or logged in.
  * 
- * @param {string} userId - The unique identifier of the user
- * @returns {string} Signed JWT token for authentication
+ * @param {Object} req - Express request object (User-Agent and IP name the device)
+ * @param {Object} user - User row with id and token_version
+ * @returns {Promise<{token: string, refresh_token: string}>} Access token and refresh token
  * 
  * Function Details:
- * - Embeds userId in the token payload for user identification
- * - Uses JWT_SECRET from environment variables for signing
- * - Sets expiration time (default 24h) for security
- * - Returns signed token ready for client storage and future requests
+ * - The access token is a JWT with userId, tokenVersion and sessionId that
+ *   expires after JWT_EXPIRE (default 15m)
+ * - The refresh token renews it through POST /api/auth/refresh
  * 
- * Role: Provides secure, stateless authentication tokens for API access
+ * Role: Provides revocable, per-device authentication for API access
  */
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || '24h'
-  });
+const openSession = async (req, user) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    const tokens = await createSession(client, user, req);
+    await client.query('COMMIT');
+    return tokens;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Guest Cart Merge Helper
+ * 
+ * Folds the visitor's guest cart into the signed-in customer's cart. The cart
+ * token is read from the request body (cart_token) or the X-Cart-Token header.
+ * A failed merge is logged and never blocks signing in; the guest cart is kept
+ * so the next sign-in can try again. Inside a caller's transaction the merge
+ * runs under a savepoint, so only the merge is undone when it fails.
+ * 
+ * @param {Object} req - Express request object that may carry a cart token
+ * @param {string} userId - Customer who just signed in or registered
+ * @param {import('pg').PoolClient} [transactionClient] - Client of an open transaction to merge in
+ * @returns {Promise<Object|null>} Merge summary with merged_items and adjusted_items, or null
+ */
+const mergeGuestCartFromRequest = async (req, userId, transactionClient = null) => {
+  const guestCartId = verifyCartToken(req.body.cart_token || req.headers[CART_TOKEN_HEADER]);
+  if (!guestCartId) return null;
+
+  if (transactionClient) {
+    await transactionClient.query('SAVEPOINT guest_cart_merge');
+
+    try {
+      const summary = await mergeGuestCart(transactionClient, userId, guestCartId);
+      await transactionClient.query('RELEASE SAVEPOINT guest_cart_merge');
+      return summary;
+    } catch (error) {
+      await transactionClient.query('ROLLBACK TO SAVEPOINT guest_cart_merge');
+      console.error('Guest cart merge error:', error);
+      return null;
+    }
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    const summary = await mergeGuestCart(client, userId, guestCartId);
+    await client.query('COMMIT');
+    return summary;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Guest cart merge error:', error);
+    return null;
+  } finally {
+    client.release();
+  }
 };
 
 /**
@@ -67,6 +147,7 @@ const generateToken = (userId) => {
  * - name: User's full name (will be trimmed)
  * - email: User's email address (will be normalized)
  * - password: Plain text password (will be hashed securely)
+ * - cart_token: Optional guest cart token (also accepted as X-Cart-Token header)
  * 
  * Security Process:
  * 1. Validates email uniqueness to prevent duplicate accounts
@@ -74,22 +155,30 @@ const generateToken = (userId) => {
  * 3. Normalizes email (lowercase, trimmed) for consistency
  * 4. Creates user record in database with secure password storage
  * 5. Automatically creates shopping cart for new user
- * 6. Generates JWT token for immediate authentication
+ * 6. Merges the guest cart into it when a cart token was sent
+ * 7. Emails a link to verify the address (email_verified_at stays null until then)
+ * 8. Opens a device session with an access token and a refresh token
  * 
  * Database Operations:
  * - Checks for existing user with same email
  * - Inserts new user record with hashed password
  * - Creates associated shopping cart for the user
+ * - Steps 4-8 run in one transaction; a failure rolls back the new user so the
+ *   email can be registered again, and the verification email is only queued
+ *   after commit
  * - Returns user data excluding sensitive information
  * 
  * Response Format:
  * - success: Boolean indicating operation success
  * - message: Human-readable success/error message
- * - data: User information and authentication token (on success)
+ * - data: User information, authentication token and cart_merge summary
+ *   (null when no guest cart was merged)
  * 
  * Role: Creates secure user accounts with immediate shopping capabilities
  */
 const register = async (req, res) => {
+  let client;
+
   try {
     const { name, email, password } = req.body;
 
@@ -117,13 +206,22 @@ const register = async (req, res) => {
     const saltRounds = 12;
     const hashedPassword = await bcrypt.hash(password, saltRounds);
 
+    /**
+     * Account Transaction
+     * The user, cart, guest cart merge, verification token and session are
+     * created together, so a failure leaves no half-registered account that
+     * would block retrying with the same email
+     */
+    client = await pool.connect();
+    await client.query('BEGIN');
+
     /**
      * User Account Creation
      * Inserts new user with normalized email and secure password hash
      * Returns user data immediately for token generation
      */
-    const newUser = await pool.query(
-      'INSERT INTO users (name, email, password) VALUES ($1, $2, $3) RETURNING id, name, email, created_at',
+    const newUser = await client.query(
+      'INSERT INTO users (name, email, password) VALUES ($1, $2, $3) RETURNING id, name, email, email_verified_at, token_version, created_at',
       [name.trim(), email.toLowerCase().trim(), hashedPassword]
     );
 
@@ -134,16 +232,29 @@ const register = async (req, res) => {
      * Automatically creates a shopping cart for the new user
      * Ensures user can immediately start shopping after registration
      */
-    await pool.query(
+    await client.query(
       'INSERT INTO carts (user_id) VALUES ($1)',
       [user.id]
     );
 
+    const cartMerge = await mergeGuestCartFromRequest(req, user.id, client);
+
+    /**
+     * Email Verification
+     * Creates the link that confirms the customer owns this address
+     */
+    const verificationToken = await createVerificationToken(client, user);
+
     /**
-     * Authentication Token Generation
-     * Creates JWT token for immediate user authentication
+     * Session Creation
+     * Signs the new customer in on this device
      */
-    const token = generateToken(user.id);
+    const tokens = await createSession(client, user, req);
+
+    await client.query('COMMIT');
+
+    // Mail goes out only once the account exists
+    queueMail(buildVerificationEmail(user, verificationToken));
 
     res.status(201).json({
       success: true,
@@ -153,17 +264,38 @@ const register = async (req, res) => {
           id: user.id,
           name: user.name,
           email: user.email,
+          email_verified_at: user.email_verified_at,
           created_at: user.created_at
         },
-        token
+        ...tokens,
+        cart_merge: cartMerge
       }
     });
   } catch (error) {
+    if (client) {
+      await client.query('ROLLBACK').catch(() => {});
+    }
+
+    /**
+     * Concurrent Registration
+     * Another request registered the same email after the uniqueness check
+     */
+    if (error.code === '23505' && error.constraint === 'users_email_key') {
+      return res.status(400).json({
+        success: false,
+        message: 'User with this email already exists'
+      });
+    }
+
     console.error('Registration error:', error);
     res.status(500).json({
       success: false,
       message: 'Server error during registration'
     });
+  } finally {
+    if (client) {
+      client.release();
+    }
   }
 };
 
@@ -179,13 +311,15 @@ const register = async (req, res) => {
  * Request Body Requirements:
  * - email: User's registered email address
  * - password: User's plain text password for verification
+ * - cart_token: Optional guest cart token (also accepted as X-Cart-Token header)
  * 
  * Authentication Process:
  * 1. Normalizes email input (lowercase, trimmed)
  * 2. Searches database for user with matching email
  * 3. Securely compares provided password with stored hash
- * 4. Generates JWT token upon successful authentication
- * 5. Returns user data and token for client-side storage
+ * 4. Opens a device session with an access token and a refresh token
+ * 5. Merges the guest cart into the user's cart when a cart token was sent
+ * 6. Returns user data, token and cart merge summary for client-side storage
  * 
  * Security Features:
  * - Uses bcrypt.compare for secure password verification
@@ -194,7 +328,7 @@ const register = async (req, res) => {
  * - Excludes sensitive data from response
  * 
  * Response Scenarios:
- * - Success (200): User data and JWT token
+ * - Success (200): User data, access token and refresh token
  * - Unauthorized (401): Invalid credentials (generic message)
  * - Server Error (500): Database or system errors
  * 
@@ -210,7 +344,7 @@ const login = async (req, res) => {
      * Retrieves necessary fields for authentication and response
      */
     const userResult = await pool.query(
-      'SELECT id, name, email, password, created_at FROM users WHERE email = $1',
+      'SELECT id, name, email, password, email_verified_at, token_version, created_at FROM users WHERE email = $1',
       [email.toLowerCase().trim()]
     );
 
@@ -242,10 +376,11 @@ const login = async (req, res) => {
     }
 
     /**
-     * Authentication Success - Token Generation
-     * Creates JWT token for authenticated user session
+     * Authentication Success - Session Creation
+     * Opens a device session with an access token and a refresh token
      */
-    const token = generateToken(user.id);
+    const tokens = await openSession(req, user);
+    const cartMerge = await mergeGuestCartFromRequest(req, user.id);
 
     res.json({
       success: true,
@@ -255,9 +390,11 @@ const login = async (req, res) => {
           id: user.id,
           name: user.name,
           email: user.email,
+          email_verified_at: user.email_verified_at,
           created_at: user.created_at
         },
-        token
+        ...tokens,
+        cart_merge: cartMerge
       }
     });
   } catch (error) {
@@ -310,7 +447,8 @@ const getProfile = async (req, res) => {
         user: {
           id: user.id,
           name: user.name,
-          email: user.email
+          email: user.email,
+          email_verified_at: user.email_verified_at
         }
       }
     });
@@ -368,7 +506,8 @@ const verifyToken = async (req, res) => {
         user: {
           id: user.id,
           name: user.name,
-          email: user.email
+          email: user.email,
+          email_verified_at: user.email_verified_at
         }
       }
     });
@@ -381,9 +520,697 @@ const verifyToken = async (req, res) => {
   }
 };
 
+/**
+ * Current Password Check Helper
+ * 
+ * Locks the customer's row and compares a password with the stored hash, so
+ * sensitive account changes cannot run concurrently or with a stolen session alone.
+ * 
+ * @param {import('pg').PoolClient} client - Client inside a transaction
+ * @param {string} userId - Signed-in customer
+ * @param {string} password - Password typed by the customer
+ * @returns {Promise<{valid: boolean, hash: string}>} Whether it matches, and the stored hash
+ */
+const checkCurrentPassword = async (client, userId, password) => {
+  const result = await client.query('SELECT password FROM users WHERE id = $1 FOR UPDATE', [userId]);
+  const hash = result.rows[0].password;
+
+  return { valid: await bcrypt.compare(password, hash), hash };
+};
+
+/**
+ * Profile Update Controller
+ * 
+ * Changes the signed-in customer's name and/or email. A new email must be
+ * confirmed with the current password; it starts unverified and a
+ * verification link is emailed to it (throttled like resends).
+ * 
+ * @param {Object} req - Express request object with body `{ name?, email?, current_password? }`
+ * @param {Object} res - Express response object
+ * 
+ * Response Scenarios:
+ * - Success (200): data.user with the updated profile
+ * - Bad Request (400): Nothing to update, or missing/incorrect current password
+ * - Conflict (409): Email belongs to another account
+ * - Too Many Requests (429): Verification email limits reached
+ * - Server Error (500): Database or system errors
+ * 
+ * Role: Lets customers keep their contact details up to date
+ */
+const updateProfile = async (req, res) => {
+  const name = req.body.name ? req.body.name.trim() : null;
+  const email = req.body.email ? req.body.email.toLowerCase().trim() : null;
+  const emailChanged = Boolean(email) && email !== req.user.email;
+
+  if (!name && !email) {
+    return res.status(400).json({
+      success: false,
+      message: 'Provide a name or email to update'
+    });
+  }
+
+  if (emailChanged && !req.body.current_password) {
+    return res.status(400).json({
+      success: false,
+      message: 'Please enter your current password to change your email'
+    });
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    if (emailChanged) {
+      const { valid } = await checkCurrentPassword(client, req.user.id, req.body.current_password);
+
+      if (!valid) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({
+          success: false,
+          message: 'Current password is incorrect'
+        });
+      }
+    }
+
+    const result = await client.query(
+      `UPDATE users
+       SET name = COALESCE($2, name),
+           email = COALESCE($3, email),
+           email_verified_at = CASE WHEN $3::text IS NULL THEN email_verified_at ELSE NULL END
+       WHERE id = $1
+       RETURNING id, name, email, email_verified_at, created_at`,
+      [req.user.id, name, emailChanged ? email : null]
+    );
+    const user = result.rows[0];
+
+    const verificationToken = emailChanged
+      ? await createVerificationToken(client, user, { throttle: true })
+      : null;
+
+    await client.query('COMMIT');
+
+    if (verificationToken) {
+      queueMail(buildVerificationEmail(user, verificationToken, { emailChanged: true }));
+    }
+
+    res.json({
+      success: true,
+      message: emailChanged
+        ? `Profile updated. We sent a verification link to ${user.email}.`
+        : 'Profile updated',
+      data: { user }
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+
+    if (error.code === '23505') {
+      return res.status(409).json({
+        success: false,
+        message: 'User with this email already exists'
+      });
+    }
+
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Update profile error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating profile'
+    });
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Password Change Controller
+ * 
+ * Replaces the signed-in customer's password after checking the current one.
+ * Every other device is signed out; this one stays signed in.
+ * 
+ * @param {Object} req - Express request object with body `{ current_password, new_password }`
+ * @param {Object} res - Express response object
+ * 
+ * Response Scenarios:
+ * - Success (200): data.revoked_sessions counts the devices signed out
+ * - Bad Request (400): Current password incorrect, or new password unchanged
+ * - Server Error (500): Database or system errors
+ * 
+ * Role: Lets signed-in customers change their password
+ */
+const changePassword = async (req, res) => {
+  const { current_password: currentPassword, new_password: newPassword } = req.body;
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const { valid, hash } = await checkCurrentPassword(client, req.user.id, currentPassword);
+
+    if (!valid) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({
+        success: false,
+        message: 'Current password is incorrect'
+      });
+    }
+
+    if (await bcrypt.compare(newPassword, hash)) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({
+        success: false,
+        message: 'New password must be different from your current password'
+      });
+    }
+
+    const hashedPassword = await bcrypt.hash(newPassword, 12);
+
+    await client.query('UPDATE users SET password = $1 WHERE id = $2', [hashedPassword, req.user.id]);
+    const revokedSessions = await revokeSessions(client, req.user.id, { exceptSessionId: req.sessionId });
+    await client.query(
+      'DELETE FROM password_reset_tokens WHERE user_id = $1 AND used_at IS NULL',
+      [req.user.id]
+    );
+
+    await client.query('COMMIT');
+
+    res.json({
+      success: true,
+      message: 'Password updated. Your other devices have been signed out.',
+      data: { revoked_sessions: revokedSessions }
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Change password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error changing password'
+    });
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Account Deletion Controller
+ * 
+ * Deletes the signed-in customer's account after checking their password.
+ * The user is anonymised rather than removed so their orders stay in Rama's
+ * books; every session ends.
+ * 
+ * @param {Object} req - Express request object with body `{ password }`
+ * @param {Object} res - Express response object
+ * 
+ * Response Scenarios:
+ * - Success (200): Account deleted
+ * - Bad Request (400): Password incorrect
+ * - Conflict (409): Orders still pending, processing or shipped
+ * - Server Error (500): Database or system errors
+ * 
+ * Role: Lets customers leave the shop and take their personal data with them
+ */
+const deleteAccount = async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const { valid } = await checkCurrentPassword(client, req.user.id, req.body.password);
+
+    if (!valid) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({
+        success: false,
+        message: 'Password is incorrect'
+      });
+    }
+
+    const exportJobIds = await anonymiseAccount(client, req.user);
+
+    await client.query('COMMIT');
+
+    removeExportFiles(exportJobIds);
+
+    res.json({
+      success: true,
+      message: 'Your account has been deleted'
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Delete account error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error deleting account'
+    });
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Forgot Password Controller
+ * 
+ * Emails a single-use password reset link to the account with the given
+ * email. The response is the same whether or not the account exists, so the
+ * endpoint cannot be used to discover registered emails.
+ * 
+ * @param {Object} req - Express request object with body `{ email }`
+ * @param {Object} res - Express response object
+ * 
+ * Role: Starts the password reset flow for customers who cannot log in
+ */
+const forgotPassword = async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const userResult = await client.query(
+      'SELECT id, name, email FROM users WHERE email = $1',
+      [req.body.email.toLowerCase().trim()]
+    );
+
+    const user = userResult.rows[0];
+    const token = user ? await createResetToken(client, user.id) : null;
+
+    await client.query('COMMIT');
+
+    if (token) {
+      queueMail(buildResetEmail(user, token));
+    }
+
+    res.json({
+      success: true,
+      message: 'If an account exists for that email, a password reset link is on its way'
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error requesting password reset'
+    });
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Reset Password Controller
+ * 
+ * Sets a new password using the token from a reset email. The token is used
+ * up, the customer's other reset links stop working, every device session is
+ * revoked and token_version is bumped, so every device must log in again.
+ * 
+ * @param {Object} req - Express request object with body `{ token, password }`
+ * @param {Object} res - Express response object
+ * 
+ * Response Scenarios:
+ * - Success (200): Password changed
+ * - Bad Request (400): Token unknown, already used or expired
+ * - Server Error (500): Database or system errors
+ * 
+ * Role: Completes the password reset flow
+ */
+const resetPassword = async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const userId = await consumeResetToken(client, req.body.token);
+
+    if (!userId) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({
+        success: false,
+        message: 'This reset link is invalid or has expired. Please request a new one.'
+      });
+    }
+
+    const hashedPassword = await bcrypt.hash(req.body.password, 12);
+
+    await client.query(
+      'UPDATE users SET password = $1, token_version = token_version + 1 WHERE id = $2',
+      [hashedPassword, userId]
+    );
+    await revokeSessions(client, userId);
+    await client.query(
+      'DELETE FROM password_reset_tokens WHERE user_id = $1 AND used_at IS NULL',
+      [userId]
+    );
+
+    await client.query('COMMIT');
+
+    res.json({
+      success: true,
+      message: 'Password updated. Please log in with your new password.'
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error resetting password'
+    });
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Email Verification Controller
+ * 
+ * Confirms a customer's email with the token from the verification link
+ * (`?token=`). Signing in is not required, so the link works on any device.
+ * 
+ * @param {Object} req - Express request object with query `token`
+ * @param {Object} res - Express response object
+ * 
+ * Response Scenarios:
+ * - Success (200): Email verified; data.user has id, email and email_verified_at
+ * - Bad Request (400): Token malformed, unknown, expired or sent to a previous email
+ * - Server Error (500): Database or system errors
+ * 
+ * Role: Marks the customer's email as verified
+ */
+const verifyEmail = async (req, res) => {
+  const token = typeof req.query.token === 'string' ? req.query.token : '';
+
+  if (!patterns.opaqueToken.test(token)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Verification link is invalid'
+    });
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const user = await verifyEmailToken(client, token);
+
+    if (!user) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({
+        success: false,
+        message: 'This verification link is invalid or has expired. Please request a new one.'
+      });
+    }
+
+    await client.query('COMMIT');
+
+    res.json({
+      success: true,
+      message: 'Email verified',
+      data: { user }
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error verifying email'
+    });
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Resend Verification Email Controller
+ * 
+ * Emails a new verification link to the signed-in customer. Limited to one
+ * email a minute and five a day; the user row is locked so concurrent
+ * requests cannot slip past the limit.
+ * 
+ * @param {Object} req - Express request object with authenticated user
+ * @param {Object} res - Express response object
+ * 
+ * Response Scenarios:
+ * - Success (200): Email sent
+ * - Conflict (409): Email already verified
+ * - Too Many Requests (429): Cooldown or daily limit reached
+ * - Server Error (500): Database or system errors
+ * 
+ * Role: Lets customers who lost the first email verify their address
+ */
+const resendVerification = async (req, res) => {
+  if (req.user.email_verified_at) {
+    return res.status(409).json({
+      success: false,
+      message: 'Your email is already verified'
+    });
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    await client.query('SELECT id FROM users WHERE id = $1 FOR UPDATE', [req.user.id]);
+
+    const token = await createVerificationToken(client, req.user, { throttle: true });
+
+    await client.query('COMMIT');
+
+    queueMail(buildVerificationEmail(req.user, token));
+
+    res.json({
+      success: true,
+      message: `Verification email sent to ${req.user.email}`
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error sending verification email'
+    });
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Session Refresh Controller
+ * 
+ * Trades a refresh token for a new access token and a new refresh token. The
+ * old refresh token stops working; presenting it again revokes the session.
+ * 
+ * @param {Object} req - Express request object with body `{ refresh_token }`
+ * @param {Object} res - Express response object
+ * 
+ * Response Scenarios:
+ * - Success (200): data `{ token, refresh_token }`
+ * - Unauthorized (401): Unknown, expired or revoked token, or reuse detected
+ * - Conflict (409): Token was rotated seconds ago by another tab; use the stored tokens
+ * - Server Error (500): Database or system errors
+ * 
+ * Role: Keeps customers signed in with short-lived access tokens
+ */
+const refreshSession = async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    const result = await rotateRefreshToken(client, req.body.refresh_token);
+    await client.query('COMMIT');
+
+    if (result.status === 'rotated') {
+      return res.status(409).json({
+        success: false,
+        message: 'Refresh token was already rotated'
+      });
+    }
+
+    if (result.status) {
+      if (result.status === 'reused') {
+        console.warn('Refresh token reuse detected; session revoked');
+      }
+      return res.status(401).json({
+        success: false,
+        message: 'Session expired, please log in again'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result.tokens
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Refresh session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error refreshing session'
+    });
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Logout Controller
+ * 
+ * Revokes the session the refresh token belongs to, so its access token stops
+ * working immediately. Works with an expired access token and always succeeds,
+ * so clients can clear their stored tokens either way.
+ * 
+ * @param {Object} req - Express request object with body `{ refresh_token }`
+ * @param {Object} res - Express response object
+ * 
+ * Role: Signs the current device out on the server
+ */
+const logout = async (req, res) => {
+  try {
+    await revokeSessionByRefreshToken(pool, req.body.refresh_token);
+
+    res.json({
+      success: true,
+      message: 'Logged out'
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during logout'
+    });
+  }
+};
+
+/**
+ * Signed-In Devices Controller
+ * 
+ * Lists the customer's live sessions; the one making the request has `current: true`.
+ * 
+ * @param {Object} req - Express request object with authenticated user and session
+ * @param {Object} res - Express response object
+ * 
+ * Role: Shows customers where they are signed in
+ */
+const getSessions = async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: { sessions: await listSessions(pool, req.user.id, req.sessionId) }
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching signed-in devices'
+    });
+  }
+};
+
+/**
+ * Revoke Device Controller
+ * 
+ * Signs one of the customer's devices out.
+ * 
+ * @param {Object} req - Express request object with params `session_id`
+ * @param {Object} res - Express response object
+ * 
+ * Response Scenarios:
+ * - Success (200): Device signed out
+ * - Not Found (404): No live session with that id for this customer
+ * - Server Error (500): Database or system errors
+ * 
+ * Role: Lets customers remove devices they no longer use
+ */
+const revokeSession = async (req, res) => {
+  try {
+    const sessionId = req.params.session_id;
+    const revoked = patterns.uuid.test(sessionId)
+      ? await revokeSessions(pool, req.user.id, { sessionId })
+      : 0;
+
+    if (revoked === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Device signed out'
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error signing device out'
+    });
+  }
+};
+
+/**
+ * Revoke Other Devices Controller
+ * 
+ * Signs out every device except the one making the request.
+ * 
+ * @param {Object} req - Express request object with authenticated user and session
+ * @param {Object} res - Express response object
+ * 
+ * Role: One-click recovery when a customer suspects someone else is signed in
+ */
+const revokeOtherSessions = async (req, res) => {
+  try {
+    const revoked = await revokeSessions(pool, req.user.id, { exceptSessionId: req.sessionId });
+
+    res.json({
+      success: true,
+      message: `Signed out ${revoked} other device${revoked === 1 ? '' : 's'}`,
+      data: { revoked }
+    });
+  } catch (error) {
+    console.error('Revoke other sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error signing devices out'
+    });
+  }
+};
+
 module.exports = {
   register,
   login,
   getProfile,
-  verifyToken
+  verifyToken,
+  updateProfile,
+  changePassword,
+  deleteAccount,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
+  refreshSession,
+  logout,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions
 };
\ No newline at end of file
@@ -11,11 +11,15 @@
  * - Secure item addition with stock validation
  * - Quantity updates with inventory checking
  * - Individual item removal and cart clearing
+ * - Save-for-later items and per-item notes for Rama
+ * - Automatic promotions shown on the cart lines they discount (services/promotionService.js)
+ * - One discount code per cart, priced by services/discountService.js
  * - Transaction safety using database transactions
  * - Comprehensive cart total calculations
+ * - Guest carts for visitors who have not signed in yet
  * 
  * Security Features:
- * - User authentication required for all operations
+ * - Customer carts keyed by the JWT, guest carts by a signed cart token
  * - Cart item ownership validation
  * - Stock quantity validation before operations
  * - Database transaction rollback on errors
@@ -27,26 +31,70 @@
  */
 
 const { pool } = require('../config/database'); // PostgreSQL database connection pool
+const {
+  RESERVATION_MINUTES,
+  availableQuantitySql,
+  reserveCartStock,
+  releaseReservations
+} = require('../services/stockReservationService'); // Checkout stock holds
+const {
+  signCartToken,
+  findCartId,
+  ensureUserCart,
+  createGuestCart
+} = require('../services/cartService'); // Customer and guest cart lookup
+const {
+  normalizeDiscountCode,
+  findDiscountCode,
+  loadDiscountableItems,
+  evaluateDiscount,
+  getCartDiscount
+} = require('../services/discountService'); // Discount code checks and pricing
+const { priceCartPromotions, itemsAfterPromotions } = require('../services/promotionService'); // Automatic promotions
+const { roundCurrency } = require('../utils/currency'); // Amounts rounded to cents
+
+/**
+ * Reads whose cart a request works on, as populated by resolveCartOwner.
+ *
+ * @param {Object} req - Express request object
+ * @returns {{userId: string|null, guestCartId: string|null}} Signed-in customer or guest cart
+ */
+const getCartOwner = (req) => ({
+  userId: req.user ? req.user.id : null,
+  guestCartId: req.guestCartId || null
+});
 
 /**
  * Get User's Shopping Cart Controller
  * 
- * Retrieves the complete shopping cart for an authenticated user including all
+ * Retrieves the complete shopping cart for a customer or guest including all
  * cart items with product details and calculated totals. This endpoint provides
  * all necessary information for displaying cart contents and checkout preparation.
  * 
  * @param {Object} req - Express request object with authenticated user data
  * @param {Object} res - Express response object for sending cart information
  * 
- * Authentication Requirement:
- * - Requires valid JWT token and user authentication
- * - User ID is extracted from req.user populated by auth middleware
+ * Cart Owner:
+ * - Customer cart when req.user is set, guest cart from req.guestCartId otherwise
+ * - A guest without a cart token receives an empty cart
  * 
  * Cart Information Provided:
  * - Complete list of cart items with quantities and dates added
  * - Full product details for each cart item (name, price, image, etc.)
  * - Individual item totals and overall cart total
- * - Stock availability information for each product
+ * - Stock availability for each product: on-hand stock_quantity and the
+ *   available_quantity left after other customers' checkout reservations
+ * - reservation_expires_at while the customer's own checkout hold is active
+ *   (always null for guests)
+ * - Items saved for later listed separately in saved_items; they are left
+ *   out of the totals
+ * - saved_for_later flag and customer note on every item
+ * - promotions: automatic promotions the cart qualifies for, with their
+ *   savings; each item lists its share in promotions and its discounted_total
+ * - discount: the applied code with its amount, priced after promotions, or
+ *   with is_valid false and a message when it no longer applies;
+ *   free_shipping codes are priced by the shipping quote
+ * - discount_amount: promotions plus the code, taken off before shipping
  * 
  * Database Query Features:
  * - Complex JOIN operation across carts, cart_items, and products tables
@@ -56,18 +104,20 @@ const { pool } = require('../config/database'); // PostgreSQL database connectio
  * 
  * Calculation Logic:
  * - Calculates individual item totals (quantity × price)
- * - Computes total cart value for checkout display
- * - Counts total items in cart for UI indicators
+ * - Computes total cart value for checkout display from active items only
+ * - Counts total items in cart for UI indicators (saved items excluded)
  * 
  * Role: Provides complete cart state for shopping cart pages and checkout process
  */
 const getCart = async (req, res) => {
   try {
     /**
-     * User Authentication Extraction
-     * Gets the authenticated user ID from the JWT token middleware
+     * Cart Owner Resolution
+     * Finds the customer's cart or the guest cart named by the cart token
      */
-    const userId = req.user.id;
+    const owner = getCartOwner(req);
+    const { userId } = owner;
+    const cartId = await findCartId(pool, owner);
 
     /**
      * Comprehensive Cart Query
@@ -78,6 +128,8 @@ const getCart = async (req, res) => {
       SELECT 
         ci.id as cart_item_id,
         ci.quantity,
+        ci.saved_for_later,
+        ci.note,
         ci.added_at,
         p.id as product_id,
         p.name as product_name,
@@ -86,15 +138,18 @@ const getCart = async (req, res) => {
         p.image_url,
         p.category,
         p.stock_quantity,
+        ${availableQuantitySql('p', userId ? '$2' : undefined)} as available_quantity,
         (ci.quantity * p.price) as item_total
       FROM carts c
       LEFT JOIN cart_items ci ON c.id = ci.cart_id
       LEFT JOIN products p ON ci.product_id = p.id AND p.is_active = true
-      WHERE c.user_id = $1
+      WHERE c.id = $1
       ORDER BY ci.added_at DESC
     `;
 
-    const result = await pool.query(query, [userId]);
+    const result = cartId
+      ? await pool.query(query, userId ? [cartId, userId] : [cartId])
+      : { rows: [] };
 
     /**
      * Cart Data Processing and Calculation Logic
@@ -102,6 +157,7 @@ const getCart = async (req, res) => {
      * Calculates totals and organizes data for frontend consumption
      */
     let cartItems = [];
+    let savedItems = [];
     let cartTotal = 0;
 
     result.rows.forEach(row => {
@@ -113,6 +169,8 @@ const getCart = async (req, res) => {
         const item = {
           cart_item_id: row.cart_item_id,
           quantity: row.quantity,
+          saved_for_later: row.saved_for_later,
+          note: row.note,
           added_at: row.added_at,
           product: {
             id: row.product_id,
@@ -121,15 +179,71 @@ const getCart = async (req, res) => {
             price: parseFloat(row.price),
             image_url: row.image_url,
             category: row.category,
-            stock_quantity: row.stock_quantity
+            stock_quantity: row.stock_quantity,
+            available_quantity: row.available_quantity
           },
           item_total: parseFloat(row.item_total)
         };
-        cartItems.push(item);
-        cartTotal += parseFloat(row.item_total);
+
+        /**
+         * Saved for Later Split
+         * Saved items are kept for the customer but do not count toward the total
+         */
+        if (row.saved_for_later) {
+          savedItems.push(item);
+        } else {
+          cartItems.push(item);
+          cartTotal += parseFloat(row.item_total);
+        }
       }
     });
 
+    /**
+     * Automatic Promotions
+     * Prices the running promotions against the items that will be ordered and
+     * shows each item's share on its line
+     */
+    const pricedItems = cartItems.map(item => ({
+      cart_item_id: item.cart_item_id,
+      product_id: item.product.id,
+      category: item.product.category,
+      price: item.product.price,
+      quantity: item.quantity,
+      item_total: item.item_total
+    }));
+    const promotions = await priceCartPromotions(pool, pricedItems);
+
+    cartItems = cartItems.map(item => {
+      const itemPromotions = promotions.item_discounts[item.cart_item_id] || [];
+      const saved = itemPromotions.reduce((sum, saving) => sum + saving.amount, 0);
+      return {
+        ...item,
+        promotions: itemPromotions,
+        discounted_total: roundCurrency(item.item_total - saved)
+      };
+    });
+
+    /**
+     * Applied Discount Code
+     * Prices the cart's code against the line totals left by promotions
+     */
+    const discount = await getCartDiscount(pool, {
+      cartId,
+      userId,
+      items: itemsAfterPromotions(pricedItems, promotions)
+    });
+
+    /**
+     * Active Checkout Reservation
+     * Lets the checkout show how long the user's items are held
+     */
+    const reservationResult = userId
+      ? await pool.query(
+        'SELECT MIN(expires_at) AS expires_at FROM stock_reservations WHERE user_id = $1 AND expires_at > NOW()',
+        [userId]
+      )
+      : { rows: [{ expires_at: null }] };
+
     /**
      * Structured Cart Response
      * Returns organized cart data with items, counts, and totals
@@ -139,8 +253,14 @@ const getCart = async (req, res) => {
       data: {
         cart: {
           items: cartItems,
+          saved_items: savedItems,
           total_items: cartItems.length,
-          cart_total: cartTotal.toFixed(2)
+          cart_total: cartTotal.toFixed(2),
+          promotions: promotions.lines,
+          promotion_amount: promotions.total.toFixed(2),
+          discount,
+          discount_amount: (promotions.total + (discount ? discount.amount : 0)).toFixed(2),
+          reservation_expires_at: reservationResult.rows[0].expires_at
         }
       }
     });
@@ -156,7 +276,7 @@ const getCart = async (req, res) => {
 /**
  * Add Item to Cart Controller
  * 
- * Adds products to the user's shopping cart with comprehensive validation and
+ * Adds products to the customer's or guest's shopping cart with comprehensive validation and
  * transaction safety. This function handles both new item additions and quantity
  * updates for existing items while ensuring stock availability and data consistency.
  * 
@@ -170,7 +290,7 @@ const getCart = async (req, res) => {
  * Validation Process:
  * 1. Validates product existence and active status
  * 2. Checks stock availability against requested quantity
- * 3. Verifies user has a valid shopping cart
+ * 3. Finds the cart, creating it when the customer or guest has none yet
  * 4. Checks for existing cart items to prevent duplicates
  * 5. Validates total quantity against stock limits
  * 
@@ -180,10 +300,15 @@ const getCart = async (req, res) => {
  * - Prevents race conditions during concurrent cart operations
  * 
  * Cart Logic:
- * - If product already in cart: Updates existing quantity
+ * - If product already in cart: Updates existing quantity and moves it out of
+ *   saved for later
  * - If new product: Creates new cart item entry
  * - Validates combined quantity against available stock
  * 
+ * Guest Carts:
+ * - Responds with data.cart_token for guests; the client stores it and sends
+ *   it back in the X-Cart-Token header
+ * 
  * Role: Safely adds products to cart with comprehensive validation and error handling
  */
 const addToCart = async (req, res) => {
@@ -200,7 +325,8 @@ const addToCart = async (req, res) => {
      */
     await client.query('BEGIN');
     
-    const userId = req.user.id;
+    const owner = getCartOwner(req);
+    const { userId } = owner;
     const { product_id, quantity } = req.body;
 
     /**
@@ -208,8 +334,10 @@ const addToCart = async (req, res) => {
      * Verifies product exists, is active, and gets necessary details for validation
      */
     const productResult = await client.query(
-      'SELECT id, name, price, stock_quantity FROM products WHERE id = $1 AND is_active = true',
-      [product_id]
+      `SELECT p.id, p.name, p.price, ${availableQuantitySql('p', userId ? '$2' : undefined)} AS available_quantity
+       FROM products p
+       WHERE p.id = $1 AND p.is_active = true`,
+      userId ? [product_id, userId] : [product_id]
     );
 
     if (productResult.rows.length === 0) {
@@ -224,48 +352,42 @@ const addToCart = async (req, res) => {
 
     /**
      * Stock Availability Validation
-     * Ensures sufficient inventory exists for the requested quantity
+     * Ensures sufficient inventory exists for the requested quantity, not
+     * counting units other customers hold at checkout
      */
-    if (product.stock_quantity < quantity) {
+    if (product.available_quantity < quantity) {
       await client.query('ROLLBACK');
       return res.status(400).json({
         success: false,
-        message: `Insufficient stock. Only ${product.stock_quantity} items available`
+        message: `Insufficient stock. Only ${product.available_quantity} items available`
       });
     }
 
     /**
-     * User Cart Retrieval
-     * Gets the user's cart ID for subsequent cart item operations
+     * Cart Retrieval or Creation
+     * Gets the cart ID for subsequent cart item operations; guests get a new
+     * cart on their first addition
      */
-    const cartResult = await client.query(
-      'SELECT id FROM carts WHERE user_id = $1',
-      [userId]
-    );
+    let cartId = await findCartId(client, owner);
 
-    if (cartResult.rows.length === 0) {
-      await client.query('ROLLBACK');
-      return res.status(500).json({
-        success: false,
-        message: 'Cart not found'
-      });
+    if (!cartId) {
+      cartId = userId ? await ensureUserCart(client, userId) : await createGuestCart(client);
     }
 
-    const cartId = cartResult.rows[0].id;
-
     /**
      * Existing Cart Item Check
      * Determines if product is already in cart to decide between update or insert
      */
     const existingItem = await client.query(
-      'SELECT id, quantity FROM cart_items WHERE cart_id = $1 AND product_id = $2',
+      'SELECT id, quantity, saved_for_later FROM cart_items WHERE cart_id = $1 AND product_id = $2',
       [cartId, product_id]
     );
 
     if (existingItem.rows.length > 0) {
       /**
        * Existing Item Quantity Update Logic
-       * Updates quantity for products already in the cart
+       * Updates quantity for products already in the cart; adding a product
+       * that was saved for later moves it back into the cart
        */
       const newQuantity = existingItem.rows[0].quantity + quantity;
       
@@ -273,16 +395,16 @@ const addToCart = async (req, res) => {
        * Combined Quantity Validation
        * Ensures total quantity (existing + new) doesn't exceed stock
        */
-      if (newQuantity > product.stock_quantity) {
+      if (newQuantity > product.available_quantity) {
         await client.query('ROLLBACK');
         return res.status(400).json({
           success: false,
-          message: `Cannot add ${quantity} more items. Only ${product.stock_quantity - existingItem.rows[0].quantity} more can be added`
+          message: `Cannot add ${quantity} more items. Only ${Math.max(product.available_quantity - existingItem.rows[0].quantity, 0)} more can be added`
         });
       }
 
       await client.query(
-        'UPDATE cart_items SET quantity = $1 WHERE id = $2',
+        'UPDATE cart_items SET quantity = $1, saved_for_later = false WHERE id = $2',
         [newQuantity, existingItem.rows[0].id]
       );
     } else {
@@ -302,10 +424,16 @@ const addToCart = async (req, res) => {
      */
     await client.query('COMMIT');
 
-    res.status(201).json({
+    const response = {
       success: true,
       message: 'Item added to cart successfully'
-    });
+    };
+
+    if (!userId) {
+      response.data = { cart_token: signCartToken(cartId) };
+    }
+
+    res.status(201).json(response);
   } catch (error) {
     /**
      * Error Handling and Transaction Rollback
@@ -327,52 +455,67 @@ const addToCart = async (req, res) => {
 };
 
 /**
- * Update Cart Item Quantity Controller
+ * Update Cart Item Controller
  * 
- * Modifies the quantity of an existing item in the user's cart with validation
- * to ensure stock availability and cart item ownership. This function allows
- * users to adjust quantities without removing and re-adding items.
+ * Modifies the quantity, save-for-later flag or note of an existing item in the
+ * user's cart with validation to ensure stock availability and cart item
+ * ownership. This function allows users to adjust items without removing and
+ * re-adding them.
  * 
- * @param {Object} req - Express request object with cart item ID and new quantity
+ * @param {Object} req - Express request object with cart item ID and changes
  * @param {Object} res - Express response object for sending update results
  * 
  * URL Parameters:
  * - cart_item_id: Unique identifier of the cart item to update
  * 
- * Request Body Requirements:
+ * Request Body (at least one field):
  * - quantity: New quantity for the cart item (positive integer)
+ * - saved_for_later: true to set the item aside, false to move it back to the cart
+ * - note: Note for Rama about this item; empty or null clears it
  * 
  * Validation Process:
- * 1. Verifies cart item belongs to the authenticated user
+ * 1. Verifies cart item belongs to the customer's or guest's cart
  * 2. Ensures the associated product is still active
- * 3. Validates new quantity against available stock
- * 4. Updates the cart item quantity in the database
+ * 3. Validates the quantity against available stock when it changes or the
+ *    item moves back to the cart; saved items are not checked
+ * 4. Updates the cart item in the database
  * 
  * Security Features:
  * - Cart item ownership verification through JOIN with user's cart
  * - Only allows updates to active products
  * - Stock validation prevents overselling
  * 
- * Role: Enables quantity adjustments for existing cart items with full validation
+ * Role: Enables quantity, save-for-later and note changes for existing cart items
  */
 const updateCartItem = async (req, res) => {
   try {
-    const userId = req.user.id;
+    const owner = getCartOwner(req);
+    const { userId } = owner;
     const { cart_item_id } = req.params;
-    const { quantity } = req.body;
+    const { quantity, saved_for_later, note } = req.body;
+
+    if (!quantity && saved_for_later === undefined && note === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide quantity, saved_for_later or note to update'
+      });
+    }
 
     /**
      * Cart Item Ownership and Validation Query
-     * Verifies the cart item belongs to the user and retrieves validation data
+     * Verifies the cart item belongs to the requester's cart and retrieves validation data
      */
-    const cartItemResult = await pool.query(
-      `SELECT ci.id, ci.product_id, p.stock_quantity, p.name
-       FROM cart_items ci
-       JOIN carts c ON ci.cart_id = c.id
-       JOIN products p ON ci.product_id = p.id
-       WHERE ci.id = $1 AND c.user_id = $2 AND p.is_active = true`,
-      [cart_item_id, userId]
-    );
+    const cartId = await findCartId(pool, owner);
+    const cartItemResult = cartId
+      ? await pool.query(
+        `SELECT ci.id, ci.product_id, ci.quantity, ci.saved_for_later, ci.note, p.name,
+                ${availableQuantitySql('p', userId ? '$3' : undefined)} AS available_quantity
+         FROM cart_items ci
+         JOIN products p ON ci.product_id = p.id
+         WHERE ci.id = $1 AND ci.cart_id = $2 AND p.is_active = true`,
+        userId ? [cart_item_id, cartId, userId] : [cart_item_id, cartId]
+      )
+      : { rows: [] };
 
     if (cartItemResult.rows.length === 0) {
       return res.status(404).json({
@@ -382,30 +525,40 @@ const updateCartItem = async (req, res) => {
     }
 
     const cartItem = cartItemResult.rows[0];
+    const newQuantity = quantity || cartItem.quantity;
+    const newSavedForLater = saved_for_later === undefined ? cartItem.saved_for_later : Boolean(saved_for_later);
+    const newNote = note === undefined ? cartItem.note : (note && note.trim()) || null;
 
     /**
      * Stock Availability Validation
-     * Ensures the new quantity doesn't exceed available inventory
+     * Ensures the quantity doesn't exceed available inventory when it changes
+     * or when a saved item moves back into the cart
      */
-    if (quantity > cartItem.stock_quantity) {
+    if (!newSavedForLater && (quantity || cartItem.saved_for_later) && newQuantity > cartItem.available_quantity) {
       return res.status(400).json({
         success: false,
-        message: `Insufficient stock. Only ${cartItem.stock_quantity} items available`
+        message: `Insufficient stock. Only ${cartItem.available_quantity} items available`
       });
     }
 
     /**
-     * Cart Item Quantity Update
-     * Updates the cart item with the new validated quantity
+     * Cart Item Update
+     * Writes the validated quantity, save-for-later flag and note
      */
     await pool.query(
-      'UPDATE cart_items SET quantity = $1 WHERE id = $2',
-      [quantity, cart_item_id]
+      'UPDATE cart_items SET quantity = $1, saved_for_later = $2, note = $3 WHERE id = $4',
+      [newQuantity, newSavedForLater, newNote, cart_item_id]
     );
 
     res.json({
       success: true,
-      message: 'Cart item updated successfully'
+      message: 'Cart item updated successfully',
+      data: {
+        cart_item_id,
+        quantity: newQuantity,
+        saved_for_later: newSavedForLater,
+        note: newNote
+      }
     });
   } catch (error) {
     console.error('Update cart item error:', error);
@@ -430,12 +583,12 @@ const updateCartItem = async (req, res) => {
  * - cart_item_id: Unique identifier of the cart item to remove
  * 
  * Security Process:
- * 1. Verifies cart item belongs to authenticated user through subquery
- * 2. Deletes the cart item if ownership is confirmed
+ * 1. Resolves the customer's or guest's cart
+ * 2. Deletes the cart item only if it belongs to that cart
  * 3. Returns appropriate error if item not found or doesn't belong to user
  * 
  * Database Operation:
- * - Uses subquery to ensure cart ownership before deletion
+ * - Filters on the resolved cart ID to ensure ownership before deletion
  * - Atomic delete operation with ownership verification
  * - Returns rowCount to confirm successful deletion
  * 
@@ -443,20 +596,19 @@ const updateCartItem = async (req, res) => {
  */
 const removeFromCart = async (req, res) => {
   try {
-    const userId = req.user.id;
     const { cart_item_id } = req.params;
 
     /**
      * Secure Cart Item Deletion with Ownership Verification
-     * Deletes cart item only if it belongs to the authenticated user
+     * Deletes cart item only if it belongs to the requester's cart
      */
-    const result = await pool.query(
-      `DELETE FROM cart_items 
-       WHERE id = $1 AND cart_id IN (
-         SELECT id FROM carts WHERE user_id = $2
-       )`,
-      [cart_item_id, userId]
-    );
+    const cartId = await findCartId(pool, getCartOwner(req));
+    const result = cartId
+      ? await pool.query(
+        'DELETE FROM cart_items WHERE id = $1 AND cart_id = $2',
+        [cart_item_id, cartId]
+      )
+      : { rowCount: 0 };
 
     if (result.rowCount === 0) {
       return res.status(404).json({
@@ -489,8 +641,8 @@ const removeFromCart = async (req, res) => {
  * @param {Object} res - Express response object for sending clear results
  * 
  * Operation Details:
- * - Removes all cart items belonging to the authenticated user
- * - Uses subquery to ensure only user's cart items are affected
+ * - Removes all cart items belonging to the customer or guest
+ * - Filters on the resolved cart ID so only the requester's items are affected
  * - Atomic operation that clears entire cart contents
  * 
  * Use Cases:
@@ -499,27 +651,23 @@ const removeFromCart = async (req, res) => {
  * - Session cleanup operations
  * 
  * Security Features:
- * - User authentication required
- * - Subquery ensures only user's cart is affected
+ * - Customer JWT or guest cart token identifies the cart
+ * - Only the resolved cart is affected
  * - Cannot clear other users' carts
  * 
  * Role: Provides complete cart clearing functionality for checkout and reset operations
  */
 const clearCart = async (req, res) => {
   try {
-    const userId = req.user.id;
-
     /**
      * Complete Cart Clearing Operation
-     * Removes all cart items for the authenticated user
+     * Removes all cart items from the requester's cart, if there is one
      */
-    await pool.query(
-      `DELETE FROM cart_items 
-       WHERE cart_id IN (
-         SELECT id FROM carts WHERE user_id = $1
-       )`,
-      [userId]
-    );
+    const cartId = await findCartId(pool, getCartOwner(req));
+
+    if (cartId) {
+      await pool.query('DELETE FROM cart_items WHERE cart_id = $1', [cartId]);
+    }
 
     res.json({
       success: true,
@@ -534,10 +682,206 @@ const clearCart = async (req, res) => {
   }
 };
 
+/**
+ * Apply Discount Code Controller
+ * 
+ * Checks a discount code against the cart and, when it applies, stores it on
+ * the cart in place of any previous code.
+ * 
+ * @param {Object} req - Express request object with code in the body
+ * @param {Object} res - Express response object for sending the priced discount
+ * 
+ * Error Cases:
+ * - 400: Empty cart, or the code does not apply (expired, minimum subtotal,
+ *   category, not started)
+ * - 404: Unknown code
+ * - 409: Usage limit reached
+ * 
+ * Role: "Apply" next to the discount code field on the cart page
+ */
+const applyDiscountCode = async (req, res) => {
+  try {
+    const owner = getCartOwner(req);
+    const { userId } = owner;
+    const code = normalizeDiscountCode(req.body.code);
+    const cartId = await findCartId(pool, owner);
+    const items = cartId ? await loadDiscountableItems(pool, cartId) : [];
+
+    if (items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Add items to your cart before using a discount code'
+      });
+    }
+
+    const discount = await findDiscountCode(pool, { code });
+
+    if (!discount) {
+      return res.status(404).json({
+        success: false,
+        message: `Discount code ${code} was not found`
+      });
+    }
+
+    const promotions = await priceCartPromotions(pool, items);
+    const line = await evaluateDiscount(pool, discount, { userId, items: itemsAfterPromotions(items, promotions) });
+
+    await pool.query('UPDATE carts SET discount_code_id = $1 WHERE id = $2', [discount.id, cartId]);
+
+    res.json({
+      success: true,
+      message: `${discount.code} applied`,
+      data: { discount: { ...line, is_valid: true, message: null } }
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Apply discount code error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error applying discount code'
+    });
+  }
+};
+
+/**
+ * Remove Discount Code Controller
+ * 
+ * Takes the applied code off the cart. Succeeds when no code was applied.
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object for sending the result
+ * 
+ * Role: "Remove" next to the applied code on the cart page
+ */
+const removeDiscountCode = async (req, res) => {
+  try {
+    const cartId = await findCartId(pool, getCartOwner(req));
+
+    if (cartId) {
+      await pool.query('UPDATE carts SET discount_code_id = NULL WHERE id = $1', [cartId]);
+    }
+
+    res.json({
+      success: true,
+      message: 'Discount code removed'
+    });
+  } catch (error) {
+    console.error('Remove discount code error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error removing discount code'
+    });
+  }
+};
+
+/**
+ * Start Checkout Reservation Controller
+ * 
+ * Holds the quantities in the user's cart for RESERVATION_MINUTES so other
+ * customers cannot buy the same units while this customer completes checkout.
+ * Calling it again replaces the previous hold and restarts the timer.
+ * 
+ * @param {Object} req - Express request object with authenticated user data
+ * @param {Object} res - Express response object for sending the reservation
+ * 
+ * Error Cases:
+ * - 400: Cart is empty
+ * - 409: Some items exceed the available stock; nothing is reserved and the
+ *   response lists stock_issues per cart item
+ * 
+ * Role: Called by the checkout page when it opens
+ */
+const startCheckoutReservation = async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const reservation = await reserveCartStock(client, req.user.id);
+
+    if (reservation.stock_issues.length > 0) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        success: false,
+        message: 'Some items in your cart are no longer available in the requested quantity',
+        stock_issues: reservation.stock_issues
+      });
+    }
+
+    await client.query('COMMIT');
+
+    res.json({
+      success: true,
+      message: `Items reserved for ${RESERVATION_MINUTES} minutes`,
+      data: {
+        reservation: {
+          expires_at: reservation.expires_at,
+          items: reservation.items
+        }
+      }
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Start checkout reservation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error reserving cart items'
+    });
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Release Checkout Reservation Controller
+ * 
+ * Gives the units held by the user's checkout back to other customers.
+ * 
+ * @param {Object} req - Express request object with authenticated user data
+ * @param {Object} res - Express response object for sending the result
+ * 
+ * Role: Called when the customer leaves checkout without ordering
+ */
+const releaseCheckoutReservation = async (req, res) => {
+  try {
+    const released = await releaseReservations(pool, req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Reservation released',
+      data: { released }
+    });
+  } catch (error) {
+    console.error('Release checkout reservation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error releasing reservation'
+    });
+  }
+};
+
 module.exports = {
   getCart,
   addToCart,
   updateCartItem,
   removeFromCart,
-  clearCart
+  clearCart,
+  applyDiscountCode,
+  removeDiscountCode,
+  startCheckoutReservation,
+  releaseCheckoutReservation
 };
\ No newline at end of file
@@ -0,0 +1,231 @@
+/**
+ * @fileoverview Personal Data Export Controller for LaRama E-commerce Platform
+ *
+ * Lets signed-in customers download a copy of everything LaRama stores about
+ * them. Requesting an export answers at once with a job; the archive is built
+ * in the background and downloaded once the job is `ready`.
+ *
+ * Job Statuses:
+ * - pending: Requested, not started yet
+ * - processing: The archive is being assembled
+ * - ready: The archive can be downloaded until expires_at
+ * - failed: Something went wrong; the customer can request a new export
+ *
+ * @author Mohamad Abou Naasse
+ * @course University of Balamand - Advances in Computer Science
+ * @project LaRama Handcrafted Products E-commerce Platform
+ * @business LaRama Handcrafted (Owner: Rama)
+ */
+
+const { pool } = require('../config/database'); // PostgreSQL database connection pool
+const {
+  requestExport,
+  queueExportJob,
+  listExports,
+  getExport,
+  getExportFilePath,
+  removeExportFiles
+} = require('../services/dataExportService'); // Export jobs and archives
+const { patterns } = require('../utils/patterns'); // Shared validation patterns
+
+/**
+ * Request Data Export Controller
+ *
+ * Starts a personal data export, or returns the export already in progress.
+ * The customer row is locked so two requests cannot start two jobs.
+ *
+ * @param {Object} req - Express request object with authenticated user
+ * @param {Object} res - Express response object
+ *
+ * Response Scenarios:
+ * - Accepted (202): data.export is the new or in-progress job; poll its status
+ * - Too Many Requests (429): An export was requested minutes ago
+ * - Server Error (500): Database or system errors
+ *
+ * Role: Starts the download behind the Privacy page promise
+ */
+const requestDataExport = async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    await client.query('SELECT id FROM users WHERE id = $1 FOR UPDATE', [req.user.id]);
+
+    const { job, created, expiredJobIds } = await requestExport(client, req.user.id);
+
+    await client.query('COMMIT');
+
+    if (created) {
+      queueExportJob(job.id, req.user.id);
+    }
+    removeExportFiles(expiredJobIds);
+
+    res.status(202).json({
+      success: true,
+      message: created
+        ? 'Your data export has started'
+        : 'Your data export is already being prepared',
+      data: { export: job }
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Request data export error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error starting data export'
+    });
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * List Data Exports Controller
+ *
+ * Lists the customer's exports, newest first.
+ *
+ * @param {Object} req - Express request object with authenticated user
+ * @param {Object} res - Express response object
+ *
+ * Role: Shows past and in-progress exports on the account settings page
+ */
+const getDataExports = async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: { exports: await listExports(pool, req.user.id) }
+    });
+  } catch (error) {
+    console.error('Get data exports error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching data exports'
+    });
+  }
+};
+
+/**
+ * Data Export Status Controller
+ *
+ * Returns one export job so the client can poll until it is ready.
+ *
+ * @param {Object} req - Express request object with params `export_id`
+ * @param {Object} res - Express response object
+ *
+ * Response Scenarios:
+ * - Success (200): data.export with status, file_size and timestamps
+ * - Not Found (404): No export with that id for this customer
+ * - Server Error (500): Database or system errors
+ *
+ * Role: Status endpoint for background exports
+ */
+const getDataExport = async (req, res) => {
+  try {
+    const job = patterns.uuid.test(req.params.export_id)
+      ? await getExport(pool, req.user.id, req.params.export_id)
+      : null;
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Data export not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { export: job }
+    });
+  } catch (error) {
+    console.error('Get data export error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching data export'
+    });
+  }
+};
+
+/**
+ * Download Data Export Controller
+ *
+ * Sends a ready archive as `larama-data-export-YYYY-MM-DD.zip`.
+ *
+ * @param {Object} req - Express request object with params `export_id`
+ * @param {Object} res - Express response object
+ *
+ * Response Scenarios:
+ * - Success (200): application/zip attachment
+ * - Not Found (404): No export with that id for this customer
+ * - Conflict (409): The export is not ready (still running or failed)
+ * - Gone (410): The export expired or its file is missing
+ * - Server Error (500): Database or system errors
+ *
+ * Role: Hands the customer their data
+ */
+const downloadDataExport = async (req, res) => {
+  try {
+    const job = patterns.uuid.test(req.params.export_id)
+      ? await getExport(pool, req.user.id, req.params.export_id)
+      : null;
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Data export not found'
+      });
+    }
+
+    if (job.status !== 'ready') {
+      return res.status(409).json({
+        success: false,
+        message: job.status === 'failed'
+          ? 'This export failed. Please request a new one.'
+          : 'Your data export is still being prepared'
+      });
+    }
+
+    const expiredMessage = 'This export has expired. Please request a new one.';
+
+    if (new Date(job.expires_at) <= new Date()) {
+      return res.status(410).json({
+        success: false,
+        message: expiredMessage
+      });
+    }
+
+    const fileName = `larama-data-export-${new Date(job.completed_at).toISOString().slice(0, 10)}.zip`;
+
+    res.download(getExportFilePath(job.id), fileName, (error) => {
+      if (!error) return;
+
+      console.error('Download data export error:', error);
+      if (!res.headersSent) {
+        res.status(410).json({
+          success: false,
+          message: expiredMessage
+        });
+      }
+    });
+  } catch (error) {
+    console.error('Download data export error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error downloading data export'
+    });
+  }
+};
+
+module.exports = {
+  requestDataExport,
+  getDataExports,
+  getDataExport,
+  downloadDataExport
+};
@@ -26,7 +26,171 @@
  * @business LaRama Handcrafted (Owner: Rama)
  */
 
+const crypto = require('crypto'); // Idempotent request fingerprints
 const { pool } = require('../config/database'); // PostgreSQL database connection pool
+const {
+  CUSTOMER_CANCELLABLE_STATUSES,
+  recordStatusChange,
+  transitionOrderStatus
+} = require('../services/orderStatusService'); // Order state machine and status audit trail
+const {
+  buildWhatsAppLink,
+  getBusinessNumber,
+  renderOrderMessage
+} = require('../services/whatsappService'); // WhatsApp message templating
+const { selectShippingOption } = require('../services/shippingService'); // Shipping zone and rate pricing
+const {
+  recordInventoryMovement,
+  crossedReorderThreshold,
+  emitLowStockAlerts
+} = require('../services/inventoryService'); // Inventory ledger and low-stock alerts
+const { getUserAddress, formatAddress, snapshotAddress } = require('../services/addressService'); // Address book helpers
+const {
+  availableQuantitySql,
+  reservedQuantitySql,
+  buildStockIssue,
+  releaseReservations
+} = require('../services/stockReservationService'); // Checkout stock holds
+const {
+  redeemCartDiscount,
+  recordOrderDiscount,
+  getOrderDiscounts
+} = require('../services/discountService'); // Discount code pricing and order discount lines
+const {
+  priceCartPromotions,
+  itemsAfterPromotions,
+  recordOrderPromotions
+} = require('../services/promotionService'); // Automatic promotions
+const { ensureUserCart } = require('../services/cartService'); // Customer cart lookup
+const { roundCurrency } = require('../utils/currency'); // Amounts rounded to cents
+
+/**
+ * Accepted format of the `Idempotency-Key` request header (UUIDs and similar tokens).
+ */
+const IDEMPOTENCY_KEY_PATTERN = /^[A-Za-z0-9_.:-]{8,100}$/;
+
+/**
+ * Fingerprints the checkout fields of a createOrder request.
+ *
+ * Stored next to the idempotency key so a key reused for a different address,
+ * shipping method or notes is rejected instead of replaying the wrong order.
+ * The cart is left out: the first attempt empties it, so a genuine retry
+ * never sends the same cart again.
+ *
+ * @param {Object} body - createOrder request body
+ * @returns {string} Hex SHA-256 digest
+ */
+const hashCheckoutRequest = (body) =>
+  crypto
+    .createHash('sha256')
+    .update(JSON.stringify([
+      body.address_id ?? null,
+      body.shipping_address ?? null,
+      body.shipping_country ?? null,
+      body.shipping_method ?? null,
+      body.order_notes ?? null,
+      body.gift_message ?? null
+    ]))
+    .digest('hex');
+
+/**
+ * Shapes a newly created order the way createOrder returns it.
+ *
+ * @param {Object} order - `orders` row
+ * @param {Object[]} items - Items with product_id, name, quantity, price, note and item_total
+ * @param {Object[]} discounts - Discount lines with code (null for promotions), description, discount_type and amount
+ * @returns {Object} Order payload of the createOrder response
+ */
+const formatCreatedOrder = (order, items, discounts) => ({
+  id: order.id,
+  reference: order.reference,
+  subtotal_amount: parseFloat(order.subtotal_amount),
+  shipping_amount: parseFloat(order.shipping_amount),
+  discount_amount: parseFloat(order.discount_amount),
+  total_amount: parseFloat(order.total_amount),
+  status: order.status,
+  shipping_address: order.shipping_address,
+  shipping_address_details: order.shipping_address_details,
+  shipping_country: order.shipping_country,
+  shipping_method: order.shipping_method,
+  order_notes: order.order_notes,
+  gift_message: order.gift_message,
+  created_at: order.created_at,
+  items: items.map(item => ({
+    product_id: item.product_id,
+    name: item.name,
+    quantity: item.quantity,
+    price: parseFloat(item.price),
+    note: item.note,
+    item_total: parseFloat(item.item_total)
+  })),
+  discounts
+});
+
+/**
+ * Loads the order a customer already created with an idempotency key.
+ *
+ * @param {import('pg').Pool|import('pg').PoolClient} db - Pool or client to query with
+ * @param {string} userId - Customer who sent the key
+ * @param {string} idempotencyKey - Value of the Idempotency-Key header
+ * @returns {Promise<{order: Object, requestHash: string|null}|null>} Order payload as first
+ *   returned by createOrder with the fingerprint of the request that created it, or null
+ */
+const findOrderByIdempotencyKey = async (db, userId, idempotencyKey) => {
+  const orderResult = await db.query(
+    `SELECT id, reference, subtotal_amount, shipping_amount, discount_amount, total_amount, status,
+            shipping_address, shipping_address_details, shipping_country, shipping_method,
+            order_notes, gift_message, idempotency_request_hash, created_at
+     FROM orders
+     WHERE user_id = $1 AND idempotency_key = $2`,
+    [userId, idempotencyKey]
+  );
+
+  if (orderResult.rows.length === 0) {
+    return null;
+  }
+
+  const { idempotency_request_hash: requestHash, ...order } = orderResult.rows[0];
+  const itemsResult = await db.query(
+    `SELECT oi.product_id, COALESCE(p.name, 'Product no longer available') AS name,
+            oi.quantity, oi.price, oi.note, (oi.quantity * oi.price) AS item_total
+     FROM order_items oi
+     LEFT JOIN products p ON oi.product_id = p.id
+     WHERE oi.order_id = $1
+     ORDER BY oi.created_at`,
+    [order.id]
+  );
+
+  return {
+    order: formatCreatedOrder(order, itemsResult.rows, await getOrderDiscounts(db, order.id)),
+    requestHash
+  };
+};
+
+/**
+ * Sends the original createOrder response for a repeated Idempotency-Key, or
+ * 422 when the key was first used for a different checkout request.
+ *
+ * @param {Object} res - Express response object
+ * @param {{order: Object, requestHash: string|null}} previous - Result of findOrderByIdempotencyKey
+ * @param {string} requestHash - Fingerprint of the current request
+ */
+const sendReplayedOrder = (res, { order, requestHash: previousHash }, requestHash) => {
+  // Orders created before fingerprints were stored have none to compare
+  if (previousHash && previousHash !== requestHash) {
+    return res.status(422).json({
+      success: false,
+      message: 'This Idempotency-Key was already used for a different checkout request'
+    });
+  }
+
+  res.set('Idempotent-Replayed', 'true');
+  res.status(201).json({
+    success: true,
+    message: 'Order created successfully',
+    data: { order }
+  });
+};
 
 /**
  * Create Order from Shopping Cart Controller
@@ -39,16 +203,40 @@ const { pool } = require('../config/database'); // PostgreSQL database connectio
  * @param {Object} res - Express response object for sending order creation results
  * 
  * Request Body Requirements:
- * - shipping_address: Complete shipping address for order delivery
+ * - address_id: Saved address from the customer's address book, copied onto the order; or
+ * - shipping_address + shipping_country: Free-text address and two-letter ISO country code
+ * - shipping_method: Optional rate code (e.g. "express"); defaults to the zone's first rate
+ * - order_notes, gift_message: Optional checkout notes shown to the workshop and on WhatsApp
+ * 
+ * Promotions and Discount Codes:
+ * - Running promotions are priced again on the ordered items and each one
+ *   that saves something is stored as an order_discounts line
+ * - The code applied to the cart is priced after promotions and checked again, usage limits included, with
+ *   the code row locked; a code that no longer applies fails the order with its
+ *   reason (400/409) so the customer can remove it
+ * - orders.discount_amount is the promotions plus the code
+ * 
+ * Idempotency:
+ * - An optional Idempotency-Key header is stored with the order; repeating the
+ *   request with the same key returns the original order (header
+ *   Idempotent-Replayed: true) instead of creating a second one
+ * - The key is tied to the checkout fields it was first sent with; reusing it
+ *   with a different address, shipping method or notes answers 422
+ * - Keys are scoped to the customer; a failed attempt stores nothing, so its key can be retried
  * 
  * Order Creation Process:
- * 1. Validates cart has items and retrieves cart contents with product details
- * 2. Checks stock availability for all cart items before processing
- * 3. Calculates total order amount from all cart items
- * 4. Creates order record with pending status
- * 5. Creates individual order items for each cart product
+ * 1. Validates cart has items and retrieves cart contents with product details;
+ *    items saved for later are left out
+ * 2. Checks stock availability for all cart items before processing, excluding
+ *    units other customers hold at checkout
+ * 3. Calculates the subtotal, prices shipping for the destination, applies
+ *    promotions, re-checks the cart's discount code and computes the grand total
+ *    (subtotal + shipping - discount)
+ * 4. Creates order record with pending status, its sequential reference (LRM-ORD-000123)
+ *    and its first history entry
+ * 5. Creates individual order items for each cart product, copying the item notes
  * 6. Updates product stock quantities to reflect purchase
- * 7. Clears user's cart after successful order creation
+ * 7. Clears the ordered items from the cart and releases their checkout reservations
  * 
  * Transaction Safety:
  * - Uses database transactions to ensure atomicity
@@ -60,9 +248,16 @@ const { pool } = require('../config/database'); // PostgreSQL database connectio
  * - Automatic stock quantity updates for purchased items
  * - Prevents overselling through comprehensive stock checks
  * 
+ * Response Data:
+ * - The created order with its reference, subtotal, shipping charge, discount,
+ *   grand total, shipping address, line items and discount lines as they were
+ *   actually stored
+ * 
  * Role: Core checkout functionality that processes customer purchases securely and completely
  */
 const createOrder = async (req, res) => {
+  const requestHash = hashCheckoutRequest(req.body);
+
   /**
    * Database Transaction Setup
    * Establishes dedicated connection for transaction safety during order creation
@@ -77,7 +272,60 @@ const createOrder = async (req, res) => {
     await client.query('BEGIN');
     
     const userId = req.user.id;
-    const { shipping_address } = req.body;
+    const idempotencyKey = req.get('Idempotency-Key') || null;
+
+    /**
+     * Idempotent Replay
+     * A repeated checkout attempt returns the order its key already created
+     */
+    if (idempotencyKey !== null) {
+      if (!IDEMPOTENCY_KEY_PATTERN.test(idempotencyKey)) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({
+          success: false,
+          message: 'Idempotency-Key must be 8-100 letters, digits or -_.: characters'
+        });
+      }
+
+      const previousOrder = await findOrderByIdempotencyKey(client, userId, idempotencyKey);
+      if (previousOrder) {
+        await client.query('ROLLBACK');
+        return sendReplayedOrder(res, previousOrder, requestHash);
+      }
+    }
+
+    const { address_id, shipping_method } = req.body;
+    const orderNotes = req.body.order_notes?.trim() || null;
+    const giftMessage = req.body.gift_message?.trim() || null;
+    let { shipping_address, shipping_country } = req.body;
+    let shippingAddressDetails = null;
+
+    /**
+     * Shipping Address Resolution
+     * A saved address is snapshotted onto the order so later address book
+     * edits never change where this order was sent
+     */
+    if (address_id) {
+      const address = await getUserAddress(client, userId, address_id);
+
+      if (!address) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({
+          success: false,
+          message: 'Address not found'
+        });
+      }
+
+      shipping_address = formatAddress(address);
+      shipping_country = address.country;
+      shippingAddressDetails = snapshotAddress(address);
+    } else if (!shipping_address || !shipping_country) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({
+        success: false,
+        message: 'Choose a saved address or provide shipping_address and shipping_country'
+      });
+    }
 
     /**
      * Cart Content Retrieval with Product Details
@@ -87,15 +335,20 @@ const createOrder = async (req, res) => {
       SELECT 
         ci.id as cart_item_id,
         ci.quantity,
+        ci.note,
+        c.discount_code_id,
         p.id as product_id,
         p.name as product_name,
         p.price,
+        p.category,
         p.stock_quantity,
+        ${availableQuantitySql('p', '$1')} as available_quantity,
+        p.weight_grams,
         (ci.quantity * p.price) as item_total
       FROM carts c
       JOIN cart_items ci ON c.id = ci.cart_id
       JOIN products p ON ci.product_id = p.id AND p.is_active = true
-      WHERE c.user_id = $1
+      WHERE c.user_id = $1 AND ci.saved_for_later = false
     `;
 
     const cartResult = await client.query(cartQuery, [userId]);
@@ -114,14 +367,13 @@ const createOrder = async (req, res) => {
 
     /**
      * Comprehensive Stock Availability Validation
-     * Checks all items for sufficient stock before processing order
+     * Checks all items against the stock available to this customer (on-hand
+     * minus other customers' checkout reservations); each issue names the cart
+     * item so the checkout can show it next to that item
      */
-    const stockIssues = [];
-    for (const item of cartResult.rows) {
-      if (item.quantity > item.stock_quantity) {
-        stockIssues.push(`${item.product_name}: requested ${item.quantity}, available ${item.stock_quantity}`);
-      }
-    }
+    const stockIssues = cartResult.rows
+      .filter(item => item.quantity > item.available_quantity)
+      .map(item => buildStockIssue(item, item.available_quantity));
 
     if (stockIssues.length > 0) {
       await client.query('ROLLBACK');
@@ -134,71 +386,174 @@ const createOrder = async (req, res) => {
 
     /**
      * Order Total Calculation
-     * Calculates total order amount from all cart items
+     * Calculates the subtotal from all cart items, prices shipping for the
+     * destination, takes off automatic promotions and then the cart's discount
+     * code, and computes the grand total
      */
-    const totalAmount = cartResult.rows.reduce((sum, item) => sum + parseFloat(item.item_total), 0);
+    const subtotal = cartResult.rows.reduce((sum, item) => sum + parseFloat(item.item_total), 0);
+    const shipping = await selectShippingOption(client, {
+      country: shipping_country,
+      rateCode: shipping_method,
+      subtotal,
+      itemCount: cartResult.rows.reduce((sum, item) => sum + item.quantity, 0),
+      weightGrams: cartResult.rows.reduce((sum, item) => sum + item.quantity * item.weight_grams, 0)
+    });
+    const promotions = await priceCartPromotions(client, cartResult.rows);
+    const discount = await redeemCartDiscount(client, {
+      discountCodeId: cartResult.rows[0].discount_code_id,
+      userId,
+      items: itemsAfterPromotions(cartResult.rows, promotions),
+      shippingAmount: shipping.option.cost
+    });
+    const discountAmount = roundCurrency(promotions.total + (discount ? discount.amount : 0));
+    const totalAmount = roundCurrency(shipping.option.grand_total - discountAmount);
 
     /**
      * Order Record Creation
-     * Creates the main order record with calculated total and shipping information
+     * Creates the main order record with subtotal, shipping charge, discount,
+     * grand total and shipping information
      */
     const orderResult = await client.query(
-      `INSERT INTO orders (user_id, total_amount, shipping_address, status) 
-       VALUES ($1, $2, $3, 'pending') 
-       RETURNING id, total_amount, status, created_at`,
-      [userId, totalAmount, shipping_address]
+      `INSERT INTO orders (
+         user_id, subtotal_amount, shipping_amount, discount_amount, total_amount, shipping_address,
+         shipping_address_details, shipping_country, shipping_rate_id, shipping_method,
+         order_notes, gift_message, idempotency_key, idempotency_request_hash, status
+       )
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, 'pending') 
+       RETURNING id, reference, subtotal_amount, shipping_amount, discount_amount, total_amount, shipping_address,
+                 shipping_address_details, shipping_country, shipping_method, order_notes, gift_message,
+                 status, created_at`,
+      [
+        userId,
+        subtotal,
+        shipping.option.cost,
+        discountAmount,
+        totalAmount,
+        shipping_address,
+        shippingAddressDetails,
+        shipping.country,
+        shipping.option.id,
+        shipping.option.name,
+        orderNotes,
+        giftMessage,
+        idempotencyKey,
+        idempotencyKey === null ? null : requestHash
+      ]
     );
 
     const order = orderResult.rows[0];
 
+    /**
+     * Discount Lines
+     * Snapshots each promotion and the code with their amounts; the code counts
+     * toward its usage limits until the order is cancelled
+     */
+    await recordOrderPromotions(client, order.id, promotions.lines);
+    if (discount) {
+      await recordOrderDiscount(client, order.id, discount);
+    }
+
+    /**
+     * Initial Status History Entry
+     * Starts the order's audit trail with the customer-created pending status
+     */
+    await recordStatusChange(client, {
+      orderId: order.id,
+      fromStatus: null,
+      toStatus: 'pending',
+      actorType: 'customer',
+      actorId: userId,
+      note: 'Order placed'
+    });
+
     /**
      * Order Items Creation and Inventory Management
      * Creates individual order items and updates product stock levels
      */
+    const lowStockAlerts = [];
     for (const item of cartResult.rows) {
       /**
        * Order Item Creation
        * Creates detailed record for each product in the order
        */
       await client.query(
-        `INSERT INTO order_items (order_id, product_id, quantity, price)
-         VALUES ($1, $2, $3, $4)`,
-        [order.id, item.product_id, item.quantity, item.price]
+        `INSERT INTO order_items (order_id, product_id, quantity, price, note)
+         VALUES ($1, $2, $3, $4, $5)`,
+        [order.id, item.product_id, item.quantity, item.price, item.note]
       );
 
       /**
        * Inventory Stock Update
        * Decreases product stock quantities to reflect the purchase
-       * Additional safety: ensure stock never goes negative even under concurrency
+       * Additional safety: ensure stock never goes negative or dips into units
+       * other customers hold at checkout, even under concurrency
        */
       const stockUpdate = await client.query(
         `UPDATE products
          SET stock_quantity = stock_quantity - $1
-         WHERE id = $2 AND stock_quantity >= $1
-         RETURNING stock_quantity`,
-        [item.quantity, item.product_id]
+         WHERE id = $2 AND stock_quantity - ${reservedQuantitySql('products.id', '$3')} >= $1
+         RETURNING stock_quantity, reorder_threshold`,
+        [item.quantity, item.product_id, userId]
       );
 
       if (stockUpdate.rowCount === 0) {
         await client.query('ROLLBACK');
+        const stockResult = await pool.query(
+          `SELECT ${availableQuantitySql('p', '$2')} AS available_quantity FROM products p WHERE p.id = $1`,
+          [item.product_id, userId]
+        );
         return res.status(400).json({
           success: false,
           message: `Insufficient stock for ${item.product_name}. Please update your cart and try again.`,
+          stock_issues: [buildStockIssue(item, stockResult.rows[0]?.available_quantity ?? 0)]
+        });
+      }
+
+      /**
+       * Inventory Ledger Entry
+       * Records the sale against the product so every stock change stays traceable
+       */
+      await recordInventoryMovement(client, {
+        productId: item.product_id,
+        quantityDelta: -item.quantity,
+        stockAfter: stockUpdate.rows[0].stock_quantity,
+        reason: 'sale',
+        actorType: 'customer',
+        actorId: userId,
+        orderId: order.id
+      });
+
+      const { stock_quantity: stockAfter, reorder_threshold: reorderThreshold } = stockUpdate.rows[0];
+      if (crossedReorderThreshold(stockAfter + item.quantity, stockAfter, reorderThreshold)) {
+        lowStockAlerts.push({
+          product_id: item.product_id,
+          product_name: item.product_name,
+          stock_quantity: stockAfter,
+          reorder_threshold: reorderThreshold,
+          order_id: order.id
         });
       }
     }
 
     /**
      * Cart Clearing After Successful Order
-     * Removes all items from user's cart since they're now part of an order
+     * Removes the ordered items from user's cart since they're now part of an
+     * order; items saved for later stay in the cart
      */
     await client.query(
       `DELETE FROM cart_items 
-       WHERE cart_id IN (
+       WHERE saved_for_later = false AND cart_id IN (
          SELECT id FROM carts WHERE user_id = $1
        )`,
       [userId]
     );
+    await client.query('UPDATE carts SET discount_code_id = NULL WHERE user_id = $1', [userId]);
+
+    /**
+     * Reservation Release
+     * The ordered units are now deducted from stock, so the checkout hold ends
+     */
+    await releaseReservations(client, userId);
 
     /**
      * Transaction Commit
@@ -206,16 +561,34 @@ const createOrder = async (req, res) => {
      */
     await client.query('COMMIT');
 
+    /**
+     * Low-Stock Alerts
+     * Tells watching administrators which products this sale took to their reorder threshold
+     */
+    emitLowStockAlerts(req.app.get('io'), lowStockAlerts);
+
     res.status(201).json({
       success: true,
       message: 'Order created successfully',
       data: {
-        order: {
-          id: order.id,
-          total_amount: parseFloat(order.total_amount),
-          status: order.status,
-          created_at: order.created_at
-        }
+        order: formatCreatedOrder(
+          order,
+          cartResult.rows.map(item => ({ ...item, name: item.product_name })),
+          [
+            ...promotions.lines.map(line => ({
+              code: null,
+              description: line.name,
+              discount_type: line.promotion_type,
+              amount: line.amount
+            })),
+            ...(discount ? [{
+              code: discount.code,
+              description: discount.description,
+              discount_type: discount.discount_type,
+              amount: discount.amount
+            }] : [])
+          ]
+        )
       }
     });
   } catch (error) {
@@ -224,6 +597,29 @@ const createOrder = async (req, res) => {
      * Ensures database consistency by rolling back failed order creation
      */
     await client.query('ROLLBACK');
+
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    /**
+     * Concurrent Idempotent Request
+     * Another request with the same key committed first; replay its order
+     */
+    if (error.code === '23505' && error.constraint === 'idx_orders_user_idempotency_key') {
+      try {
+        const previousOrder = await findOrderByIdempotencyKey(pool, req.user.id, req.get('Idempotency-Key'));
+        if (previousOrder) {
+          return sendReplayedOrder(res, previousOrder, requestHash);
+        }
+      } catch (replayError) {
+        console.error('Replay idempotent order error:', replayError);
+      }
+    }
+
     console.error('Create order error:', error);
     res.status(500).json({
       success: false,
@@ -251,6 +647,7 @@ const createOrder = async (req, res) => {
  * Query Parameters:
  * - page: Page number for pagination (default: 1)
  * - limit: Number of orders per page (default: 10)
+ * - search: Full or partial order reference (e.g. LRM-ORD-000123)
  * 
  * Order Information Provided:
  * - Complete order details including ID, total, status, and timestamps
@@ -268,30 +665,42 @@ const createOrder = async (req, res) => {
 const getUserOrders = async (req, res) => {
   try {
     const userId = req.user.id;
-    const { page = 1, limit = 10 } = req.query;
+    const { page = 1, limit = 10, search } = req.query;
     const offset = (page - 1) * limit;
 
+    /**
+     * Optional Reference Search
+     * Matches full or partial order references, case-insensitively
+     */
+    const params = [userId];
+    let searchClause = '';
+    if (search && String(search).trim()) {
+      params.push(`%${String(search).trim()}%`);
+      searchClause = ' AND o.reference ILIKE $2';
+    }
+
     /**
      * Paginated Orders Query
      * Retrieves user's orders with pagination and descending chronological order
      */
     const ordersQuery = `
-      SELECT id, total_amount, status, shipping_address, created_at, updated_at
-      FROM orders 
-      WHERE user_id = $1
-      ORDER BY created_at DESC
-      LIMIT $2 OFFSET $3
+      SELECT o.id, o.reference, o.total_amount, o.status, o.shipping_address, o.created_at, o.updated_at,
+             COALESCE((SELECT SUM(oi.quantity) FROM order_items oi WHERE oi.order_id = o.id), 0) as item_count
+      FROM orders o
+      WHERE o.user_id = $1${searchClause}
+      ORDER BY o.created_at DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
     `;
 
-    const ordersResult = await pool.query(ordersQuery, [userId, parseInt(limit), offset]);
+    const ordersResult = await pool.query(ordersQuery, [...params, parseInt(limit), offset]);
 
     /**
      * Total Orders Count for Pagination
      * Calculates pagination metadata by counting total user orders
      */
     const countResult = await pool.query(
-      'SELECT COUNT(*) FROM orders WHERE user_id = $1',
-      [userId]
+      `SELECT COUNT(*) FROM orders o WHERE o.user_id = $1${searchClause}`,
+      params
     );
 
     const totalOrders = parseInt(countResult.rows[0].count);
@@ -306,7 +715,9 @@ const getUserOrders = async (req, res) => {
       data: {
         orders: ordersResult.rows.map(order => ({
           ...order,
-          total_amount: parseFloat(order.total_amount)
+          total_amount: parseFloat(order.total_amount),
+          item_count: parseInt(order.item_count),
+          can_cancel: CUSTOMER_CANCELLABLE_STATUSES.includes(order.status)
         })),
         pagination: {
           currentPage: parseInt(page),
@@ -366,7 +777,9 @@ const getOrderById = async (req, res) => {
      * Gets main order details with ownership validation
      */
     const orderResult = await pool.query(
-      `SELECT id, total_amount, status, shipping_address, created_at, updated_at
+      `SELECT id, reference, subtotal_amount, shipping_amount, discount_amount, total_amount, status,
+              shipping_address, shipping_address_details, shipping_country, shipping_method,
+              order_notes, gift_message, created_at, updated_at
        FROM orders 
        WHERE id = $1 AND user_id = $2`,
       [order_id, userId]
@@ -389,6 +802,7 @@ const getOrderById = async (req, res) => {
       SELECT 
         oi.quantity,
         oi.price,
+        oi.note,
         oi.created_at,
         p.id as product_id,
         p.name as product_name,
@@ -410,10 +824,16 @@ const getOrderById = async (req, res) => {
      */
     const orderData = {
       ...order,
+      subtotal_amount: parseFloat(order.subtotal_amount),
+      shipping_amount: parseFloat(order.shipping_amount),
+      discount_amount: parseFloat(order.discount_amount),
       total_amount: parseFloat(order.total_amount),
+      discounts: await getOrderDiscounts(pool, order.id),
+      can_cancel: CUSTOMER_CANCELLABLE_STATUSES.includes(order.status),
       items: itemsResult.rows.map(item => ({
         quantity: item.quantity,
         price: parseFloat(item.price),
+        note: item.note,
         item_total: parseFloat(item.item_total),
         product: item.product_id ? {
           id: item.product_id,
@@ -440,6 +860,365 @@ const getOrderById = async (req, res) => {
   }
 };
 
+/**
+ * Cancel Order Controller
+ * 
+ * Lets the owning customer cancel an order while the studio has not shipped it yet.
+ * The status change and the return of every item quantity to product stock happen
+ * inside one database transaction through the shared order state machine.
+ * 
+ * @param {Object} req - Express request object with order ID parameter and cancellation reason
+ * @param {Object} res - Express response object for sending the cancelled order
+ * 
+ * URL Parameters:
+ * - order_id: Unique identifier of the order to cancel
+ * 
+ * Request Body:
+ * - reason: Why the customer is cancelling, stored in the order status history
+ * 
+ * Business Rules:
+ * - Only the order owner may cancel (other users receive 404)
+ * - Allowed only while the order is pending or processing (409 otherwise)
+ * - Each order_items.quantity is added back to products.stock_quantity
+ * 
+ * Role: Self-service cancellation for orders still awaiting WhatsApp confirmation or preparation
+ */
+const cancelOrder = async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    const userId = req.user.id;
+    const { order_id } = req.params;
+    const reason = String(req.body.reason).trim();
+
+    await client.query('BEGIN');
+
+    /**
+     * Guarded Status Transition
+     * Locks the order, checks ownership and status, restores stock and records history
+     */
+    const { order, history } = await transitionOrderStatus(client, {
+      orderId: order_id,
+      toStatus: 'cancelled',
+      actorType: 'customer',
+      actorId: userId,
+      note: reason,
+      userId,
+      allowedFrom: CUSTOMER_CANCELLABLE_STATUSES
+    });
+
+    await client.query('COMMIT');
+
+    res.json({
+      success: true,
+      message: 'Order cancelled successfully',
+      data: {
+        order: {
+          id: order.id,
+          total_amount: parseFloat(order.total_amount),
+          status: order.status,
+          shipping_address: order.shipping_address,
+          created_at: order.created_at,
+          updated_at: order.updated_at,
+          can_cancel: false,
+          cancellation_reason: history.note
+        }
+      }
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Cancel order error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error cancelling order'
+    });
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Reorder Controller
+ * 
+ * Copies the items of a previous order back into the user's shopping cart so the
+ * customer can check out the same pieces again.
+ * 
+ * @param {Object} req - Express request object with order ID parameter
+ * @param {Object} res - Express response object for sending the reorder summary
+ * 
+ * URL Parameters:
+ * - order_id: Unique identifier of the order to repeat
+ * 
+ * Business Rules:
+ * - Only products that still exist and are active are added
+ * - Quantities are capped at the stock left after what is already in the cart
+ * - Items already in the cart have their quantity increased instead of duplicated
+ * 
+ * Response Data:
+ * - added: Products and quantities placed in the cart
+ * - skipped: Products that could not be added with the reason why
+ * 
+ * Role: One-click repeat purchases from the order history pages
+ */
+const reorderOrder = async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    const userId = req.user.id;
+    const { order_id } = req.params;
+
+    await client.query('BEGIN');
+
+    /**
+     * Order Ownership Validation
+     */
+    const orderResult = await client.query(
+      'SELECT id FROM orders WHERE id = $1 AND user_id = $2',
+      [order_id, userId]
+    );
+
+    if (orderResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const cartId = await ensureUserCart(client, userId);
+
+    /**
+     * Ordered Products with Current Availability
+     * Groups repeated lines per product and reads what is already in the cart
+     */
+    const itemsResult = await client.query(
+      `SELECT 
+         p.id as product_id,
+         p.name,
+         p.is_active,
+         ${availableQuantitySql('p', '$3')} as available_quantity,
+         SUM(oi.quantity)::int as ordered_quantity,
+         COALESCE(ci.quantity, 0) as cart_quantity
+       FROM order_items oi
+       LEFT JOIN products p ON oi.product_id = p.id
+       LEFT JOIN cart_items ci ON ci.cart_id = $2 AND ci.product_id = p.id
+       WHERE oi.order_id = $1
+       GROUP BY p.id, p.name, p.is_active, p.stock_quantity, ci.quantity`,
+      [order_id, cartId, userId]
+    );
+
+    const added = [];
+    const skipped = [];
+
+    for (const item of itemsResult.rows) {
+      if (!item.product_id || !item.is_active) {
+        skipped.push({
+          product_id: item.product_id,
+          name: item.name || null,
+          reason: 'No longer available'
+        });
+        continue;
+      }
+
+      const quantity = Math.min(item.ordered_quantity, item.available_quantity - item.cart_quantity);
+
+      if (quantity <= 0) {
+        skipped.push({
+          product_id: item.product_id,
+          name: item.name,
+          reason: 'Out of stock'
+        });
+        continue;
+      }
+
+      await client.query(
+        `INSERT INTO cart_items (cart_id, product_id, quantity) VALUES ($1, $2, $3)
+         ON CONFLICT (cart_id, product_id) DO UPDATE SET
+           quantity = cart_items.quantity + EXCLUDED.quantity,
+           saved_for_later = false`,
+        [cartId, item.product_id, quantity]
+      );
+
+      added.push({
+        product_id: item.product_id,
+        name: item.name,
+        quantity,
+        requested_quantity: item.ordered_quantity
+      });
+    }
+
+    if (added.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        success: false,
+        message: 'None of the items from this order are currently available',
+        data: { added, skipped }
+      });
+    }
+
+    await client.query('COMMIT');
+
+    res.json({
+      success: true,
+      message: `${added.length} item${added.length === 1 ? '' : 's'} added to your cart`,
+      data: { added, skipped }
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Reorder error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error adding order items to cart'
+    });
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Public Order Tracking Controller
+ * 
+ * Looks up an order by its customer-facing reference and the email address of the
+ * account that placed it, so customers can follow an order from the Shipping page
+ * without signing in.
+ * 
+ * @param {Object} req - Express request object with reference and email in the body
+ * @param {Object} res - Express response object for sending tracking information
+ * 
+ * Request Body:
+ * - reference: Order reference such as LRM-ORD-000123 (case-insensitive)
+ * - email: Email address of the account that placed the order (case-insensitive)
+ * 
+ * Privacy Rules:
+ * - Wrong reference and wrong email return the same 404 response
+ * - Only status information is returned; no address, prices or history notes
+ * 
+ * Role: Public order status lookup for customers following up on WhatsApp orders
+ */
+const trackOrder = async (req, res) => {
+  try {
+    const reference = req.body.reference.trim().toUpperCase();
+    const email = req.body.email.trim().toLowerCase();
+
+    const orderResult = await pool.query(
+      `SELECT 
+         o.id,
+         o.reference,
+         o.status,
+         o.created_at,
+         o.updated_at,
+         COALESCE((SELECT SUM(oi.quantity) FROM order_items oi WHERE oi.order_id = o.id), 0) as item_count
+       FROM orders o
+       JOIN users u ON o.user_id = u.id
+       WHERE o.reference = $1 AND LOWER(u.email) = $2`,
+      [reference, email]
+    );
+
+    if (orderResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'No order matches that reference and email'
+      });
+    }
+
+    const order = orderResult.rows[0];
+
+    /**
+     * Public Status Timeline
+     * Status changes only, oldest first, without internal notes or actors
+     */
+    const timelineResult = await pool.query(
+      `SELECT to_status as status, created_at
+       FROM order_status_history
+       WHERE order_id = $1
+       ORDER BY created_at ASC`,
+      [order.id]
+    );
+
+    res.json({
+      success: true,
+      data: {
+        tracking: {
+          reference: order.reference,
+          status: order.status,
+          item_count: parseInt(order.item_count),
+          placed_at: order.created_at,
+          updated_at: order.updated_at,
+          timeline: timelineResult.rows
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Track order error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error tracking order'
+    });
+  }
+};
+
+/**
+ * Order WhatsApp Link Controller
+ * 
+ * Renders the order WhatsApp message from the admin-editable template and returns
+ * a deep link that opens a chat with the LaRama business number.
+ * 
+ * @param {Object} req - Express request object with order ID parameter
+ * @param {Object} res - Express response object for sending the link
+ * 
+ * URL Parameters:
+ * - order_id: Unique identifier of the order
+ * 
+ * Response Data:
+ * - link: wa.me deep link with the encoded message
+ * - message: Rendered message text
+ * - business_number: Number the message is addressed to
+ * - reference: Order reference quoted in the message
+ * 
+ * Role: Single source of the WhatsApp order message used after checkout
+ */
+const getOrderWhatsAppLink = async (req, res) => {
+  try {
+    const rendered = await renderOrderMessage(pool, {
+      orderId: req.params.order_id,
+      userId: req.user.id
+    });
+
+    if (!rendered) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const businessNumber = await getBusinessNumber(pool);
+
+    res.json({
+      success: true,
+      data: {
+        link: buildWhatsAppLink(businessNumber, rendered.message),
+        message: rendered.message,
+        business_number: businessNumber,
+        reference: rendered.order.reference
+      }
+    });
+  } catch (error) {
+    console.error('Get order WhatsApp link error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error building WhatsApp link'
+    });
+  }
+};
+
 /**
  * Get Order Statistics Controller
  * 
@@ -452,7 +1231,7 @@ const getOrderById = async (req, res) => {
  * 
  * Statistics Provided:
  * - Total number of orders placed by the user
- * - Total amount spent across all orders
+ * - Total amount spent, leaving out cancelled orders
  * - Order counts broken down by status (pending, processing, shipped, etc.)
  * - Useful for user dashboards and account overview pages
  * 
@@ -480,7 +1259,7 @@ const getOrderStats = async (req, res) => {
     const statsQuery = `
       SELECT 
         COUNT(*) as total_orders,
-        COALESCE(SUM(total_amount), 0) as total_spent,
+        COALESCE(SUM(CASE WHEN status <> 'cancelled' THEN total_amount END), 0) as total_spent,
         COUNT(CASE WHEN status = 'pending' THEN 1 END) as pending_orders,
         COUNT(CASE WHEN status = 'processing' THEN 1 END) as processing_orders,
         COUNT(CASE WHEN status = 'shipped' THEN 1 END) as shipped_orders,
@@ -524,5 +1303,9 @@ module.exports = {
   createOrder,
   getUserOrders,
   getOrderById,
+  cancelOrder,
+  reorderOrder,
+  trackOrder,
+  getOrderWhatsAppLink,
   getOrderStats
 };
\ No newline at end of file
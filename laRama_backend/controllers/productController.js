@@ -27,6 +27,7 @@
  */
 
 const { pool } = require('../config/database'); // PostgreSQL database connection pool
+const { availableQuantitySql } = require('../services/stockReservationService'); // Checkout stock holds
 
 /**
  * Get All Products Controller with Advanced Filtering
@@ -76,7 +77,8 @@ const getAllProducts = async (req, res) => {
      * Builds a flexible query that adapts to provided filters while maintaining security
      */
     let query = `
-      SELECT id, name, description, price, image_url, category, stock_quantity, 
+      SELECT id, name, description, price, image_url, category, stock_quantity,
+             ${availableQuantitySql('products')} AS available_quantity,
              is_active, created_at, updated_at
       FROM products 
       WHERE is_active = true
@@ -181,6 +183,7 @@ const getAllProducts = async (req, res) => {
  * - Complete product details including name, description, and pricing
  * - Image URL for product display
  * - Category and stock quantity for inventory management
+ * - available_quantity: stock left after active checkout reservations
  * - Timestamps for creation and last update tracking
  * 
  * Security Features:
@@ -209,7 +212,8 @@ const getProductById = async (req, res) => {
      * Only returns active products to hide disabled/deleted items
      */
     const result = await pool.query(
-      `SELECT id, name, description, price, image_url, category, stock_quantity, 
+      `SELECT id, name, description, price, image_url, category, stock_quantity,
+              ${availableQuantitySql('products')} AS available_quantity,
               is_active, created_at, updated_at
        FROM products 
        WHERE id = $1 AND is_active = true`,
@@ -351,7 +355,8 @@ const getFeaturedProducts = async (req, res) => {
      * Ordered by creation date to showcase newest additions
      */
     const result = await pool.query(
-      `SELECT id, name, description, price, image_url, category, stock_quantity, 
+      `SELECT id, name, description, price, image_url, category, stock_quantity,
+              ${availableQuantitySql('products')} AS available_quantity,
               created_at, updated_at
        FROM products 
        WHERE is_active = true
@@ -375,9 +380,104 @@ const getFeaturedProducts = async (req, res) => {
   }
 };
 
+/**
+ * Back-in-Stock Subscription Controller
+ * 
+ * Lets a customer ask to be emailed when a sold-out product is restocked.
+ * Signed-in customers are subscribed with their account email; guests provide one.
+ * The NestJS admin service sends the emails when stock is raised above zero.
+ * 
+ * @param {Object} req - Express request object with product id and optional email
+ * @param {Object} res - Express response object for sending the subscription
+ * 
+ * Request Body:
+ * - email: Required for guests, ignored for signed-in customers
+ * 
+ * Business Rules:
+ * - Only active products that are currently unavailable accept subscriptions (409 otherwise)
+ * - One open subscription per product and email; repeating the request is harmless
+ * 
+ * Response Format:
+ * - Created (201): New subscription
+ * - Success (200): Subscription already existed
+ * - Validation Error (400): Missing email for guests
+ * - Not Found (404): Product doesn't exist or is inactive
+ * 
+ * Role: Captures demand for sold-out handcrafted pieces
+ */
+const subscribeToRestock = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const email = (req.user?.email || req.body.email || '').trim().toLowerCase();
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is required to be notified when this product is back in stock'
+      });
+    }
+
+    const productResult = await pool.query(
+      `SELECT id, name, ${availableQuantitySql('products')} AS available_quantity
+       FROM products
+       WHERE id = $1 AND is_active = true`,
+      [id]
+    );
+
+    if (productResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    const product = productResult.rows[0];
+    if (product.available_quantity > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `${product.name} is in stock and can be added to your cart`
+      });
+    }
+
+    /**
+     * Idempotent Subscription Insert
+     * The partial unique index keeps a single open subscription per product and email
+     */
+    const insertResult = await pool.query(
+      `INSERT INTO restock_subscriptions (product_id, user_id, email)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (product_id, email) WHERE fulfilled_at IS NULL DO NOTHING
+       RETURNING id, product_id, email, created_at`,
+      [id, req.user?.id || null, email]
+    );
+
+    const created = insertResult.rows.length > 0;
+    res.status(created ? 201 : 200).json({
+      success: true,
+      message: created
+        ? `We will email ${email} when ${product.name} is back in stock`
+        : `${email} is already on the list for ${product.name}`,
+      data: {
+        subscription: {
+          product_id: product.id,
+          email,
+          ...(created && { id: insertResult.rows[0].id, created_at: insertResult.rows[0].created_at })
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Restock subscription error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error saving restock subscription'
+    });
+  }
+};
+
 module.exports = {
   getAllProducts,
   getProductById,
   getCategories,
-  getFeaturedProducts
+  getFeaturedProducts,
+  subscribeToRestock
 };
\ No newline at end of file
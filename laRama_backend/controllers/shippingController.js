@@ -0,0 +1,159 @@
+/**
+ * @fileoverview Shipping Controller for LaRama E-commerce Platform
+ *
+ * This controller exposes shipping zones for destination pickers and prices the
+ * signed-in customer's cart for a destination country. Prices come from
+ * `services/shippingService.js`, the same calculation `createOrder` uses, so the
+ * quote shown in the cart is the charge stored on the order.
+ *
+ * @author Mohamad Abou Naasse
+ * @course University of Balamand - Advances in Computer Science
+ * @project LaRama Handcrafted Products E-commerce Platform
+ * @business LaRama Handcrafted (Owner: Rama)
+ */
+
+const { pool } = require('../config/database'); // PostgreSQL database connection pool
+const { listZones, quoteShipping } = require('../services/shippingService'); // Zone lookup and rate pricing
+const { findCartId } = require('../services/cartService'); // Customer and guest cart lookup
+const { loadDiscountableItems, getCartDiscount, discountAmountFor } = require('../services/discountService'); // Discount code pricing
+const { priceCartPromotions, itemsAfterPromotions } = require('../services/promotionService'); // Automatic promotions
+const { roundCurrency } = require('../utils/currency'); // Amounts rounded to cents
+
+/**
+ * Get Shipping Zones Controller
+ *
+ * Lists active shipping zones with their countries and rate definitions.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object for sending the zones
+ *
+ * Role: Feeds the destination picker in the cart and the Shipping page
+ */
+const getShippingZones = async (req, res) => {
+  try {
+    const zones = await listZones(pool);
+
+    res.json({
+      success: true,
+      data: { zones }
+    });
+  } catch (error) {
+    console.error('Get shipping zones error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching shipping zones'
+    });
+  }
+};
+
+/**
+ * Get Shipping Quote Controller
+ *
+ * Prices every shipping method available for the destination against the
+ * customer's or guest's current cart (active products only, as in order creation).
+ *
+ * @param {Object} req - Express request object with req.user or req.guestCartId
+ * @param {Object} res - Express response object for sending the quote
+ *
+ * Query Parameters:
+ * - country: ISO 3166-1 alpha-2 destination code (e.g. LB)
+ *
+ * Response Data:
+ * - country, zone { code, name }
+ * - subtotal, total_items, total_weight_grams
+ * - promotions: Automatic promotion savings as in getCart
+ * - discount: Applied discount code as in getCart, or null
+ * - options: [{ code, name, cost, is_free, free_over, amount_until_free, min_days, max_days,
+ *   discount_amount, grand_total }]; discount_amount is the promotions plus the code,
+ *   grand_total is subtotal + cost - discount_amount, and a free_shipping code
+ *   waives the option's cost
+ *
+ * Role: Replaces "Calculated at checkout" in the cart summary
+ */
+const getShippingQuote = async (req, res) => {
+  try {
+    const cartId = await findCartId(pool, {
+      userId: req.user ? req.user.id : null,
+      guestCartId: req.guestCartId
+    });
+
+    const cartResult = await pool.query(
+      `SELECT
+         COALESCE(SUM(ci.quantity * p.price), 0) as subtotal,
+         COALESCE(SUM(ci.quantity), 0) as total_items,
+         COALESCE(SUM(ci.quantity * p.weight_grams), 0) as total_weight_grams
+       FROM cart_items ci
+       JOIN products p ON ci.product_id = p.id AND p.is_active = true
+       WHERE ci.cart_id = $1 AND ci.saved_for_later = false`,
+      [cartId]
+    );
+
+    const basket = cartResult.rows[0];
+    const totalItems = parseInt(basket.total_items);
+
+    if (totalItems === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cart is empty'
+      });
+    }
+
+    const subtotal = parseFloat(basket.subtotal);
+    const weightGrams = parseInt(basket.total_weight_grams);
+    const quote = await quoteShipping(pool, {
+      country: req.query.country,
+      subtotal,
+      itemCount: totalItems,
+      weightGrams
+    });
+
+    const userId = req.user ? req.user.id : null;
+    const items = await loadDiscountableItems(pool, cartId);
+    const promotions = await priceCartPromotions(pool, items);
+    const discount = await getCartDiscount(pool, {
+      cartId,
+      userId,
+      items: itemsAfterPromotions(items, promotions)
+    });
+
+    res.json({
+      success: true,
+      data: {
+        country: quote.country,
+        zone: quote.zone,
+        subtotal,
+        total_items: totalItems,
+        total_weight_grams: weightGrams,
+        promotions: promotions.lines,
+        discount,
+        options: quote.options.map(({ id, ...option }) => {
+          const codeAmount = discount && discount.is_valid ? discountAmountFor(discount, option.cost) : 0;
+          const discountAmount = roundCurrency(promotions.total + codeAmount);
+          return {
+            ...option,
+            discount_amount: discountAmount,
+            grand_total: roundCurrency(option.grand_total - discountAmount)
+          };
+        })
+      }
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Get shipping quote error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error calculating shipping'
+    });
+  }
+};
+
+module.exports = {
+  getShippingZones,
+  getShippingQuote
+};
@@ -0,0 +1,129 @@
+/**
+ * @fileoverview WhatsApp Messaging Controller for LaRama E-commerce Platform
+ * 
+ * This controller exposes the public side of the WhatsApp messaging service: the
+ * configured business number and deep links for custom quote requests sent from
+ * the Customize page. Order messages are served by the order controller so that
+ * order ownership is enforced.
+ * 
+ * @author Mohamad Abou Naasse
+ * @course University of Balamand - Advances in Computer Science
+ * @project LaRama Handcrafted Products E-commerce Platform
+ * @business LaRama Handcrafted (Owner: Rama)
+ */
+
+const { pool } = require('../config/database'); // PostgreSQL database connection pool
+const {
+  buildWhatsAppLink,
+  getBusinessNumber,
+  renderQuoteMessage
+} = require('../services/whatsappService'); // WhatsApp message templating
+
+/**
+ * Maximum number of specification lines accepted in a quote request.
+ */
+const MAX_SPECIFICATIONS = 20;
+
+/**
+ * Get WhatsApp Configuration Controller
+ * 
+ * Returns the business number customers should contact, so the storefront never
+ * needs the number compiled in.
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object for sending the configuration
+ * 
+ * Role: Public WhatsApp contact configuration for the storefront
+ */
+const getWhatsAppConfig = async (req, res) => {
+  try {
+    const businessNumber = await getBusinessNumber(pool);
+
+    res.json({
+      success: true,
+      data: {
+        business_number: businessNumber,
+        chat_link: `https://wa.me/${businessNumber}`
+      }
+    });
+  } catch (error) {
+    console.error('Get WhatsApp config error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching WhatsApp configuration'
+    });
+  }
+};
+
+/**
+ * Create Quote Link Controller
+ * 
+ * Renders the custom quote template from the Customize page selections and
+ * returns a deep link to the business number with a fresh quote reference.
+ * 
+ * @param {Object} req - Express request object with quote details in the body
+ * @param {Object} res - Express response object for sending the link
+ * 
+ * Request Body:
+ * - category: Product category label (e.g. "Handcrafted Custom Purse")
+ * - specifications: Object of specification labels to chosen values
+ * - estimated_price: Optional estimated base price text
+ * 
+ * Response Data:
+ * - link, message, business_number, reference (LRM-CUS-<timestamp>)
+ * 
+ * Role: Single source of the WhatsApp custom quote message
+ */
+const createQuoteLink = async (req, res) => {
+  try {
+    const { category, specifications, estimated_price } = req.body;
+
+    /**
+     * Specifications Validation
+     * Must be a flat object of short text values
+     */
+    const isPlainObject = specifications && typeof specifications === 'object' && !Array.isArray(specifications);
+    const entries = isPlainObject ? Object.entries(specifications) : [];
+    const invalidEntries = entries.filter(([label, value]) =>
+      label.length > 100 || !['string', 'number'].includes(typeof value) || String(value).length > 300
+    );
+
+    if (!isPlainObject || entries.length === 0 || entries.length > MAX_SPECIFICATIONS || invalidEntries.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `specifications must be an object with 1-${MAX_SPECIFICATIONS} short text values`
+      });
+    }
+
+    const reference = `LRM-CUS-${Date.now()}`;
+    const message = await renderQuoteMessage(pool, {
+      reference,
+      category: category.trim(),
+      specifications,
+      estimatedPrice: estimated_price ? String(estimated_price) : null,
+      customerName: req.user?.name
+    });
+    const businessNumber = await getBusinessNumber(pool);
+
+    res.json({
+      success: true,
+      data: {
+        link: buildWhatsAppLink(businessNumber, message),
+        message,
+        business_number: businessNumber,
+        reference
+      }
+    });
+  } catch (error) {
+    console.error('Create quote link error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error building WhatsApp quote link'
+    });
+  }
+};
+
+module.exports = {
+  getWhatsAppConfig,
+  createQuoteLink
+};
@@ -0,0 +1,276 @@
+/**
+ * @fileoverview Wishlist Controller for LaRama E-commerce Platform
+ *
+ * This controller manages each customer's saved products, shown as "Saved
+ * Styles" on the dashboard. Saved items always show the product's current
+ * price and stock rather than a snapshot, so customers see when a piece they
+ * saved comes back in stock or changes price.
+ *
+ * Wishlist Rules:
+ * - A product is saved at most once per customer; saving it again is a no-op
+ * - Only active products can be saved; deactivated ones stay listed as unavailable
+ * - Moving an item to the cart respects available stock and removes it from the wishlist
+ *
+ * @author Mohamad Abou Naasse
+ * @course University of Balamand - Advances in Computer Science
+ * @project LaRama Handcrafted Products E-commerce Platform
+ * @business LaRama Handcrafted (Owner: Rama)
+ */
+
+const { pool } = require('../config/database'); // PostgreSQL database connection pool
+const { availableQuantitySql } = require('../services/stockReservationService'); // Stock left after checkout holds
+const { ensureUserCart } = require('../services/cartService'); // Customer cart lookup
+
+/**
+ * Get Wishlist Controller
+ *
+ * Lists the customer's saved products, newest first, with current price and
+ * stock availability.
+ *
+ * @param {Object} req - Express request object with authenticated user
+ * @param {Object} res - Express response object for sending the wishlist
+ *
+ * Response Data Structure:
+ * - items[].product: id, name, price, image_url, category, is_active,
+ *   stock_quantity and available_quantity
+ * - items[].saved_at: When the product was saved
+ *
+ * Role: Saved Styles page and heart buttons on product cards
+ */
+const getWishlist = async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT wi.id AS wishlist_item_id, wi.created_at AS saved_at,
+              p.id AS product_id, p.name, p.description, p.price, p.image_url, p.category,
+              p.is_active, p.stock_quantity,
+              ${availableQuantitySql('p', '$1')} AS available_quantity
+       FROM wishlist_items wi
+       JOIN products p ON wi.product_id = p.id
+       WHERE wi.user_id = $1
+       ORDER BY wi.created_at DESC`,
+      [req.user.id]
+    );
+
+    const items = result.rows.map((row) => ({
+      wishlist_item_id: row.wishlist_item_id,
+      saved_at: row.saved_at,
+      product: {
+        id: row.product_id,
+        name: row.name,
+        description: row.description,
+        price: parseFloat(row.price),
+        image_url: row.image_url,
+        category: row.category,
+        is_active: row.is_active,
+        stock_quantity: row.stock_quantity,
+        available_quantity: row.is_active ? row.available_quantity : 0
+      }
+    }));
+
+    res.json({
+      success: true,
+      data: {
+        items,
+        total_items: items.length
+      }
+    });
+  } catch (error) {
+    console.error('Get wishlist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching wishlist'
+    });
+  }
+};
+
+/**
+ * Add to Wishlist Controller
+ *
+ * Saves a product for the customer.
+ *
+ * @param {Object} req - Express request object with product_id in the body
+ * @param {Object} res - Express response object for sending the result
+ *
+ * Response Scenarios:
+ * - 201: Product saved
+ * - 200: Product was already saved
+ * - 404: Product not found or inactive
+ *
+ * Role: Heart button on product cards
+ */
+const addToWishlist = async (req, res) => {
+  try {
+    const { product_id } = req.body;
+
+    const productResult = await pool.query(
+      'SELECT id FROM products WHERE id = $1 AND is_active = true',
+      [product_id]
+    );
+
+    if (productResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found or inactive'
+      });
+    }
+
+    const result = await pool.query(
+      `INSERT INTO wishlist_items (user_id, product_id) VALUES ($1, $2)
+       ON CONFLICT (user_id, product_id) DO NOTHING
+       RETURNING id`,
+      [req.user.id, product_id]
+    );
+
+    const created = result.rows.length > 0;
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      message: created ? 'Saved to your wishlist' : 'Already in your wishlist',
+      data: { product_id }
+    });
+  } catch (error) {
+    console.error('Add to wishlist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error saving item'
+    });
+  }
+};
+
+/**
+ * Remove from Wishlist Controller
+ *
+ * Removes a saved product from the customer's wishlist.
+ *
+ * @param {Object} req - Express request object with product_id param
+ * @param {Object} res - Express response object for sending the result
+ *
+ * Role: Heart button toggle and "Remove" on the Saved Styles page
+ */
+const removeFromWishlist = async (req, res) => {
+  try {
+    const result = await pool.query(
+      'DELETE FROM wishlist_items WHERE user_id = $1 AND product_id = $2',
+      [req.user.id, req.params.product_id]
+    );
+
+    if (result.rowCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Item not found in your wishlist'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Removed from your wishlist'
+    });
+  } catch (error) {
+    console.error('Remove from wishlist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error removing item'
+    });
+  }
+};
+
+/**
+ * Move Wishlist Item to Cart Controller
+ *
+ * Adds a saved product to the customer's cart and removes it from the
+ * wishlist in one transaction.
+ *
+ * @param {Object} req - Express request object with product_id param and optional quantity
+ * @param {Object} res - Express response object for sending the result
+ *
+ * Error Cases:
+ * - 404: Item not in the wishlist
+ * - 409: Product inactive, or not enough available stock on top of what is
+ *   already in the cart; the item stays saved
+ *
+ * Role: "Move to cart" on the Saved Styles page
+ */
+const moveWishlistItemToCart = async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const userId = req.user.id;
+    const { product_id } = req.params;
+    const quantity = req.body.quantity || 1;
+
+    const cartId = await ensureUserCart(client, userId);
+
+    const itemResult = await client.query(
+      `SELECT wi.id, p.name, p.is_active,
+              ${availableQuantitySql('p', '$1')} AS available_quantity,
+              COALESCE(ci.quantity, 0) AS cart_quantity
+       FROM wishlist_items wi
+       JOIN products p ON wi.product_id = p.id
+       LEFT JOIN cart_items ci ON ci.cart_id = $3 AND ci.product_id = p.id
+       WHERE wi.user_id = $1 AND wi.product_id = $2
+       FOR UPDATE OF wi, p`,
+      [userId, product_id, cartId]
+    );
+
+    if (itemResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({
+        success: false,
+        message: 'Item not found in your wishlist'
+      });
+    }
+
+    const item = itemResult.rows[0];
+    const addable = item.is_active ? Math.max(item.available_quantity - item.cart_quantity, 0) : 0;
+
+    if (quantity > addable) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        success: false,
+        message: addable > 0
+          ? `Only ${addable} more ${item.name} can be added to your cart`
+          : `${item.name} is currently unavailable`
+      });
+    }
+
+    const cartItemResult = await client.query(
+      `INSERT INTO cart_items (cart_id, product_id, quantity) VALUES ($1, $2, $3)
+       ON CONFLICT (cart_id, product_id) DO UPDATE SET
+         quantity = cart_items.quantity + EXCLUDED.quantity,
+         saved_for_later = false
+       RETURNING id, quantity`,
+      [cartId, product_id, quantity]
+    );
+
+    await client.query('DELETE FROM wishlist_items WHERE id = $1', [item.id]);
+
+    await client.query('COMMIT');
+
+    res.json({
+      success: true,
+      message: `${item.name} moved to your cart`,
+      data: {
+        cart_item_id: cartItemResult.rows[0].id,
+        quantity: cartItemResult.rows[0].quantity
+      }
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Move wishlist item to cart error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error moving item to cart'
+    });
+  } finally {
+    client.release();
+  }
+};
+
+module.exports = {
+  getWishlist,
+  addToWishlist,
+  removeFromWishlist,
+  moveWishlistItemToCart
+};
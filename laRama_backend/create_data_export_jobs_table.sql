@@ -0,0 +1,23 @@
+-- Add personal data export jobs to LaRama database
+-- Run this after connecting to LaRama_db_advances database
+
+-- Personal data export jobs; the ZIP archive is written to DATA_EXPORT_DIR as <id>.zip
+CREATE TABLE IF NOT EXISTS data_export_jobs (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'processing', 'ready', 'failed')),
+    file_size INTEGER, -- Archive size in bytes once ready
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    completed_at TIMESTAMP, -- When the job became ready or failed
+    expires_at TIMESTAMP -- Downloads stop after DATA_EXPORT_HOURS; expired jobs are purged on the next request
+);
+
+-- Request cooldown and export history look up a customer's recent jobs
+CREATE INDEX IF NOT EXISTS idx_data_export_jobs_user_created ON data_export_jobs(user_id, created_at);
+
+-- At most one export in progress per customer
+CREATE UNIQUE INDEX IF NOT EXISTS idx_data_export_jobs_single_active ON data_export_jobs(user_id) WHERE status IN ('pending', 'processing');
+
+-- Verify the table was created
+SELECT 'Data export jobs table created successfully!' as message;
+SELECT column_name, data_type FROM information_schema.columns WHERE table_name = 'data_export_jobs' ORDER BY ordinal_position;
@@ -0,0 +1,58 @@
+-- Add discount codes and order discount lines to LaRama database
+-- Run this after connecting to LaRama_db_advances database
+
+-- Discount codes managed from the admin GraphQL API; code is stored upper-cased
+CREATE TABLE IF NOT EXISTS discount_codes (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    code VARCHAR(40) NOT NULL,
+    description VARCHAR(255),
+    discount_type VARCHAR(20) NOT NULL,
+    value DECIMAL(10, 2) NOT NULL DEFAULT 0,
+    min_subtotal DECIMAL(10, 2),
+    category VARCHAR(100),
+    starts_at TIMESTAMP,
+    expires_at TIMESTAMP,
+    usage_limit INTEGER,
+    per_customer_limit INTEGER,
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT uq_discount_codes_code UNIQUE (code),
+    CONSTRAINT chk_discount_codes_type CHECK (discount_type IN ('percentage', 'fixed_amount', 'free_shipping')),
+    CONSTRAINT chk_discount_codes_value CHECK (value >= 0 AND (discount_type <> 'percentage' OR value <= 100)),
+    CONSTRAINT chk_discount_codes_limits CHECK ((usage_limit IS NULL OR usage_limit > 0) AND (per_customer_limit IS NULL OR per_customer_limit > 0))
+);
+
+DROP TRIGGER IF EXISTS update_discount_codes_updated_at ON discount_codes;
+CREATE TRIGGER update_discount_codes_updated_at BEFORE UPDATE ON discount_codes
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Code applied on the cart page
+ALTER TABLE carts ADD COLUMN IF NOT EXISTS discount_code_id UUID REFERENCES discount_codes(id) ON DELETE SET NULL;
+
+-- Grand total is now subtotal + shipping - discount
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS discount_amount DECIMAL(10, 2) NOT NULL DEFAULT 0 CHECK (discount_amount >= 0);
+
+-- Discounts applied to an order; code and amount are snapshotted at checkout
+CREATE TABLE IF NOT EXISTS order_discounts (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    discount_code_id UUID REFERENCES discount_codes(id) ON DELETE SET NULL,
+    code VARCHAR(40) NOT NULL,
+    description VARCHAR(255),
+    discount_type VARCHAR(20) NOT NULL,
+    amount DECIMAL(10, 2) NOT NULL CHECK (amount >= 0),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_order_discounts_order_id ON order_discounts(order_id);
+CREATE INDEX IF NOT EXISTS idx_order_discounts_discount_code_id ON order_discounts(discount_code_id);
+
+-- Sample discount code: 10% off, once per customer
+INSERT INTO discount_codes (code, description, discount_type, value, per_customer_limit) VALUES
+('WELCOME10', '10% off your order', 'percentage', 10, 1)
+ON CONFLICT (code) DO NOTHING;
+
+-- Verify the tables were created
+SELECT 'Discount tables created successfully!' as message;
+SELECT code, discount_type, value, per_customer_limit, is_active FROM discount_codes;
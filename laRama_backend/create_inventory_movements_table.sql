@@ -0,0 +1,27 @@
+-- Add inventory movement ledger to LaRama database
+-- Run this after connecting to LaRama_db_advances database
+
+-- Inventory ledger: one row per stock change; stock_after is the on-hand quantity once applied
+-- Constraint names match the NestJS InventoryMovementEntity so TypeORM synchronize keeps them
+CREATE TABLE IF NOT EXISTS inventory_movements (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    product_id UUID NOT NULL,
+    quantity_delta INTEGER NOT NULL,
+    stock_after INTEGER NOT NULL,
+    reason VARCHAR(30) NOT NULL,
+    actor_type VARCHAR(20) NOT NULL,
+    actor_id VARCHAR(255), -- User id for customers, email for administrators
+    order_id UUID, -- Set for sales and cancellations; no foreign key so the ledger outlives deleted orders
+    note TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT fk_inventory_movements_product FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+    CONSTRAINT chk_inventory_movements_delta CHECK (quantity_delta <> 0),
+    CONSTRAINT chk_inventory_movements_reason CHECK (reason IN ('sale', 'cancellation', 'restock', 'manual_correction', 'damaged')),
+    CONSTRAINT chk_inventory_movements_actor_type CHECK (actor_type IN ('customer', 'admin', 'system'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_inventory_movements_product_created ON inventory_movements(product_id, created_at);
+
+-- Verify the table was created
+SELECT 'Inventory movements table created successfully!' as message;
+SELECT column_name, data_type FROM information_schema.columns WHERE table_name = 'inventory_movements' ORDER BY ordinal_position;
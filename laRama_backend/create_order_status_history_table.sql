@@ -0,0 +1,30 @@
+-- Add order status history table to LaRama database
+-- Run this after connecting to LaRama_db_advances database
+
+-- Order status history table (audit trail of every status transition)
+CREATE TABLE IF NOT EXISTS order_status_history (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    from_status VARCHAR(50), -- NULL for the initial 'pending' entry written at checkout
+    to_status VARCHAR(50) NOT NULL CHECK (to_status IN ('pending', 'processing', 'shipped', 'delivered', 'cancelled')),
+    changed_by_type VARCHAR(20) NOT NULL CHECK (changed_by_type IN ('customer', 'admin', 'system')),
+    changed_by VARCHAR(255), -- User id for customers, email for administrators
+    note TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Indexes for better performance
+CREATE INDEX IF NOT EXISTS idx_orders_created_at ON orders(created_at);
+CREATE INDEX IF NOT EXISTS idx_order_status_history_order_id ON order_status_history(order_id);
+
+-- Backfill an initial history entry for orders created before this table existed
+INSERT INTO order_status_history (order_id, from_status, to_status, changed_by_type, note, created_at)
+SELECT o.id, NULL, o.status, 'system', 'Backfilled from existing order status', o.created_at
+FROM orders o
+WHERE NOT EXISTS (
+    SELECT 1 FROM order_status_history h WHERE h.order_id = o.id
+);
+
+-- Verify the table was created
+SELECT 'Order status history table created successfully!' as message;
+SELECT COUNT(*) as history_count FROM order_status_history;
@@ -0,0 +1,21 @@
+-- Add password reset tokens and session invalidation to LaRama database
+-- Run this after connecting to LaRama_db_advances database
+
+-- Bumped by a password reset; JWTs carrying an older version are rejected
+ALTER TABLE users ADD COLUMN IF NOT EXISTS token_version INTEGER NOT NULL DEFAULT 0;
+
+-- Password reset links; only the SHA-256 hash of the emailed token is stored
+CREATE TABLE IF NOT EXISTS password_reset_tokens (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    token_hash CHAR(64) UNIQUE NOT NULL,
+    expires_at TIMESTAMP NOT NULL,
+    used_at TIMESTAMP, -- Set when the token resets the password; a token works once
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_password_reset_tokens_user_id ON password_reset_tokens(user_id);
+
+-- Verify the table was created
+SELECT 'Password reset tokens table created successfully!' as message;
+SELECT column_name, data_type FROM information_schema.columns WHERE table_name = 'password_reset_tokens' ORDER BY ordinal_position;
@@ -0,0 +1,48 @@
+-- Add automatic promotions and bundle pricing to LaRama database
+-- Run this after connecting to LaRama_db_advances database
+-- Requires create_discount_tables.sql (order_discounts)
+
+-- Automatic promotions managed from the admin Promotions page; applied to every matching cart
+CREATE TABLE IF NOT EXISTS promotions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name VARCHAR(120) NOT NULL,
+    description VARCHAR(255),
+    promotion_type VARCHAR(20) NOT NULL CHECK (promotion_type IN ('buy_x_get_y', 'category_percentage', 'bundle_price')),
+    category VARCHAR(100),
+    percentage DECIMAL(5, 2) CHECK (percentage > 0 AND percentage <= 100),
+    buy_quantity INTEGER CHECK (buy_quantity > 0),
+    get_quantity INTEGER CHECK (get_quantity > 0),
+    bundle_price DECIMAL(10, 2) CHECK (bundle_price >= 0),
+    starts_at TIMESTAMP,
+    expires_at TIMESTAMP,
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (promotion_type <> 'buy_x_get_y' OR (buy_quantity IS NOT NULL AND get_quantity IS NOT NULL)),
+    CHECK (promotion_type <> 'category_percentage' OR (category IS NOT NULL AND percentage IS NOT NULL)),
+    CHECK (promotion_type <> 'bundle_price' OR bundle_price IS NOT NULL)
+);
+
+DROP TRIGGER IF EXISTS update_promotions_updated_at ON promotions;
+CREATE TRIGGER update_promotions_updated_at BEFORE UPDATE ON promotions
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Products of a promotion: the set of a bundle_price promotion, or the qualifying products of buy_x_get_y
+CREATE TABLE IF NOT EXISTS promotion_products (
+    promotion_id UUID NOT NULL REFERENCES promotions(id) ON DELETE CASCADE,
+    product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    quantity INTEGER NOT NULL DEFAULT 1 CHECK (quantity > 0),
+    PRIMARY KEY (promotion_id, product_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_promotion_products_product_id ON promotion_products(product_id);
+
+-- Order discount lines now also record promotions, which have no code
+ALTER TABLE order_discounts ADD COLUMN IF NOT EXISTS promotion_id UUID REFERENCES promotions(id) ON DELETE SET NULL;
+ALTER TABLE order_discounts ALTER COLUMN code DROP NOT NULL;
+
+-- Verify the tables were created
+SELECT 'Promotions tables created successfully!' as message;
+SELECT column_name, data_type, is_nullable
+FROM information_schema.columns
+WHERE table_name = 'order_discounts' AND column_name IN ('code', 'promotion_id');
@@ -0,0 +1,19 @@
+-- Add back-in-stock subscriptions to LaRama database
+-- Run this after connecting to LaRama_db_advances database
+
+-- Back-in-stock requests; email is stored lower-cased, fulfilled_at is set when the restock email is queued
+CREATE TABLE IF NOT EXISTS restock_subscriptions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    user_id UUID REFERENCES users(id) ON DELETE SET NULL, -- NULL for guests subscribing with an email address
+    email VARCHAR(255) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    fulfilled_at TIMESTAMP
+);
+
+-- One open request per product and email address
+CREATE UNIQUE INDEX IF NOT EXISTS idx_restock_subscriptions_pending ON restock_subscriptions(product_id, email) WHERE fulfilled_at IS NULL;
+
+-- Verify the table was created
+SELECT 'Restock subscriptions table created successfully!' as message;
+SELECT column_name, data_type FROM information_schema.columns WHERE table_name = 'restock_subscriptions' ORDER BY ordinal_position;
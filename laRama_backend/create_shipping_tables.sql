@@ -0,0 +1,88 @@
+-- Add shipping zones, rates and the order subtotal/shipping split to LaRama database
+-- Run this after connecting to LaRama_db_advances database
+
+-- Packed product weight for weight-based shipping rates
+ALTER TABLE products ADD COLUMN IF NOT EXISTS weight_grams INTEGER DEFAULT 250 CHECK (weight_grams >= 0);
+
+-- Shipping zones (countries are ISO 3166-1 alpha-2 codes; the fallback zone serves every unlisted country)
+CREATE TABLE IF NOT EXISTS shipping_zones (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    code VARCHAR(50) UNIQUE NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    countries CHAR(2)[] NOT NULL DEFAULT '{}',
+    is_fallback BOOLEAN DEFAULT false,
+    sort_order INTEGER DEFAULT 0,
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Shipping rates offered in each zone
+CREATE TABLE IF NOT EXISTS shipping_rates (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    zone_id UUID NOT NULL REFERENCES shipping_zones(id) ON DELETE CASCADE,
+    code VARCHAR(50) NOT NULL, -- Sent by the checkout as shipping_method (e.g. 'standard', 'express')
+    name VARCHAR(100) NOT NULL,
+    calculation VARCHAR(20) NOT NULL CHECK (calculation IN ('flat', 'weight', 'item_count')),
+    base_cost DECIMAL(10, 2) NOT NULL DEFAULT 0 CHECK (base_cost >= 0), -- Flat price, or price of the first kg / first item
+    unit_cost DECIMAL(10, 2) NOT NULL DEFAULT 0 CHECK (unit_cost >= 0), -- Per additional started kg ('weight') or item ('item_count')
+    free_over DECIMAL(10, 2) CHECK (free_over >= 0), -- Subtotal from which this rate is free; NULL = never free
+    min_days INTEGER,
+    max_days INTEGER,
+    sort_order INTEGER DEFAULT 0,
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(zone_id, code)
+);
+
+CREATE INDEX IF NOT EXISTS idx_shipping_rates_zone_id ON shipping_rates(zone_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_shipping_zones_single_fallback ON shipping_zones(is_fallback) WHERE is_fallback;
+
+DROP TRIGGER IF EXISTS update_shipping_zones_updated_at ON shipping_zones;
+CREATE TRIGGER update_shipping_zones_updated_at BEFORE UPDATE ON shipping_zones
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_shipping_rates_updated_at ON shipping_rates;
+CREATE TRIGGER update_shipping_rates_updated_at BEFORE UPDATE ON shipping_rates
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Shipping zones and rates (mirrors the Shipping page)
+INSERT INTO shipping_zones (code, name, countries, is_fallback, sort_order) VALUES
+('lebanon', 'Lebanon', '{LB}', false, 1),
+('levant', 'Syria & Jordan', '{SY,JO}', false, 2),
+('egypt', 'Egypt', '{EG}', false, 3),
+('turkey', 'Turkey', '{TR}', false, 4),
+('international', 'International', '{}', true, 5)
+ON CONFLICT (code) DO NOTHING;
+
+INSERT INTO shipping_rates (zone_id, code, name, calculation, base_cost, unit_cost, free_over, min_days, max_days, sort_order)
+SELECT z.id, r.code, r.name, r.calculation, r.base_cost, r.unit_cost, r.free_over, r.min_days, r.max_days, r.sort_order
+FROM (VALUES
+    ('lebanon', 'standard', 'Standard Delivery', 'flat', 5.00, 0.00, 100.00, 2, 4, 1),
+    ('lebanon', 'express', 'Express Delivery', 'flat', 15.00, 0.00, NULL, 1, 2, 2),
+    ('levant', 'standard', 'Regional Shipping', 'flat', 15.00, 0.00, NULL, 7, 10, 1),
+    ('egypt', 'standard', 'Regional Shipping', 'flat', 18.00, 0.00, NULL, 8, 12, 1),
+    ('turkey', 'standard', 'Regional Shipping', 'flat', 20.00, 0.00, NULL, 10, 14, 1),
+    ('international', 'tracked', 'Tracked International', 'weight', 25.00, 10.00, NULL, 14, 28, 1)
+) AS r(zone_code, code, name, calculation, base_cost, unit_cost, free_over, min_days, max_days, sort_order)
+JOIN shipping_zones z ON z.code = r.zone_code
+ON CONFLICT (zone_id, code) DO NOTHING;
+
+-- Store subtotal and shipping separately; total_amount remains the grand total
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS subtotal_amount DECIMAL(10, 2) CHECK (subtotal_amount >= 0);
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS shipping_amount DECIMAL(10, 2) NOT NULL DEFAULT 0 CHECK (shipping_amount >= 0);
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS shipping_country CHAR(2);
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS shipping_rate_id UUID REFERENCES shipping_rates(id) ON DELETE SET NULL;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS shipping_method VARCHAR(100);
+
+-- Orders placed before shipping pricing carried no shipping charge
+UPDATE orders SET subtotal_amount = total_amount WHERE subtotal_amount IS NULL;
+ALTER TABLE orders ALTER COLUMN subtotal_amount SET NOT NULL;
+
+-- Verify the tables were created
+SELECT 'Shipping tables created successfully!' as message;
+SELECT z.name AS zone, r.name AS rate, r.calculation, r.base_cost, r.unit_cost, r.free_over
+FROM shipping_rates r
+JOIN shipping_zones z ON r.zone_id = z.id
+ORDER BY z.sort_order, r.sort_order;
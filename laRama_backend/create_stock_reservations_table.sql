@@ -0,0 +1,19 @@
+-- Add checkout stock reservations to LaRama database
+-- Run this after connecting to LaRama_db_advances database
+
+-- Checkout stock holds (available stock = stock_quantity minus active reservations)
+CREATE TABLE IF NOT EXISTS stock_reservations (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    quantity INTEGER NOT NULL CHECK (quantity > 0),
+    expires_at TIMESTAMP NOT NULL, -- Active while in the future; released early by an order or leaving checkout
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(user_id, product_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_stock_reservations_product_expires ON stock_reservations(product_id, expires_at);
+
+-- Verify the table was created
+SELECT 'Stock reservations table created successfully!' as message;
+SELECT column_name, data_type FROM information_schema.columns WHERE table_name = 'stock_reservations' ORDER BY ordinal_position;
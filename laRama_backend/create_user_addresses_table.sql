@@ -0,0 +1,34 @@
+-- Add the customer address book and order address snapshots to LaRama database
+-- Run this after connecting to LaRama_db_advances database
+
+-- Customer address book (one default per user)
+CREATE TABLE IF NOT EXISTS user_addresses (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    label VARCHAR(50), -- e.g. 'Home', 'Work'
+    recipient_name VARCHAR(100) NOT NULL,
+    phone VARCHAR(20) NOT NULL,
+    country CHAR(2) NOT NULL, -- ISO 3166-1 alpha-2
+    city VARCHAR(100) NOT NULL,
+    region VARCHAR(100),
+    street VARCHAR(255) NOT NULL,
+    building VARCHAR(100),
+    notes TEXT, -- Delivery instructions
+    is_default BOOLEAN DEFAULT false,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_addresses_user_id ON user_addresses(user_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_user_addresses_single_default ON user_addresses(user_id) WHERE is_default;
+
+DROP TRIGGER IF EXISTS update_user_addresses_updated_at ON user_addresses;
+CREATE TRIGGER update_user_addresses_updated_at BEFORE UPDATE ON user_addresses
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Structured copy of the address book entry used at checkout
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS shipping_address_details JSONB;
+
+-- Verify the table was created
+SELECT 'User addresses table created successfully!' as message;
+SELECT column_name, data_type FROM information_schema.columns WHERE table_name = 'user_addresses' ORDER BY ordinal_position;
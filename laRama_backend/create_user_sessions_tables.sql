@@ -0,0 +1,34 @@
+-- Add device sessions and rotating refresh tokens to LaRama database
+-- Run this after connecting to LaRama_db_advances database
+-- Access tokens issued before this migration carry no session and must log in again
+
+-- Signed-in devices; access tokens name their session and stop working once it is revoked
+CREATE TABLE IF NOT EXISTS user_sessions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    device_name VARCHAR(100) NOT NULL, -- e.g. "Chrome on Windows", from the User-Agent at sign-in
+    ip_address VARCHAR(45),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_used_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP, -- Last refresh
+    expires_at TIMESTAMP NOT NULL, -- Pushed back by every refresh (REFRESH_TOKEN_DAYS)
+    revoked_at TIMESTAMP -- Logout, device revocation, password reset or refresh token reuse
+);
+
+-- Rotating refresh tokens of a session; only the SHA-256 hash is stored and each works once
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    session_id UUID NOT NULL REFERENCES user_sessions(id) ON DELETE CASCADE,
+    token_hash CHAR(64) UNIQUE NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    used_at TIMESTAMP -- Set when rotated; presenting it again revokes the session
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_sessions_user_id ON user_sessions(user_id);
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_session_id ON refresh_tokens(session_id);
+
+-- Verify the tables were created
+SELECT 'User sessions tables created successfully!' as message;
+SELECT table_name, column_name, data_type
+FROM information_schema.columns
+WHERE table_name IN ('user_sessions', 'refresh_tokens')
+ORDER BY table_name, ordinal_position;
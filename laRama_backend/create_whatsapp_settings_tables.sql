@@ -0,0 +1,26 @@
+-- Add editable WhatsApp templates and store settings to LaRama database
+-- Run this after connecting to LaRama_db_advances database
+
+-- Store-wide settings editable from the admin panel (e.g. whatsapp_business_number)
+CREATE TABLE IF NOT EXISTS store_settings (
+    key VARCHAR(100) PRIMARY KEY,
+    value TEXT NOT NULL,
+    updated_by VARCHAR(255), -- Administrator email
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Customised WhatsApp message templates (built-in defaults apply when no row exists)
+CREATE TABLE IF NOT EXISTS whatsapp_templates (
+    name VARCHAR(50) PRIMARY KEY CHECK (name IN ('order', 'quote', 'status_update')),
+    body TEXT NOT NULL,
+    updated_by VARCHAR(255), -- Administrator email
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Default WhatsApp Business number
+INSERT INTO store_settings (key, value) VALUES ('whatsapp_business_number', '96171361960')
+ON CONFLICT (key) DO NOTHING;
+
+-- Verify the tables were created
+SELECT 'WhatsApp settings tables created successfully!' as message;
+SELECT key, value FROM store_settings;
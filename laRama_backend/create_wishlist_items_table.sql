@@ -0,0 +1,18 @@
+-- Add wishlist (Saved Styles) to LaRama database
+-- Run this after connecting to LaRama_db_advances database
+
+-- Saved products (wishlist); one row per customer and product
+CREATE TABLE IF NOT EXISTS wishlist_items (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(user_id, product_id) -- A product is saved at most once per customer
+);
+
+-- Saved Styles lists a customer's items newest first
+CREATE INDEX IF NOT EXISTS idx_wishlist_items_user_created ON wishlist_items(user_id, created_at);
+
+-- Verify the table was created
+SELECT 'Wishlist items table created successfully!' as message;
+SELECT column_name, data_type FROM information_schema.columns WHERE table_name = 'wishlist_items' ORDER BY ordinal_position;
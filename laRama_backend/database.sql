@@ -15,10 +15,65 @@ CREATE TABLE users (
     name VARCHAR(100) NOT NULL,
     email VARCHAR(255) UNIQUE NOT NULL,
     password VARCHAR(255) NOT NULL,
+    email_verified_at TIMESTAMP, -- Set by the emailed verification link; REQUIRE_EMAIL_VERIFICATION blocks orders while NULL
+    token_version INTEGER NOT NULL DEFAULT 0, -- Bumped by a password reset or account deletion; JWTs carrying an older version are rejected
+    deleted_at TIMESTAMP, -- Set when the customer deletes their account; name, email and password are anonymised and orders kept
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Password reset links; only the SHA-256 hash of the emailed token is stored
+CREATE TABLE password_reset_tokens (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    token_hash CHAR(64) UNIQUE NOT NULL,
+    expires_at TIMESTAMP NOT NULL,
+    used_at TIMESTAMP, -- Set when the token resets the password; a token works once
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Signed-in devices; access tokens name their session and stop working once it is revoked
+CREATE TABLE user_sessions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    device_name VARCHAR(100) NOT NULL, -- e.g. "Chrome on Windows", from the User-Agent at sign-in
+    ip_address VARCHAR(45),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_used_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP, -- Last refresh
+    expires_at TIMESTAMP NOT NULL, -- Pushed back by every refresh (REFRESH_TOKEN_DAYS)
+    revoked_at TIMESTAMP -- Logout, device revocation, password reset or refresh token reuse
+);
+
+-- Rotating refresh tokens of a session; only the SHA-256 hash is stored and each works once
+CREATE TABLE refresh_tokens (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    session_id UUID NOT NULL REFERENCES user_sessions(id) ON DELETE CASCADE,
+    token_hash CHAR(64) UNIQUE NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    used_at TIMESTAMP -- Set when rotated; presenting it again revokes the session
+);
+
+-- Personal data export jobs; the ZIP archive is written to DATA_EXPORT_DIR as <id>.zip
+CREATE TABLE data_export_jobs (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'processing', 'ready', 'failed')),
+    file_size INTEGER, -- Archive size in bytes once ready
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    completed_at TIMESTAMP, -- When the job became ready or failed
+    expires_at TIMESTAMP -- Downloads stop after DATA_EXPORT_HOURS; expired jobs are purged on the next request
+);
+
+-- Email verification links; only the SHA-256 hash of the emailed token is stored
+CREATE TABLE email_verification_tokens (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    email VARCHAR(255) NOT NULL, -- Address the link was sent to; the token only verifies while the user still has it
+    token_hash CHAR(64) UNIQUE NOT NULL,
+    expires_at TIMESTAMP NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
 -- Products table
 CREATE TABLE products (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -28,15 +83,70 @@ CREATE TABLE products (
     image_url VARCHAR(500),
     category VARCHAR(100),
     stock_quantity INTEGER DEFAULT 0 CHECK (stock_quantity >= 0),
+    weight_grams INTEGER DEFAULT 250 CHECK (weight_grams >= 0), -- Packed weight for weight-based shipping rates
+    reorder_threshold INTEGER DEFAULT 3 CHECK (reorder_threshold >= 0), -- Low-stock alert once stock_quantity is at or below this
     is_active BOOLEAN DEFAULT true,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Discount codes managed from the admin GraphQL API; code is stored upper-cased
+-- Constraint names match the NestJS DiscountCodeEntity so TypeORM synchronize keeps them
+CREATE TABLE discount_codes (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    code VARCHAR(40) NOT NULL,
+    description VARCHAR(255), -- Shown to customers next to the applied code
+    discount_type VARCHAR(20) NOT NULL,
+    value DECIMAL(10, 2) NOT NULL DEFAULT 0, -- Percent off or amount off; unused for free_shipping
+    min_subtotal DECIMAL(10, 2), -- Cart subtotal required before the code applies
+    category VARCHAR(100), -- When set, only items of this product category are discounted
+    starts_at TIMESTAMP,
+    expires_at TIMESTAMP,
+    usage_limit INTEGER, -- Orders allowed across all customers; NULL for unlimited
+    per_customer_limit INTEGER, -- Orders allowed per customer; NULL for unlimited
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT uq_discount_codes_code UNIQUE (code),
+    CONSTRAINT chk_discount_codes_type CHECK (discount_type IN ('percentage', 'fixed_amount', 'free_shipping')),
+    CONSTRAINT chk_discount_codes_value CHECK (value >= 0 AND (discount_type <> 'percentage' OR value <= 100)),
+    CONSTRAINT chk_discount_codes_limits CHECK ((usage_limit IS NULL OR usage_limit > 0) AND (per_customer_limit IS NULL OR per_customer_limit > 0))
+);
+
+-- Automatic promotions managed from the admin Promotions page; applied to every matching cart
+CREATE TABLE promotions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name VARCHAR(120) NOT NULL, -- Shown next to the discounted cart lines
+    description VARCHAR(255),
+    promotion_type VARCHAR(20) NOT NULL CHECK (promotion_type IN ('buy_x_get_y', 'category_percentage', 'bundle_price')),
+    category VARCHAR(100), -- category_percentage target; optional buy_x_get_y filter
+    percentage DECIMAL(5, 2) CHECK (percentage > 0 AND percentage <= 100), -- category_percentage only
+    buy_quantity INTEGER CHECK (buy_quantity > 0), -- buy_x_get_y: units paid for in each group
+    get_quantity INTEGER CHECK (get_quantity > 0), -- buy_x_get_y: cheapest units free in each group
+    bundle_price DECIMAL(10, 2) CHECK (bundle_price >= 0), -- bundle_price: price of one complete set
+    starts_at TIMESTAMP,
+    expires_at TIMESTAMP,
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (promotion_type <> 'buy_x_get_y' OR (buy_quantity IS NOT NULL AND get_quantity IS NOT NULL)),
+    CHECK (promotion_type <> 'category_percentage' OR (category IS NOT NULL AND percentage IS NOT NULL)),
+    CHECK (promotion_type <> 'bundle_price' OR bundle_price IS NOT NULL)
+);
+
+-- Products of a promotion: the set of a bundle_price promotion, or the qualifying products of buy_x_get_y
+CREATE TABLE promotion_products (
+    promotion_id UUID NOT NULL REFERENCES promotions(id) ON DELETE CASCADE,
+    product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    quantity INTEGER NOT NULL DEFAULT 1 CHECK (quantity > 0), -- Units of the product in one bundle
+    PRIMARY KEY (promotion_id, product_id)
+);
+
 -- Carts table (one cart per user)
 CREATE TABLE carts (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
-    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE, -- NULL for guest carts identified by a signed cart token
+    discount_code_id UUID REFERENCES discount_codes(id) ON DELETE SET NULL, -- Code applied on the cart page
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     UNIQUE(user_id) -- One cart per user
@@ -48,17 +158,133 @@ CREATE TABLE cart_items (
     cart_id UUID NOT NULL REFERENCES carts(id) ON DELETE CASCADE,
     product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
     quantity INTEGER NOT NULL CHECK (quantity > 0),
+    saved_for_later BOOLEAN NOT NULL DEFAULT false, -- Held in the cart but left out of totals and checkout
+    note VARCHAR(300), -- Customer note for this item, copied to order_items at checkout
     added_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     UNIQUE(cart_id, product_id) -- Prevent duplicate products in same cart
 );
 
+-- Checkout stock holds (available stock = stock_quantity minus active reservations)
+CREATE TABLE stock_reservations (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    quantity INTEGER NOT NULL CHECK (quantity > 0),
+    expires_at TIMESTAMP NOT NULL, -- Active while in the future; released early by an order or leaving checkout
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(user_id, product_id)
+);
+
+-- Inventory ledger: one row per stock change; stock_after is the on-hand quantity once applied
+-- Constraint names match the NestJS InventoryMovementEntity so TypeORM synchronize keeps them
+CREATE TABLE inventory_movements (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    product_id UUID NOT NULL,
+    quantity_delta INTEGER NOT NULL,
+    stock_after INTEGER NOT NULL,
+    reason VARCHAR(30) NOT NULL,
+    actor_type VARCHAR(20) NOT NULL,
+    actor_id VARCHAR(255), -- User id for customers, email for administrators
+    order_id UUID, -- Set for sales and cancellations; no foreign key so the ledger outlives deleted orders
+    note TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT fk_inventory_movements_product FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+    CONSTRAINT chk_inventory_movements_delta CHECK (quantity_delta <> 0),
+    CONSTRAINT chk_inventory_movements_reason CHECK (reason IN ('sale', 'cancellation', 'restock', 'manual_correction', 'damaged')),
+    CONSTRAINT chk_inventory_movements_actor_type CHECK (actor_type IN ('customer', 'admin', 'system'))
+);
+
+-- Back-in-stock requests; email is stored lower-cased, fulfilled_at is set when the restock email is queued
+CREATE TABLE restock_subscriptions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    user_id UUID REFERENCES users(id) ON DELETE SET NULL, -- NULL for guests subscribing with an email address
+    email VARCHAR(255) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    fulfilled_at TIMESTAMP
+);
+
+-- Saved products (wishlist); one row per customer and product
+CREATE TABLE wishlist_items (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(user_id, product_id) -- A product is saved at most once per customer
+);
+
+-- Customer address book (one default per user)
+CREATE TABLE user_addresses (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    label VARCHAR(50), -- e.g. 'Home', 'Work'
+    recipient_name VARCHAR(100) NOT NULL,
+    phone VARCHAR(20) NOT NULL,
+    country CHAR(2) NOT NULL, -- ISO 3166-1 alpha-2
+    city VARCHAR(100) NOT NULL,
+    region VARCHAR(100),
+    street VARCHAR(255) NOT NULL,
+    building VARCHAR(100),
+    notes TEXT, -- Delivery instructions
+    is_default BOOLEAN DEFAULT false,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Shipping zones (countries are ISO 3166-1 alpha-2 codes; the fallback zone serves every unlisted country)
+CREATE TABLE shipping_zones (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    code VARCHAR(50) UNIQUE NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    countries CHAR(2)[] NOT NULL DEFAULT '{}',
+    is_fallback BOOLEAN DEFAULT false,
+    sort_order INTEGER DEFAULT 0,
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Shipping rates offered in each zone
+CREATE TABLE shipping_rates (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    zone_id UUID NOT NULL REFERENCES shipping_zones(id) ON DELETE CASCADE,
+    code VARCHAR(50) NOT NULL, -- Sent by the checkout as shipping_method (e.g. 'standard', 'express')
+    name VARCHAR(100) NOT NULL,
+    calculation VARCHAR(20) NOT NULL CHECK (calculation IN ('flat', 'weight', 'item_count')),
+    base_cost DECIMAL(10, 2) NOT NULL DEFAULT 0 CHECK (base_cost >= 0), -- Flat price, or price of the first kg / first item
+    unit_cost DECIMAL(10, 2) NOT NULL DEFAULT 0 CHECK (unit_cost >= 0), -- Per additional started kg ('weight') or item ('item_count')
+    free_over DECIMAL(10, 2) CHECK (free_over >= 0), -- Subtotal from which this rate is free; NULL = never free
+    min_days INTEGER,
+    max_days INTEGER,
+    sort_order INTEGER DEFAULT 0,
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(zone_id, code)
+);
+
+-- Sequence behind the customer-facing order reference (LRM-ORD-000123)
+CREATE SEQUENCE order_reference_seq;
+
 -- Orders table
 CREATE TABLE orders (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    reference VARCHAR(20) NOT NULL UNIQUE DEFAULT ('LRM-ORD-' || LPAD(nextval('order_reference_seq')::text, 6, '0')), -- Quoted on WhatsApp and used for public tracking
     user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
-    total_amount DECIMAL(10, 2) NOT NULL CHECK (total_amount >= 0),
+    subtotal_amount DECIMAL(10, 2) NOT NULL CHECK (subtotal_amount >= 0), -- Sum of order items
+    shipping_amount DECIMAL(10, 2) NOT NULL DEFAULT 0 CHECK (shipping_amount >= 0),
+    discount_amount DECIMAL(10, 2) NOT NULL DEFAULT 0 CHECK (discount_amount >= 0), -- Sum of the order's order_discounts
+    total_amount DECIMAL(10, 2) NOT NULL CHECK (total_amount >= 0), -- Grand total: subtotal + shipping - discount
     status VARCHAR(50) DEFAULT 'pending' CHECK (status IN ('pending', 'processing', 'shipped', 'delivered', 'cancelled')),
-    shipping_address TEXT,
+    shipping_address TEXT, -- Formatted address text
+    shipping_address_details JSONB, -- Structured copy of the address book entry used at checkout
+    shipping_country CHAR(2), -- ISO 3166-1 alpha-2 destination
+    shipping_rate_id UUID REFERENCES shipping_rates(id) ON DELETE SET NULL,
+    shipping_method VARCHAR(100), -- Rate name at time of order
+    order_notes TEXT, -- Customer instructions entered at checkout
+    gift_message TEXT, -- Printed on a card when the order is a gift
+    idempotency_key VARCHAR(100), -- Idempotency-Key header of the checkout request that created the order
+    idempotency_request_hash CHAR(64), -- SHA-256 of that request's checkout fields; a reused key must match it
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
@@ -70,6 +296,32 @@ CREATE TABLE order_items (
     product_id UUID NOT NULL REFERENCES products(id) ON DELETE SET NULL,
     quantity INTEGER NOT NULL CHECK (quantity > 0),
     price DECIMAL(10, 2) NOT NULL CHECK (price >= 0), -- Price at time of order
+    note VARCHAR(300), -- Customer's cart item note at time of order
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Discounts applied to an order (a discount code or an automatic promotion); snapshotted at checkout
+CREATE TABLE order_discounts (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    discount_code_id UUID REFERENCES discount_codes(id) ON DELETE SET NULL, -- Usage limits count lines of non-cancelled orders
+    promotion_id UUID REFERENCES promotions(id) ON DELETE SET NULL,
+    code VARCHAR(40), -- NULL for promotion lines
+    description VARCHAR(255), -- Promotion name for promotion lines
+    discount_type VARCHAR(20) NOT NULL,
+    amount DECIMAL(10, 2) NOT NULL CHECK (amount >= 0),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Order status history table (audit trail of every status transition)
+CREATE TABLE order_status_history (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    from_status VARCHAR(50), -- NULL for the initial 'pending' entry written at checkout
+    to_status VARCHAR(50) NOT NULL CHECK (to_status IN ('pending', 'processing', 'shipped', 'delivered', 'cancelled')),
+    changed_by_type VARCHAR(20) NOT NULL CHECK (changed_by_type IN ('customer', 'admin', 'system')),
+    changed_by VARCHAR(255), -- User id for customers, email for administrators
+    note TEXT,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
@@ -83,17 +335,54 @@ CREATE TABLE newsletter_subscriptions (
     source VARCHAR(50) DEFAULT 'website' -- Track where subscription came from (website, footer, etc.)
 );
 
+-- Store-wide settings editable from the admin panel (e.g. whatsapp_business_number)
+CREATE TABLE store_settings (
+    key VARCHAR(100) PRIMARY KEY,
+    value TEXT NOT NULL,
+    updated_by VARCHAR(255), -- Administrator email
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Customised WhatsApp message templates (built-in defaults apply when no row exists)
+CREATE TABLE whatsapp_templates (
+    name VARCHAR(50) PRIMARY KEY CHECK (name IN ('order', 'quote', 'status_update')),
+    body TEXT NOT NULL,
+    updated_by VARCHAR(255), -- Administrator email
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
 -- Indexes for better performance
 CREATE INDEX idx_users_email ON users(email);
+CREATE INDEX idx_user_sessions_user_id ON user_sessions(user_id);
+CREATE INDEX idx_refresh_tokens_session_id ON refresh_tokens(session_id);
+CREATE INDEX idx_password_reset_tokens_user_id ON password_reset_tokens(user_id);
+CREATE INDEX idx_email_verification_tokens_user_created ON email_verification_tokens(user_id, created_at);
+CREATE INDEX idx_data_export_jobs_user_created ON data_export_jobs(user_id, created_at);
+CREATE UNIQUE INDEX idx_data_export_jobs_single_active ON data_export_jobs(user_id) WHERE status IN ('pending', 'processing');
 CREATE INDEX idx_products_category ON products(category);
 CREATE INDEX idx_products_active ON products(is_active);
 CREATE INDEX idx_carts_user_id ON carts(user_id);
+CREATE INDEX idx_carts_guest_updated_at ON carts(updated_at) WHERE user_id IS NULL;
 CREATE INDEX idx_cart_items_cart_id ON cart_items(cart_id);
+CREATE INDEX idx_stock_reservations_product_expires ON stock_reservations(product_id, expires_at);
+CREATE INDEX idx_inventory_movements_product_created ON inventory_movements(product_id, created_at);
+CREATE UNIQUE INDEX idx_restock_subscriptions_pending ON restock_subscriptions(product_id, email) WHERE fulfilled_at IS NULL;
+CREATE INDEX idx_wishlist_items_user_created ON wishlist_items(user_id, created_at);
 CREATE INDEX idx_orders_user_id ON orders(user_id);
 CREATE INDEX idx_orders_status ON orders(status);
 CREATE INDEX idx_order_items_order_id ON order_items(order_id);
+CREATE INDEX idx_order_discounts_order_id ON order_discounts(order_id);
+CREATE INDEX idx_order_discounts_discount_code_id ON order_discounts(discount_code_id);
+CREATE INDEX idx_promotion_products_product_id ON promotion_products(product_id);
+CREATE INDEX idx_orders_created_at ON orders(created_at);
+CREATE UNIQUE INDEX idx_orders_user_idempotency_key ON orders(user_id, idempotency_key) WHERE idempotency_key IS NOT NULL;
+CREATE INDEX idx_order_status_history_order_id ON order_status_history(order_id);
 CREATE INDEX idx_newsletter_email ON newsletter_subscriptions(email);
 CREATE INDEX idx_newsletter_status ON newsletter_subscriptions(status);
+CREATE INDEX idx_shipping_rates_zone_id ON shipping_rates(zone_id);
+CREATE INDEX idx_user_addresses_user_id ON user_addresses(user_id);
+CREATE UNIQUE INDEX idx_user_addresses_single_default ON user_addresses(user_id) WHERE is_default;
+CREATE UNIQUE INDEX idx_shipping_zones_single_fallback ON shipping_zones(is_fallback) WHERE is_fallback;
 
 -- Sample beadwork products data
 INSERT INTO products (name, description, price, image_url, category, stock_quantity) VALUES
@@ -103,9 +392,36 @@ INSERT INTO products (name, description, price, image_url, category, stock_quant
 ('Bohemian Beaded Anklet', 'Boho-style beaded anklet with natural stones', 18.75, 'https://example.com/images/anklet-bohemian.jpg', 'Anklets', 12),
 ('Luxury Pearl & Bead Necklace', 'Sophisticated combination of pearls and glass beads', 89.99, 'https://example.com/images/necklace-pearl-luxury.jpg', 'Necklaces', 8);
 
+-- Default WhatsApp Business number
+INSERT INTO store_settings (key, value) VALUES ('whatsapp_business_number', '96171361960');
+
+-- Shipping zones and rates (mirrors the Shipping page)
+INSERT INTO shipping_zones (code, name, countries, is_fallback, sort_order) VALUES
+('lebanon', 'Lebanon', '{LB}', false, 1),
+('levant', 'Syria & Jordan', '{SY,JO}', false, 2),
+('egypt', 'Egypt', '{EG}', false, 3),
+('turkey', 'Turkey', '{TR}', false, 4),
+('international', 'International', '{}', true, 5);
+
+INSERT INTO shipping_rates (zone_id, code, name, calculation, base_cost, unit_cost, free_over, min_days, max_days, sort_order)
+SELECT z.id, r.code, r.name, r.calculation, r.base_cost, r.unit_cost, r.free_over, r.min_days, r.max_days, r.sort_order
+FROM (VALUES
+    ('lebanon', 'standard', 'Standard Delivery', 'flat', 5.00, 0.00, 100.00, 2, 4, 1),
+    ('lebanon', 'express', 'Express Delivery', 'flat', 15.00, 0.00, NULL, 1, 2, 2),
+    ('levant', 'standard', 'Regional Shipping', 'flat', 15.00, 0.00, NULL, 7, 10, 1),
+    ('egypt', 'standard', 'Regional Shipping', 'flat', 18.00, 0.00, NULL, 8, 12, 1),
+    ('turkey', 'standard', 'Regional Shipping', 'flat', 20.00, 0.00, NULL, 10, 14, 1),
+    ('international', 'tracked', 'Tracked International', 'weight', 25.00, 10.00, NULL, 14, 28, 1)
+) AS r(zone_code, code, name, calculation, base_cost, unit_cost, free_over, min_days, max_days, sort_order)
+JOIN shipping_zones z ON z.code = r.zone_code;
+
+-- Sample discount code: 10% off, once per customer
+INSERT INTO discount_codes (code, description, discount_type, value, per_customer_limit) VALUES
+('WELCOME10', '10% off your order', 'percentage', 10, 1);
+
 -- Sample user (password: 'password123' hashed with bcrypt)
-INSERT INTO users (name, email, password) VALUES
-('Test User', 'test@larama.com', '$2a$12$LQv3c1yqBWVHxkd0LHAkCOYz6TtxMQJqhN8/LewgZfW7.dvF8w5XC');
+INSERT INTO users (name, email, password, email_verified_at) VALUES
+('Test User', 'test@larama.com', '$2a$12$LQv3c1yqBWVHxkd0LHAkCOYz6TtxMQJqhN8/LewgZfW7.dvF8w5XC', CURRENT_TIMESTAMP);
 
 -- Update timestamp function
 CREATE OR REPLACE FUNCTION update_updated_at_column()
@@ -126,5 +442,20 @@ CREATE TRIGGER update_products_updated_at BEFORE UPDATE ON products
 CREATE TRIGGER update_carts_updated_at BEFORE UPDATE ON carts
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+CREATE TRIGGER update_discount_codes_updated_at BEFORE UPDATE ON discount_codes
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_promotions_updated_at BEFORE UPDATE ON promotions
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
 CREATE TRIGGER update_orders_updated_at BEFORE UPDATE ON orders
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_user_addresses_updated_at BEFORE UPDATE ON user_addresses
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_shipping_zones_updated_at BEFORE UPDATE ON shipping_zones
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_shipping_rates_updated_at BEFORE UPDATE ON shipping_rates
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
\ No newline at end of file
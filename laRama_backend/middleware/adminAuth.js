@@ -11,6 +11,21 @@ const jwt = require('jsonwebtoken'); // JWT library for verifying administrator
 
 const ADMIN_JWT_SECRET = process.env.ADMIN_JWT_SECRET || process.env.JWT_SECRET || 'larama_admin_secret';
 
+/**
+ * Verifies an administrator token.
+ *
+ * Shared by the REST middleware and the Socket.IO admin watcher registration.
+ *
+ * @param {string} token - Administrator JWT
+ * @returns {Object} Decoded token payload
+ * @throws {Error} When the token is invalid or expired
+ */
+const verifyAdminToken = (token) =>
+  jwt.verify(token, ADMIN_JWT_SECRET, {
+    audience: 'larama-admin-panel',
+    subject: 'larama-admin-session',
+  });
+
 /**
  * Administrative Authentication Middleware
  *
@@ -35,10 +50,7 @@ const authenticateAdmin = (req, res, next) => {
   }
 
   try {
-    const decoded = jwt.verify(token, ADMIN_JWT_SECRET, {
-      audience: 'larama-admin-panel',
-      subject: 'larama-admin-session',
-    });
+    const decoded = verifyAdminToken(token);
 
     if (!decoded || decoded.role !== 'admin') {
       return res.status(403).json({
@@ -63,4 +75,5 @@ const authenticateAdmin = (req, res, next) => {
 
 module.exports = {
   authenticateAdmin,
+  verifyAdminToken,
 };
@@ -28,6 +28,26 @@
 
 const jwt = require('jsonwebtoken');    // JSON Web Token library for token verification
 const { pool } = require('../config/database'); // PostgreSQL database connection pool
+const {
+  CART_TOKEN_HEADER,
+  signCartToken,
+  verifyCartToken,
+  touchGuestCart
+} = require('../services/cartService'); // Guest cart tokens
+const { isVerificationRequired } = require('../services/emailVerificationService'); // Checkout verification setting
+
+/**
+ * Loads the user named by an access token together with whether the token's
+ * device session is still live (not revoked, not expired).
+ */
+const SESSION_USER_QUERY = `
+  SELECT u.id, u.name, u.email, u.email_verified_at, u.token_version,
+         EXISTS (
+           SELECT 1 FROM user_sessions s
+           WHERE s.id = $2 AND s.user_id = u.id AND s.revoked_at IS NULL AND s.expires_at > NOW()
+         ) AS session_active
+  FROM users u
+  WHERE u.id = $1`;
 
 /**
  * JWT Authentication Middleware (Required Authentication)
@@ -44,6 +64,8 @@ const { pool } = require('../config/database'); // PostgreSQL database connectio
  * 1. Extracts JWT token from Authorization header (Bearer token format)
  * 2. Verifies token signature and expiration using JWT_SECRET
  * 3. Validates that the user still exists in the database
+ * 3b. Rejects tokens whose device session was revoked or that were issued
+ *     before the user's last password reset (token_version)
  * 4. Populates req.user with current user information
  * 5. Calls next() to continue processing or returns authentication error
  * 
@@ -59,12 +81,14 @@ const { pool } = require('../config/database'); // PostgreSQL database connectio
  * - Fresh user data retrieval for session accuracy
  * 
  * Error Scenarios:
- * - 401 Unauthorized: No token provided or user not found
- * - 403 Forbidden: Invalid token signature or expired token
+ * - 401 Unauthorized: No token provided, user not found, or session revoked (logout, device revocation, password reset)
+ * - 403 Forbidden: Invalid token signature or expired token (`token_expired: true`,
+ *   so clients know to call POST /api/auth/refresh)
  * - 500 Internal Server Error: Database or system errors
  * 
  * Success Behavior:
- * - Populates req.user with {id, name, email} for controller access
+ * - Populates req.user with {id, name, email, email_verified_at} for controller access
+ * - Sets req.sessionId to the device session of the token
  * - Continues to next middleware/controller in the chain
  * - Enables user-specific operations and data access
  * 
@@ -108,8 +132,7 @@ const authenticateToken = async (req, res, next) => {
      * Validates that the user referenced in the token still exists in the database
      * This prevents access with tokens from deleted or disabled accounts
      */
-    const userQuery = 'SELECT id, name, email FROM users WHERE id = $1';
-    const result = await pool.query(userQuery, [decoded.userId]);
+    const result = await pool.query(SESSION_USER_QUERY, [decoded.userId, decoded.sessionId || null]);
     
     if (result.rows.length === 0) {
       return res.status(401).json({ 
@@ -118,12 +141,28 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
+    /**
+     * Session Check
+     * The token's device session must still be live (logout and device
+     * revocation end it), and a password reset bumps token_version so tokens
+     * carrying an older version are signed out
+     */
+    const { token_version: tokenVersion, session_active: sessionActive, ...user } = result.rows[0];
+
+    if (!sessionActive || (decoded.tokenVersion || 0) !== tokenVersion) {
+      return res.status(401).json({ 
+        success: false, 
+        message: 'Session expired, please log in again' 
+      });
+    }
+
     /**
      * User Context Population
      * Attaches authenticated user information to the request object
      * for access by subsequent middleware and controllers
      */
-    req.user = result.rows[0];
+    req.user = user;
+    req.sessionId = decoded.sessionId;
     next();
   } catch (error) {
     /**
@@ -139,7 +178,8 @@ const authenticateToken = async (req, res, next) => {
     if (error.name === 'TokenExpiredError') {
       return res.status(403).json({ 
         success: false, 
-        message: 'Token expired' 
+        message: 'Token expired',
+        token_expired: true
       });
     }
     
@@ -227,11 +267,14 @@ const optionalAuth = async (req, res, next) => {
        * Validates token and populates user context if successful
        */
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      const userQuery = 'SELECT id, name, email FROM users WHERE id = $1';
-      const result = await pool.query(userQuery, [decoded.userId]);
+      const result = await pool.query(SESSION_USER_QUERY, [decoded.userId, decoded.sessionId || null]);
       
       if (result.rows.length > 0) {
-        req.user = result.rows[0];
+        const { token_version: tokenVersion, session_active: sessionActive, ...user } = result.rows[0];
+        if (sessionActive && tokenVersion === (decoded.tokenVersion || 0)) {
+          req.user = user;
+          req.sessionId = decoded.sessionId;
+        }
       }
     }
     
@@ -250,7 +293,88 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
+/**
+ * Cart Owner Middleware (Customer or Guest)
+ * 
+ * Identifies whose cart a request works on. Requests with an Authorization
+ * header are authenticated exactly like authenticateToken, so a bad or expired
+ * JWT is still rejected. Requests without one are treated as guests: a valid
+ * X-Cart-Token header sets req.guestCartId, and anything else leaves it null
+ * so the guest starts with an empty cart.
+ * 
+ * Guest Cart Activity:
+ * - The request marks the guest cart as used, so it is not purged as abandoned
+ * - A fresh cart token is sent back in the X-Cart-Token response header; the
+ *   client stores it, so an active guest never reaches the token expiry
+ * 
+ * @param {Object} req - Express request object with Authorization or X-Cart-Token headers
+ * @param {Object} res - Express response object for sending authentication errors
+ * @param {Function} next - Express next function to continue processing
+ * 
+ * Request Context:
+ * - req.user: Authenticated customer, when a JWT was sent
+ * - req.guestCartId: Guest cart id from the cart token, or null when the
+ *   token is missing or invalid or its cart no longer exists
+ * 
+ * Role: Lets the cart endpoints serve signed-in customers and anonymous visitors
+ */
+const resolveCartOwner = async (req, res, next) => {
+  if (req.headers['authorization']) {
+    return authenticateToken(req, res, next);
+  }
+
+  req.guestCartId = null;
+  const guestCartId = verifyCartToken(req.headers[CART_TOKEN_HEADER]);
+
+  if (guestCartId) {
+    try {
+      if (await touchGuestCart(pool, guestCartId)) {
+        req.guestCartId = guestCartId;
+        res.set('X-Cart-Token', signCartToken(guestCartId));
+      }
+    } catch (error) {
+      console.error('Guest cart middleware error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Server error loading cart'
+      });
+    }
+  }
+
+  next();
+};
+
+/**
+ * Verified Email Middleware
+ * 
+ * Blocks customers who have not verified their email when
+ * REQUIRE_EMAIL_VERIFICATION=true; otherwise lets every request through.
+ * Must run after authenticateToken.
+ * 
+ * @param {Object} req - Express request object with req.user
+ * @param {Object} res - Express response object for sending the 403
+ * @param {Function} next - Express next function to continue processing
+ * 
+ * Error Scenarios:
+ * - 403 Forbidden: Email not verified; the body has `email_verification_required: true`
+ * 
+ * Role: Keeps unverified accounts from placing orders
+ */
+const requireVerifiedEmail = (req, res, next) => {
+  if (isVerificationRequired() && !req.user.email_verified_at) {
+    return res.status(403).json({
+      success: false,
+      message: 'Please verify your email address before placing an order.',
+      email_verification_required: true
+    });
+  }
+
+  next();
+};
+
 module.exports = {
   authenticateToken,
-  optionalAuth
+  optionalAuth,
+  resolveCartOwner,
+  requireVerifiedEmail
 };
\ No newline at end of file
@@ -0,0 +1,68 @@
+/**
+ * @fileoverview Rate Limiting Middleware for LaRama E-commerce Platform
+ *
+ * Throttles public endpoints that could otherwise be scripted, such as order
+ * tracking, where sequential order references leave the customer's email as
+ * the only secret.
+ *
+ * Limiter Rules:
+ * - Requests are counted per client IP in a fixed window
+ * - Once the limit is reached the client gets 429 with a Retry-After header
+ *   until the window ends
+ * - Counters live in memory, so they reset on restart and are per process
+ *
+ * @author Mohamad Abou Naasse
+ * @course University of Balamand - Advances in Computer Science
+ * @project LaRama Handcrafted Products E-commerce Platform
+ * @business LaRama Handcrafted (Owner: Rama)
+ */
+
+/**
+ * Rate Limiter Middleware Factory
+ *
+ * @param {Object} options
+ * @param {number} options.windowMinutes - Length of the counting window, in minutes
+ * @param {number} options.max - Requests allowed per IP in a window
+ * @param {string} options.message - Message sent with the 429 response
+ * @returns {Function} Express middleware function
+ */
+const createRateLimiter = ({ windowMinutes, max, message }) => {
+  const windowMs = windowMinutes * 60 * 1000;
+  const clients = new Map(); // IP -> { count, resetAt }
+
+  // Forget finished windows so the map does not grow with every visitor
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [ip, entry] of clients) {
+      if (entry.resetAt <= now) clients.delete(ip);
+    }
+  }, windowMs);
+  sweep.unref();
+
+  return (req, res, next) => {
+    const now = Date.now();
+    const ip = req.ip || 'unknown';
+    let entry = clients.get(ip);
+
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      clients.set(ip, entry);
+    }
+
+    entry.count += 1;
+
+    if (entry.count > max) {
+      res.set('Retry-After', String(Math.ceil((entry.resetAt - now) / 1000)));
+      return res.status(429).json({
+        success: false,
+        message
+      });
+    }
+
+    next();
+  };
+};
+
+module.exports = {
+  createRateLimiter
+};
@@ -26,6 +26,8 @@
  * @business LaRama Handcrafted (Owner: Rama)
  */
 
+const { patterns } = require('../utils/patterns'); // Shared regular expressions
+
 /**
  * Request Validation Middleware Factory
  * 
@@ -175,29 +177,6 @@ const validateRequest = (validationRules) => {
   };
 };
 
-/**
- * Common Validation Patterns
- * 
- * Pre-defined regular expression patterns for common data format validation.
- * These patterns ensure consistent validation across the application for
- * frequently used data formats like emails and UUIDs.
- */
-const patterns = {
-  /**
-   * Email Address Pattern
-   * Validates email format ensuring proper structure with @ symbol and domain
-   * Used for user registration, login, and newsletter subscriptions
-   */
-  email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
-  
-  /**
-   * UUID Pattern (Version 1-5)
-   * Validates UUID format for database identifiers and product IDs
-   * Ensures proper UUID structure with correct versioning and variant bits
-   */
-  uuid: /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i
-};
-
 /**
  * Pre-defined Validation Rules Sets
  * 
@@ -233,6 +212,75 @@ const validationRules = {
     { field: 'email', required: true, type: 'string', pattern: patterns.email },
     { field: 'password', required: true, type: 'string' }
   ],
+
+  /**
+   * Profile Update Validation Rules
+   * 
+   * Validation Requirements:
+   * - name: Optional new name, 2-100 characters
+   * - email: Optional new email address
+   * - current_password: Optional here; the controller requires it when the email changes
+   */
+  updateProfile: [
+    { field: 'name', required: false, type: 'string', minLength: 2, maxLength: 100 },
+    { field: 'email', required: false, type: 'string', pattern: patterns.email },
+    { field: 'current_password', required: false, type: 'string' }
+  ],
+
+  /**
+   * Password Change Validation Rules
+   * 
+   * Validation Requirements:
+   * - current_password: Required current password
+   * - new_password: Required new password, 6-50 characters
+   */
+  changePassword: [
+    { field: 'current_password', required: true, type: 'string' },
+    { field: 'new_password', required: true, type: 'string', minLength: 6, maxLength: 50 }
+  ],
+
+  /**
+   * Account Deletion Validation Rules
+   * 
+   * Validation Requirements:
+   * - password: Required current password confirming the deletion
+   */
+  deleteAccount: [
+    { field: 'password', required: true, type: 'string' }
+  ],
+
+  /**
+   * Refresh Token Validation Rules
+   * Used by session refresh and logout
+   * 
+   * Validation Requirements:
+   * - refresh_token: Required 64-character hex refresh token
+   */
+  refreshToken: [
+    { field: 'refresh_token', required: true, type: 'string', pattern: patterns.opaqueToken }
+  ],
+
+  /**
+   * Forgot Password Validation Rules
+   * 
+   * Validation Requirements:
+   * - email: Required valid email of the account to reset
+   */
+  forgotPassword: [
+    { field: 'email', required: true, type: 'string', pattern: patterns.email }
+  ],
+
+  /**
+   * Reset Password Validation Rules
+   * 
+   * Validation Requirements:
+   * - token: Required 64-character hex reset token from the email link
+   * - password: Required new password, same length limits as registration
+   */
+  resetPassword: [
+    { field: 'token', required: true, type: 'string', pattern: patterns.opaqueToken },
+    { field: 'password', required: true, type: 'string', minLength: 6, maxLength: 50 }
+  ],
   
   /**
    * Add to Cart Validation Rules
@@ -249,13 +297,28 @@ const validationRules = {
   
   /**
    * Update Cart Item Validation Rules
-   * Validates cart item quantity updates
+   * Validates cart item quantity, save-for-later and note updates
    * 
    * Validation Requirements:
-   * - quantity: Required number, 1-100 items for practical cart management
+   * - quantity: Optional number, 1-100 items for practical cart management
+   * - saved_for_later: Optional boolean moving the item out of or back into the cart
+   * - note: Optional item note, up to 300 characters; empty or null clears it
    */
   updateCartItem: [
-    { field: 'quantity', required: true, type: 'number', min: 1, max: 100 }
+    { field: 'quantity', required: false, type: 'number', min: 1, max: 100 },
+    { field: 'saved_for_later', required: false, type: 'boolean' },
+    { field: 'note', required: false, type: 'string', maxLength: 300 }
+  ],
+  
+  /**
+   * Apply Discount Code Validation Rules
+   * Validates the code typed on the cart page
+   * 
+   * Validation Requirements:
+   * - code: Required string, up to 40 characters (matched case-insensitively)
+   */
+  applyDiscountCode: [
+    { field: 'code', required: true, type: 'string', maxLength: 40 }
   ],
   
   /**
@@ -263,10 +326,131 @@ const validationRules = {
    * Validates order creation data including shipping information
    * 
    * Validation Requirements:
-   * - shipping_address: Required string, 10-500 characters for complete address
+   * - address_id: Saved address to ship to (UUID); or, without it:
+   * - shipping_address: String, 10-500 characters for complete address
+   * - shipping_country: Two-letter ISO country code for shipping pricing
+   * - shipping_method: Optional shipping rate code, up to 50 characters
+   * - order_notes: Optional delivery or crafting instructions, up to 500 characters
+   * - gift_message: Optional gift card text, up to 300 characters
+   * The controller requires either address_id or both free-text fields.
    */
   createOrder: [
-    { field: 'shipping_address', required: true, type: 'string', minLength: 10, maxLength: 500 }
+    { field: 'address_id', required: false, type: 'string', pattern: patterns.uuid },
+    { field: 'shipping_address', required: false, type: 'string', minLength: 10, maxLength: 500 },
+    { field: 'shipping_country', required: false, type: 'string', pattern: patterns.countryCode },
+    { field: 'shipping_method', required: false, type: 'string', maxLength: 50 },
+    { field: 'order_notes', required: false, type: 'string', maxLength: 500 },
+    { field: 'gift_message', required: false, type: 'string', maxLength: 300 }
+  ],
+  
+  /**
+   * Address Book Validation Rules
+   * Validates saved shipping addresses (create and full update)
+   * 
+   * Validation Requirements:
+   * - recipient_name: Required string, 2-100 characters
+   * - phone: Required phone number the courier can call
+   * - country: Required two-letter ISO country code
+   * - city: Required string, up to 100 characters
+   * - street: Required string, up to 255 characters
+   * - label, region, building: Optional short strings
+   * - notes: Optional delivery notes, up to 500 characters
+   * - is_default: Optional boolean
+   */
+  address: [
+    { field: 'label', required: false, type: 'string', maxLength: 50 },
+    { field: 'recipient_name', required: true, type: 'string', minLength: 2, maxLength: 100 },
+    { field: 'phone', required: true, type: 'string', pattern: patterns.phone },
+    { field: 'country', required: true, type: 'string', pattern: patterns.countryCode },
+    { field: 'city', required: true, type: 'string', maxLength: 100 },
+    { field: 'region', required: false, type: 'string', maxLength: 100 },
+    { field: 'street', required: true, type: 'string', maxLength: 255 },
+    { field: 'building', required: false, type: 'string', maxLength: 100 },
+    { field: 'notes', required: false, type: 'string', maxLength: 500 },
+    { field: 'is_default', required: false, type: 'boolean' }
+  ],
+  
+  /**
+   * Order Status Update Validation Rules
+   * Validates administrative order status transitions
+   * 
+   * Validation Requirements:
+   * - status: Required string matching one of the order statuses
+   * - note: Optional string, up to 500 characters, stored in the order history
+   */
+  updateOrderStatus: [
+    { field: 'status', required: true, type: 'string', pattern: patterns.orderStatus },
+    { field: 'note', required: false, type: 'string', maxLength: 500 }
+  ],
+  
+  /**
+   * Order Cancellation Validation Rules
+   * Validates customer self-service cancellation requests
+   * 
+   * Validation Requirements:
+   * - reason: Required string, 3-500 characters, stored in the order history
+   */
+  cancelOrder: [
+    { field: 'reason', required: true, type: 'string', minLength: 3, maxLength: 500 }
+  ],
+  
+  /**
+   * Public Order Tracking Validation Rules
+   * Validates guest order lookups from the Shipping page
+   * 
+   * Validation Requirements:
+   * - reference: Required order reference in LRM-ORD-000123 format
+   * - email: Required valid email that must match the order's account
+   */
+  trackOrder: [
+    { field: 'reference', required: true, type: 'string', pattern: patterns.orderReference },
+    { field: 'email', required: true, type: 'string', pattern: patterns.email }
+  ],
+  
+  /**
+   * WhatsApp Quote Link Validation Rules
+   * Validates custom quote requests from the Customize page
+   * 
+   * Validation Requirements:
+   * - category: Required string, up to 100 characters
+   * - estimated_price: Optional string, up to 50 characters
+   * - specifications: Checked by the controller (object of label/value pairs)
+   */
+  quoteLink: [
+    { field: 'category', required: true, type: 'string', maxLength: 100 },
+    { field: 'estimated_price', required: false, type: 'string', maxLength: 50 }
+  ],
+  
+  /**
+   * WhatsApp Settings Validation Rules
+   * Validates administrator changes to the business number and templates
+   * 
+   * Validation Requirements:
+   * - business_number: Optional international number, digits only (8-15 digits)
+   * - templates: Checked by the controller (object of template name to body)
+   */
+  whatsappSettings: [
+    { field: 'business_number', required: false, type: 'string', pattern: patterns.whatsappNumber }
+  ],
+  
+  /**
+   * Promotion Validation Rules
+   * Validates administrator promotions (create and full update)
+   * 
+   * Validation Requirements:
+   * - name: Required string, 2-120 characters, shown on discounted cart lines
+   * - description: Optional string, up to 255 characters
+   * - promotion_type: Required buy_x_get_y, category_percentage or bundle_price
+   * - category: Optional string, up to 100 characters
+   * - is_active: Optional boolean
+   * - Type-specific amounts, dates and products: Checked by services/promotionService.js
+   */
+  promotion: [
+    { field: 'name', required: true, type: 'string', minLength: 2, maxLength: 120 },
+    { field: 'description', required: false, type: 'string', maxLength: 255 },
+    { field: 'promotion_type', required: true, type: 'string', pattern: patterns.promotionType },
+    { field: 'category', required: false, type: 'string', maxLength: 100 },
+    { field: 'is_active', required: false, type: 'boolean' }
   ],
   
   /**
@@ -278,6 +462,36 @@ const validationRules = {
    */
   newsletter: [
     { field: 'email', required: true, type: 'string', pattern: patterns.email }
+  ],
+  
+  /**
+   * Back-in-Stock Subscription Validation Rules
+   * 
+   * Validation Requirements:
+   * - email: Optional valid email; required by the controller for guests
+   */
+  restockSubscription: [
+    { field: 'email', required: false, type: 'string', pattern: patterns.email, maxLength: 255 }
+  ],
+
+  /**
+   * Wishlist Item Validation Rules
+   * 
+   * Validation Requirements:
+   * - product_id: Required UUID of the product to save
+   */
+  wishlistItem: [
+    { field: 'product_id', required: true, type: 'string', pattern: patterns.uuid }
+  ],
+
+  /**
+   * Wishlist Move-to-Cart Validation Rules
+   * 
+   * Validation Requirements:
+   * - quantity: Optional number, 1-100 items (defaults to 1)
+   */
+  moveWishlistItemToCart: [
+    { field: 'quantity', required: false, type: 'number', min: 1, max: 100 }
   ]
 };
 
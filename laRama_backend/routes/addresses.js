@@ -0,0 +1,119 @@
+/**
+ * @fileoverview Address Book Routes for LaRama E-commerce Platform
+ *
+ * This module defines the endpoints customers use to manage their saved
+ * shipping addresses. Checkout sends the chosen address as `address_id` to
+ * `POST /api/orders`, which copies it onto the order.
+ *
+ * Authentication Requirements:
+ * - All address routes require valid JWT authentication tokens
+ * - Customers can only see and change their own addresses
+ *
+ * API Endpoints:
+ * - GET /api/addresses - List saved addresses (default first)
+ * - POST /api/addresses - Save a new address
+ * - PUT /api/addresses/:address_id - Replace an address
+ * - POST /api/addresses/:address_id/default - Make an address the default
+ * - DELETE /api/addresses/:address_id - Remove an address
+ *
+ * @author Mohamad Abou Naasse
+ * @course University of Balamand - Advances in Computer Science
+ * @project LaRama Handcrafted Products E-commerce Platform
+ * @business LaRama Handcrafted (Owner: Rama)
+ */
+
+const express = require('express');                           // Express framework for routing
+const { authenticateToken } = require('../middleware/auth'); // JWT authentication middleware
+const { validateRequest, validationRules } = require('../middleware/validation'); // Input validation middleware
+const {
+  getAddresses,
+  createAddress,
+  updateAddress,
+  setDefaultAddress,
+  deleteAddress
+} = require('../controllers/addressController');             // Address book controller functions
+
+const router = express.Router();
+
+/**
+ * Authentication Middleware Application
+ * Every address book endpoint belongs to the signed-in customer
+ */
+router.use(authenticateToken);
+
+/**
+ * @route GET /api/addresses
+ * @description Get Saved Addresses
+ *
+ * Returns the customer's addresses with the default first.
+ *
+ * Authentication: Required (JWT token)
+ *
+ * Role: Address book page and checkout address picker
+ */
+router.get('/', getAddresses);
+
+/**
+ * @route POST /api/addresses
+ * @description Save Address
+ *
+ * Adds an address; the first one saved becomes the default.
+ *
+ * Authentication: Required (JWT token)
+ *
+ * Middleware Stack:
+ * 1. authenticateToken - Validates user authentication
+ * 2. validateRequest(validationRules.address) - Validates address fields
+ * 3. createAddress - Controller function that saves the address
+ *
+ * Request Body Requirements:
+ * - recipient_name, phone, country (ISO alpha-2), city, street
+ * - label, region, building, notes, is_default (optional)
+ *
+ * Role: "Add address" in the address book
+ */
+router.post('/', validateRequest(validationRules.address), createAddress);
+
+/**
+ * @route PUT /api/addresses/:address_id
+ * @description Update Address
+ *
+ * Replaces every field of an address; is_default=true also makes it the default.
+ *
+ * Authentication: Required (JWT token)
+ *
+ * Middleware Stack:
+ * 1. authenticateToken - Validates user authentication
+ * 2. validateRequest(validationRules.address) - Validates address fields
+ * 3. updateAddress - Controller function that saves the changes
+ *
+ * Role: "Edit" in the address book
+ */
+router.put('/:address_id', validateRequest(validationRules.address), updateAddress);
+
+/**
+ * @route POST /api/addresses/:address_id/default
+ * @description Set Default Address
+ *
+ * Moves the default flag to this address.
+ *
+ * Authentication: Required (JWT token)
+ *
+ * Role: "Make default" in the address book
+ */
+router.post('/:address_id/default', setDefaultAddress);
+
+/**
+ * @route DELETE /api/addresses/:address_id
+ * @description Delete Address
+ *
+ * Removes an address; past orders keep their own copy. Removing the default
+ * promotes the most recently added remaining address.
+ *
+ * Authentication: Required (JWT token)
+ *
+ * Role: "Remove" in the address book
+ */
+router.delete('/:address_id', deleteAddress);
+
+module.exports = router;
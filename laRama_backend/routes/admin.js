@@ -1,15 +1,33 @@
 /**
  * @fileoverview Administrative API Routes for LaRama Platform
  *
- * Defines the foundational administrative API endpoints providing authentication
- * capabilities for the LaRama admin panel. Endpoints currently include login
- * and session verification with placeholder data responses, ready to be expanded
- * with full administrative functionality in future iterations.
+ * Defines the administrative API endpoints for the LaRama admin panel: login,
+ * session verification, order fulfilment management, WhatsApp settings and promotions. All endpoints other
+ * than login require an administrator JWT issued by `POST /api/admin/login`.
  */
 
 const express = require('express');
 const { loginAdmin, verifyAdminSession } = require('../controllers/adminController');
+const {
+  listOrders,
+  getOrderDetails,
+  updateOrderStatus,
+  bulkUpdateOrderStatus,
+  getOrderWhatsAppMessage,
+} = require('../controllers/adminOrderController');
+const {
+  getWhatsAppSettings,
+  updateWhatsAppSettings,
+  resetWhatsAppTemplate,
+} = require('../controllers/adminWhatsappController');
+const {
+  getPromotions,
+  createPromotion,
+  updatePromotion,
+  deletePromotion,
+} = require('../controllers/adminPromotionController');
 const { authenticateAdmin } = require('../middleware/adminAuth');
+const { validateRequest, validationRules } = require('../middleware/validation');
 
 const router = express.Router();
 
@@ -25,4 +43,101 @@ router.post('/login', loginAdmin);
  */
 router.get('/verify', authenticateAdmin, verifyAdminSession);
 
+/**
+ * @route GET /api/admin/orders
+ * @description Lists every order with optional `status`, `from`, `to`, `customer`, `search`, `page` and `limit` filters.
+ */
+router.get('/orders', authenticateAdmin, listOrders);
+
+/**
+ * @route POST /api/admin/orders/bulk-status
+ * @description Applies one status transition to several orders and reports per-order results.
+ */
+router.post(
+  '/orders/bulk-status',
+  authenticateAdmin,
+  validateRequest(validationRules.updateOrderStatus),
+  bulkUpdateOrderStatus,
+);
+
+/**
+ * @route GET /api/admin/orders/:order_id
+ * @description Retrieves any order with customer details, items, status history and allowed next statuses.
+ */
+router.get('/orders/:order_id', authenticateAdmin, getOrderDetails);
+
+/**
+ * @route PUT /api/admin/orders/:order_id/status
+ * @description Moves an order through the fulfilment state machine and records the transition.
+ */
+router.put(
+  '/orders/:order_id/status',
+  authenticateAdmin,
+  validateRequest(validationRules.updateOrderStatus),
+  updateOrderStatus,
+);
+
+/**
+ * @route GET /api/admin/orders/:order_id/whatsapp-message
+ * @description Renders the WhatsApp status-update message for an order (optional `note` query).
+ */
+router.get('/orders/:order_id/whatsapp-message', authenticateAdmin, getOrderWhatsAppMessage);
+
+/**
+ * @route GET /api/admin/whatsapp
+ * @description Returns the WhatsApp Business number and message templates with their placeholders.
+ */
+router.get('/whatsapp', authenticateAdmin, getWhatsAppSettings);
+
+/**
+ * @route PUT /api/admin/whatsapp
+ * @description Updates the WhatsApp Business number and/or message templates.
+ */
+router.put(
+  '/whatsapp',
+  authenticateAdmin,
+  validateRequest(validationRules.whatsappSettings),
+  updateWhatsAppSettings,
+);
+
+/**
+ * @route DELETE /api/admin/whatsapp/templates/:name
+ * @description Resets a message template to its built-in default.
+ */
+router.delete('/whatsapp/templates/:name', authenticateAdmin, resetWhatsAppTemplate);
+
+/**
+ * @route GET /api/admin/promotions
+ * @description Lists every automatic promotion, newest first, with its products.
+ */
+router.get('/promotions', authenticateAdmin, getPromotions);
+
+/**
+ * @route POST /api/admin/promotions
+ * @description Creates a buy X get Y, category percentage or bundle price promotion.
+ */
+router.post(
+  '/promotions',
+  authenticateAdmin,
+  validateRequest(validationRules.promotion),
+  createPromotion,
+);
+
+/**
+ * @route PUT /api/admin/promotions/:promotion_id
+ * @description Replaces a promotion, including its products.
+ */
+router.put(
+  '/promotions/:promotion_id',
+  authenticateAdmin,
+  validateRequest(validationRules.promotion),
+  updatePromotion,
+);
+
+/**
+ * @route DELETE /api/admin/promotions/:promotion_id
+ * @description Deletes a promotion; past orders keep their promotion lines.
+ */
+router.delete('/promotions/:promotion_id', authenticateAdmin, deletePromotion);
+
 module.exports = router;
@@ -6,8 +6,10 @@
  * system with proper middleware integration for validation and security.
  * 
  * Route Organization:
- * - Public routes: Registration and login (no authentication required)
- * - Protected routes: Profile access and token verification (authentication required)
+ * - Public routes: Registration, login, session refresh/logout, password reset and email verification
+ *   (no access token required)
+ * - Protected routes: Profile, password and account management, token verification and
+ *   signed-in devices (authentication required)
  * - Middleware integration: Input validation and JWT authentication
  * 
  * Security Features:
@@ -19,7 +21,19 @@
  * API Endpoints:
  * - POST /api/auth/register - User registration with validation
  * - POST /api/auth/login - User authentication and token generation
+ * - POST /api/auth/refresh - Trade a refresh token for new access and refresh tokens
+ * - POST /api/auth/logout - Revoke the session of a refresh token
+ * - POST /api/auth/forgot-password - Email a single-use password reset link
+ * - POST /api/auth/reset-password - Set a new password with a reset token
+ * - GET /api/auth/verify-email - Confirm an email with the emailed token
+ * - POST /api/auth/resend-verification - Email a new verification link (throttled)
+ * - GET /api/auth/sessions - List signed-in devices
+ * - DELETE /api/auth/sessions - Sign out every other device
+ * - DELETE /api/auth/sessions/:session_id - Sign out one device
  * - GET /api/auth/profile - Retrieve authenticated user profile
+ * - PUT /api/auth/profile - Change name or email (a new email is re-verified)
+ * - PUT /api/auth/password - Change password and sign out other devices
+ * - DELETE /api/auth/account - Anonymise the account, keeping its orders
  * - GET /api/auth/verify-token - Validate JWT token and return user data
  * 
  * @author Mohamad Abou Naasse
@@ -35,7 +49,19 @@ const {
   register,
   login,
   getProfile,
-  verifyToken
+  verifyToken,
+  updateProfile,
+  changePassword,
+  deleteAccount,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
+  refreshSession,
+  logout,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions
 } = require('../controllers/authController');               // Authentication controller functions
 
 const router = express.Router();
@@ -61,6 +87,7 @@ const router = express.Router();
  * - name: User's full name (string, required, trimmed)
  * - email: Valid email address (string, required, unique, normalized)
  * - password: Secure password (string, required, minimum length requirements)
+ * - cart_token: Guest cart token to merge (optional, or X-Cart-Token header)
  * 
  * Security Features:
  * - Email uniqueness validation to prevent duplicate accounts
@@ -71,6 +98,7 @@ const router = express.Router();
  * Response Data:
  * - User profile information (excluding sensitive data)
  * - JWT authentication token for API access
+ * - cart_merge: Merged and stock-limited guest cart items (null without a guest cart)
  * - Success confirmation and user account details
  * 
  * Role: Enables secure user account creation with immediate shopping capabilities
@@ -91,6 +119,7 @@ router.post('/register', validateRequest(validationRules.register), register);
  * Request Requirements:
  * - email: User's registered email address (string, required)
  * - password: User's account password (string, required)
+ * - cart_token: Guest cart token to merge (optional, or X-Cart-Token header)
  * 
  * Authentication Process:
  * - Email normalization and user lookup in database
@@ -101,6 +130,7 @@ router.post('/register', validateRequest(validationRules.register), register);
  * Response Data:
  * - User profile information for session establishment
  * - JWT authentication token with configurable expiration
+ * - cart_merge: Merged and stock-limited guest cart items (null without a guest cart)
  * - Success confirmation and authentication details
  * 
  * Security Measures:
@@ -112,6 +142,79 @@ router.post('/register', validateRequest(validationRules.register), register);
  */
 router.post('/login', validateRequest(validationRules.login), login);
 
+/**
+ * @route POST /api/auth/refresh
+ * @description Session Refresh Endpoint
+ * 
+ * Trades a refresh token for a new access token and refresh token. Each refresh
+ * token works once; replaying a used one revokes the whole session (401), except
+ * within a few seconds of rotation, when a concurrent tab gets 409 instead.
+ * 
+ * Request Requirements:
+ * - refresh_token: Refresh token from login, registration or the last refresh (string, required)
+ * 
+ * Role: Keeps customers signed in while access tokens stay short-lived
+ */
+router.post('/refresh', validateRequest(validationRules.refreshToken), refreshSession);
+
+/**
+ * @route POST /api/auth/logout
+ * @description Logout Endpoint
+ * 
+ * Revokes the session of the given refresh token so its access token stops
+ * working at once. Does not need a valid access token.
+ * 
+ * Request Requirements:
+ * - refresh_token: The device's refresh token (string, required)
+ * 
+ * Role: Server-side sign out for the current device
+ */
+router.post('/logout', validateRequest(validationRules.refreshToken), logout);
+
+/**
+ * @route POST /api/auth/forgot-password
+ * @description Password Reset Request Endpoint
+ * 
+ * Emails a reset link to the account with the given email. Always answers with
+ * the same success message so registered emails cannot be discovered; repeat
+ * requests within a minute do not send another email.
+ * 
+ * Request Requirements:
+ * - email: Account email address (string, required)
+ * 
+ * Role: Lets customers who forgot their password regain access
+ */
+router.post('/forgot-password', validateRequest(validationRules.forgotPassword), forgotPassword);
+
+/**
+ * @route POST /api/auth/reset-password
+ * @description Password Reset Confirmation Endpoint
+ * 
+ * Sets a new password with the token from a reset email. Tokens are single-use
+ * and expire; a successful reset signs the customer out everywhere.
+ * 
+ * Request Requirements:
+ * - token: Reset token from the emailed link (string, required)
+ * - password: New password (string, required, 6-50 characters)
+ * 
+ * Role: Completes the password reset flow
+ */
+router.post('/reset-password', validateRequest(validationRules.resetPassword), resetPassword);
+
+/**
+ * @route GET /api/auth/verify-email
+ * @description Email Verification Endpoint
+ * 
+ * Confirms the customer's email with the token from the verification link.
+ * Works without signing in; a token only counts for the email it was sent to.
+ * 
+ * Query Parameters:
+ * - token: Verification token from the emailed link (required)
+ * 
+ * Role: Marks registered emails as verified
+ */
+router.get('/verify-email', verifyEmail);
+
 /**
  * Protected Authentication Routes
  * These endpoints require valid JWT authentication tokens for access
@@ -149,6 +252,51 @@ router.post('/login', validateRequest(validationRules.login), login);
  */
 router.get('/profile', authenticateToken, getProfile);
 
+/**
+ * @route PUT /api/auth/profile
+ * @description Profile Update Endpoint
+ * 
+ * Changes the customer's name and/or email. Changing the email needs the
+ * current password, clears email verification and emails a new link.
+ * 
+ * Request Requirements:
+ * - name: New name (string, optional, 2-100 characters)
+ * - email: New email address (string, optional, unique)
+ * - current_password: Current password (string, required when the email changes)
+ * 
+ * Role: Keeps customer contact details current
+ */
+router.put('/profile', authenticateToken, validateRequest(validationRules.updateProfile), updateProfile);
+
+/**
+ * @route PUT /api/auth/password
+ * @description Password Change Endpoint
+ * 
+ * Sets a new password after checking the current one and signs out every
+ * other device.
+ * 
+ * Request Requirements:
+ * - current_password: Current password (string, required)
+ * - new_password: New password (string, required, 6-50 characters)
+ * 
+ * Role: Lets signed-in customers change their password
+ */
+router.put('/password', authenticateToken, validateRequest(validationRules.changePassword), changePassword);
+
+/**
+ * @route DELETE /api/auth/account
+ * @description Account Deletion Endpoint
+ * 
+ * Anonymises the customer and deletes their personal data and sessions while
+ * keeping their orders. Refused (409) while an order is pending, processing or shipped.
+ * 
+ * Request Requirements:
+ * - password: Current password confirming the deletion (string, required)
+ * 
+ * Role: Lets customers close their account
+ */
+router.delete('/account', authenticateToken, validateRequest(validationRules.deleteAccount), deleteAccount);
+
 /**
  * @route GET /api/auth/verify-token
  * @description JWT Token Verification Endpoint
@@ -186,4 +334,46 @@ router.get('/profile', authenticateToken, getProfile);
  */
 router.get('/verify-token', authenticateToken, verifyToken);
 
+/**
+ * @route POST /api/auth/resend-verification
+ * @description Resend Verification Email Endpoint
+ * 
+ * Emails the signed-in customer a new verification link. Allowed once a minute
+ * and five times a day (429 otherwise); 409 when the email is already verified.
+ * 
+ * Role: Recovers lost or expired verification emails
+ */
+router.post('/resend-verification', authenticateToken, resendVerification);
+
+/**
+ * @route GET /api/auth/sessions
+ * @description Signed-In Devices Endpoint
+ * 
+ * Lists the customer's live sessions with device name, IP address and last use;
+ * the session making the request is flagged `current`.
+ * 
+ * Role: Shows customers where their account is signed in
+ */
+router.get('/sessions', authenticateToken, getSessions);
+
+/**
+ * @route DELETE /api/auth/sessions
+ * @description Sign Out Other Devices Endpoint
+ * 
+ * Revokes every session of the customer except the current one.
+ * 
+ * Role: Ends sessions on lost or shared devices in one step
+ */
+router.delete('/sessions', authenticateToken, revokeOtherSessions);
+
+/**
+ * @route DELETE /api/auth/sessions/:session_id
+ * @description Sign Out Device Endpoint
+ * 
+ * Revokes one of the customer's sessions; its access token stops working at once.
+ * 
+ * Role: Removes a single signed-in device
+ */
+router.delete('/sessions/:session_id', authenticateToken, revokeSession);
+
 module.exports = router;
\ No newline at end of file
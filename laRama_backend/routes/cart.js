@@ -3,28 +3,33 @@
  * 
  * This module defines all shopping cart-related API endpoints for managing user cart
  * operations including viewing cart contents, adding items, updating quantities,
- * removing items, and clearing the cart. All routes require user authentication
- * to ensure cart operations are performed on behalf of authenticated users.
+ * removing items, and clearing the cart. Cart routes serve both signed-in customers
+ * and guests, so visitors can fill a cart before creating an account.
  * 
  * Authentication Requirements:
- * - All cart routes require valid JWT authentication tokens
- * - User authentication middleware applied to entire router
- * - Cart operations are user-specific and secured
+ * - Cart routes accept a JWT (customer cart) or an X-Cart-Token header (guest cart)
+ * - An invalid JWT is still rejected; a missing or invalid cart token means an empty guest cart
+ * - Checkout reservation routes require a JWT
  * 
  * Cart Management Features:
  * - Complete cart content retrieval with product details
  * - Secure item addition with stock validation and transaction safety
  * - Quantity updates with inventory checking
+ * - Save-for-later and per-item notes for Rama
  * - Individual item removal and complete cart clearing
  * - Comprehensive validation for all cart operations
  * 
  * API Endpoints:
  * - GET /api/cart - Retrieve user's complete shopping cart
  * - POST /api/cart/add - Add products to shopping cart with validation
- * - PUT /api/cart/items/:cart_item_id - Update cart item quantities
+ * - PUT /api/cart/items/:cart_item_id - Update cart item quantities, save-for-later and notes
  * - DELETE /api/cart/items/:cart_item_id - Remove individual cart items
  * - DELETE /api/cart/clear - Clear entire shopping cart
  * - DELETE /api/cart - Alternative cart clearing endpoint for frontend compatibility
+ * - POST /api/cart/discount - Apply a discount code to the cart
+ * - DELETE /api/cart/discount - Remove the applied discount code
+ * - POST /api/cart/reservation - Hold cart quantities while the customer checks out
+ * - DELETE /api/cart/reservation - Release the checkout hold
  * 
  * @author Mohamad Abou Naasse
  * @course University of Balamand - Advances in Computer Science
@@ -33,24 +38,64 @@
  */
 
 const express = require('express');                           // Express framework for routing
-const { authenticateToken } = require('../middleware/auth'); // JWT authentication middleware
+const { authenticateToken, resolveCartOwner } = require('../middleware/auth'); // JWT and guest cart middleware
 const { validateRequest, validationRules } = require('../middleware/validation'); // Input validation middleware
 const {
   getCart,
   addToCart,
   updateCartItem,
   removeFromCart,
-  clearCart
+  clearCart,
+  applyDiscountCode,
+  removeDiscountCode,
+  startCheckoutReservation,
+  releaseCheckoutReservation
 } = require('../controllers/cartController');               // Shopping cart controller functions
 
 const router = express.Router();
 
 /**
- * Global Authentication Middleware
- * All cart routes require user authentication to ensure cart operations
- * are performed securely on behalf of authenticated users only
+ * @route POST /api/cart/reservation
+ * @description Start Checkout Reservation
+ * 
+ * Holds every cart quantity for a short time (15 minutes by default,
+ * STOCK_RESERVATION_MINUTES) so the units cannot be bought by other customers
+ * while this customer completes checkout. Calling it again restarts the hold.
+ * 
+ * Authentication: Required (JWT token)
+ * 
+ * Response Data Structure:
+ * - reservation.expires_at: When the hold ends
+ * - reservation.items: Reserved product_id and quantity pairs
+ * 
+ * Error Scenarios:
+ * - 400 if the cart is empty
+ * - 409 with stock_issues when items exceed available stock; nothing is held
+ * 
+ * Role: Called by the checkout page when it opens
+ */
+router.post('/reservation', authenticateToken, startCheckoutReservation);
+
+/**
+ * @route DELETE /api/cart/reservation
+ * @description Release Checkout Reservation
+ * 
+ * Ends the customer's checkout hold early. Placing an order releases it too,
+ * and it expires on its own otherwise.
+ * 
+ * Authentication: Required (JWT token)
+ * 
+ * Role: Called when the customer leaves checkout without ordering
  */
-router.use(authenticateToken);
+router.delete('/reservation', authenticateToken, releaseCheckoutReservation);
+
+/**
+ * Cart Owner Middleware
+ * The remaining routes work on the signed-in customer's cart or, without a JWT,
+ * on the guest cart named by the X-Cart-Token header. Registered after the
+ * reservation routes so those stay customer-only.
+ */
+router.use(resolveCartOwner);
 
 /**
  * @route GET /api/cart
@@ -60,10 +105,10 @@ router.use(authenticateToken);
  * cart items with detailed product information and calculated totals. This endpoint
  * provides all necessary data for cart display and checkout preparation.
  * 
- * Authentication: Required (JWT token)
+ * Authentication: JWT token or guest X-Cart-Token
  * 
  * Middleware Stack:
- * 1. authenticateToken - Validates JWT token and populates req.user
+ * 1. resolveCartOwner - Populates req.user or req.guestCartId
  * 2. getCart - Controller function that retrieves complete cart information
  * 
  * Cart Information Provided:
@@ -75,8 +120,10 @@ router.use(authenticateToken);
  * 
  * Response Data Structure:
  * - cart.items: Array of cart items with embedded product information
+ * - cart.saved_items: Items saved for later, left out of the totals
  * - cart.total_items: Total number of items in cart for UI indicators
  * - cart.cart_total: Overall cart value for checkout processing
+ * - cart.discount: Applied discount code with its amount and is_valid flag, or null
  * 
  * Use Cases:
  * - Shopping cart page display and management
@@ -96,10 +143,10 @@ router.get('/', getCart);
  * transaction safety. This endpoint handles both new item additions and quantity
  * updates for existing items while ensuring stock availability.
  * 
- * Authentication: Required (JWT token)
+ * Authentication: JWT token or guest X-Cart-Token
  * 
  * Middleware Stack:
- * 1. authenticateToken - Validates user authentication
+ * 1. resolveCartOwner - Populates req.user or req.guestCartId
  * 2. validateRequest(validationRules.addToCart) - Validates request data format
  * 3. addToCart - Controller function that processes cart addition logic
  * 
@@ -107,6 +154,11 @@ router.get('/', getCart);
  * - product_id: Unique identifier of the product to add (required)
  * - quantity: Number of items to add (positive integer, required)
  * 
+ * Guest Carts:
+ * - A guest without a cart gets one on the first addition
+ * - The response returns data.cart_token, which the client stores and sends
+ *   back in the X-Cart-Token header
+ * 
  * Validation and Security:
  * - Product existence and active status verification
  * - Stock availability validation against requested quantity
@@ -131,29 +183,31 @@ router.post('/add', validateRequest(validationRules.addToCart), addToCart);
 
 /**
  * @route PUT /api/cart/items/:cart_item_id
- * @description Update Cart Item Quantity
+ * @description Update Cart Item
  * 
- * Modifies the quantity of an existing item in the user's cart with validation
- * to ensure stock availability and cart item ownership. This endpoint allows
- * quantity adjustments without removing and re-adding items.
+ * Modifies the quantity, save-for-later flag or note of an existing item in the
+ * user's cart with validation to ensure stock availability and cart item
+ * ownership. This endpoint allows adjustments without removing and re-adding items.
  * 
- * Authentication: Required (JWT token)
+ * Authentication: JWT token or guest X-Cart-Token
  * 
  * Middleware Stack:
- * 1. authenticateToken - Validates user authentication
- * 2. validateRequest(validationRules.updateCartItem) - Validates quantity data
+ * 1. resolveCartOwner - Populates req.user or req.guestCartId
+ * 2. validateRequest(validationRules.updateCartItem) - Validates quantity, saved_for_later and note
  * 3. updateCartItem - Controller function that processes quantity updates
  * 
  * URL Parameters:
  * - cart_item_id: Unique identifier of the cart item to update
  * 
- * Request Body Requirements:
+ * Request Body (at least one field):
  * - quantity: New quantity for the cart item (positive integer)
+ * - saved_for_later: true to set the item aside, false to move it back to the cart
+ * - note: Note for Rama about this item, up to 300 characters; empty clears it
  * 
  * Validation Process:
  * - Cart item ownership verification through user's cart
  * - Product active status confirmation
- * - Stock availability validation for new quantity
+ * - Stock availability validation for a new quantity or an item moved back to the cart
  * - Database update with proper error handling
  * 
  * Security Features:
@@ -180,10 +234,10 @@ router.put('/items/:cart_item_id', validateRequest(validationRules.updateCartIte
  * This endpoint provides secure item removal ensuring users can only remove
  * items from their own carts.
  * 
- * Authentication: Required (JWT token)
+ * Authentication: JWT token or guest X-Cart-Token
  * 
  * Middleware Stack:
- * 1. authenticateToken - Validates user authentication
+ * 1. resolveCartOwner - Populates req.user or req.guestCartId
  * 2. removeFromCart - Controller function that processes item removal
  * 
  * URL Parameters:
@@ -222,10 +276,10 @@ router.delete('/items/:cart_item_id', removeFromCart);
  * This endpoint is typically used during checkout completion or when users
  * want to start fresh with their cart contents.
  * 
- * Authentication: Required (JWT token)
+ * Authentication: JWT token or guest X-Cart-Token
  * 
  * Middleware Stack:
- * 1. authenticateToken - Validates user authentication
+ * 1. resolveCartOwner - Populates req.user or req.guestCartId
  * 2. clearCart - Controller function that processes complete cart clearing
  * 
  * Cart Clearing Process:
@@ -248,6 +302,42 @@ router.delete('/items/:cart_item_id', removeFromCart);
  */
 router.delete('/clear', clearCart);
 
+/**
+ * @route POST /api/cart/discount
+ * @description Apply Discount Code
+ * 
+ * Checks the code against the cart (expiry, minimum subtotal, category, usage
+ * limits) and stores it on the cart, replacing any previous code.
+ * 
+ * Authentication: JWT token or guest X-Cart-Token
+ * 
+ * Middleware Stack:
+ * 1. resolveCartOwner - Populates req.user or req.guestCartId
+ * 2. validateRequest(validationRules.applyDiscountCode) - Validates code
+ * 3. applyDiscountCode - Controller function that checks and stores the code
+ * 
+ * Request Body Requirements:
+ * - code: Discount code, matched case-insensitively
+ * 
+ * Error Scenarios:
+ * - 400 when the cart is empty or the code does not apply, with the reason
+ * - 404 for an unknown code
+ * - 409 when the code's usage limit is reached
+ * 
+ * Role: Discount code field on the cart page
+ */
+router.post('/discount', validateRequest(validationRules.applyDiscountCode), applyDiscountCode);
+
+/**
+ * @route DELETE /api/cart/discount
+ * @description Remove Discount Code
+ * 
+ * Authentication: JWT token or guest X-Cart-Token
+ * 
+ * Role: "Remove" next to the applied code on the cart page
+ */
+router.delete('/discount', removeDiscountCode);
+
 /**
  * @route DELETE /api/cart
  * @description Clear Entire Shopping Cart (Alternative Endpoint)
@@ -256,10 +346,10 @@ router.delete('/clear', clearCart);
  * frontend compatibility and different API design preferences. Functionally
  * identical to the /clear endpoint but follows RESTful resource deletion pattern.
  * 
- * Authentication: Required (JWT token)
+ * Authentication: JWT token or guest X-Cart-Token
  * 
  * Middleware Stack:
- * 1. authenticateToken - Validates user authentication
+ * 1. resolveCartOwner - Populates req.user or req.guestCartId
  * 2. clearCart - Controller function that processes complete cart clearing (same as /clear)
  * 
  * Frontend Compatibility:
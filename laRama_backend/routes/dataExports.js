@@ -0,0 +1,90 @@
+/**
+ * @fileoverview Personal Data Export Routes for LaRama E-commerce Platform
+ *
+ * This module defines the endpoints behind "Download your data" on the
+ * account settings page. Exports are generated in the background; clients
+ * request one, poll its status and download it once it is ready.
+ *
+ * Authentication Requirements:
+ * - All data export routes require valid JWT authentication tokens
+ * - Customers can only see and download their own exports
+ *
+ * API Endpoints:
+ * - POST /api/data-exports - Start an export (or return the one in progress)
+ * - GET /api/data-exports - List the customer's exports
+ * - GET /api/data-exports/:export_id - Export status
+ * - GET /api/data-exports/:export_id/download - Download a ready export as a ZIP archive
+ *
+ * @author Mohamad Abou Naasse
+ * @course University of Balamand - Advances in Computer Science
+ * @project LaRama Handcrafted Products E-commerce Platform
+ * @business LaRama Handcrafted (Owner: Rama)
+ */
+
+const express = require('express');                           // Express framework for routing
+const { authenticateToken } = require('../middleware/auth'); // JWT authentication middleware
+const {
+  requestDataExport,
+  getDataExports,
+  getDataExport,
+  downloadDataExport
+} = require('../controllers/dataExportController');          // Data export controller functions
+
+const router = express.Router();
+
+/**
+ * Authentication Middleware Application
+ * Every export belongs to the signed-in customer
+ */
+router.use(authenticateToken);
+
+/**
+ * @route POST /api/data-exports
+ * @description Request Data Export
+ *
+ * Answers 202 with the job; the archive is built after the response. An
+ * export already in progress is returned instead of starting another, and
+ * new requests wait 10 minutes after the previous one (429).
+ *
+ * Authentication: Required (JWT token)
+ *
+ * Role: "Download your data" button
+ */
+router.post('/', requestDataExport);
+
+/**
+ * @route GET /api/data-exports
+ * @description List Data Exports
+ *
+ * Authentication: Required (JWT token)
+ *
+ * Role: Export history on the account settings page
+ */
+router.get('/', getDataExports);
+
+/**
+ * @route GET /api/data-exports/:export_id
+ * @description Data Export Status
+ *
+ * Returns the job's status (pending, processing, ready or failed), file_size
+ * and timestamps.
+ *
+ * Authentication: Required (JWT token)
+ *
+ * Role: Polled until the export is ready
+ */
+router.get('/:export_id', getDataExport);
+
+/**
+ * @route GET /api/data-exports/:export_id/download
+ * @description Download Data Export
+ *
+ * Sends the ZIP archive; 409 until it is ready and 410 once it has expired.
+ *
+ * Authentication: Required (JWT token)
+ *
+ * Role: Delivers the customer's data
+ */
+router.get('/:export_id/download', downloadDataExport);
+
+module.exports = router;
@@ -7,8 +7,8 @@
  * and provide comprehensive order management functionality.
  * 
  * Authentication Requirements:
- * - All order routes require valid JWT authentication tokens
- * - User authentication middleware applied to entire router
+ * - All order routes except public tracking require valid JWT authentication tokens
+ * - User authentication middleware applied after the public tracking route
  * - Order operations are user-specific and secured
  * 
  * Order Management Features:
@@ -19,10 +19,14 @@
  * - Complete order lifecycle tracking and management
  * 
  * API Endpoints:
+ * - POST /api/orders/track - Public order status lookup by reference and email
  * - POST /api/orders - Create new order from shopping cart
  * - GET /api/orders - Retrieve user's order history with pagination
  * - GET /api/orders/stats - Get comprehensive order statistics and analytics
  * - GET /api/orders/:order_id - Retrieve detailed information for specific order
+ * - POST /api/orders/:order_id/cancel - Cancel a pending or processing order
+ * - POST /api/orders/:order_id/reorder - Copy a previous order's items into the cart
+ * - GET /api/orders/:order_id/whatsapp-link - WhatsApp deep link with the rendered order message
  * 
  * @author Mohamad Abou Naasse
  * @course University of Balamand - Advances in Computer Science
@@ -31,17 +35,63 @@
  */
 
 const express = require('express');                           // Express framework for routing
-const { authenticateToken } = require('../middleware/auth'); // JWT authentication middleware
+const { authenticateToken, requireVerifiedEmail } = require('../middleware/auth'); // JWT authentication middleware
 const { validateRequest, validationRules } = require('../middleware/validation'); // Input validation middleware
+const { createRateLimiter } = require('../middleware/rateLimit'); // Per-IP throttling for public lookups
 const {
   createOrder,
   getUserOrders,
   getOrderById,
+  cancelOrder,
+  reorderOrder,
+  trackOrder,
+  getOrderWhatsAppLink,
   getOrderStats
 } = require('../controllers/orderController');               // Order management controller functions
 
 const router = express.Router();
 
+/**
+ * Order Tracking Throttle
+ * References are sequential, so the email is the only secret; limit guesses per IP
+ */
+const trackOrderLimiter = createRateLimiter({
+  windowMinutes: 15,
+  max: 10,
+  message: 'Too many tracking attempts. Please try again in a few minutes.'
+});
+
+/**
+ * @route POST /api/orders/track
+ * @description Public Order Tracking
+ * 
+ * Returns the current status and status timeline of an order identified by its
+ * customer-facing reference and the email of the account that placed it. This
+ * route is registered before the authentication middleware so guests can use it.
+ * 
+ * Authentication: Not required
+ * 
+ * Middleware Stack:
+ * 1. trackOrderLimiter - Allows 10 lookups per IP every 15 minutes (429 after that)
+ * 2. validateRequest(validationRules.trackOrder) - Validates reference and email formats
+ * 3. trackOrder - Controller function that performs the lookup
+ * 
+ * Request Body Requirements:
+ * - reference: Order reference such as LRM-ORD-000123
+ * - email: Email used on the order
+ * 
+ * Response Data:
+ * - reference, status, item_count, placed_at, updated_at
+ * - timeline: Status changes with timestamps, oldest first
+ * 
+ * Error Handling:
+ * - 404 when the reference and email do not match an order
+ * - 429 with Retry-After once the IP has used up its lookups
+ * 
+ * Role: Powers the order status checker on the Shipping page
+ */
+router.post('/track', trackOrderLimiter, validateRequest(validationRules.trackOrder), trackOrder);
+
 /**
  * Global Authentication Middleware
  * All order routes require user authentication to ensure order operations
@@ -61,17 +111,25 @@ router.use(authenticateToken);
  * 
  * Middleware Stack:
  * 1. authenticateToken - Validates user authentication
- * 2. validateRequest(validationRules.createOrder) - Validates order creation data
- * 3. createOrder - Controller function that processes order creation logic
+ * 2. requireVerifiedEmail - 403 for unverified emails when REQUIRE_EMAIL_VERIFICATION=true
+ * 3. validateRequest(validationRules.createOrder) - Validates order creation data
+ * 4. createOrder - Controller function that processes order creation logic
  * 
  * Request Body Requirements:
- * - shipping_address: Complete shipping address for order delivery (required)
+ * - address_id: Saved address from the address book (copied onto the order), or
+ * - shipping_address + shipping_country: Free-text address and ISO country code
+ * - shipping_method: Shipping rate code from the shipping quote (optional)
+ * - order_notes, gift_message: Checkout notes and gift card text (optional)
+ * 
+ * Request Headers:
+ * - Idempotency-Key (optional): One value per checkout attempt; a retry with the
+ *   same key returns the order it already created
  * 
  * Order Creation Process:
  * 1. Validates cart has items and retrieves complete cart contents
  * 2. Performs comprehensive stock availability checking for all items
- * 3. Calculates total order amount from all cart items
- * 4. Creates order record with pending status and shipping information
+ * 3. Calculates the subtotal and the shipping charge for the destination
+ * 4. Creates order record with pending status, totals and the shipping address snapshot
  * 5. Creates individual order items preserving purchase details
  * 6. Updates product stock quantities to reflect purchases
  * 7. Clears user's shopping cart after successful order creation
@@ -96,12 +154,12 @@ router.use(authenticateToken);
  * 
  * Response Data:
  * - Order confirmation with order ID and details
- * - Order total and status for customer confirmation
+ * - Subtotal, shipping charge, grand total and status for customer confirmation
  * - Created timestamp for order tracking
  * 
  * Role: Core checkout functionality processing customer purchases with complete data integrity
  */
-router.post('/', validateRequest(validationRules.createOrder), createOrder);
+router.post('/', requireVerifiedEmail, validateRequest(validationRules.createOrder), createOrder);
 
 /**
  * @route GET /api/orders
@@ -250,4 +308,96 @@ router.get('/stats', getOrderStats);
  */
 router.get('/:order_id', getOrderById);
 
+/**
+ * @route POST /api/orders/:order_id/cancel
+ * @description Cancel Order and Restore Stock
+ * 
+ * Allows the owning customer to cancel an order while it is still pending or
+ * processing. Cancelling returns every ordered quantity to product stock and
+ * records the customer's reason in the order status history.
+ * 
+ * Authentication: Required (JWT token)
+ * 
+ * Middleware Stack:
+ * 1. authenticateToken - Validates user authentication
+ * 2. validateRequest(validationRules.cancelOrder) - Validates the cancellation reason
+ * 3. cancelOrder - Controller function that performs the guarded status transition
+ * 
+ * URL Parameters:
+ * - order_id: Unique identifier of the order to cancel
+ * 
+ * Request Body Requirements:
+ * - reason: Why the order is being cancelled (3-500 characters)
+ * 
+ * Transaction Safety:
+ * - Order row is locked while its status is checked and changed
+ * - Stock restoration, status update and history entry commit together
+ * 
+ * Error Handling:
+ * - 404 for non-existent orders or orders owned by another user
+ * - 409 when the order has already shipped, been delivered or been cancelled
+ * 
+ * Role: Self-service cancellation before the studio ships an order
+ */
+router.post('/:order_id/cancel', validateRequest(validationRules.cancelOrder), cancelOrder);
+
+/**
+ * @route POST /api/orders/:order_id/reorder
+ * @description Add a Previous Order's Items Back to the Cart
+ * 
+ * Copies every product of an earlier order into the user's shopping cart so the
+ * same pieces can be purchased again in a single checkout.
+ * 
+ * Authentication: Required (JWT token)
+ * 
+ * Middleware Stack:
+ * 1. authenticateToken - Validates user authentication
+ * 2. reorderOrder - Controller function that rebuilds the cart from the order
+ * 
+ * URL Parameters:
+ * - order_id: Unique identifier of the order to repeat
+ * 
+ * Availability Rules:
+ * - Deleted or inactive products are skipped
+ * - Quantities are capped at the remaining stock, counting what is already in the cart
+ * 
+ * Response Data:
+ * - added: Products and quantities now in the cart
+ * - skipped: Products that could not be added and why
+ * 
+ * Error Handling:
+ * - 404 for non-existent orders or orders owned by another user
+ * - 409 when none of the order's products can be added
+ * 
+ * Role: Powers the Reorder button on the customer order history pages
+ */
+router.post('/:order_id/reorder', reorderOrder);
+
+/**
+ * @route GET /api/orders/:order_id/whatsapp-link
+ * @description Get WhatsApp Deep Link for an Order
+ * 
+ * Renders the order message from the WhatsApp order template (reference, items,
+ * totals, shipping address) and returns a wa.me link addressed to the configured
+ * LaRama business number.
+ * 
+ * Authentication: Required (JWT token)
+ * 
+ * Middleware Stack:
+ * 1. authenticateToken - Validates user authentication
+ * 2. getOrderWhatsAppLink - Controller function that renders the message and link
+ * 
+ * URL Parameters:
+ * - order_id: Unique identifier of the order
+ * 
+ * Response Data:
+ * - link, message, business_number, reference
+ * 
+ * Error Handling:
+ * - 404 for non-existent orders or orders owned by another user
+ * 
+ * Role: Lets the storefront open WhatsApp with the stored order after checkout
+ */
+router.get('/:order_id/whatsapp-link', getOrderWhatsAppLink);
+
 module.exports = router;
\ No newline at end of file
@@ -22,6 +22,7 @@
  * - GET /api/products/categories - Get available product categories with counts
  * - GET /api/products/featured - Retrieve featured products for promotional display
  * - GET /api/products/:id - Get detailed information for specific product
+ * - POST /api/products/:id/restock-subscriptions - Ask to be emailed when a sold-out product returns
  * 
  * @author Mohamad Abou Naasse
  * @course University of Balamand - Advances in Computer Science
@@ -31,11 +32,13 @@
 
 const express = require('express');                    // Express framework for routing
 const { optionalAuth } = require('../middleware/auth'); // Optional authentication middleware for future features
+const { validateRequest, validationRules } = require('../middleware/validation'); // Request validation
 const {
   getAllProducts,
   getProductById,
   getCategories,
-  getFeaturedProducts
+  getFeaturedProducts,
+  subscribeToRestock
 } = require('../controllers/productController');       // Product controller functions
 
 const router = express.Router();
@@ -211,4 +214,26 @@ router.get('/featured', optionalAuth, getFeaturedProducts);
  */
 router.get('/:id', optionalAuth, getProductById);
 
+/**
+ * @route POST /api/products/:id/restock-subscriptions
+ * @description Back-in-Stock Subscription Endpoint
+ * 
+ * Registers an email address to be notified when a sold-out product is restocked.
+ * 
+ * Middleware Stack:
+ * 1. optionalAuth - Signed-in customers are subscribed with their account email
+ * 2. validateRequest - Validates the optional guest email
+ * 3. subscribeToRestock - Stores the subscription
+ * 
+ * Request Body:
+ * - email: Required for guests
+ * 
+ * Notification Flow:
+ * - The NestJS admin service emails open subscribers when stock is raised above zero
+ *   (product edit or stock adjustment) and marks the subscriptions fulfilled
+ * 
+ * Role: Lets customers wait for sold-out handcrafted pieces instead of leaving
+ */
+router.post('/:id/restock-subscriptions', optionalAuth, validateRequest(validationRules.restockSubscription), subscribeToRestock);
+
 module.exports = router;
\ No newline at end of file
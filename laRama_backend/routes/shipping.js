@@ -0,0 +1,63 @@
+/**
+ * @fileoverview Shipping Routes for LaRama E-commerce Platform
+ *
+ * This module defines the shipping endpoints used by the cart. Zones and rates
+ * live in the `shipping_zones` and `shipping_rates` tables and are priced by
+ * `services/shippingService.js`.
+ *
+ * API Endpoints:
+ * - GET /api/shipping/zones - Active zones with countries and rates
+ * - GET /api/shipping/quote?country=LB - Shipping options for the user's cart
+ *
+ * @author Mohamad Abou Naasse
+ * @course University of Balamand - Advances in Computer Science
+ * @project LaRama Handcrafted Products E-commerce Platform
+ * @business LaRama Handcrafted (Owner: Rama)
+ */
+
+const express = require('express');                           // Express framework for routing
+const { resolveCartOwner } = require('../middleware/auth'); // JWT or guest cart middleware
+const {
+  getShippingZones,
+  getShippingQuote
+} = require('../controllers/shippingController');            // Shipping controller functions
+
+const router = express.Router();
+
+/**
+ * @route GET /api/shipping/zones
+ * @description Get Shipping Zones
+ *
+ * Returns active zones, the countries each one serves and its rate definitions.
+ *
+ * Authentication: Not required (public endpoint)
+ *
+ * Role: Destination picker options for the cart
+ */
+router.get('/zones', getShippingZones);
+
+/**
+ * @route GET /api/shipping/quote
+ * @description Quote Shipping for the Cart
+ *
+ * Prices each shipping method offered for the destination against the
+ * customer's or guest's cart and returns the resulting grand totals.
+ *
+ * Authentication: JWT token or guest X-Cart-Token
+ *
+ * Middleware Stack:
+ * 1. resolveCartOwner - Populates req.user or req.guestCartId
+ * 2. getShippingQuote - Controller function that prices the cart
+ *
+ * Query Parameters:
+ * - country: Two-letter ISO country code (required)
+ *
+ * Error Cases:
+ * - 400: Invalid country code or empty cart
+ * - 422: Destination not served by any zone
+ *
+ * Role: Shipping line of the cart summary
+ */
+router.get('/quote', resolveCartOwner, getShippingQuote);
+
+module.exports = router;
@@ -0,0 +1,63 @@
+/**
+ * @fileoverview WhatsApp Messaging Routes for LaRama E-commerce Platform
+ * 
+ * This module defines the public WhatsApp endpoints used by the storefront. Message
+ * text comes from the admin-editable templates in `services/whatsappService.js`, so
+ * wording and the business number can change without redeploying the frontend.
+ * 
+ * API Endpoints:
+ * - GET /api/whatsapp/config - Configured business number and chat link
+ * - POST /api/whatsapp/quote-link - Deep link for a custom quote request
+ * 
+ * @author Mohamad Abou Naasse
+ * @course University of Balamand - Advances in Computer Science
+ * @project LaRama Handcrafted Products E-commerce Platform
+ * @business LaRama Handcrafted (Owner: Rama)
+ */
+
+const express = require('express');                           // Express framework for routing
+const { validateRequest, validationRules } = require('../middleware/validation'); // Input validation middleware
+const { optionalAuth } = require('../middleware/auth');      // Optional user context for personalised messages
+const {
+  getWhatsAppConfig,
+  createQuoteLink
+} = require('../controllers/whatsappController');            // WhatsApp messaging controller functions
+
+const router = express.Router();
+
+/**
+ * @route GET /api/whatsapp/config
+ * @description Get WhatsApp Contact Configuration
+ * 
+ * Returns the business number and a plain chat link for contact buttons.
+ * 
+ * Authentication: Not required (public endpoint)
+ * 
+ * Role: Keeps the business number out of the frontend bundle
+ */
+router.get('/config', getWhatsAppConfig);
+
+/**
+ * @route POST /api/whatsapp/quote-link
+ * @description Build Custom Quote WhatsApp Link
+ * 
+ * Renders the quote template with the customer's customization choices and
+ * returns a wa.me deep link plus a quote reference.
+ * 
+ * Authentication: Optional (signed-in customers get their name in the message)
+ * 
+ * Middleware Stack:
+ * 1. optionalAuth - Attaches the user when a valid token is sent
+ * 2. validateRequest(validationRules.quoteLink) - Validates category and price text
+ * 3. createQuoteLink - Controller function that renders the message and link
+ * 
+ * Request Body Requirements:
+ * - category: Product category label
+ * - specifications: Object of specification labels to values
+ * - estimated_price: Optional estimated base price text
+ * 
+ * Role: Powers the "Request Quote" button on the Customize page
+ */
+router.post('/quote-link', optionalAuth, validateRequest(validationRules.quoteLink), createQuoteLink);
+
+module.exports = router;
@@ -0,0 +1,103 @@
+/**
+ * @fileoverview Wishlist Routes for LaRama E-commerce Platform
+ *
+ * This module defines the endpoints behind the heart buttons on product cards
+ * and the Saved Styles page in the customer dashboard.
+ *
+ * Authentication Requirements:
+ * - All wishlist routes require valid JWT authentication tokens
+ * - Customers can only see and change their own saved items
+ *
+ * API Endpoints:
+ * - GET /api/wishlist - List saved products with current price and stock
+ * - POST /api/wishlist - Save a product
+ * - DELETE /api/wishlist/:product_id - Remove a saved product
+ * - POST /api/wishlist/:product_id/move-to-cart - Move a saved product to the cart
+ *
+ * @author Mohamad Abou Naasse
+ * @course University of Balamand - Advances in Computer Science
+ * @project LaRama Handcrafted Products E-commerce Platform
+ * @business LaRama Handcrafted (Owner: Rama)
+ */
+
+const express = require('express');                           // Express framework for routing
+const { authenticateToken } = require('../middleware/auth'); // JWT authentication middleware
+const { validateRequest, validationRules } = require('../middleware/validation'); // Input validation middleware
+const {
+  getWishlist,
+  addToWishlist,
+  removeFromWishlist,
+  moveWishlistItemToCart
+} = require('../controllers/wishlistController');            // Wishlist controller functions
+
+const router = express.Router();
+
+/**
+ * Authentication Middleware Application
+ * Every wishlist endpoint belongs to the signed-in customer
+ */
+router.use(authenticateToken);
+
+/**
+ * @route GET /api/wishlist
+ * @description Get Saved Products
+ *
+ * Returns the customer's saved products, newest first, with each product's
+ * current price, stock_quantity and available_quantity.
+ *
+ * Authentication: Required (JWT token)
+ *
+ * Role: Saved Styles page and heart button state
+ */
+router.get('/', getWishlist);
+
+/**
+ * @route POST /api/wishlist
+ * @description Save Product
+ *
+ * Adds a product to the wishlist; saving it again returns 200 instead of 201.
+ *
+ * Authentication: Required (JWT token)
+ *
+ * Middleware Stack:
+ * 1. authenticateToken - Validates user authentication
+ * 2. validateRequest(validationRules.wishlistItem) - Validates product_id
+ * 3. addToWishlist - Controller function that saves the product
+ *
+ * Request Body Requirements:
+ * - product_id: UUID of an active product
+ *
+ * Role: Heart button on product cards
+ */
+router.post('/', validateRequest(validationRules.wishlistItem), addToWishlist);
+
+/**
+ * @route DELETE /api/wishlist/:product_id
+ * @description Remove Saved Product
+ *
+ * Authentication: Required (JWT token)
+ *
+ * Role: Heart button toggle and "Remove" on the Saved Styles page
+ */
+router.delete('/:product_id', removeFromWishlist);
+
+/**
+ * @route POST /api/wishlist/:product_id/move-to-cart
+ * @description Move Saved Product to Cart
+ *
+ * Adds the product to the cart (1 unit unless quantity is given) and removes
+ * it from the wishlist. Returns 409 and keeps the item saved when there is not
+ * enough available stock.
+ *
+ * Authentication: Required (JWT token)
+ *
+ * Middleware Stack:
+ * 1. authenticateToken - Validates user authentication
+ * 2. validateRequest(validationRules.moveWishlistItemToCart) - Validates quantity
+ * 3. moveWishlistItemToCart - Controller function that moves the item
+ *
+ * Role: "Move to cart" on the Saved Styles page
+ */
+router.post('/:product_id/move-to-cart', validateRequest(validationRules.moveWishlistItemToCart), moveWishlistItemToCart);
+
+module.exports = router;
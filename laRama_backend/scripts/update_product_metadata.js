@@ -5,8 +5,10 @@
  *   node scripts/update_product_metadata.js
  *
  * Requires database environment variables used by the Express app (DB_HOST, DB_PORT, DB_NAME, DB_USER, DB_PASSWORD).
+ * Stock set by the backfill is recorded in the inventory ledger as a system manual correction.
  */
 const { pool } = require('../config/database');
+const { recordInventoryMovement } = require('../services/inventoryService');
 
 const PRODUCT_MAPPINGS = [
   { name: 'Sik Black Elegance', imageUrl: '/images/purses/black.jpg', category: 'Purses', stockQuantity: 15 },
@@ -41,14 +43,19 @@ async function run() {
     for (const product of PRODUCT_MAPPINGS) {
       const { name, imageUrl, category, stockQuantity } = product;
       const result = await client.query(
-        `UPDATE products
+        `WITH previous AS (
+           SELECT id, stock_quantity FROM products WHERE name = $4 FOR UPDATE
+         )
+         UPDATE products
          SET image_url = $1,
              category = $2,
-             stock_quantity = COALESCE(stock_quantity, $3),
+             stock_quantity = COALESCE(products.stock_quantity, $3),
              is_active = COALESCE(is_active, true),
              updated_at = NOW()
-         WHERE name = $4
-         RETURNING id, name, image_url, category, stock_quantity, is_active`,
+         FROM previous
+         WHERE products.id = previous.id
+         RETURNING products.id, name, image_url, category, products.stock_quantity, is_active,
+                   previous.stock_quantity AS previous_stock_quantity`,
         [imageUrl, category, stockQuantity, name]
       );
 
@@ -56,6 +63,18 @@ async function run() {
         console.warn(`⚠️  No product found with name: ${name}`);
       } else {
         const updated = result.rows[0];
+        const quantityDelta = updated.stock_quantity - (updated.previous_stock_quantity ?? 0);
+        if (quantityDelta !== 0) {
+          await recordInventoryMovement(client, {
+            productId: updated.id,
+            quantityDelta,
+            stockAfter: updated.stock_quantity,
+            reason: 'manual_correction',
+            actorType: 'system',
+            actorId: 'update_product_metadata',
+            note: 'Product metadata backfill'
+          });
+        }
         console.log(`✅ Updated ${updated.name} -> ${updated.image_url} (${updated.category}), stock: ${updated.stock_quantity}`);
       }
     }
@@ -8,6 +8,8 @@ DELETE FROM order_items;
 DELETE FROM orders;
 -- Clear cart items (they reference products and carts)
 DELETE FROM cart_items;
+-- Clear promotions (their product sets reference products)
+DELETE FROM promotions;
 -- Now we can safely clear products
 DELETE FROM products;
 
@@ -59,6 +61,23 @@ INSERT INTO products (name, description, price, image_url, category, stock_quant
 -- PHONE CASES COLLECTION
 ('Pearleva Phone Case', 'Pearleva embodies pure sophistication. Layers of luminous pearls reflect quiet luxury, making every occasion feel timeless and effortlessly elegant.', 30.00, '/images/phone-case/phone-case.jpg', 'Phone Cases', 15);
 
+-- BUNDLE PROMOTIONS
+-- Buying the pieces of a set together charges the set price (see create_promotions_tables.sql)
+INSERT INTO promotions (name, description, promotion_type, bundle_price) VALUES
+('Terra Bundle', 'Terra Large and Terra Small together', 'bundle_price', 99.99),
+('RDO Letters Set', 'RO Letters Pair with the D Letter Decoration', 'bundle_price', 25.00);
+
+INSERT INTO promotion_products (promotion_id, product_id, quantity)
+SELECT pr.id, p.id, 1
+FROM (VALUES
+    ('Terra Bundle', 'Terra Large Wood'),
+    ('Terra Bundle', 'Terra Small Wood'),
+    ('RDO Letters Set', 'RO Letters Pair'),
+    ('RDO Letters Set', 'D Letter Decoration')
+) AS b(promotion_name, product_name)
+JOIN promotions pr ON pr.name = b.promotion_name
+JOIN products p ON p.name = b.product_name;
+
 -- Note: We've deleted all products above, so no need to update existing ones
 
 -- Verify the data
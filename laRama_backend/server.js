@@ -39,6 +39,9 @@ const cors = require('cors');
 // Import database connection testing utility to verify PostgreSQL connectivity
 const { testConnection } = require('./config/database');
 
+// Import administrator token verification so only signed-in admins can watch admin-only socket rooms
+const { verifyAdminToken } = require('./middleware/adminAuth');
+
 /**
  * Route Imports
  * Import all route modules that handle specific business logic areas
@@ -49,6 +52,11 @@ const cartRoutes = require('./routes/cart');          // Shopping cart managemen
 const orderRoutes = require('./routes/orders');       // Order processing and management endpoints
 const newsletterRoutes = require('./routes/newsletter'); // Newsletter subscription management endpoints
 const adminRoutes = require('./routes/admin');        // Administrative authentication and future management endpoints
+const whatsappRoutes = require('./routes/whatsapp');  // WhatsApp contact and quote message endpoints
+const shippingRoutes = require('./routes/shipping');  // Shipping zones and cart shipping quotes
+const addressRoutes = require('./routes/addresses');  // Customer address book endpoints
+const wishlistRoutes = require('./routes/wishlist');  // Saved products (wishlist) endpoints
+const dataExportRoutes = require('./routes/dataExports'); // Personal data export endpoints
 
 /**
  * Express Application Instance
@@ -64,6 +72,12 @@ const io = new Server(server, {
   },
 });
 
+/**
+ * Socket.IO Server Registration
+ * Controllers reach the server through req.app.get('io') to notify rooms such as admin-watchers
+ */
+app.set('io', io);
+
 const liveSessions = new Map();
 
 const getSessionsSnapshot = () =>
@@ -97,8 +111,37 @@ const cleanupSessionForSocket = (socketId) => {
   }
 };
 
+/**
+ * Checks the administrator token sent with registerAdminWatcher.
+ *
+ * The admin-watchers room receives live session queues and low-stock alerts
+ * (stock levels and order ids), so anonymous sockets must not join it.
+ *
+ * @param {string|undefined} token - Administrator JWT from the admin panel
+ * @returns {boolean} True for a valid administrator session
+ */
+const isAdminToken = (token) => {
+  if (!token) return false;
+
+  try {
+    return verifyAdminToken(token).role === 'admin';
+  } catch (error) {
+    return false;
+  }
+};
+
 io.on('connection', (socket) => {
-  socket.on('registerAdminWatcher', () => {
+  socket.on('registerAdminWatcher', (payload) => {
+    // Anonymous clients control the payload; a throw here would take the server down
+    const token = payload && payload.token;
+
+    if (!isAdminToken(token)) {
+      socket.emit('adminWatcher:unauthorized', {
+        message: 'Administrator authentication required.',
+      });
+      return;
+    }
+
     socket.join('admin-watchers');
     socket.emit('sessions:update', getSessionsSnapshot());
   });
@@ -233,6 +276,9 @@ const PORT = process.env.PORT || 5000;
  * - credentials: Enables sending cookies and authentication headers across origins
  * - methods: Defines allowed HTTP methods for API requests
  * - allowedHeaders: Specifies which headers the client can send in requests
+ *   (Idempotency-Key lets checkout retries replay the original order,
+ *   X-Cart-Token identifies a guest cart)
+ * - exposedHeaders: Response headers the frontend may read
  * 
  * Role: Prevents CORS errors and enables secure frontend-backend communication
  */
@@ -240,7 +286,8 @@ app.use(cors({
   origin: process.env.FRONTEND_URL || 'http://localhost:3000',
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'Idempotency-Key', 'X-Cart-Token'],
+  exposedHeaders: ['Idempotent-Replayed', 'X-Cart-Token']
 }));
 
 /**
@@ -310,7 +357,12 @@ app.get('/', (req, res) => {
       products: '/api/products',
       cart: '/api/cart',
       orders: '/api/orders',
-      newsletter: '/api/newsletter'
+      newsletter: '/api/newsletter',
+      whatsapp: '/api/whatsapp',
+      shipping: '/api/shipping',
+      addresses: '/api/addresses',
+      wishlist: '/api/wishlist',
+      dataExports: '/api/data-exports'
     }
   });
 });
@@ -327,6 +379,11 @@ app.get('/', (req, res) => {
  * - /api/cart: Shopping cart operations, add/update/remove items
  * - /api/orders: Order creation, history, status tracking
  * - /api/newsletter: Email subscription management and statistics
+ * - /api/whatsapp: WhatsApp contact configuration and quote messages
+ * - /api/shipping: Shipping zones and cart shipping quotes
+ * - /api/addresses: Customer address book
+ * - /api/wishlist: Saved products shown as Saved Styles
+ * - /api/data-exports: Personal data export archives
  * 
  * Role: Organizes API endpoints by business domain for maintainable architecture
  */
@@ -335,6 +392,11 @@ app.use('/api/products', productRoutes); // Mount product management routes
 app.use('/api/cart', cartRoutes);        // Mount shopping cart routes
 app.use('/api/orders', orderRoutes);     // Mount order processing routes
 app.use('/api/newsletter', newsletterRoutes); // Mount newsletter routes
+app.use('/api/whatsapp', whatsappRoutes); // Mount WhatsApp messaging routes
+app.use('/api/shipping', shippingRoutes); // Mount shipping quote routes
+app.use('/api/addresses', addressRoutes); // Mount address book routes
+app.use('/api/wishlist', wishlistRoutes); // Mount wishlist routes
+app.use('/api/data-exports', dataExportRoutes); // Mount personal data export routes
 app.use('/api/admin', adminRoutes);      // Mount administrative authentication routes
 
 /**
@@ -438,7 +500,15 @@ const startServer = async () => {
       console.log('   GET  / - Health check and API documentation');
       console.log('   POST /api/auth/register - User registration with validation');
       console.log('   POST /api/auth/login - User authentication and JWT token generation');
+      console.log('   POST /api/auth/refresh - Rotate the refresh token for a new access token');
+      console.log('   POST /api/auth/logout - Revoke the current device session');
+      console.log('   POST /api/auth/forgot-password - Email a password reset link');
+      console.log('   POST /api/auth/reset-password - Set a new password with a reset token');
+      console.log('   GET  /api/auth/verify-email - Confirm an email with the emailed token');
       console.log('   GET  /api/auth/profile - Retrieve authenticated user profile');
+      console.log('   PUT  /api/auth/profile - Change name or email (new email is re-verified)');
+      console.log('   PUT  /api/auth/password - Change password and sign out other devices');
+      console.log('   DEL  /api/auth/account - Delete the account, keeping its orders');
       console.log('   GET  /api/products - Retrieve all products with filtering options');
       console.log('   GET  /api/products/categories - Get available product categories');
       console.log('   GET  /api/products/featured - Retrieve featured/highlighted products');
@@ -448,13 +518,41 @@ const startServer = async () => {
       console.log('   PUT  /api/cart/items/:id - Update quantity of cart items');
       console.log('   DEL  /api/cart/items/:id - Remove items from shopping cart');
       console.log('   POST /api/orders - Create new order from cart items');
+      console.log('   POST /api/orders/track - Track an order by reference and email (public)');
       console.log('   GET  /api/orders - Retrieve user\'s order history');
       console.log('   GET  /api/orders/:id - Get detailed order information');
+      console.log('   POST /api/orders/:id/cancel - Cancel a pending or processing order');
+      console.log('   POST /api/orders/:id/reorder - Add a previous order\'s items to the cart');
+      console.log('   GET  /api/orders/:id/whatsapp-link - WhatsApp deep link for an order');
       console.log('   POST /api/newsletter/subscribe - Add email to newsletter list');
       console.log('   POST /api/newsletter/unsubscribe - Remove email from newsletter');
       console.log('   GET  /api/newsletter/stats - Get newsletter subscription statistics');
+      console.log('   GET  /api/whatsapp/config - WhatsApp business number for contact buttons');
+      console.log('   POST /api/whatsapp/quote-link - WhatsApp deep link for a custom quote request');
+      console.log('   GET  /api/shipping/zones - Shipping zones, countries and rates');
+      console.log('   GET  /api/shipping/quote?country=LB - Shipping options for the user\'s cart');
+      console.log('   GET  /api/addresses - List saved shipping addresses');
+      console.log('   POST /api/addresses - Save a shipping address');
+      console.log('   PUT  /api/addresses/:id - Update a saved address');
+      console.log('   POST /api/addresses/:id/default - Make an address the default');
+      console.log('   DEL  /api/addresses/:id - Remove a saved address');
+      console.log('   GET  /api/wishlist - List saved products with current price and stock');
+      console.log('   POST /api/wishlist - Save a product to the wishlist');
+      console.log('   DEL  /api/wishlist/:productId - Remove a saved product');
+      console.log('   POST /api/wishlist/:productId/move-to-cart - Move a saved product to the cart');
+      console.log('   POST /api/data-exports - Start a personal data export');
+      console.log('   GET  /api/data-exports/:id - Data export status');
+      console.log('   GET  /api/data-exports/:id/download - Download a ready export (ZIP)');
       console.log('   POST /api/admin/login - Administrator authentication');
       console.log('   GET  /api/admin/verify - Verify administrator session');
+      console.log('   GET  /api/admin/orders - List all orders with status, date and customer filters');
+      console.log('   GET  /api/admin/orders/:id - Get any order with items and status history');
+      console.log('   PUT  /api/admin/orders/:id/status - Move an order to its next status');
+      console.log('   POST /api/admin/orders/bulk-status - Move several orders to the same status');
+      console.log('   GET  /api/admin/orders/:id/whatsapp-message - WhatsApp status update for an order');
+      console.log('   GET  /api/admin/whatsapp - WhatsApp business number and message templates');
+      console.log('   PUT  /api/admin/whatsapp - Update WhatsApp business number and templates');
+      console.log('   DEL  /api/admin/whatsapp/templates/:name - Reset a WhatsApp template to default');
       console.log('   🔄 Socket.IO signaling server active for live sessions');
       console.log('\n✨ Ready to receive requests!');
     });
@@ -0,0 +1,83 @@
+/**
+ * @fileoverview Account Service for LaRama E-commerce Platform
+ *
+ * Deletes customer accounts on request. Rama keeps every order for her
+ * bookkeeping, so the user row stays behind for the orders to point to but
+ * loses everything that identifies the customer.
+ *
+ * Deletion Rules:
+ * - Accounts with pending, processing or shipped orders cannot be deleted yet
+ * - The name, email and password are replaced; the anonymised email can never log in
+ * - Addresses, cart, wishlist, checkout holds, restock requests, newsletter
+ *   subscription, data exports, tokens and sessions are deleted
+ * - Orders, their items, discounts and status history are kept unchanged
+ *
+ * @author Mohamad Abou Naasse
+ * @course University of Balamand - Advances in Computer Science
+ * @project LaRama Handcrafted Products E-commerce Platform
+ * @business LaRama Handcrafted (Owner: Rama)
+ */
+
+const crypto = require('crypto');    // Random placeholder password
+const bcrypt = require('bcryptjs');  // Hash the placeholder like a real password
+const { deleteExportJobs } = require('./dataExportService'); // Personal data export jobs
+const { createStatusError } = require('../utils/errors'); // HTTP status errors for controllers
+
+/**
+ * Order statuses that still need the customer's contact details.
+ */
+const OPEN_ORDER_STATUSES = ['pending', 'processing', 'shipped'];
+
+/**
+ * Name shown on the orders of deleted accounts.
+ */
+const DELETED_CUSTOMER_NAME = 'Deleted customer';
+
+/**
+ * Anonymises a customer and deletes their personal data, keeping their orders.
+ *
+ * @param {import('pg').PoolClient} client - Client inside a transaction, holding the user row lock
+ * @param {{id: string, email: string}} user - Customer deleting their account
+ * @returns {Promise<Array<string>>} Data export jobs whose archives to remove after commit
+ * @throws {Error} 409 status error while the customer has open orders
+ */
+const anonymiseAccount = async (client, user) => {
+  const openOrders = await client.query(
+    'SELECT COUNT(*)::int AS count FROM orders WHERE user_id = $1 AND status = ANY($2)',
+    [user.id, OPEN_ORDER_STATUSES]
+  );
+
+  if (openOrders.rows[0].count > 0) {
+    throw createStatusError(
+      409,
+      'You have orders on their way. Please delete your account once they are delivered or cancelled.'
+    );
+  }
+
+  await client.query('DELETE FROM carts WHERE user_id = $1', [user.id]);
+  await client.query('DELETE FROM wishlist_items WHERE user_id = $1', [user.id]);
+  await client.query('DELETE FROM user_addresses WHERE user_id = $1', [user.id]);
+  await client.query('DELETE FROM stock_reservations WHERE user_id = $1', [user.id]);
+  await client.query('DELETE FROM restock_subscriptions WHERE user_id = $1 OR email = $2', [user.id, user.email]);
+  await client.query('DELETE FROM newsletter_subscriptions WHERE email = $1', [user.email]);
+  await client.query('DELETE FROM password_reset_tokens WHERE user_id = $1', [user.id]);
+  await client.query('DELETE FROM email_verification_tokens WHERE user_id = $1', [user.id]);
+  await client.query('DELETE FROM user_sessions WHERE user_id = $1', [user.id]);
+  const exportJobIds = await deleteExportJobs(client, user.id);
+
+  const placeholderPassword = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 12);
+
+  await client.query(
+    `UPDATE users
+     SET name = $2, email = $3, password = $4, email_verified_at = NULL,
+         token_version = token_version + 1, deleted_at = NOW()
+     WHERE id = $1`,
+    [user.id, DELETED_CUSTOMER_NAME, `deleted-${user.id}@deleted.invalid`, placeholderPassword]
+  );
+
+  return exportJobIds;
+};
+
+module.exports = {
+  anonymiseAccount
+};
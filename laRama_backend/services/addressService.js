@@ -0,0 +1,81 @@
+/**
+ * @fileoverview Address Book Service for LaRama E-commerce Platform
+ *
+ * Shared helpers for the customer address book: loading an address with its
+ * ownership check, formatting it for people (admin console, WhatsApp, order
+ * history) and producing the snapshot stored on an order, so later edits to the
+ * address book never change where a past order was shipped.
+ *
+ * @author Mohamad Abou Naasse
+ * @course University of Balamand - Advances in Computer Science
+ * @project LaRama Handcrafted Products E-commerce Platform
+ * @business LaRama Handcrafted (Owner: Rama)
+ */
+
+/**
+ * Maximum number of saved addresses per customer.
+ */
+const MAX_ADDRESSES_PER_USER = 20;
+
+/**
+ * Structured address fields, in the order they are stored and formatted.
+ */
+const ADDRESS_FIELDS = ['label', 'recipient_name', 'phone', 'country', 'city', 'region', 'street', 'building', 'notes'];
+
+/**
+ * Columns selected whenever an address is returned to a client.
+ */
+const ADDRESS_COLUMNS = `id, ${ADDRESS_FIELDS.join(', ')}, is_default, created_at, updated_at`;
+
+/**
+ * Loads one address belonging to a user.
+ *
+ * @param {import('pg').Pool|import('pg').PoolClient} db - Pool or client to query with
+ * @param {string} userId - Owner of the address
+ * @param {string} addressId - Address identifier
+ * @returns {Promise<Object|null>} `user_addresses` row, or null when not found for this user
+ */
+const getUserAddress = async (db, userId, addressId) => {
+  const result = await db.query(
+    `SELECT ${ADDRESS_COLUMNS} FROM user_addresses WHERE id = $1 AND user_id = $2`,
+    [addressId, userId]
+  );
+
+  return result.rows[0] || null;
+};
+
+/**
+ * Formats an address as multi-line text for the order's `shipping_address` column.
+ *
+ * @param {Object} address - Structured address
+ * @returns {string} Address lines separated by newlines
+ */
+const formatAddress = (address) => [
+  address.recipient_name,
+  address.phone,
+  [address.building, address.street].filter(Boolean).join(', '),
+  [address.city, address.region].filter(Boolean).join(', '),
+  address.country,
+  address.notes ? `Notes: ${address.notes}` : null,
+].filter(Boolean).join('\n');
+
+/**
+ * Builds the structured copy of an address stored on an order.
+ *
+ * @param {Object} address - `user_addresses` row
+ * @returns {Object} Address fields without identifiers or timestamps
+ */
+const snapshotAddress = (address) => Object.fromEntries(
+  ADDRESS_FIELDS
+    .filter((field) => field !== 'label')
+    .map((field) => [field, address[field] ?? null])
+);
+
+module.exports = {
+  MAX_ADDRESSES_PER_USER,
+  ADDRESS_FIELDS,
+  ADDRESS_COLUMNS,
+  getUserAddress,
+  formatAddress,
+  snapshotAddress,
+};
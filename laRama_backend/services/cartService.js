@@ -0,0 +1,232 @@
+/**
+ * @fileoverview Cart Ownership Service for LaRama E-commerce Platform
+ *
+ * Visitors can fill a cart before creating an account. A guest cart is a
+ * `carts` row without a `user_id`; the browser keeps a signed cart token that
+ * names it and sends it in the `X-Cart-Token` header. When the visitor signs in
+ * or registers, the guest cart is folded into their own cart and deleted.
+ *
+ * Guest Cart Rules:
+ * - Cart tokens are JWTs signed with JWT_SECRET and typed `guest_cart`
+ * - A token only ever resolves to a cart that still has no owner
+ * - Merging never puts more of a product in the cart than the customer can buy
+ * - Every guest cart request counts as activity: it moves the cart's
+ *   `updated_at` forward and re-issues the token in the X-Cart-Token response
+ *   header, so the token expiry and the purge both run from the last request
+ * - Guest carts untouched for longer than the token lifetime are purged lazily
+ *
+ * @author Mohamad Abou Naasse
+ * @course University of Balamand - Advances in Computer Science
+ * @project LaRama Handcrafted Products E-commerce Platform
+ * @business LaRama Handcrafted (Owner: Rama)
+ */
+
+const jwt = require('jsonwebtoken'); // JSON Web Token library used to sign guest cart tokens
+const { availableQuantitySql } = require('./stockReservationService'); // Stock left after checkout holds
+
+/**
+ * Request header carrying the guest cart token.
+ */
+const CART_TOKEN_HEADER = 'x-cart-token';
+
+/**
+ * How long a guest cart token stays valid, in days.
+ */
+const GUEST_CART_DAYS = parseInt(process.env.GUEST_CART_DAYS, 10) || 30;
+
+const GUEST_CART_TOKEN_TYPE = 'guest_cart';
+
+/**
+ * Signs a token that identifies a guest cart.
+ *
+ * @param {string} cartId - Guest cart id
+ * @returns {string} Signed cart token
+ */
+const signCartToken = (cartId) =>
+  jwt.sign({ cartId, type: GUEST_CART_TOKEN_TYPE }, process.env.JWT_SECRET, {
+    expiresIn: `${GUEST_CART_DAYS}d`
+  });
+
+/**
+ * Reads the guest cart id from a cart token.
+ *
+ * @param {string|undefined} token - Cart token sent by the client
+ * @returns {string|null} Cart id, or null when the token is missing, expired or forged
+ */
+const verifyCartToken = (token) => {
+  if (!token) return null;
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.type === GUEST_CART_TOKEN_TYPE ? decoded.cartId : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Finds the cart behind a request.
+ *
+ * @param {import('pg').Pool|import('pg').PoolClient} db - Pool or client to query with
+ * @param {{userId?: string|null, guestCartId?: string|null}} owner - Signed-in customer or guest cart
+ * @returns {Promise<string|null>} Cart id, or null when there is no cart yet
+ */
+const findCartId = async (db, { userId = null, guestCartId = null }) => {
+  if (userId) {
+    const result = await db.query('SELECT id FROM carts WHERE user_id = $1', [userId]);
+    return result.rows[0]?.id || null;
+  }
+
+  if (guestCartId) {
+    const result = await db.query('SELECT id FROM carts WHERE id = $1 AND user_id IS NULL', [guestCartId]);
+    return result.rows[0]?.id || null;
+  }
+
+  return null;
+};
+
+/**
+ * Records a request on a guest cart.
+ *
+ * @param {import('pg').Pool|import('pg').PoolClient} db - Pool or client to query with
+ * @param {string} guestCartId - Cart id read from the guest cart token
+ * @returns {Promise<boolean>} False when the cart is gone (purged or merged into an account)
+ */
+const touchGuestCart = async (db, guestCartId) => {
+  const result = await db.query(
+    'UPDATE carts SET updated_at = CURRENT_TIMESTAMP WHERE id = $1 AND user_id IS NULL',
+    [guestCartId]
+  );
+
+  return result.rowCount > 0;
+};
+
+/**
+ * Returns the customer's cart id, creating the cart when it does not exist yet.
+ *
+ * @param {import('pg').PoolClient} client - Client inside an open transaction
+ * @param {string} userId - Customer who owns the cart
+ * @returns {Promise<string>} Cart id
+ */
+const ensureUserCart = async (client, userId) => {
+  await client.query(
+    'INSERT INTO carts (user_id) VALUES ($1) ON CONFLICT (user_id) DO NOTHING',
+    [userId]
+  );
+
+  return findCartId(client, { userId });
+};
+
+/**
+ * Creates an empty guest cart and purges abandoned ones.
+ *
+ * @param {import('pg').PoolClient} client - Client inside an open transaction
+ * @returns {Promise<string>} New guest cart id
+ */
+const createGuestCart = async (client) => {
+  await client.query(
+    `DELETE FROM carts
+     WHERE user_id IS NULL AND updated_at < NOW() - make_interval(days => $1)`,
+    [GUEST_CART_DAYS]
+  );
+
+  const result = await client.query('INSERT INTO carts (user_id) VALUES (NULL) RETURNING id');
+  return result.rows[0].id;
+};
+
+/**
+ * Folds a guest cart into a customer's cart and deletes the guest cart.
+ *
+ * Quantities of a product already in the customer's cart are added together,
+ * then capped at the stock available to the customer. Inactive or sold-out
+ * products are skipped and reported in `adjusted_items`. An item stays saved
+ * for later only if both carts had it saved; a guest note replaces the
+ * customer's note. The guest's discount code is kept unless the customer's
+ * cart already has one.
+ *
+ * @param {import('pg').PoolClient} client - Client inside an open transaction
+ * @param {string} userId - Customer signing in
+ * @param {string} guestCartId - Cart id read from the guest cart token
+ * @returns {Promise<{merged_items: number, adjusted_items: Object[]}|null>} Merge summary, or null when there was no guest cart
+ */
+const mergeGuestCart = async (client, userId, guestCartId) => {
+  const guestCart = await client.query(
+    'SELECT id, discount_code_id FROM carts WHERE id = $1 AND user_id IS NULL FOR UPDATE',
+    [guestCartId]
+  );
+
+  if (guestCart.rows.length === 0) {
+    return null;
+  }
+
+  const cartId = await ensureUserCart(client, userId);
+
+  const guestItems = await client.query(
+    `SELECT gi.product_id, gi.quantity, gi.saved_for_later, gi.note, p.name AS product_name, p.is_active,
+            COALESCE(ui.quantity, 0) AS existing_quantity,
+            ${availableQuantitySql('p', '$3')} AS available_quantity
+     FROM cart_items gi
+     JOIN products p ON gi.product_id = p.id
+     LEFT JOIN cart_items ui ON ui.cart_id = $2 AND ui.product_id = gi.product_id
+     WHERE gi.cart_id = $1
+     ORDER BY p.id
+     FOR UPDATE OF p`,
+    [guestCartId, cartId, userId]
+  );
+
+  let mergedItems = 0;
+  const adjustedItems = [];
+
+  for (const item of guestItems.rows) {
+    const available = item.is_active ? item.available_quantity : 0;
+    const quantity = Math.min(item.existing_quantity + item.quantity, available);
+    const added = Math.max(quantity - item.existing_quantity, 0);
+
+    if (added < item.quantity) {
+      adjustedItems.push({
+        product_id: item.product_id,
+        product_name: item.product_name,
+        requested: item.quantity,
+        added,
+        message: added > 0
+          ? `${item.product_name}: only ${added} of ${item.quantity} added, limited by stock`
+          : `${item.product_name}: not added, no more available`
+      });
+    }
+
+    if (added === 0) continue;
+
+    await client.query(
+      `INSERT INTO cart_items (cart_id, product_id, quantity, saved_for_later, note) VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (cart_id, product_id) DO UPDATE SET
+         quantity = EXCLUDED.quantity,
+         saved_for_later = cart_items.saved_for_later AND EXCLUDED.saved_for_later,
+         note = COALESCE(EXCLUDED.note, cart_items.note)`,
+      [cartId, item.product_id, quantity, item.saved_for_later, item.note]
+    );
+    mergedItems += 1;
+  }
+
+  if (guestCart.rows[0].discount_code_id) {
+    await client.query(
+      'UPDATE carts SET discount_code_id = COALESCE(discount_code_id, $2) WHERE id = $1',
+      [cartId, guestCart.rows[0].discount_code_id]
+    );
+  }
+
+  await client.query('DELETE FROM carts WHERE id = $1', [guestCartId]);
+
+  return { merged_items: mergedItems, adjusted_items: adjustedItems };
+};
+
+module.exports = {
+  CART_TOKEN_HEADER,
+  GUEST_CART_DAYS,
+  signCartToken,
+  verifyCartToken,
+  findCartId,
+  ensureUserCart,
+  touchGuestCart,
+  createGuestCart,
+  mergeGuestCart,
+};
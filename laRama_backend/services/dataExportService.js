@@ -0,0 +1,423 @@
+/**
+ * @fileoverview Personal Data Export Service for LaRama E-commerce Platform
+ *
+ * Backs the promise on the Privacy page that customers can take a copy of
+ * their data. Exports run in the background: a request creates a job, the
+ * archive is assembled after the response and the customer polls the job
+ * until it is ready to download.
+ *
+ * Export Rules:
+ * - The archive is a ZIP of JSON files (profile, addresses, cart, wishlist,
+ *   orders with items, newsletter status, restock requests, signed-in devices)
+ *   plus a README, read from one consistent database snapshot
+ * - Archives are written to DATA_EXPORT_DIR (default `data-exports/`) and
+ *   expire after DATA_EXPORT_HOURS (default 72)
+ * - A customer has at most one export in progress, and new requests wait
+ *   REQUEST_COOLDOWN_MINUTES after the previous one (failed ones excepted)
+ * - Jobs still in progress after STALE_JOB_MINUTES (e.g. after a restart) count as failed
+ *
+ * @author Mohamad Abou Naasse
+ * @course University of Balamand - Advances in Computer Science
+ * @project LaRama Handcrafted Products E-commerce Platform
+ * @business LaRama Handcrafted (Owner: Rama)
+ */
+
+const fs = require('fs/promises');              // Archive files
+const path = require('path');                   // Export directory paths
+const { pool } = require('../config/database'); // Background jobs use their own connection
+const { createZip } = require('./zipService');  // In-memory ZIP archives
+const { createStatusError } = require('../utils/errors'); // HTTP status errors for controllers
+
+/**
+ * Directory the archives are written to.
+ */
+const DATA_EXPORT_DIR = process.env.DATA_EXPORT_DIR || path.join(process.cwd(), 'data-exports');
+
+/**
+ * How long a finished archive can be downloaded, in hours.
+ */
+const DATA_EXPORT_HOURS = parseInt(process.env.DATA_EXPORT_HOURS, 10) || 72;
+
+/**
+ * Minimum gap between two export requests of the same customer, in minutes.
+ */
+const REQUEST_COOLDOWN_MINUTES = 10;
+
+/**
+ * Age after which a pending or processing job is considered lost, in minutes.
+ */
+const STALE_JOB_MINUTES = 30;
+
+/**
+ * Columns returned to the customer for a job.
+ */
+const JOB_COLUMNS = 'id, status, file_size, created_at, completed_at, expires_at';
+
+/**
+ * Path of a job's archive.
+ *
+ * @param {string} jobId - Export job id
+ * @returns {string} Absolute or working-directory-relative file path
+ */
+const getExportFilePath = (jobId) => path.join(DATA_EXPORT_DIR, `${jobId}.zip`);
+
+/**
+ * Deletes archive files, ignoring ones that are already gone.
+ *
+ * @param {Array<string>} jobIds - Jobs whose archives to delete
+ * @returns {Promise<void>}
+ */
+const removeExportFiles = async (jobIds) => {
+  await Promise.all(
+    jobIds.map((jobId) =>
+      fs.rm(getExportFilePath(jobId), { force: true }).catch((error) => {
+        console.error(`Data export cleanup error for ${jobId}:`, error);
+      })
+    )
+  );
+};
+
+/**
+ * Deletes a customer's export jobs.
+ *
+ * @param {import('pg').Pool|import('pg').PoolClient} db - Pool or transaction client
+ * @param {string} userId - Customer whose jobs to delete
+ * @param {Object} [options]
+ * @param {boolean} [options.expiredOnly=false] - Only delete expired or failed jobs
+ * @returns {Promise<Array<string>>} Ids of the deleted jobs; remove their files after commit
+ */
+const deleteExportJobs = async (db, userId, { expiredOnly = false } = {}) => {
+  const result = await db.query(
+    `DELETE FROM data_export_jobs
+     WHERE user_id = $1${expiredOnly ? " AND (expires_at <= NOW() OR status = 'failed')" : ''}
+     RETURNING id`,
+    [userId]
+  );
+
+  return result.rows.map((row) => row.id);
+};
+
+/**
+ * Reads everything tied to a customer.
+ *
+ * @param {import('pg').PoolClient} client - Client inside a read-only snapshot transaction
+ * @param {string} userId - Customer being exported
+ * @returns {Promise<Object>} Export sections keyed by file name (without extension)
+ */
+const collectUserData = async (client, userId) => {
+  const profileResult = await client.query(
+    'SELECT id, name, email, email_verified_at, created_at, updated_at FROM users WHERE id = $1',
+    [userId]
+  );
+  const profile = profileResult.rows[0];
+
+  const addresses = await client.query(
+    `SELECT id, label, recipient_name, phone, country, city, region, street, building, notes,
+            is_default, created_at, updated_at
+     FROM user_addresses WHERE user_id = $1 ORDER BY created_at`,
+    [userId]
+  );
+
+  const cartResult = await client.query(
+    `SELECT c.id, c.created_at, c.updated_at, dc.code AS discount_code
+     FROM carts c
+     LEFT JOIN discount_codes dc ON dc.id = c.discount_code_id
+     WHERE c.user_id = $1`,
+    [userId]
+  );
+  const cartItems = await client.query(
+    `SELECT p.name AS product_name, ci.product_id, ci.quantity, ci.saved_for_later, ci.note, ci.added_at
+     FROM cart_items ci
+     JOIN carts c ON c.id = ci.cart_id
+     JOIN products p ON p.id = ci.product_id
+     WHERE c.user_id = $1
+     ORDER BY ci.added_at`,
+    [userId]
+  );
+
+  const wishlist = await client.query(
+    `SELECT p.name AS product_name, wi.product_id, wi.created_at AS saved_at
+     FROM wishlist_items wi
+     JOIN products p ON p.id = wi.product_id
+     WHERE wi.user_id = $1
+     ORDER BY wi.created_at`,
+    [userId]
+  );
+
+  const orders = await client.query(
+    `SELECT id, reference, status, subtotal_amount, shipping_amount, discount_amount, total_amount,
+            shipping_address, shipping_address_details, shipping_country, shipping_method,
+            order_notes, gift_message, created_at, updated_at
+     FROM orders WHERE user_id = $1 ORDER BY created_at`,
+    [userId]
+  );
+  const orderItems = await client.query(
+    `SELECT oi.order_id, p.name AS product_name, oi.product_id, oi.quantity, oi.price, oi.note
+     FROM order_items oi
+     JOIN orders o ON o.id = oi.order_id
+     LEFT JOIN products p ON p.id = oi.product_id
+     WHERE o.user_id = $1
+     ORDER BY oi.created_at`,
+    [userId]
+  );
+  const orderDiscounts = await client.query(
+    `SELECT od.order_id, od.code, od.description, od.discount_type, od.amount
+     FROM order_discounts od
+     JOIN orders o ON o.id = od.order_id
+     WHERE o.user_id = $1`,
+    [userId]
+  );
+  const statusHistory = await client.query(
+    `SELECT h.order_id, h.from_status, h.to_status, h.changed_by_type, h.note, h.created_at
+     FROM order_status_history h
+     JOIN orders o ON o.id = h.order_id
+     WHERE o.user_id = $1
+     ORDER BY h.created_at`,
+    [userId]
+  );
+
+  const newsletter = await client.query(
+    `SELECT email, status, subscription_date, unsubscribed_date, source
+     FROM newsletter_subscriptions WHERE email = $1`,
+    [profile.email]
+  );
+
+  const restockRequests = await client.query(
+    `SELECT p.name AS product_name, rs.product_id, rs.email, rs.created_at, rs.fulfilled_at
+     FROM restock_subscriptions rs
+     JOIN products p ON p.id = rs.product_id
+     WHERE rs.user_id = $1 OR rs.email = $2
+     ORDER BY rs.created_at`,
+    [userId, profile.email]
+  );
+
+  const sessions = await client.query(
+    `SELECT device_name, ip_address, created_at, last_used_at, expires_at, revoked_at
+     FROM user_sessions WHERE user_id = $1 ORDER BY created_at`,
+    [userId]
+  );
+
+  const byOrder = (rows) => (orderId) =>
+    rows.filter((row) => row.order_id === orderId).map(({ order_id: _orderId, ...rest }) => rest);
+  const itemsOf = byOrder(orderItems.rows);
+  const discountsOf = byOrder(orderDiscounts.rows);
+  const historyOf = byOrder(statusHistory.rows);
+
+  return {
+    profile,
+    addresses: addresses.rows,
+    cart: cartResult.rows[0] ? { ...cartResult.rows[0], items: cartItems.rows } : null,
+    wishlist: wishlist.rows,
+    orders: orders.rows.map((order) => ({
+      ...order,
+      items: itemsOf(order.id),
+      discounts: discountsOf(order.id),
+      status_history: historyOf(order.id)
+    })),
+    newsletter: newsletter.rows[0] || null,
+    restock_requests: restockRequests.rows,
+    signed_in_devices: sessions.rows
+  };
+};
+
+/**
+ * Builds the README placed at the root of the archive.
+ *
+ * @param {Object} profile - Exported profile
+ * @param {Date} generatedAt - When the archive was built
+ * @returns {string} Plain text README
+ */
+const buildReadme = (profile, generatedAt) =>
+  [
+    'LaRama Handcrafted - personal data export',
+    '',
+    `Account: ${profile.name} <${profile.email}>`,
+    `Generated: ${generatedAt.toISOString()}`,
+    '',
+    'profile.json            Your name, email and account dates',
+    'addresses.json          Your saved delivery addresses',
+    'cart.json               Your cart, including items saved for later and notes',
+    'wishlist.json           Your saved styles',
+    'orders.json             Your orders with items, discounts and status history',
+    'newsletter.json         Your newsletter subscription (null if you never subscribed)',
+    'restock_requests.json   Back-in-stock emails you asked for',
+    'signed_in_devices.json  Devices that signed in to your account, including signed-out ones',
+    '',
+    'Live video consultations are not recorded or stored, so there is nothing to export for them.'
+  ].join('\n');
+
+/**
+ * Builds a job's archive and marks it ready (or failed).
+ *
+ * Never rejects: it runs detached from the request, so every failure,
+ * including not getting a connection, is logged and recorded on the job.
+ *
+ * @param {string} jobId - Export job id
+ * @param {string} userId - Customer being exported
+ * @returns {Promise<void>}
+ */
+const runExportJob = async (jobId, userId) => {
+  let client;
+
+  try {
+    client = await pool.connect();
+    await client.query("UPDATE data_export_jobs SET status = 'processing' WHERE id = $1", [jobId]);
+
+    await client.query('BEGIN ISOLATION LEVEL REPEATABLE READ READ ONLY');
+    const data = await collectUserData(client, userId);
+    await client.query('COMMIT');
+
+    const generatedAt = new Date();
+    const archive = createZip(
+      [
+        { name: 'README.txt', content: buildReadme(data.profile, generatedAt) },
+        ...Object.entries(data).map(([section, content]) => ({
+          name: `${section}.json`,
+          content: JSON.stringify(content, null, 2)
+        }))
+      ],
+      generatedAt
+    );
+
+    await fs.mkdir(DATA_EXPORT_DIR, { recursive: true });
+    await fs.writeFile(getExportFilePath(jobId), archive);
+
+    const ready = await client.query(
+      `UPDATE data_export_jobs
+       SET status = 'ready', file_size = $2, completed_at = NOW(),
+           expires_at = NOW() + make_interval(hours => $3)
+       WHERE id = $1`,
+      [jobId, archive.length, DATA_EXPORT_HOURS]
+    );
+
+    // The account was deleted while the archive was being built
+    if (ready.rowCount === 0) {
+      await removeExportFiles([jobId]);
+    }
+  } catch (error) {
+    console.error(`Data export error for job ${jobId}:`, error);
+
+    // Without a connection the pool gets one more try at marking the job failed
+    const db = client || pool;
+    if (client) {
+      await client.query('ROLLBACK').catch(() => {});
+    }
+    await db
+      .query("UPDATE data_export_jobs SET status = 'failed', completed_at = NOW() WHERE id = $1", [jobId])
+      .catch(() => {});
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+};
+
+/**
+ * Starts an export for a customer, or returns the one already in progress.
+ *
+ * @param {import('pg').PoolClient} client - Client inside a transaction, holding the user row lock
+ * @param {string} userId - Signed-in customer
+ * @returns {Promise<{job: Object, created: boolean, expiredJobIds: Array<string>}>}
+ *   The job, whether it is new (run it with queueExportJob after commit) and
+ *   expired jobs whose files should be removed after commit
+ * @throws {Error} 429 status error within the request cooldown
+ */
+const requestExport = async (client, userId) => {
+  await client.query(
+    `UPDATE data_export_jobs
+     SET status = 'failed', completed_at = NOW()
+     WHERE user_id = $1 AND status IN ('pending', 'processing')
+       AND created_at <= NOW() - make_interval(mins => $2)`,
+    [userId, STALE_JOB_MINUTES]
+  );
+
+  const active = await client.query(
+    `SELECT ${JOB_COLUMNS} FROM data_export_jobs
+     WHERE user_id = $1 AND status IN ('pending', 'processing')`,
+    [userId]
+  );
+
+  if (active.rows.length > 0) {
+    return { job: active.rows[0], created: false, expiredJobIds: [] };
+  }
+
+  const recent = await client.query(
+    `SELECT CEIL(EXTRACT(EPOCH FROM (MAX(created_at) + make_interval(mins => $2) - NOW())) / 60)::int AS wait_minutes
+     FROM data_export_jobs WHERE user_id = $1 AND status <> 'failed'`,
+    [userId, REQUEST_COOLDOWN_MINUTES]
+  );
+  const waitMinutes = recent.rows[0].wait_minutes;
+
+  if (waitMinutes > 0) {
+    throw createStatusError(
+      429,
+      `Please wait ${waitMinutes} minute${waitMinutes === 1 ? '' : 's'} before requesting another export.`
+    );
+  }
+
+  const expiredJobIds = await deleteExportJobs(client, userId, { expiredOnly: true });
+
+  const result = await client.query(
+    `INSERT INTO data_export_jobs (user_id) VALUES ($1) RETURNING ${JOB_COLUMNS}`,
+    [userId]
+  );
+
+  return { job: result.rows[0], created: true, expiredJobIds };
+};
+
+/**
+ * Runs a job after the response so large histories do not hold up the request.
+ * Failures are recorded on the job.
+ *
+ * @param {string} jobId - Export job id
+ * @param {string} userId - Customer being exported
+ * @returns {void}
+ */
+const queueExportJob = (jobId, userId) => {
+  setImmediate(() => {
+    runExportJob(jobId, userId);
+  });
+};
+
+/**
+ * Lists a customer's export jobs, newest first.
+ *
+ * @param {import('pg').Pool} db - Database pool
+ * @param {string} userId - Signed-in customer
+ * @returns {Promise<Array<Object>>} Jobs with status, file_size and timestamps
+ */
+const listExports = async (db, userId) => {
+  const result = await db.query(
+    `SELECT ${JOB_COLUMNS} FROM data_export_jobs WHERE user_id = $1 ORDER BY created_at DESC`,
+    [userId]
+  );
+
+  return result.rows;
+};
+
+/**
+ * Finds one of a customer's export jobs.
+ *
+ * @param {import('pg').Pool} db - Database pool
+ * @param {string} userId - Signed-in customer
+ * @param {string} jobId - Export job id
+ * @returns {Promise<Object|null>} Job, or null when it is not the customer's
+ */
+const getExport = async (db, userId, jobId) => {
+  const result = await db.query(
+    `SELECT ${JOB_COLUMNS} FROM data_export_jobs WHERE id = $1 AND user_id = $2`,
+    [jobId, userId]
+  );
+
+  return result.rows[0] || null;
+};
+
+module.exports = {
+  requestExport,
+  queueExportJob,
+  listExports,
+  getExport,
+  getExportFilePath,
+  deleteExportJobs,
+  removeExportFiles
+};
@@ -0,0 +1,335 @@
+/**
+ * @fileoverview Discount Code Service for LaRama E-commerce Platform
+ *
+ * Checks and prices the discount codes Rama creates from the admin GraphQL
+ * API. A customer or guest applies one code to their cart; the cart page, the
+ * shipping quote and order creation all price it here, so the discount shown
+ * before checkout is the one stored on the order.
+ *
+ * Discount Types (`discount_codes.discount_type`):
+ * - percentage    -> `value` percent off the eligible items
+ * - fixed_amount  -> `value` off the eligible items, never more than their total
+ * - free_shipping -> the chosen shipping charge is waived
+ *
+ * Code Rules:
+ * - Codes are matched case-insensitively and stored upper-cased
+ * - Codes are priced after automatic promotions (services/promotionService.js),
+ *   on the line totals those leave
+ * - `min_subtotal` is compared with the whole cart subtotal after promotions
+ * - With `category` set, only items of that category are discounted and at
+ *   least one must be in the cart
+ * - Usage limits count the orders that used the code, except cancelled ones
+ *
+ * @author Mohamad Abou Naasse
+ * @course University of Balamand - Advances in Computer Science
+ * @project LaRama Handcrafted Products E-commerce Platform
+ * @business LaRama Handcrafted (Owner: Rama)
+ */
+
+const { createStatusError } = require('../utils/errors'); // HTTP status errors for controllers
+const { roundCurrency } = require('../utils/currency'); // Amounts rounded to cents
+
+/**
+ * Discount types accepted by the `discount_codes.discount_type` CHECK constraint.
+ */
+const DISCOUNT_TYPES = ['percentage', 'fixed_amount', 'free_shipping'];
+
+/**
+ * Normalises a code as typed by a customer.
+ *
+ * @param {string} code - Code from the request body
+ * @returns {string|null} Upper-case code, or null when empty
+ */
+const normalizeDiscountCode = (code) => {
+  if (typeof code !== 'string' || code.trim() === '') {
+    return null;
+  }
+
+  return code.trim().toUpperCase();
+};
+
+/**
+ * Loads a discount code by id or code, with its schedule checked against the database clock.
+ *
+ * @param {import('pg').Pool|import('pg').PoolClient} db - Pool or client to query with
+ * @param {Object} where - Lookup
+ * @param {string} [where.id] - Discount code id
+ * @param {string} [where.code] - Normalised code
+ * @param {Object} [options] - Query options
+ * @param {boolean} [options.forUpdate] - Lock the row so concurrent orders count usage one at a time
+ * @returns {Promise<Object|null>} `discount_codes` row with `not_started` and `expired` flags
+ */
+const findDiscountCode = async (db, { id, code }, { forUpdate = false } = {}) => {
+  const result = await db.query(
+    `SELECT id, code, description, discount_type, value, min_subtotal, category,
+            usage_limit, per_customer_limit, is_active,
+            (starts_at IS NOT NULL AND starts_at > NOW()) AS not_started,
+            (expires_at IS NOT NULL AND expires_at <= NOW()) AS expired
+     FROM discount_codes
+     WHERE ${id ? 'id' : 'code'} = $1${forUpdate ? '\n     FOR UPDATE' : ''}`,
+    [id || code]
+  );
+
+  return result.rows[0] || null;
+};
+
+/**
+ * Active cart items with the fields promotions and discounts are priced from.
+ *
+ * @param {import('pg').Pool|import('pg').PoolClient} db - Pool or client to query with
+ * @param {string} cartId - Cart to read
+ * @returns {Promise<Object[]>} Items not saved for later: cart_item_id, product_id, category, price, quantity, item_total
+ */
+const loadDiscountableItems = async (db, cartId) => {
+  const result = await db.query(
+    `SELECT ci.id AS cart_item_id, ci.product_id, p.category, p.price, ci.quantity,
+            (ci.quantity * p.price) AS item_total
+     FROM cart_items ci
+     JOIN products p ON ci.product_id = p.id AND p.is_active = true
+     WHERE ci.cart_id = $1 AND ci.saved_for_later = false`,
+    [cartId]
+  );
+
+  return result.rows;
+};
+
+/**
+ * Counts the non-cancelled orders that used a code, in total and for one customer.
+ *
+ * @param {import('pg').Pool|import('pg').PoolClient} db - Pool or client to query with
+ * @param {string} discountCodeId - Discount code id
+ * @param {string|null} userId - Customer, or null for a guest
+ * @returns {Promise<{total_uses: number, customer_uses: number}>} Usage counts
+ */
+const countDiscountUses = async (db, discountCodeId, userId) => {
+  const result = await db.query(
+    `SELECT COUNT(*)::int AS total_uses,
+            COUNT(*) FILTER (WHERE o.user_id = $2)::int AS customer_uses
+     FROM order_discounts od
+     JOIN orders o ON od.order_id = o.id
+     WHERE od.discount_code_id = $1 AND o.status <> 'cancelled'`,
+    [discountCodeId, userId]
+  );
+
+  return result.rows[0];
+};
+
+/**
+ * Checks a code against a basket and prices it.
+ *
+ * Guests are not checked against `per_customer_limit`; order creation, which
+ * requires signing in, checks it again.
+ *
+ * @param {import('pg').Pool|import('pg').PoolClient} db - Pool or client to query with
+ * @param {Object} discount - Row from {@link findDiscountCode}
+ * @param {Object} basket - Basket to price
+ * @param {string|null} basket.userId - Customer, or null for a guest
+ * @param {{category: string|null, item_total: (number|string)}[]} basket.items - Active cart items
+ * @param {number} [basket.shippingAmount] - Shipping charge waived by free_shipping codes
+ * @returns {Promise<Object>} Discount line: discount_code_id, code, description, discount_type, value, amount
+ * @throws {Error} 400 when the code does not apply to the basket, 409 when its usage limit is reached
+ */
+const evaluateDiscount = async (db, discount, { userId, items, shippingAmount = 0 }) => {
+  const { code } = discount;
+
+  if (!discount.is_active) {
+    throw createStatusError(400, `${code} is no longer available`);
+  }
+  if (discount.not_started) {
+    throw createStatusError(400, `${code} is not active yet`);
+  }
+  if (discount.expired) {
+    throw createStatusError(400, `${code} has expired`);
+  }
+
+  if (items.length === 0) {
+    throw createStatusError(400, 'Add items to your cart before using a discount code');
+  }
+
+  const subtotal = items.reduce((sum, item) => sum + parseFloat(item.item_total), 0);
+
+  const minSubtotal = discount.min_subtotal === null ? null : parseFloat(discount.min_subtotal);
+  if (minSubtotal !== null && subtotal < minSubtotal) {
+    throw createStatusError(400, `${code} needs a subtotal of at least $${minSubtotal.toFixed(2)}`);
+  }
+
+  const category = discount.category ? discount.category.toLowerCase() : null;
+  const eligibleSubtotal = category
+    ? items
+      .filter((item) => item.category && item.category.toLowerCase() === category)
+      .reduce((sum, item) => sum + parseFloat(item.item_total), 0)
+    : subtotal;
+
+  if (category && eligibleSubtotal === 0) {
+    throw createStatusError(400, `${code} only applies to ${discount.category}`);
+  }
+
+  if (discount.usage_limit !== null || (userId && discount.per_customer_limit !== null)) {
+    const uses = await countDiscountUses(db, discount.id, userId);
+
+    if (discount.usage_limit !== null && uses.total_uses >= discount.usage_limit) {
+      throw createStatusError(409, `${code} has reached its usage limit`);
+    }
+    if (userId && discount.per_customer_limit !== null && uses.customer_uses >= discount.per_customer_limit) {
+      throw createStatusError(409, `You have already used ${code}`);
+    }
+  }
+
+  const value = parseFloat(discount.value);
+  const line = {
+    discount_code_id: discount.id,
+    code,
+    description: discount.description,
+    discount_type: discount.discount_type,
+    value,
+    eligible_subtotal: roundCurrency(eligibleSubtotal)
+  };
+
+  return { ...line, amount: discountAmountFor(line, shippingAmount) };
+};
+
+/**
+ * Prices an evaluated discount line for one shipping charge.
+ *
+ * @param {Object} line - Line returned by {@link evaluateDiscount}
+ * @param {number} shippingAmount - Shipping charge of the chosen option
+ * @returns {number} Amount taken off the order
+ */
+const discountAmountFor = (line, shippingAmount) => {
+  switch (line.discount_type) {
+    case 'percentage':
+      return roundCurrency(line.eligible_subtotal * line.value / 100);
+    case 'fixed_amount':
+      return roundCurrency(Math.min(line.value, line.eligible_subtotal));
+    case 'free_shipping':
+      return roundCurrency(shippingAmount);
+    default:
+      return 0;
+  }
+};
+
+/**
+ * Describes the code applied to a cart for display.
+ *
+ * A code that no longer applies (expired, below its minimum, used up) is still
+ * returned, with `is_valid: false`, amount 0 and the reason in `message`, so the
+ * customer can see why and remove it.
+ *
+ * @param {import('pg').Pool|import('pg').PoolClient} db - Pool or client to query with
+ * @param {Object} params - Cart to describe
+ * @param {string|null} params.cartId - Cart id, or null when there is no cart
+ * @param {string|null} params.userId - Customer, or null for a guest
+ * @param {Object[]} params.items - Active cart items with category and item_total
+ * @param {number} [params.shippingAmount] - Shipping charge waived by free_shipping codes
+ * @returns {Promise<Object|null>} Discount line with is_valid and message, or null when no code is applied
+ */
+const getCartDiscount = async (db, { cartId, userId, items, shippingAmount }) => {
+  if (!cartId) {
+    return null;
+  }
+
+  const cartResult = await db.query('SELECT discount_code_id FROM carts WHERE id = $1', [cartId]);
+  const discountCodeId = cartResult.rows.length > 0 ? cartResult.rows[0].discount_code_id : null;
+  const discount = discountCodeId ? await findDiscountCode(db, { id: discountCodeId }) : null;
+
+  if (!discount) {
+    return null;
+  }
+
+  try {
+    const line = await evaluateDiscount(db, discount, { userId, items, shippingAmount });
+    return { ...line, is_valid: true, message: null };
+  } catch (error) {
+    if (!error.status) {
+      throw error;
+    }
+
+    return {
+      discount_code_id: discount.id,
+      code: discount.code,
+      description: discount.description,
+      discount_type: discount.discount_type,
+      value: parseFloat(discount.value),
+      eligible_subtotal: 0,
+      amount: 0,
+      is_valid: false,
+      message: error.message
+    };
+  }
+};
+
+/**
+ * Prices the cart's code for an order being created, locking the code so usage
+ * limits hold under concurrent checkouts.
+ *
+ * @param {import('pg').PoolClient} client - Client inside an open transaction
+ * @param {Object} params - Order basket
+ * @param {string|null} params.discountCodeId - `carts.discount_code_id`
+ * @param {string} params.userId - Customer placing the order
+ * @param {Object[]} params.items - Ordered items with category and item_total
+ * @param {number} params.shippingAmount - Shipping charge of the order
+ * @returns {Promise<Object|null>} Discount line, or null when the cart has no code
+ * @throws {Error} Same as {@link evaluateDiscount}
+ */
+const redeemCartDiscount = async (client, { discountCodeId, userId, items, shippingAmount }) => {
+  if (!discountCodeId) {
+    return null;
+  }
+
+  const discount = await findDiscountCode(client, { id: discountCodeId }, { forUpdate: true });
+  if (!discount) {
+    return null;
+  }
+
+  return evaluateDiscount(client, discount, { userId, items, shippingAmount });
+};
+
+/**
+ * Stores a discount line on an order.
+ *
+ * @param {import('pg').PoolClient} client - Client inside an open transaction
+ * @param {string} orderId - Order the discount belongs to
+ * @param {Object} line - Line returned by {@link redeemCartDiscount}
+ * @returns {Promise<void>}
+ */
+const recordOrderDiscount = async (client, orderId, line) => {
+  await client.query(
+    `INSERT INTO order_discounts (order_id, discount_code_id, code, description, discount_type, amount)
+     VALUES ($1, $2, $3, $4, $5, $6)`,
+    [orderId, line.discount_code_id, line.code, line.description, line.discount_type, line.amount]
+  );
+};
+
+/**
+ * Discount lines of an order, as stored at checkout: promotions first, then the code.
+ *
+ * @param {import('pg').Pool|import('pg').PoolClient} db - Pool or client to query with
+ * @param {string} orderId - Order id
+ * @returns {Promise<{code: string|null, description: string|null, discount_type: string, amount: number}[]>}
+ *   Discount lines; promotion lines have no code and carry the promotion name in description
+ */
+const getOrderDiscounts = async (db, orderId) => {
+  const result = await db.query(
+    `SELECT code, description, discount_type, amount
+     FROM order_discounts
+     WHERE order_id = $1
+     ORDER BY code NULLS FIRST, created_at`,
+    [orderId]
+  );
+
+  return result.rows.map((row) => ({ ...row, amount: parseFloat(row.amount) }));
+};
+
+module.exports = {
+  DISCOUNT_TYPES,
+  normalizeDiscountCode,
+  findDiscountCode,
+  loadDiscountableItems,
+  countDiscountUses,
+  evaluateDiscount,
+  discountAmountFor,
+  getCartDiscount,
+  redeemCartDiscount,
+  recordOrderDiscount,
+  getOrderDiscounts,
+};
@@ -0,0 +1,158 @@
+/**
+ * @fileoverview Email Verification Service for LaRama E-commerce Platform
+ *
+ * Confirms that customers own the email they registered with, so orders are
+ * not placed from made-up addresses that Rama then chases on WhatsApp.
+ *
+ * Token Rules:
+ * - Tokens are 32 random bytes sent to the customer; only their SHA-256 hash is stored
+ * - A token is tied to the email it was sent to and expires after EMAIL_VERIFICATION_HOURS (default 48)
+ * - Verifying sets `users.email_verified_at` and deletes the customer's tokens
+ * - Resending waits RESEND_COOLDOWN_SECONDS after the last email and allows
+ *   MAX_EMAILS_PER_DAY emails in 24 hours
+ *
+ * @author Mohamad Abou Naasse
+ * @course University of Balamand - Advances in Computer Science
+ * @project LaRama Handcrafted Products E-commerce Platform
+ * @business LaRama Handcrafted (Owner: Rama)
+ */
+
+const crypto = require('crypto'); // Random tokens
+const { hashToken } = require('../utils/tokens'); // SHA-256 token digests
+const { createStatusError } = require('../utils/errors'); // HTTP status errors for controllers
+
+/**
+ * How long a verification link stays valid, in hours.
+ */
+const EMAIL_VERIFICATION_HOURS = parseInt(process.env.EMAIL_VERIFICATION_HOURS, 10) || 48;
+
+/**
+ * Minimum gap between two verification emails to the same customer, in seconds.
+ */
+const RESEND_COOLDOWN_SECONDS = 60;
+
+/**
+ * Verification emails a customer can receive in 24 hours.
+ */
+const MAX_EMAILS_PER_DAY = 5;
+
+/**
+ * Whether checkout requires a verified email (REQUIRE_EMAIL_VERIFICATION=true).
+ *
+ * @returns {boolean} True when unverified customers cannot place orders
+ */
+const isVerificationRequired = () => process.env.REQUIRE_EMAIL_VERIFICATION === 'true';
+
+/**
+ * Issues a verification token for a customer's current email.
+ *
+ * @param {import('pg').Pool|import('pg').PoolClient} db - Pool or transaction client
+ * @param {{id: string, email: string}} user - Customer to verify
+ * @param {Object} [options]
+ * @param {boolean} [options.throttle=false] - Enforce the resend cooldown and daily limit
+ * @returns {Promise<string>} Raw token to email
+ * @throws {Error} 429 status error when throttled
+ */
+const createVerificationToken = async (db, user, { throttle = false } = {}) => {
+  if (throttle) {
+    const recent = await db.query(
+      `SELECT
+         COUNT(*)::int AS sent_today,
+         CEIL(EXTRACT(EPOCH FROM (MAX(created_at) + make_interval(secs => $2) - NOW())))::int AS wait_seconds
+       FROM email_verification_tokens
+       WHERE user_id = $1 AND created_at > NOW() - INTERVAL '24 hours'`,
+      [user.id, RESEND_COOLDOWN_SECONDS]
+    );
+    const { sent_today: sentToday, wait_seconds: waitSeconds } = recent.rows[0];
+
+    if (sentToday >= MAX_EMAILS_PER_DAY) {
+      throw createStatusError(429, 'Too many verification emails today. Please try again tomorrow.');
+    }
+
+    if (waitSeconds > 0) {
+      throw createStatusError(429, `Please wait ${waitSeconds} seconds before requesting another email.`);
+    }
+  }
+
+  const token = crypto.randomBytes(32).toString('hex');
+
+  await db.query(
+    `INSERT INTO email_verification_tokens (user_id, email, token_hash, expires_at)
+     VALUES ($1, $2, $3, NOW() + make_interval(hours => $4))`,
+    [user.id, user.email, hashToken(token), EMAIL_VERIFICATION_HOURS]
+  );
+
+  return token;
+};
+
+/**
+ * Verifies the customer a token was sent to. The token only counts while the
+ * account still has the email it was sent to.
+ *
+ * @param {import('pg').PoolClient} client - Client inside a transaction
+ * @param {string} token - Raw token from the email link
+ * @returns {Promise<{id: string, email: string, email_verified_at: string}|null>}
+ *   Verified customer, or null when the token is unknown, expired or for an old email
+ */
+const verifyEmailToken = async (client, token) => {
+  const result = await client.query(
+    `UPDATE users u
+     SET email_verified_at = COALESCE(u.email_verified_at, NOW())
+     FROM email_verification_tokens t
+     WHERE t.token_hash = $1
+       AND t.expires_at > NOW()
+       AND t.user_id = u.id
+       AND t.email = u.email
+     RETURNING u.id, u.email, u.email_verified_at`,
+    [hashToken(token)]
+  );
+
+  if (result.rows.length === 0) return null;
+
+  const user = result.rows[0];
+
+  await client.query('DELETE FROM email_verification_tokens WHERE user_id = $1', [user.id]);
+
+  return user;
+};
+
+/**
+ * Builds the verification email for a customer.
+ *
+ * @param {{name: string, email: string}} user - Customer receiving the email
+ * @param {string} token - Raw verification token
+ * @param {Object} [options]
+ * @param {boolean} [options.emailChanged=false] - Word the email for a changed address instead of a new account
+ * @returns {{to: string, subject: string, text: string}} Email message
+ */
+const buildVerificationEmail = (user, token, { emailChanged = false } = {}) => {
+  const storefrontUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+
+  return {
+    to: user.email,
+    subject: 'Confirm your email for LaRama',
+    text: [
+      `Hi ${user.name},`,
+      '',
+      emailChanged
+        ? 'You changed the email of your LaRama account. Please confirm this is your email address'
+        : 'Thank you for joining LaRama Handcrafted. Please confirm this is your email address',
+      `(the link expires in ${EMAIL_VERIFICATION_HOURS} hours):`,
+      '',
+      `${storefrontUrl}/verify-email?token=${token}`,
+      '',
+      emailChanged
+        ? 'If you did not make this change, you can ignore this email.'
+        : 'If you did not create a LaRama account, you can ignore this email.',
+      '',
+      'LaRama Handcrafted'
+    ].join('\n')
+  };
+};
+
+module.exports = {
+  isVerificationRequired,
+  createVerificationToken,
+  verifyEmailToken,
+  buildVerificationEmail
+};
@@ -0,0 +1,100 @@
+/**
+ * @fileoverview Inventory Ledger Service for LaRama E-commerce Platform
+ *
+ * Every change to `products.stock_quantity` is paired with a row in
+ * `inventory_movements` so the studio can see why stock moved: sales,
+ * cancellations, restocks, manual corrections and damaged pieces. The NestJS
+ * admin service writes the same table for catalogue edits and adjustments.
+ *
+ * Ledger Rules:
+ * - `quantity_delta` is signed (negative for sales and damage) and never zero
+ * - `stock_after` is the on-hand quantity once the change is applied
+ * - Movements are written in the same transaction as the stock change
+ *
+ * @author Mohamad Abou Naasse
+ * @course University of Balamand - Advances in Computer Science
+ * @project LaRama Handcrafted Products E-commerce Platform
+ * @business LaRama Handcrafted (Owner: Rama)
+ */
+
+/**
+ * Reasons accepted by the `inventory_movements.reason` CHECK constraint.
+ */
+const INVENTORY_MOVEMENT_REASONS = ['sale', 'cancellation', 'restock', 'manual_correction', 'damaged'];
+
+/**
+ * Appends a stock change to the inventory ledger.
+ *
+ * @param {import('pg').PoolClient} client - Client inside the transaction that changed the stock
+ * @param {Object} movement - Movement details
+ * @param {string} movement.productId - Product whose stock changed
+ * @param {number} movement.quantityDelta - Signed change in units
+ * @param {number} movement.stockAfter - Stock quantity after the change
+ * @param {string} movement.reason - One of INVENTORY_MOVEMENT_REASONS
+ * @param {'customer'|'admin'|'system'} movement.actorType - Who caused the change
+ * @param {string|null} [movement.actorId] - User id or administrator email
+ * @param {string|null} [movement.orderId] - Order behind a sale or cancellation
+ * @param {string|null} [movement.note] - Optional free-text explanation
+ * @returns {Promise<Object>} Inserted ledger row
+ */
+const recordInventoryMovement = async (client, {
+  productId,
+  quantityDelta,
+  stockAfter,
+  reason,
+  actorType,
+  actorId = null,
+  orderId = null,
+  note = null
+}) => {
+  const result = await client.query(
+    `INSERT INTO inventory_movements (product_id, quantity_delta, stock_after, reason, actor_type, actor_id, order_id, note)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+     RETURNING id, product_id, quantity_delta, stock_after, reason, actor_type, actor_id, order_id, note, created_at`,
+    [productId, quantityDelta, stockAfter, reason, actorType, actorId, orderId, note]
+  );
+
+  return result.rows[0];
+};
+
+/**
+ * Socket.IO event sent to the `admin-watchers` room (authenticated administrators only) when stock runs low.
+ */
+const LOW_STOCK_EVENT = 'inventory:low-stock';
+
+/**
+ * Checks whether a stock decrease took a product to or below its reorder threshold.
+ *
+ * Only the change that crosses the threshold counts, so administrators are
+ * alerted once rather than on every later sale of an already low product.
+ *
+ * @param {number} stockBefore - Stock quantity before the change
+ * @param {number} stockAfter - Stock quantity after the change
+ * @param {number} reorderThreshold - Product reorder threshold
+ * @returns {boolean} True when the product just became low in stock
+ */
+const crossedReorderThreshold = (stockBefore, stockAfter, reorderThreshold) =>
+  stockBefore > reorderThreshold && stockAfter <= reorderThreshold;
+
+/**
+ * Notifies connected administrators about products that just became low in stock.
+ *
+ * @param {import('socket.io').Server|undefined} io - Socket.IO server registered on the Express app
+ * @param {Array<Object>} alerts - Entries with product_id, product_name, stock_quantity, reorder_threshold and order_id
+ * @returns {void}
+ */
+const emitLowStockAlerts = (io, alerts) => {
+  if (!io || alerts.length === 0) return;
+
+  for (const alert of alerts) {
+    io.to('admin-watchers').emit(LOW_STOCK_EVENT, alert);
+  }
+};
+
+module.exports = {
+  INVENTORY_MOVEMENT_REASONS,
+  LOW_STOCK_EVENT,
+  recordInventoryMovement,
+  crossedReorderThreshold,
+  emitLowStockAlerts,
+};
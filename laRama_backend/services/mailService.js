@@ -0,0 +1,92 @@
+/**
+ * @fileoverview Mail Service for LaRama E-commerce Platform
+ *
+ * Sends transactional emails such as password reset links. Delivery goes
+ * through a pluggable transport chosen by MAIL_TRANSPORT, mirroring the
+ * NestJS MailModule:
+ * - `console` (default): prints each email to the server log
+ * - `file`: writes each email as an .eml file to MAIL_OUTBOX_DIR (default `mail-outbox/`)
+ *
+ * A production provider (SMTP, API) only has to expose `send(message)` and be
+ * added to `createTransport`. MAIL_FROM sets the sender.
+ *
+ * @author Mohamad Abou Naasse
+ * @course University of Balamand - Advances in Computer Science
+ * @project LaRama Handcrafted Products E-commerce Platform
+ * @business LaRama Handcrafted (Owner: Rama)
+ */
+
+const fs = require('fs/promises');        // Promise-based file system access for the file transport
+const path = require('path');             // Path helpers for the outbox directory
+const { randomUUID } = require('crypto'); // Unique .eml file names
+
+const MAIL_FROM = process.env.MAIL_FROM || 'LaRama Handcrafted <no-reply@larama.local>';
+
+/**
+ * Development transport: prints each email to the server log instead of sending it.
+ */
+const consoleTransport = {
+  send: async (message) => {
+    console.log(`📧 To: ${message.to} | Subject: ${message.subject}\n${message.text}`);
+  }
+};
+
+/**
+ * Development transport: writes each email as an .eml file so it can be opened in a mail client.
+ *
+ * @param {string} directory - Outbox directory, created on first use
+ * @returns {{send: Function}} Transport
+ */
+const createFileTransport = (directory) => ({
+  send: async (message) => {
+    await fs.mkdir(directory, { recursive: true });
+    const fileName = `${new Date().toISOString().replace(/[:.]/g, '-')}-${randomUUID()}.eml`;
+    const content = [
+      `From: ${message.from}`,
+      `To: ${message.to}`,
+      `Subject: ${message.subject}`,
+      `Date: ${new Date().toUTCString()}`,
+      'Content-Type: text/plain; charset=utf-8',
+      '',
+      message.text
+    ].join('\r\n');
+    await fs.writeFile(path.join(directory, fileName), content, 'utf8');
+  }
+});
+
+/**
+ * Builds the transport selected by MAIL_TRANSPORT.
+ *
+ * @returns {{send: Function}} Transport
+ * @throws {Error} When MAIL_TRANSPORT names an unknown transport
+ */
+const createTransport = () => {
+  switch (process.env.MAIL_TRANSPORT || 'console') {
+    case 'file':
+      return createFileTransport(process.env.MAIL_OUTBOX_DIR || path.join(process.cwd(), 'mail-outbox'));
+    case 'console':
+      return consoleTransport;
+    default:
+      throw new Error(`Unknown MAIL_TRANSPORT: ${process.env.MAIL_TRANSPORT}`);
+  }
+};
+
+const transport = createTransport();
+
+/**
+ * Sends an email in the background so the caller's response does not wait for
+ * the transport (and does not reveal whether an email was sent). Failures are
+ * logged and dropped.
+ *
+ * @param {{to: string, subject: string, text: string}} message - Email to send
+ * @returns {void}
+ */
+const queueMail = (message) => {
+  transport.send({ ...message, from: MAIL_FROM }).catch((error) => {
+    console.error(`Mail error sending "${message.subject}" to ${message.to}:`, error);
+  });
+};
+
+module.exports = {
+  queueMail
+};
@@ -0,0 +1,240 @@
+/**
+ * @fileoverview Order Status Service for LaRama E-commerce Platform
+ *
+ * Centralizes the order fulfilment state machine so that every code path that
+ * changes `orders.status` (administrative fulfilment, customer cancellation)
+ * applies the same rules, restores inventory consistently, and leaves an audit
+ * trail in `order_status_history`.
+ *
+ * Allowed Transitions:
+ * - pending    -> processing, cancelled
+ * - processing -> shipped, cancelled
+ * - shipped    -> delivered
+ * - delivered  -> (final)
+ * - cancelled  -> (final)
+ *
+ * All functions expect a transactional client obtained with `pool.connect()`;
+ * the caller owns BEGIN/COMMIT/ROLLBACK.
+ *
+ * @author Mohamad Abou Naasse
+ * @course University of Balamand - Advances in Computer Science
+ * @project LaRama Handcrafted Products E-commerce Platform
+ * @business LaRama Handcrafted (Owner: Rama)
+ */
+
+const { recordInventoryMovement } = require('./inventoryService'); // Inventory ledger
+const { createStatusError } = require('../utils/errors'); // HTTP status errors for controllers
+
+/**
+ * Order status values accepted by the `orders.status` CHECK constraint.
+ */
+const ORDER_STATUSES = ['pending', 'processing', 'shipped', 'delivered', 'cancelled'];
+
+/**
+ * Order State Machine Definition
+ * Maps each status to the statuses it may move to next.
+ */
+const ORDER_STATUS_TRANSITIONS = {
+  pending: ['processing', 'cancelled'],
+  processing: ['shipped', 'cancelled'],
+  shipped: ['delivered'],
+  delivered: [],
+  cancelled: [],
+};
+
+/**
+ * Statuses from which the owning customer may still cancel an order.
+ * Once the parcel has shipped, cancellation has to go through the studio.
+ */
+const CUSTOMER_CANCELLABLE_STATUSES = ['pending', 'processing'];
+
+/**
+ * Returns the statuses an order may move to from its current status.
+ *
+ * @param {string} status - Current order status
+ * @returns {string[]} Allowed next statuses (empty for final states)
+ */
+const getAllowedTransitions = (status) => ORDER_STATUS_TRANSITIONS[status] || [];
+
+/**
+ * Checks whether a status change is permitted by the state machine.
+ *
+ * @param {string} fromStatus - Current order status
+ * @param {string} toStatus - Requested order status
+ * @returns {boolean} True when the transition is allowed
+ */
+const canTransition = (fromStatus, toStatus) => getAllowedTransitions(fromStatus).includes(toStatus);
+
+/**
+ * Records a status change in the order history table.
+ *
+ * @param {import('pg').PoolClient} client - Transactional database client
+ * @param {Object} entry - History entry details
+ * @param {string} entry.orderId - Order identifier
+ * @param {string|null} entry.fromStatus - Previous status (null for order creation)
+ * @param {string} entry.toStatus - New status
+ * @param {'customer'|'admin'|'system'} entry.actorType - Who performed the change
+ * @param {string|null} [entry.actorId] - User id or administrator email
+ * @param {string|null} [entry.note] - Optional free-text reason
+ * @returns {Promise<Object>} Inserted history row
+ */
+const recordStatusChange = async (client, { orderId, fromStatus, toStatus, actorType, actorId = null, note = null }) => {
+  const result = await client.query(
+    `INSERT INTO order_status_history (order_id, from_status, to_status, changed_by_type, changed_by, note)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING id, from_status, to_status, changed_by_type, changed_by, note, created_at`,
+    [orderId, fromStatus, toStatus, actorType, actorId, note]
+  );
+
+  return result.rows[0];
+};
+
+/**
+ * Returns every item quantity of an order back to product stock.
+ *
+ * Order items whose product has since been deleted (`product_id` NULL) are skipped.
+ * Each restored product gets a `cancellation` entry in the inventory ledger.
+ *
+ * @param {import('pg').PoolClient} client - Transactional database client
+ * @param {string} orderId - Order identifier
+ * @param {Object} [actor] - Who cancelled the order
+ * @param {'customer'|'admin'|'system'} [actor.actorType] - Actor type recorded in the ledger
+ * @param {string|null} [actor.actorId] - User id or administrator email
+ * @param {string|null} [actor.note] - Cancellation reason
+ * @returns {Promise<Array<{product_id: string, quantity: number}>>} Restored quantities per product
+ */
+const restoreOrderStock = async (client, orderId, { actorType = 'system', actorId = null, note = null } = {}) => {
+  const itemsResult = await client.query(
+    `SELECT product_id, SUM(quantity)::int AS quantity
+     FROM order_items
+     WHERE order_id = $1 AND product_id IS NOT NULL
+     GROUP BY product_id`,
+    [orderId]
+  );
+
+  for (const item of itemsResult.rows) {
+    const stockResult = await client.query(
+      'UPDATE products SET stock_quantity = stock_quantity + $1 WHERE id = $2 RETURNING stock_quantity',
+      [item.quantity, item.product_id]
+    );
+
+    await recordInventoryMovement(client, {
+      productId: item.product_id,
+      quantityDelta: item.quantity,
+      stockAfter: stockResult.rows[0].stock_quantity,
+      reason: 'cancellation',
+      actorType,
+      actorId,
+      orderId,
+      note
+    });
+  }
+
+  return itemsResult.rows;
+};
+
+/**
+ * Moves an order to a new status through the state machine.
+ *
+ * Locks the order row, validates the transition, restores stock when the order
+ * is cancelled, updates the order and appends a history entry.
+ *
+ * @param {import('pg').PoolClient} client - Transactional database client
+ * @param {Object} params - Transition parameters
+ * @param {string} params.orderId - Order identifier
+ * @param {string} params.toStatus - Requested status
+ * @param {'customer'|'admin'|'system'} params.actorType - Who performs the change
+ * @param {string|null} [params.actorId] - User id or administrator email
+ * @param {string|null} [params.note] - Optional free-text reason
+ * @param {string} [params.userId] - When set, the order must belong to this user
+ * @param {string[]} [params.allowedFrom] - Further restricts the statuses the order may leave
+ * @returns {Promise<{order: Object, previousStatus: string, history: Object}>} Updated order and history entry
+ * @throws {Error} With `status` 400 for unknown statuses, 404 when not found, 409 for illegal transitions
+ */
+const transitionOrderStatus = async (client, { orderId, toStatus, actorType, actorId = null, note = null, userId, allowedFrom }) => {
+  if (!ORDER_STATUSES.includes(toStatus)) {
+    throw createStatusError(400, `Unknown order status: ${toStatus}`);
+  }
+
+  const params = [orderId];
+  let ownershipClause = '';
+  if (userId) {
+    params.push(userId);
+    ownershipClause = ' AND user_id = $2';
+  }
+
+  const orderResult = await client.query(
+    `SELECT id, status FROM orders WHERE id = $1${ownershipClause} FOR UPDATE`,
+    params
+  );
+
+  if (orderResult.rows.length === 0) {
+    throw createStatusError(404, 'Order not found');
+  }
+
+  const previousStatus = orderResult.rows[0].status;
+
+  if (allowedFrom && !allowedFrom.includes(previousStatus)) {
+    throw createStatusError(409, `Order cannot be changed while it is ${previousStatus}`);
+  }
+
+  if (!canTransition(previousStatus, toStatus)) {
+    throw createStatusError(409, `Cannot change order status from ${previousStatus} to ${toStatus}`);
+  }
+
+  if (toStatus === 'cancelled') {
+    await restoreOrderStock(client, orderId, { actorType, actorId, note });
+  }
+
+  const updateResult = await client.query(
+    `UPDATE orders SET status = $1 WHERE id = $2
+     RETURNING id, user_id, total_amount, status, shipping_address, created_at, updated_at`,
+    [toStatus, orderId]
+  );
+
+  const history = await recordStatusChange(client, {
+    orderId,
+    fromStatus: previousStatus,
+    toStatus,
+    actorType,
+    actorId,
+    note,
+  });
+
+  return {
+    order: updateResult.rows[0],
+    previousStatus,
+    history,
+  };
+};
+
+/**
+ * Retrieves the full status history of an order, oldest first.
+ *
+ * @param {import('pg').Pool|import('pg').PoolClient} db - Pool or client to query with
+ * @param {string} orderId - Order identifier
+ * @returns {Promise<Object[]>} History entries
+ */
+const getOrderStatusHistory = async (db, orderId) => {
+  const result = await db.query(
+    `SELECT id, from_status, to_status, changed_by_type, changed_by, note, created_at
+     FROM order_status_history
+     WHERE order_id = $1
+     ORDER BY created_at ASC`,
+    [orderId]
+  );
+
+  return result.rows;
+};
+
+module.exports = {
+  ORDER_STATUSES,
+  ORDER_STATUS_TRANSITIONS,
+  CUSTOMER_CANCELLABLE_STATUSES,
+  getAllowedTransitions,
+  canTransition,
+  recordStatusChange,
+  restoreOrderStock,
+  transitionOrderStatus,
+  getOrderStatusHistory,
+};
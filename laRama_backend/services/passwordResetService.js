@@ -0,0 +1,121 @@
+/**
+ * @fileoverview Password Reset Service for LaRama E-commerce Platform
+ *
+ * Issues and redeems the single-use tokens behind "forgot password" emails.
+ *
+ * Token Rules:
+ * - Tokens are 32 random bytes sent to the customer; only their SHA-256 hash is stored
+ * - A token expires after PASSWORD_RESET_MINUTES (default 60) and works once
+ * - Issuing a token retires the customer's earlier unused tokens
+ * - A new token is not issued within RESEND_COOLDOWN_SECONDS of the last one
+ * - Resetting the password bumps `users.token_version`, which signs out every session
+ *
+ * @author Mohamad Abou Naasse
+ * @course University of Balamand - Advances in Computer Science
+ * @project LaRama Handcrafted Products E-commerce Platform
+ * @business LaRama Handcrafted (Owner: Rama)
+ */
+
+const crypto = require('crypto'); // Random tokens
+const { hashToken } = require('../utils/tokens'); // SHA-256 token digests
+
+/**
+ * How long a reset link stays valid, in minutes.
+ */
+const PASSWORD_RESET_MINUTES = parseInt(process.env.PASSWORD_RESET_MINUTES, 10) || 60;
+
+/**
+ * Minimum gap between two reset emails to the same customer, in seconds.
+ */
+const RESEND_COOLDOWN_SECONDS = 60;
+
+/**
+ * Issues a reset token for a customer.
+ *
+ * @param {import('pg').PoolClient} client - Client inside a transaction
+ * @param {string} userId - Customer requesting the reset
+ * @returns {Promise<string|null>} Raw token to email, or null while the cooldown is running
+ */
+const createResetToken = async (client, userId) => {
+  const recent = await client.query(
+    `SELECT 1 FROM password_reset_tokens
+     WHERE user_id = $1 AND created_at > NOW() - make_interval(secs => $2)`,
+    [userId, RESEND_COOLDOWN_SECONDS]
+  );
+
+  if (recent.rows.length > 0) return null;
+
+  await client.query(
+    'DELETE FROM password_reset_tokens WHERE user_id = $1 AND used_at IS NULL',
+    [userId]
+  );
+
+  const token = crypto.randomBytes(32).toString('hex');
+
+  await client.query(
+    `INSERT INTO password_reset_tokens (user_id, token_hash, expires_at)
+     VALUES ($1, $2, NOW() + make_interval(mins => $3))`,
+    [userId, hashToken(token), PASSWORD_RESET_MINUTES]
+  );
+
+  return token;
+};
+
+/**
+ * Redeems a reset token, marking it used. Locks the token row so two
+ * concurrent resets cannot both succeed.
+ *
+ * @param {import('pg').PoolClient} client - Client inside a transaction
+ * @param {string} token - Raw token from the email link
+ * @returns {Promise<string|null>} Customer id, or null when the token is unknown, used or expired
+ */
+const consumeResetToken = async (client, token) => {
+  const result = await client.query(
+    `SELECT id, user_id FROM password_reset_tokens
+     WHERE token_hash = $1 AND used_at IS NULL AND expires_at > NOW()
+     FOR UPDATE`,
+    [hashToken(token)]
+  );
+
+  if (result.rows.length === 0) return null;
+
+  const { id, user_id: userId } = result.rows[0];
+
+  await client.query('UPDATE password_reset_tokens SET used_at = NOW() WHERE id = $1', [id]);
+
+  return userId;
+};
+
+/**
+ * Builds the reset email for a customer.
+ *
+ * @param {{name: string, email: string}} user - Customer receiving the email
+ * @param {string} token - Raw reset token
+ * @returns {{to: string, subject: string, text: string}} Email message
+ */
+const buildResetEmail = (user, token) => {
+  const storefrontUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+
+  return {
+    to: user.email,
+    subject: 'Reset your LaRama password',
+    text: [
+      `Hi ${user.name},`,
+      '',
+      'We received a request to reset the password for your LaRama account.',
+      `Choose a new password here (the link works once and expires in ${PASSWORD_RESET_MINUTES} minutes):`,
+      '',
+      `${storefrontUrl}/reset-password?token=${token}`,
+      '',
+      'If you did not ask for this, you can ignore this email; your password will not change.',
+      '',
+      'LaRama Handcrafted'
+    ].join('\n')
+  };
+};
+
+module.exports = {
+  createResetToken,
+  consumeResetToken,
+  buildResetEmail
+};
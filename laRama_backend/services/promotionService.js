@@ -0,0 +1,466 @@
+/**
+ * @fileoverview Automatic Promotion Service for LaRama E-commerce Platform
+ *
+ * Prices the promotions Rama manages from the admin Promotions page. Unlike
+ * discount codes, promotions need no action from the customer: every active
+ * promotion is checked against the cart page, the shipping quote and order
+ * creation, and the saving is shown on the cart lines it came from.
+ *
+ * Promotion Types (`promotions.promotion_type`):
+ * - bundle_price        -> each complete set of the promotion's products costs `bundle_price`
+ * - buy_x_get_y         -> in every group of buy_quantity + get_quantity qualifying units,
+ *                          the get_quantity cheapest are free
+ * - category_percentage -> `percentage` off every unit in `category`
+ *
+ * Stacking Rules:
+ * - Promotions are applied in the order above (bundles first, oldest first within a type)
+ * - A unit counted by one promotion is not counted by another
+ * - Discount codes are priced afterwards, on the line totals left by promotions
+ *
+ * @author Mohamad Abou Naasse
+ * @course University of Balamand - Advances in Computer Science
+ * @project LaRama Handcrafted Products E-commerce Platform
+ * @business LaRama Handcrafted (Owner: Rama)
+ */
+
+const { patterns } = require('../utils/patterns'); // Shared UUID pattern
+const { createStatusError } = require('../utils/errors'); // HTTP status errors for controllers
+const { roundCurrency } = require('../utils/currency'); // Amounts rounded to cents
+
+/**
+ * Promotion types accepted by the `promotions.promotion_type` CHECK constraint.
+ */
+const PROMOTION_TYPES = ['buy_x_get_y', 'category_percentage', 'bundle_price'];
+
+/**
+ * Columns and product set returned for every promotion.
+ */
+const PROMOTION_SELECT = `
+  SELECT pr.id, pr.name, pr.description, pr.promotion_type, pr.category, pr.percentage,
+         pr.buy_quantity, pr.get_quantity, pr.bundle_price, pr.starts_at, pr.expires_at,
+         pr.is_active, pr.created_at, pr.updated_at,
+         COALESCE(
+           json_agg(json_build_object('product_id', pp.product_id, 'name', p.name, 'quantity', pp.quantity)
+                    ORDER BY p.name) FILTER (WHERE pp.product_id IS NOT NULL),
+           '[]'
+         ) AS products
+  FROM promotions pr
+  LEFT JOIN promotion_products pp ON pp.promotion_id = pr.id
+  LEFT JOIN products p ON pp.product_id = p.id`;
+
+/**
+ * Converts a promotions row to the API shape, with numeric amounts.
+ *
+ * @param {Object} row - Row selected with {@link PROMOTION_SELECT}
+ * @returns {Object} Promotion with its products
+ */
+const formatPromotion = (row) => ({
+  ...row,
+  percentage: row.percentage === null ? null : parseFloat(row.percentage),
+  bundle_price: row.bundle_price === null ? null : parseFloat(row.bundle_price)
+});
+
+/**
+ * Lists every promotion for the admin page, newest first.
+ *
+ * @param {import('pg').Pool|import('pg').PoolClient} db - Pool or client to query with
+ * @returns {Promise<Object[]>} Promotions with their products
+ */
+const listPromotions = async (db) => {
+  const result = await db.query(`${PROMOTION_SELECT}
+  GROUP BY pr.id
+  ORDER BY pr.created_at DESC`);
+
+  return result.rows.map(formatPromotion);
+};
+
+/**
+ * Loads one promotion.
+ *
+ * @param {import('pg').Pool|import('pg').PoolClient} db - Pool or client to query with
+ * @param {string} promotionId - Promotion id
+ * @returns {Promise<Object|null>} Promotion with its products, or null
+ */
+const findPromotion = async (db, promotionId) => {
+  const result = await db.query(`${PROMOTION_SELECT}
+  WHERE pr.id = $1
+  GROUP BY pr.id`, [promotionId]);
+
+  return result.rows.length > 0 ? formatPromotion(result.rows[0]) : null;
+};
+
+/**
+ * Loads the promotions running now, in the order they are applied.
+ *
+ * @param {import('pg').Pool|import('pg').PoolClient} db - Pool or client to query with
+ * @returns {Promise<Object[]>} Active promotions with their products
+ */
+const loadActivePromotions = async (db) => {
+  const result = await db.query(`${PROMOTION_SELECT}
+  WHERE pr.is_active = true
+    AND (pr.starts_at IS NULL OR pr.starts_at <= NOW())
+    AND (pr.expires_at IS NULL OR pr.expires_at > NOW())
+  GROUP BY pr.id
+  ORDER BY CASE pr.promotion_type WHEN 'bundle_price' THEN 1 WHEN 'buy_x_get_y' THEN 2 ELSE 3 END,
+           pr.created_at`);
+
+  return result.rows.map(formatPromotion);
+};
+
+/**
+ * Checks and normalises a promotion sent by the admin page.
+ *
+ * Fields that do not belong to the promotion type are cleared, so switching a
+ * promotion's type never leaves stale rules behind.
+ *
+ * @param {Object} body - Request body
+ * @returns {Object} Promotion values and its `products` [{ product_id, quantity }]
+ * @throws {Error} 400 describing the first invalid field
+ */
+const normalizePromotionInput = (body) => {
+  const {
+    name,
+    description,
+    promotion_type,
+    category,
+    percentage,
+    buy_quantity,
+    get_quantity,
+    bundle_price,
+    starts_at,
+    expires_at,
+    is_active = true,
+    products = []
+  } = body;
+
+  if (!PROMOTION_TYPES.includes(promotion_type)) {
+    throw createStatusError(400, `promotion_type must be one of: ${PROMOTION_TYPES.join(', ')}`);
+  }
+
+  if (!Array.isArray(products) || products.some((product) =>
+    !product || typeof product.product_id !== 'string' || !patterns.uuid.test(product.product_id) ||
+    (product.quantity !== undefined && (!Number.isInteger(product.quantity) || product.quantity < 1 || product.quantity > 100))
+  )) {
+    throw createStatusError(400, 'products must be a list of { product_id, quantity } with quantity 1-100');
+  }
+
+  const productIds = products.map((product) => product.product_id);
+  if (new Set(productIds).size !== productIds.length) {
+    throw createStatusError(400, 'Each product may appear only once in a promotion');
+  }
+
+  const parseDate = (value, field) => {
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+      throw createStatusError(400, `${field} must be a valid date`);
+    }
+    return date;
+  };
+
+  const startsAt = parseDate(starts_at, 'starts_at');
+  const expiresAt = parseDate(expires_at, 'expires_at');
+  if (startsAt && expiresAt && expiresAt <= startsAt) {
+    throw createStatusError(400, 'expires_at must be after starts_at');
+  }
+
+  const promotion = {
+    name: name.trim(),
+    description: description ? description.trim() : null,
+    promotion_type,
+    category: null,
+    percentage: null,
+    buy_quantity: null,
+    get_quantity: null,
+    bundle_price: null,
+    starts_at: startsAt,
+    expires_at: expiresAt,
+    is_active: is_active !== false,
+    products: []
+  };
+
+  if (promotion_type === 'category_percentage') {
+    if (typeof category !== 'string' || category.trim() === '') {
+      throw createStatusError(400, 'category is required for a category percentage promotion');
+    }
+    if (typeof percentage !== 'number' || percentage <= 0 || percentage > 100) {
+      throw createStatusError(400, 'percentage must be greater than 0 and at most 100');
+    }
+    promotion.category = category.trim();
+    promotion.percentage = percentage;
+  }
+
+  if (promotion_type === 'buy_x_get_y') {
+    if (!Number.isInteger(buy_quantity) || buy_quantity < 1 || !Number.isInteger(get_quantity) || get_quantity < 1) {
+      throw createStatusError(400, 'buy_quantity and get_quantity must be whole numbers of at least 1');
+    }
+    promotion.buy_quantity = buy_quantity;
+    promotion.get_quantity = get_quantity;
+    promotion.category = typeof category === 'string' && category.trim() !== '' ? category.trim() : null;
+    promotion.products = products.map((product) => ({ product_id: product.product_id, quantity: 1 }));
+  }
+
+  if (promotion_type === 'bundle_price') {
+    if (typeof bundle_price !== 'number' || bundle_price < 0) {
+      throw createStatusError(400, 'bundle_price must be a number of at least 0');
+    }
+    if (products.length < 2) {
+      throw createStatusError(400, 'A bundle needs at least two products');
+    }
+    promotion.bundle_price = roundCurrency(bundle_price);
+    promotion.products = products.map((product) => ({
+      product_id: product.product_id,
+      quantity: product.quantity || 1
+    }));
+  }
+
+  return promotion;
+};
+
+/**
+ * Creates or replaces a promotion and its product set.
+ *
+ * @param {import('pg').PoolClient} client - Client inside an open transaction
+ * @param {Object} promotion - Values from {@link normalizePromotionInput}
+ * @param {string} [promotionId] - Promotion to replace; omitted to create one
+ * @returns {Promise<string|null>} Promotion id, or null when promotionId does not exist
+ * @throws {Error} 400 when a product does not exist
+ */
+const savePromotion = async (client, promotion, promotionId) => {
+  const values = [
+    promotion.name,
+    promotion.description,
+    promotion.promotion_type,
+    promotion.category,
+    promotion.percentage,
+    promotion.buy_quantity,
+    promotion.get_quantity,
+    promotion.bundle_price,
+    promotion.starts_at,
+    promotion.expires_at,
+    promotion.is_active
+  ];
+
+  const result = promotionId
+    ? await client.query(
+      `UPDATE promotions
+       SET name = $1, description = $2, promotion_type = $3, category = $4, percentage = $5,
+           buy_quantity = $6, get_quantity = $7, bundle_price = $8, starts_at = $9, expires_at = $10,
+           is_active = $11
+       WHERE id = $12
+       RETURNING id`,
+      [...values, promotionId]
+    )
+    : await client.query(
+      `INSERT INTO promotions (
+         name, description, promotion_type, category, percentage,
+         buy_quantity, get_quantity, bundle_price, starts_at, expires_at, is_active
+       )
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+       RETURNING id`,
+      values
+    );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const id = result.rows[0].id;
+
+  await client.query('DELETE FROM promotion_products WHERE promotion_id = $1', [id]);
+
+  if (promotion.products.length > 0) {
+    const productIds = promotion.products.map((product) => product.product_id);
+    const existing = await client.query('SELECT id FROM products WHERE id = ANY($1::uuid[])', [productIds]);
+
+    if (existing.rows.length !== productIds.length) {
+      throw createStatusError(400, 'One or more products were not found');
+    }
+
+    await client.query(
+      `INSERT INTO promotion_products (promotion_id, product_id, quantity)
+       SELECT $1, product_id, quantity
+       FROM UNNEST($2::uuid[], $3::int[]) AS p(product_id, quantity)`,
+      [id, productIds, promotion.products.map((product) => product.quantity)]
+    );
+  }
+
+  return id;
+};
+
+/**
+ * Applies promotions to a basket.
+ *
+ * @param {Object[]} promotions - Rows from {@link loadActivePromotions}, in application order
+ * @param {{cart_item_id: string, product_id: string, category: string|null, price: (number|string), quantity: number}[]} items - Active cart items
+ * @returns {{lines: Object[], item_discounts: Object, total: number}} Saving per promotion
+ *   (promotion_id, name, description, promotion_type, amount), savings per cart item id
+ *   ([{ promotion_id, name, amount }]) and the total saving
+ */
+const applyPromotions = (promotions, items) => {
+  const remaining = new Map(items.map((item) => [item.cart_item_id, item.quantity]));
+  const itemDiscounts = {};
+  const lines = [];
+
+  const priceOf = (item) => parseFloat(item.price);
+  const matchesCategory = (item, category) =>
+    Boolean(item.category) && item.category.toLowerCase() === category.toLowerCase();
+
+  for (const promotion of promotions) {
+    const savings = new Map(); // cart_item_id -> amount saved by this promotion
+
+    if (promotion.promotion_type === 'bundle_price') {
+      const components = promotion.products.map((component) => ({
+        ...component,
+        item: items.find((item) => item.product_id === component.product_id)
+      }));
+
+      if (components.length === 0 || components.some((component) => !component.item)) {
+        continue;
+      }
+
+      const bundles = Math.min(...components.map((component) =>
+        Math.floor(remaining.get(component.item.cart_item_id) / component.quantity)
+      ));
+      const regularPrice = components.reduce((sum, component) => sum + priceOf(component.item) * component.quantity, 0);
+      const saving = roundCurrency((regularPrice - promotion.bundle_price) * bundles);
+
+      if (bundles === 0 || saving <= 0) {
+        continue;
+      }
+
+      // Split the saving across the set in proportion to each piece's price
+      let allocated = 0;
+      components.forEach((component, index) => {
+        const share = index === components.length - 1
+          ? roundCurrency(saving - allocated)
+          : roundCurrency(saving * priceOf(component.item) * component.quantity / regularPrice);
+        allocated = roundCurrency(allocated + share);
+        savings.set(component.item.cart_item_id, share);
+        remaining.set(component.item.cart_item_id, remaining.get(component.item.cart_item_id) - component.quantity * bundles);
+      });
+    }
+
+    if (promotion.promotion_type === 'buy_x_get_y') {
+      const productIds = promotion.products.map((product) => product.product_id);
+      const units = items
+        .filter((item) => (productIds.length > 0 ? productIds.includes(item.product_id) : true))
+        .filter((item) => (promotion.category ? matchesCategory(item, promotion.category) : true))
+        .flatMap((item) => Array.from({ length: remaining.get(item.cart_item_id) }, () => item))
+        .sort((a, b) => priceOf(b) - priceOf(a));
+
+      const groupSize = promotion.buy_quantity + promotion.get_quantity;
+      const groups = Math.floor(units.length / groupSize);
+
+      // Most expensive units first, so each group's last get_quantity units are its cheapest
+      units.slice(0, groups * groupSize).forEach((item, index) => {
+        remaining.set(item.cart_item_id, remaining.get(item.cart_item_id) - 1);
+        if (index % groupSize >= promotion.buy_quantity) {
+          savings.set(item.cart_item_id, roundCurrency((savings.get(item.cart_item_id) || 0) + priceOf(item)));
+        }
+      });
+    }
+
+    if (promotion.promotion_type === 'category_percentage') {
+      items
+        .filter((item) => remaining.get(item.cart_item_id) > 0 && matchesCategory(item, promotion.category))
+        .forEach((item) => {
+          const share = roundCurrency(priceOf(item) * remaining.get(item.cart_item_id) * promotion.percentage / 100);
+          if (share > 0) {
+            savings.set(item.cart_item_id, share);
+          }
+          remaining.set(item.cart_item_id, 0);
+        });
+    }
+
+    if (savings.size === 0) {
+      continue;
+    }
+
+    let amount = 0;
+    savings.forEach((share, cartItemId) => {
+      amount = roundCurrency(amount + share);
+      itemDiscounts[cartItemId] = [
+        ...(itemDiscounts[cartItemId] || []),
+        { promotion_id: promotion.id, name: promotion.name, amount: share }
+      ];
+    });
+
+    lines.push({
+      promotion_id: promotion.id,
+      name: promotion.name,
+      description: promotion.description,
+      promotion_type: promotion.promotion_type,
+      amount
+    });
+  }
+
+  return {
+    lines,
+    item_discounts: itemDiscounts,
+    total: roundCurrency(lines.reduce((sum, line) => sum + line.amount, 0))
+  };
+};
+
+/**
+ * Loads the active promotions and applies them to a basket.
+ *
+ * @param {import('pg').Pool|import('pg').PoolClient} db - Pool or client to query with
+ * @param {Object[]} items - Active cart items, as for {@link applyPromotions}
+ * @returns {Promise<{lines: Object[], item_discounts: Object, total: number}>} Promotion savings
+ */
+const priceCartPromotions = async (db, items) => {
+  if (items.length === 0) {
+    return { lines: [], item_discounts: {}, total: 0 };
+  }
+
+  return applyPromotions(await loadActivePromotions(db), items);
+};
+
+/**
+ * Line totals after promotions, which discount codes are priced from.
+ *
+ * @param {Object[]} items - Items with cart_item_id and item_total
+ * @param {{item_discounts: Object}} promotions - Result of {@link priceCartPromotions}
+ * @returns {Object[]} Copies of the items with item_total reduced by their promotion savings
+ */
+const itemsAfterPromotions = (items, promotions) => items.map((item) => ({
+  ...item,
+  item_total: roundCurrency(
+    parseFloat(item.item_total) -
+    (promotions.item_discounts[item.cart_item_id] || []).reduce((sum, saving) => sum + saving.amount, 0)
+  )
+}));
+
+/**
+ * Stores promotion lines on an order.
+ *
+ * @param {import('pg').PoolClient} client - Client inside an open transaction
+ * @param {string} orderId - Order the promotions belong to
+ * @param {Object[]} lines - Lines returned by {@link applyPromotions}
+ * @returns {Promise<void>}
+ */
+const recordOrderPromotions = async (client, orderId, lines) => {
+  for (const line of lines) {
+    await client.query(
+      `INSERT INTO order_discounts (order_id, promotion_id, description, discount_type, amount)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [orderId, line.promotion_id, line.name, line.promotion_type, line.amount]
+    );
+  }
+};
+
+module.exports = {
+  PROMOTION_TYPES,
+  listPromotions,
+  findPromotion,
+  loadActivePromotions,
+  normalizePromotionInput,
+  savePromotion,
+  applyPromotions,
+  priceCartPromotions,
+  itemsAfterPromotions,
+  recordOrderPromotions,
+};
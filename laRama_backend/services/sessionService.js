@@ -0,0 +1,251 @@
+/**
+ * @fileoverview Session Service for LaRama E-commerce Platform
+ *
+ * Keeps one server-side session per signed-in device so customers can sign
+ * out for real and revoke devices they no longer use. A session is reached
+ * through two tokens:
+ * - A short-lived access JWT (JWT_EXPIRE, default 15m) carrying the session id;
+ *   authenticateToken rejects it as soon as the session is revoked
+ * - A rotating refresh token (32 random bytes, stored as a SHA-256 hash) that
+ *   trades itself for a new access token and a new refresh token
+ *
+ * Rotation Rules:
+ * - Every refresh token works once; using it marks it used and issues the next one
+ * - Presenting a used refresh token again means it was copied: the whole session is revoked
+ * - Except within REUSE_GRACE_SECONDS, when two browser tabs refresh at once; the
+ *   late tab is told to pick up the tokens the first tab stored
+ * - A session expires after REFRESH_TOKEN_DAYS (default 30) without a refresh
+ *
+ * @author Mohamad Abou Naasse
+ * @course University of Balamand - Advances in Computer Science
+ * @project LaRama Handcrafted Products E-commerce Platform
+ * @business LaRama Handcrafted (Owner: Rama)
+ */
+
+const crypto = require('crypto');    // Random tokens
+const jwt = require('jsonwebtoken'); // Access token signing
+const { hashToken } = require('../utils/tokens'); // SHA-256 token digests
+
+/**
+ * How long a session lasts without a refresh, in days.
+ */
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS, 10) || 30;
+
+/**
+ * How long after rotation the previous refresh token is treated as a concurrent
+ * refresh rather than theft, in seconds.
+ */
+const REUSE_GRACE_SECONDS = 10;
+
+/**
+ * Signs an access token for a session.
+ *
+ * @param {{id: string, token_version: number}} user - Signed-in customer
+ * @param {string} sessionId - Session the token belongs to
+ * @returns {string} Signed JWT
+ */
+const signAccessToken = (user, sessionId) =>
+  jwt.sign({ userId: user.id, tokenVersion: user.token_version, sessionId }, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_EXPIRE || '15m'
+  });
+
+/**
+ * Names a device from its User-Agent, e.g. "Chrome on Windows".
+ *
+ * @param {string|undefined} userAgent - User-Agent request header
+ * @returns {string} Short device description
+ */
+const describeDevice = (userAgent = '') => {
+  const browsers = [
+    ['Edge', /Edg\//], ['Opera', /OPR\//], ['Firefox', /Firefox\//],
+    ['Chrome', /Chrome\//], ['Safari', /Safari\//]
+  ];
+  const systems = [
+    ['iOS', /iPhone|iPad/], ['Android', /Android/], ['Windows', /Windows/],
+    ['macOS', /Mac OS X/], ['Linux', /Linux/]
+  ];
+  const browser = browsers.find(([, pattern]) => pattern.test(userAgent));
+  const system = systems.find(([, pattern]) => pattern.test(userAgent));
+
+  if (!browser && !system) return 'Unknown device';
+  if (!system) return browser[0];
+  if (!browser) return system[0];
+  return `${browser[0]} on ${system[0]}`;
+};
+
+/**
+ * Stores a refresh token for a session and returns it.
+ *
+ * @param {import('pg').PoolClient} client - Client inside a transaction
+ * @param {string} sessionId - Session the token belongs to
+ * @returns {Promise<string>} Raw refresh token
+ */
+const issueRefreshToken = async (client, sessionId) => {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  await client.query(
+    'INSERT INTO refresh_tokens (session_id, token_hash) VALUES ($1, $2)',
+    [sessionId, hashToken(token)]
+  );
+
+  return token;
+};
+
+/**
+ * Opens a session for a customer who just signed in. Expired and revoked
+ * sessions of the customer are purged at the same time.
+ *
+ * @param {import('pg').PoolClient} client - Client inside a transaction
+ * @param {{id: string, token_version: number}} user - Signed-in customer
+ * @param {import('express').Request} req - Request the device details come from
+ * @returns {Promise<{token: string, refresh_token: string}>} Access and refresh tokens
+ */
+const createSession = async (client, user, req) => {
+  await client.query(
+    'DELETE FROM user_sessions WHERE user_id = $1 AND (expires_at <= NOW() OR revoked_at IS NOT NULL)',
+    [user.id]
+  );
+
+  const result = await client.query(
+    `INSERT INTO user_sessions (user_id, device_name, ip_address, expires_at)
+     VALUES ($1, $2, $3, NOW() + make_interval(days => $4))
+     RETURNING id`,
+    [user.id, describeDevice(req.get('User-Agent')), req.ip || null, REFRESH_TOKEN_DAYS]
+  );
+  const sessionId = result.rows[0].id;
+
+  return {
+    token: signAccessToken(user, sessionId),
+    refresh_token: await issueRefreshToken(client, sessionId)
+  };
+};
+
+/**
+ * Trades a refresh token for new tokens.
+ *
+ * Reuse outside the grace period revokes the session; the caller must commit
+ * so the revocation sticks even though the refresh fails.
+ *
+ * @param {import('pg').PoolClient} client - Client inside a transaction
+ * @param {string} refreshToken - Raw refresh token from the client
+ * @returns {Promise<Object>} `{ tokens: { token, refresh_token } }` on success, otherwise
+ *   `{ status: 'invalid' | 'reused' | 'rotated' }`
+ */
+const rotateRefreshToken = async (client, refreshToken) => {
+  const result = await client.query(
+    `SELECT rt.id, rt.used_at, rt.used_at > NOW() - make_interval(secs => $2) AS within_grace,
+            s.id AS session_id, s.revoked_at, s.expires_at <= NOW() AS expired,
+            u.id AS user_id, u.token_version
+     FROM refresh_tokens rt
+     JOIN user_sessions s ON s.id = rt.session_id
+     JOIN users u ON u.id = s.user_id
+     WHERE rt.token_hash = $1
+     FOR UPDATE OF rt, s`,
+    [hashToken(refreshToken), REUSE_GRACE_SECONDS]
+  );
+
+  const row = result.rows[0];
+
+  if (!row || row.revoked_at || row.expired) return { status: 'invalid' };
+
+  if (row.used_at) {
+    if (row.within_grace) return { status: 'rotated' };
+
+    await client.query('UPDATE user_sessions SET revoked_at = NOW() WHERE id = $1', [row.session_id]);
+    return { status: 'reused' };
+  }
+
+  await client.query('UPDATE refresh_tokens SET used_at = NOW() WHERE id = $1', [row.id]);
+  await client.query(
+    `UPDATE user_sessions
+     SET last_used_at = NOW(), expires_at = NOW() + make_interval(days => $2)
+     WHERE id = $1`,
+    [row.session_id, REFRESH_TOKEN_DAYS]
+  );
+
+  return {
+    tokens: {
+      token: signAccessToken({ id: row.user_id, token_version: row.token_version }, row.session_id),
+      refresh_token: await issueRefreshToken(client, row.session_id)
+    }
+  };
+};
+
+/**
+ * Revokes the session a refresh token belongs to (current or already rotated).
+ *
+ * @param {import('pg').Pool} db - Database pool
+ * @param {string} refreshToken - Raw refresh token from the client
+ * @returns {Promise<boolean>} True when a live session was revoked
+ */
+const revokeSessionByRefreshToken = async (db, refreshToken) => {
+  const result = await db.query(
+    `UPDATE user_sessions s
+     SET revoked_at = NOW()
+     FROM refresh_tokens rt
+     WHERE rt.token_hash = $1 AND rt.session_id = s.id AND s.revoked_at IS NULL
+     RETURNING s.id`,
+    [hashToken(refreshToken)]
+  );
+
+  return result.rows.length > 0;
+};
+
+/**
+ * Revokes a customer's sessions.
+ *
+ * @param {import('pg').Pool|import('pg').PoolClient} db - Pool or transaction client
+ * @param {string} userId - Customer whose sessions end
+ * @param {Object} [options]
+ * @param {string} [options.sessionId] - Revoke only this session
+ * @param {string} [options.exceptSessionId] - Keep this session (the current device)
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+const revokeSessions = async (db, userId, { sessionId, exceptSessionId } = {}) => {
+  const params = [userId];
+  let filter = '';
+
+  if (sessionId) {
+    params.push(sessionId);
+    filter = ` AND id = $${params.length}`;
+  } else if (exceptSessionId) {
+    params.push(exceptSessionId);
+    filter = ` AND id <> $${params.length}`;
+  }
+
+  const result = await db.query(
+    `UPDATE user_sessions SET revoked_at = NOW()
+     WHERE user_id = $1 AND revoked_at IS NULL${filter}`,
+    params
+  );
+
+  return result.rowCount;
+};
+
+/**
+ * Lists a customer's live sessions, most recently used first.
+ *
+ * @param {import('pg').Pool} db - Database pool
+ * @param {string} userId - Signed-in customer
+ * @param {string} currentSessionId - Session of the request, flagged as `current`
+ * @returns {Promise<Array<Object>>} Sessions with device_name, ip_address and timestamps
+ */
+const listSessions = async (db, userId, currentSessionId) => {
+  const result = await db.query(
+    `SELECT id, device_name, ip_address, created_at, last_used_at, expires_at
+     FROM user_sessions
+     WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > NOW()
+     ORDER BY last_used_at DESC`,
+    [userId]
+  );
+
+  return result.rows.map((session) => ({ ...session, current: session.id === currentSessionId }));
+};
+
+module.exports = {
+  createSession,
+  rotateRefreshToken,
+  revokeSessionByRefreshToken,
+  revokeSessions,
+  listSessions
+};
@@ -0,0 +1,228 @@
+/**
+ * @fileoverview Shipping Service for LaRama E-commerce Platform
+ *
+ * Resolves a destination country to a shipping zone and prices that zone's
+ * rates for a basket, so the cart quote and order creation always agree on
+ * the shipping charge.
+ *
+ * Rate Calculations (`shipping_rates.calculation`):
+ * - flat       -> base_cost
+ * - weight     -> base_cost covers the first kilogram, unit_cost per additional started kilogram
+ * - item_count -> base_cost covers the first item, unit_cost per additional item
+ *
+ * Any rate with `free_over` set costs nothing once the subtotal reaches it.
+ * Countries not listed in any zone fall back to the zone marked `is_fallback`.
+ *
+ * @author Mohamad Abou Naasse
+ * @course University of Balamand - Advances in Computer Science
+ * @project LaRama Handcrafted Products E-commerce Platform
+ * @business LaRama Handcrafted (Owner: Rama)
+ */
+
+const { createStatusError } = require('../utils/errors'); // HTTP status errors for controllers
+const { roundCurrency } = require('../utils/currency'); // Amounts rounded to cents
+
+/**
+ * Calculation methods accepted by the `shipping_rates.calculation` CHECK constraint.
+ */
+const RATE_CALCULATIONS = ['flat', 'weight', 'item_count'];
+
+/**
+ * Normalises an ISO 3166-1 alpha-2 country code.
+ *
+ * @param {string} country - Country code as sent by the client
+ * @returns {string|null} Upper-case code, or null when the value is not two letters
+ */
+const normalizeCountry = (country) => {
+  if (typeof country !== 'string') {
+    return null;
+  }
+
+  const code = country.trim().toUpperCase();
+  return /^[A-Z]{2}$/.test(code) ? code : null;
+};
+
+/**
+ * Prices one rate for a basket.
+ *
+ * @param {Object} rate - `shipping_rates` row
+ * @param {Object} basis - Basket totals
+ * @param {number} basis.subtotal - Sum of line totals
+ * @param {number} basis.itemCount - Total quantity of items
+ * @param {number} basis.weightGrams - Total packed weight in grams
+ * @returns {number} Shipping cost rounded to cents
+ */
+const calculateRateCost = (rate, { subtotal, itemCount, weightGrams }) => {
+  const baseCost = parseFloat(rate.base_cost);
+  const unitCost = parseFloat(rate.unit_cost);
+
+  if (rate.free_over !== null && subtotal >= parseFloat(rate.free_over)) {
+    return 0;
+  }
+
+  let additionalUnits = 0;
+  if (rate.calculation === 'weight') {
+    additionalUnits = Math.max(Math.ceil(weightGrams / 1000) - 1, 0);
+  } else if (rate.calculation === 'item_count') {
+    additionalUnits = Math.max(itemCount - 1, 0);
+  }
+
+  return roundCurrency(baseCost + unitCost * additionalUnits);
+};
+
+/**
+ * Finds the zone serving a country, falling back to the catch-all zone.
+ *
+ * @param {import('pg').Pool|import('pg').PoolClient} db - Pool or client to query with
+ * @param {string} country - Normalised country code
+ * @returns {Promise<Object|null>} `shipping_zones` row, or null when no zone applies
+ */
+const findZoneForCountry = async (db, country) => {
+  const result = await db.query(
+    `SELECT id, code, name
+     FROM shipping_zones
+     WHERE is_active = true AND ($1 = ANY(countries) OR is_fallback = true)
+     ORDER BY is_fallback ASC, sort_order ASC
+     LIMIT 1`,
+    [country]
+  );
+
+  return result.rows[0] || null;
+};
+
+/**
+ * Lists active zones with their countries and rates, for destination pickers.
+ *
+ * @param {import('pg').Pool|import('pg').PoolClient} db - Pool or client to query with
+ * @returns {Promise<Object[]>} Zones ordered for display
+ */
+const listZones = async (db) => {
+  const result = await db.query(
+    `SELECT z.code, z.name, z.countries, z.is_fallback,
+            r.code AS rate_code, r.name AS rate_name, r.calculation, r.base_cost, r.unit_cost,
+            r.free_over, r.min_days, r.max_days
+     FROM shipping_zones z
+     LEFT JOIN shipping_rates r ON r.zone_id = z.id AND r.is_active = true
+     WHERE z.is_active = true
+     ORDER BY z.sort_order, z.name, r.sort_order, r.base_cost`
+  );
+
+  const zones = new Map();
+  for (const row of result.rows) {
+    if (!zones.has(row.code)) {
+      zones.set(row.code, {
+        code: row.code,
+        name: row.name,
+        countries: row.countries,
+        is_fallback: row.is_fallback,
+        rates: [],
+      });
+    }
+
+    if (row.rate_code) {
+      zones.get(row.code).rates.push({
+        code: row.rate_code,
+        name: row.rate_name,
+        calculation: row.calculation,
+        base_cost: parseFloat(row.base_cost),
+        unit_cost: parseFloat(row.unit_cost),
+        free_over: row.free_over === null ? null : parseFloat(row.free_over),
+        min_days: row.min_days,
+        max_days: row.max_days,
+      });
+    }
+  }
+
+  return [...zones.values()];
+};
+
+/**
+ * Prices every active rate of the zone serving a country.
+ *
+ * @param {import('pg').Pool|import('pg').PoolClient} db - Pool or client to query with
+ * @param {Object} params - Quote parameters
+ * @param {string} params.country - Destination country code
+ * @param {number} params.subtotal - Sum of line totals
+ * @param {number} params.itemCount - Total quantity of items
+ * @param {number} params.weightGrams - Total packed weight in grams
+ * @returns {Promise<{country: string, zone: Object, options: Object[]}>} Priced options in display order
+ * @throws {Error} 400 for an invalid country, 422 when the destination is not served
+ */
+const quoteShipping = async (db, { country, subtotal, itemCount, weightGrams }) => {
+  const code = normalizeCountry(country);
+  if (!code) {
+    throw createStatusError(400, 'country must be a two-letter ISO country code');
+  }
+
+  const zone = await findZoneForCountry(db, code);
+  const ratesResult = zone
+    ? await db.query(
+        `SELECT id, code, name, calculation, base_cost, unit_cost, free_over, min_days, max_days
+         FROM shipping_rates
+         WHERE zone_id = $1 AND is_active = true
+         ORDER BY sort_order, base_cost`,
+        [zone.id]
+      )
+    : { rows: [] };
+
+  if (ratesResult.rows.length === 0) {
+    throw createStatusError(422, 'We do not ship to this destination yet. Please contact us on WhatsApp.');
+  }
+
+  const basis = { subtotal, itemCount, weightGrams };
+  const options = ratesResult.rows.map((rate) => {
+    const cost = calculateRateCost(rate, basis);
+    const freeOver = rate.free_over === null ? null : parseFloat(rate.free_over);
+
+    return {
+      id: rate.id,
+      code: rate.code,
+      name: rate.name,
+      cost,
+      is_free: cost === 0,
+      free_over: freeOver,
+      amount_until_free: freeOver !== null && cost > 0 ? roundCurrency(freeOver - subtotal) : null,
+      min_days: rate.min_days,
+      max_days: rate.max_days,
+      grand_total: roundCurrency(subtotal + cost),
+    };
+  });
+
+  return {
+    country: code,
+    zone: { code: zone.code, name: zone.name },
+    options,
+  };
+};
+
+/**
+ * Prices the chosen rate for an order, defaulting to the zone's first rate.
+ *
+ * @param {import('pg').Pool|import('pg').PoolClient} db - Pool or client to query with
+ * @param {Object} params - Same as {@link quoteShipping}, plus:
+ * @param {string} [params.rateCode] - Rate code picked by the customer
+ * @returns {Promise<{country: string, zone: Object, option: Object}>} Selected option
+ * @throws {Error} 400 when the rate is not offered for the destination
+ */
+const selectShippingOption = async (db, { rateCode, ...basis }) => {
+  const quote = await quoteShipping(db, basis);
+  const option = rateCode
+    ? quote.options.find((candidate) => candidate.code === rateCode)
+    : quote.options[0];
+
+  if (!option) {
+    throw createStatusError(400, `Shipping method "${rateCode}" is not available for ${quote.zone.name}`);
+  }
+
+  return { country: quote.country, zone: quote.zone, option };
+};
+
+module.exports = {
+  RATE_CALCULATIONS,
+  normalizeCountry,
+  calculateRateCost,
+  findZoneForCountry,
+  listZones,
+  quoteShipping,
+  selectShippingOption,
+};
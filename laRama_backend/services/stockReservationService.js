@@ -0,0 +1,148 @@
+/**
+ * @fileoverview Stock Reservation Service for LaRama E-commerce Platform
+ *
+ * Handcrafted pieces are made in small batches, so several customers can have
+ * the last few units of a product in their carts at once. When a customer starts
+ * checkout their cart quantities are held for a short time; other customers see
+ * the available stock (on-hand minus active holds) and cannot reserve or order
+ * those units until the hold is released by an order, by the customer leaving
+ * checkout, or by expiring.
+ *
+ * Reservation Rules:
+ * - One reservation row per customer and product; starting checkout again replaces them
+ * - A reservation is active until `expires_at`; expired rows are ignored and purged lazily
+ * - A customer's own reservations never reduce the stock available to them
+ *
+ * @author Mohamad Abou Naasse
+ * @course University of Balamand - Advances in Computer Science
+ * @project LaRama Handcrafted Products E-commerce Platform
+ * @business LaRama Handcrafted (Owner: Rama)
+ */
+
+const { createStatusError } = require('../utils/errors'); // HTTP status errors for controllers
+
+/**
+ * How long a checkout holds stock, in minutes.
+ */
+const RESERVATION_MINUTES = parseInt(process.env.STOCK_RESERVATION_MINUTES, 10) || 15;
+
+/**
+ * SQL expression for the units of a product held by active reservations.
+ *
+ * @param {string} productIdColumn - Column holding the product id (e.g. `p.id`)
+ * @param {string} [excludeUserParam] - Placeholder of a user whose holds are not counted (e.g. `$1`)
+ * @returns {string} Scalar subquery returning an integer
+ */
+const reservedQuantitySql = (productIdColumn, excludeUserParam) => `COALESCE((
+  SELECT SUM(sr.quantity)::int
+  FROM stock_reservations sr
+  WHERE sr.product_id = ${productIdColumn}
+    AND sr.expires_at > NOW()${excludeUserParam ? `
+    AND sr.user_id <> ${excludeUserParam}` : ''}
+), 0)`;
+
+/**
+ * SQL expression for the units of a product that can still be added to a cart or ordered.
+ *
+ * @param {string} productAlias - Alias or table name of `products` in the query
+ * @param {string} [excludeUserParam] - Placeholder of the customer asking, whose own holds stay available to them
+ * @returns {string} Integer expression, never below zero
+ */
+const availableQuantitySql = (productAlias, excludeUserParam) =>
+  `GREATEST(${productAlias}.stock_quantity - ${reservedQuantitySql(`${productAlias}.id`, excludeUserParam)}, 0)`;
+
+/**
+ * Describes a cart item that cannot be fulfilled from available stock.
+ *
+ * @param {Object} item - Cart row with cart_item_id, product_id, product_name and quantity
+ * @param {number} available - Units available to this customer
+ * @returns {Object} Entry of a `stock_issues` array
+ */
+const buildStockIssue = (item, available) => ({
+  cart_item_id: item.cart_item_id,
+  product_id: item.product_id,
+  product_name: item.product_name,
+  requested: item.quantity,
+  available,
+  message: `${item.product_name}: requested ${item.quantity}, available ${available}`
+});
+
+/**
+ * Holds the customer's cart quantities for RESERVATION_MINUTES.
+ *
+ * Locks the affected product rows so two customers starting checkout for the
+ * last units are served one after the other. Nothing is reserved when any item
+ * is short; the caller receives the issues instead.
+ *
+ * @param {import('pg').PoolClient} client - Client inside an open transaction
+ * @param {string} userId - Customer starting checkout
+ * @returns {Promise<{expires_at: Date|null, items: Object[], stock_issues: Object[]}>} Reservation result
+ * @throws {Error} 400 when the cart is empty
+ */
+const reserveCartStock = async (client, userId) => {
+  await client.query('DELETE FROM stock_reservations WHERE expires_at <= NOW()');
+
+  const cartResult = await client.query(
+    `SELECT ci.id AS cart_item_id, ci.quantity, p.id AS product_id, p.name AS product_name,
+            ${availableQuantitySql('p', '$1')} AS available_quantity
+     FROM carts c
+     JOIN cart_items ci ON c.id = ci.cart_id
+     JOIN products p ON ci.product_id = p.id AND p.is_active = true
+     WHERE c.user_id = $1 AND ci.saved_for_later = false
+     ORDER BY p.id
+     FOR UPDATE OF p`,
+    [userId]
+  );
+
+  if (cartResult.rows.length === 0) {
+    throw createStatusError(400, 'Cart is empty');
+  }
+
+  const stockIssues = cartResult.rows
+    .filter((item) => item.quantity > item.available_quantity)
+    .map((item) => buildStockIssue(item, item.available_quantity));
+
+  if (stockIssues.length > 0) {
+    return { expires_at: null, items: [], stock_issues: stockIssues };
+  }
+
+  await releaseReservations(client, userId);
+
+  const reservations = [];
+  for (const item of cartResult.rows) {
+    const result = await client.query(
+      `INSERT INTO stock_reservations (user_id, product_id, quantity, expires_at)
+       VALUES ($1, $2, $3, NOW() + make_interval(mins => $4))
+       RETURNING product_id, quantity, expires_at`,
+      [userId, item.product_id, item.quantity, RESERVATION_MINUTES]
+    );
+    reservations.push(result.rows[0]);
+  }
+
+  return {
+    expires_at: reservations[0].expires_at,
+    items: reservations.map(({ product_id, quantity }) => ({ product_id, quantity })),
+    stock_issues: []
+  };
+};
+
+/**
+ * Releases every reservation held by a customer.
+ *
+ * @param {import('pg').Pool|import('pg').PoolClient} db - Pool or client to query with
+ * @param {string} userId - Customer whose holds are released
+ * @returns {Promise<number>} Number of reservations removed
+ */
+const releaseReservations = async (db, userId) => {
+  const result = await db.query('DELETE FROM stock_reservations WHERE user_id = $1', [userId]);
+  return result.rowCount;
+};
+
+module.exports = {
+  RESERVATION_MINUTES,
+  reservedQuantitySql,
+  availableQuantitySql,
+  buildStockIssue,
+  reserveCartStock,
+  releaseReservations,
+};
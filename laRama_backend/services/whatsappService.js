@@ -0,0 +1,370 @@
+/**
+ * @fileoverview WhatsApp Messaging Service for LaRama E-commerce Platform
+ *
+ * Renders the WhatsApp messages customers send to the studio (orders and custom
+ * quotes) and the status updates Rama sends back, from templates stored in the
+ * database. Administrators can edit the templates and the business number from
+ * the admin panel; the built-in defaults below apply until a template is edited.
+ *
+ * Templates use `{{placeholder}}` tokens. Unknown placeholders render as empty text.
+ *
+ * @author Mohamad Abou Naasse
+ * @course University of Balamand - Advances in Computer Science
+ * @project LaRama Handcrafted Products E-commerce Platform
+ * @business LaRama Handcrafted (Owner: Rama)
+ */
+
+/**
+ * Store setting key holding the WhatsApp Business number (international format, digits only).
+ */
+const BUSINESS_NUMBER_SETTING = 'whatsapp_business_number';
+
+/**
+ * Business number used until an administrator saves one.
+ */
+const DEFAULT_BUSINESS_NUMBER = process.env.WHATSAPP_BUSINESS_NUMBER || '96171361960';
+
+const DIVIDER = '━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━';
+
+/**
+ * Built-in templates, used when no customised version is stored.
+ */
+const DEFAULT_TEMPLATES = {
+  order: [
+    'Dear LaRama Team,',
+    '',
+    'I would like to place an order for the following items:',
+    '',
+    '*ORDER DETAILS*',
+    DIVIDER,
+    'Order Reference: {{reference}}',
+    'Customer Name: {{customer_name}}',
+    'Email Address: {{customer_email}}',
+    'Order Date: {{order_date}}',
+    'Shipping Address: {{shipping_address}}',
+    'Order Notes: {{order_notes}}',
+    'Gift Message: {{gift_message}}',
+    '',
+    '*ITEM BREAKDOWN ({{item_count}} items):*',
+    DIVIDER,
+    '{{items}}',
+    '',
+    DIVIDER,
+    'Subtotal: {{subtotal}}',
+    'Shipping ({{shipping_method}}): {{shipping}}',
+    'Discount: {{discount}}',
+    '*ORDER TOTAL: {{total}}*',
+    '',
+    '*NEXT STEPS REQUESTED:*',
+    '• Order confirmation and availability check',
+    '• Payment method and instructions',
+    '• Estimated delivery timeline',
+    '',
+    'Please confirm my order and let me know your preferred payment method.',
+    '',
+    'Thank you for your excellent craftsmanship and service.',
+    '',
+    'Best regards',
+  ].join('\n'),
+  quote: [
+    'Dear LaRama Team,',
+    '',
+    'I would like to request a custom order quote for the following specifications:',
+    '',
+    '*Order Reference:* {{reference}}',
+    '*Product Category:* {{category}}',
+    '',
+    '*DETAILED SPECIFICATIONS:*',
+    DIVIDER,
+    '{{specifications}}',
+    DIVIDER,
+    '',
+    '*Estimated Base Price:* {{estimated_price}}',
+    '',
+    'Could you please provide:',
+    '• Final pricing with customizations',
+    '• Estimated completion timeframe',
+    '• Available delivery options',
+    '',
+    'Thank you for your time and craftsmanship. I look forward to hearing from you.',
+    '',
+    'Best regards',
+  ].join('\n'),
+  status_update: [
+    'Hello {{customer_name}},',
+    '',
+    'Your LaRama order {{reference}} is now *{{status}}*.',
+    '{{status_note}}',
+    '',
+    'Order total: {{total}}',
+    '',
+    'Thank you for supporting handmade!',
+    'Rama – LaRama Handcrafted',
+  ].join('\n'),
+};
+
+/**
+ * Template names accepted by the service and the `whatsapp_templates` table.
+ */
+const TEMPLATE_NAMES = Object.keys(DEFAULT_TEMPLATES);
+
+/**
+ * Placeholders available to each template, shown to administrators while editing.
+ */
+const TEMPLATE_PLACEHOLDERS = {
+  order: [
+    'reference', 'customer_name', 'customer_email', 'order_date', 'shipping_address',
+    'order_notes', 'gift_message', 'items', 'item_count', 'subtotal', 'shipping', 'shipping_method', 'discount', 'total',
+  ],
+  quote: ['reference', 'category', 'specifications', 'estimated_price', 'customer_name'],
+  status_update: ['reference', 'customer_name', 'status', 'status_note', 'total'],
+};
+
+/**
+ * Customer-facing wording for each order status.
+ */
+const STATUS_LABELS = {
+  pending: 'waiting in queue',
+  processing: 'being handcrafted',
+  shipped: 'on its way',
+  delivered: 'delivered',
+  cancelled: 'cancelled',
+};
+
+const formatPrice = (value) => `$${Number(value || 0).toFixed(2)}`;
+
+/**
+ * Replaces `{{placeholder}}` tokens with the matching variable values.
+ *
+ * @param {string} template - Template text
+ * @param {Object<string, string|number>} variables - Placeholder values
+ * @returns {string} Rendered message
+ */
+const renderTemplate = (template, variables) =>
+  template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => {
+    const value = variables[key];
+    return value === undefined || value === null ? '' : String(value);
+  });
+
+/**
+ * Builds a WhatsApp deep link. Without a number, WhatsApp lets the sender pick the chat.
+ *
+ * @param {string|null} number - Recipient in international format, digits only
+ * @param {string} message - Message text
+ * @returns {string} wa.me link
+ */
+const buildWhatsAppLink = (number, message) =>
+  `https://wa.me/${number || ''}?text=${encodeURIComponent(message)}`;
+
+/**
+ * Reads the configured WhatsApp Business number.
+ *
+ * @param {import('pg').Pool|import('pg').PoolClient} db - Pool or client to query with
+ * @returns {Promise<string>} Business number
+ */
+const getBusinessNumber = async (db) => {
+  const result = await db.query('SELECT value FROM store_settings WHERE key = $1', [BUSINESS_NUMBER_SETTING]);
+  return result.rows[0]?.value || DEFAULT_BUSINESS_NUMBER;
+};
+
+/**
+ * Returns every template with its effective body and edit metadata.
+ *
+ * @param {import('pg').Pool|import('pg').PoolClient} db - Pool or client to query with
+ * @returns {Promise<Object[]>} Templates with name, body, placeholders, is_custom, updated_by, updated_at
+ */
+const getTemplates = async (db) => {
+  const result = await db.query('SELECT name, body, updated_by, updated_at FROM whatsapp_templates');
+  const stored = Object.fromEntries(result.rows.map((row) => [row.name, row]));
+
+  return TEMPLATE_NAMES.map((name) => ({
+    name,
+    body: stored[name]?.body || DEFAULT_TEMPLATES[name],
+    placeholders: TEMPLATE_PLACEHOLDERS[name],
+    is_custom: Boolean(stored[name]),
+    updated_by: stored[name]?.updated_by || null,
+    updated_at: stored[name]?.updated_at || null,
+  }));
+};
+
+/**
+ * Returns the effective body of one template.
+ *
+ * @param {import('pg').Pool|import('pg').PoolClient} db - Pool or client to query with
+ * @param {string} name - Template name
+ * @returns {Promise<string>} Template body
+ */
+const getTemplate = async (db, name) => {
+  const result = await db.query('SELECT body FROM whatsapp_templates WHERE name = $1', [name]);
+  return result.rows[0]?.body || DEFAULT_TEMPLATES[name];
+};
+
+/**
+ * Loads an order with its customer and items and renders one of the order templates.
+ *
+ * @param {import('pg').Pool|import('pg').PoolClient} db - Pool or client to query with
+ * @param {Object} params - Render parameters
+ * @param {string} params.orderId - Order identifier
+ * @param {string} [params.userId] - When set, the order must belong to this user
+ * @param {'order'|'status_update'} [params.templateName] - Template to render (default `order`)
+ * @param {string} [params.statusNote] - Extra line for status updates
+ * @returns {Promise<{order: Object, message: string}|null>} Rendered message, or null when the order is not found
+ */
+const renderOrderMessage = async (db, { orderId, userId, templateName = 'order', statusNote = '' }) => {
+  const params = [orderId];
+  let ownershipClause = '';
+  if (userId) {
+    params.push(userId);
+    ownershipClause = ' AND o.user_id = $2';
+  }
+
+  const orderResult = await db.query(
+    `SELECT o.id, o.reference, o.subtotal_amount, o.shipping_amount, o.discount_amount, o.total_amount, o.status,
+            o.shipping_address, o.shipping_method, o.order_notes, o.gift_message, o.created_at,
+            (SELECT string_agg(COALESCE(od.code, od.description), ', ' ORDER BY od.code NULLS FIRST)
+             FROM order_discounts od WHERE od.order_id = o.id) AS discount_codes,
+            u.name AS customer_name, u.email AS customer_email
+     FROM orders o
+     JOIN users u ON o.user_id = u.id
+     WHERE o.id = $1${ownershipClause}`,
+    params
+  );
+
+  if (orderResult.rows.length === 0) {
+    return null;
+  }
+
+  const order = orderResult.rows[0];
+
+  const itemsResult = await db.query(
+    `SELECT oi.quantity, oi.price, oi.note, COALESCE(p.name, 'Product no longer available') AS name
+     FROM order_items oi
+     LEFT JOIN products p ON oi.product_id = p.id
+     WHERE oi.order_id = $1
+     ORDER BY oi.created_at`,
+    [orderId]
+  );
+
+  const items = itemsResult.rows
+    .map((item, index) => [
+      `${index + 1}. ${item.name}`,
+      `    Quantity: ${item.quantity}`,
+      `    Unit Price: ${formatPrice(item.price)}`,
+      `    Subtotal: ${formatPrice(item.quantity * item.price)}`,
+      ...(item.note ? [`    Note: ${item.note}`] : []),
+    ].join('\n'))
+    .join('\n\n');
+
+  const template = await getTemplate(db, templateName);
+  const message = renderTemplate(template, {
+    reference: order.reference,
+    customer_name: order.customer_name || 'Not provided',
+    customer_email: order.customer_email || 'Not provided',
+    order_date: new Date(order.created_at).toLocaleDateString('en-GB'),
+    shipping_address: order.shipping_address || 'Not provided',
+    order_notes: order.order_notes || 'None',
+    gift_message: order.gift_message || 'None',
+    items,
+    item_count: itemsResult.rows.reduce((sum, item) => sum + item.quantity, 0),
+    subtotal: formatPrice(order.subtotal_amount),
+    shipping: Number(order.shipping_amount) === 0 ? 'Free' : formatPrice(order.shipping_amount),
+    shipping_method: order.shipping_method || 'To be confirmed',
+    discount: Number(order.discount_amount) > 0
+      ? `-${formatPrice(order.discount_amount)} (${order.discount_codes})`
+      : 'None',
+    total: formatPrice(order.total_amount),
+    status: STATUS_LABELS[order.status] || order.status,
+    status_note: statusNote,
+  });
+
+  return { order, message };
+};
+
+/**
+ * Renders the custom quote template from the Customize page selections.
+ *
+ * @param {import('pg').Pool|import('pg').PoolClient} db - Pool or client to query with
+ * @param {Object} quote - Quote details
+ * @param {string} quote.reference - Quote reference
+ * @param {string} quote.category - Product category label
+ * @param {Object<string, string>} quote.specifications - Specification label/value pairs
+ * @param {string} [quote.estimatedPrice] - Estimated base price shown to the customer
+ * @param {string} [quote.customerName] - Signed-in customer name, if any
+ * @returns {Promise<string>} Rendered message
+ */
+const renderQuoteMessage = async (db, { reference, category, specifications, estimatedPrice, customerName }) => {
+  const template = await getTemplate(db, 'quote');
+
+  return renderTemplate(template, {
+    reference,
+    category,
+    specifications: Object.entries(specifications)
+      .map(([label, value]) => `• ${label}: ${value}`)
+      .join('\n'),
+    estimated_price: estimatedPrice || 'To be confirmed',
+    customer_name: customerName || '',
+  });
+};
+
+/**
+ * Saves a customised template.
+ *
+ * @param {import('pg').Pool|import('pg').PoolClient} db - Pool or client to query with
+ * @param {string} name - Template name
+ * @param {string} body - New template body
+ * @param {string} updatedBy - Administrator email
+ * @returns {Promise<void>}
+ */
+const saveTemplate = async (db, name, body, updatedBy) => {
+  await db.query(
+    `INSERT INTO whatsapp_templates (name, body, updated_by, updated_at)
+     VALUES ($1, $2, $3, CURRENT_TIMESTAMP)
+     ON CONFLICT (name) DO UPDATE
+     SET body = EXCLUDED.body, updated_by = EXCLUDED.updated_by, updated_at = CURRENT_TIMESTAMP`,
+    [name, body, updatedBy]
+  );
+};
+
+/**
+ * Removes a customised template so the built-in default applies again.
+ *
+ * @param {import('pg').Pool|import('pg').PoolClient} db - Pool or client to query with
+ * @param {string} name - Template name
+ * @returns {Promise<void>}
+ */
+const resetTemplate = async (db, name) => {
+  await db.query('DELETE FROM whatsapp_templates WHERE name = $1', [name]);
+};
+
+/**
+ * Saves the WhatsApp Business number.
+ *
+ * @param {import('pg').Pool|import('pg').PoolClient} db - Pool or client to query with
+ * @param {string} number - Number in international format, digits only
+ * @param {string} updatedBy - Administrator email
+ * @returns {Promise<void>}
+ */
+const saveBusinessNumber = async (db, number, updatedBy) => {
+  await db.query(
+    `INSERT INTO store_settings (key, value, updated_by, updated_at)
+     VALUES ($1, $2, $3, CURRENT_TIMESTAMP)
+     ON CONFLICT (key) DO UPDATE
+     SET value = EXCLUDED.value, updated_by = EXCLUDED.updated_by, updated_at = CURRENT_TIMESTAMP`,
+    [BUSINESS_NUMBER_SETTING, number, updatedBy]
+  );
+};
+
+module.exports = {
+  DEFAULT_TEMPLATES,
+  TEMPLATE_NAMES,
+  TEMPLATE_PLACEHOLDERS,
+  renderTemplate,
+  buildWhatsAppLink,
+  getBusinessNumber,
+  getTemplates,
+  renderOrderMessage,
+  renderQuoteMessage,
+  saveTemplate,
+  resetTemplate,
+  saveBusinessNumber,
+};
@@ -0,0 +1,24 @@
+/**
+ * @fileoverview Currency Helpers for LaRama E-commerce Platform
+ *
+ * Prices, shipping costs and discounts are stored as DECIMAL(10, 2), so every
+ * amount calculated in JavaScript is rounded to cents before it is returned
+ * or saved.
+ *
+ * @author Mohamad Abou Naasse
+ * @course University of Balamand - Advances in Computer Science
+ * @project LaRama Handcrafted Products E-commerce Platform
+ * @business LaRama Handcrafted (Owner: Rama)
+ */
+
+/**
+ * Rounds an amount to whole cents.
+ *
+ * @param {number} value - Amount in dollars
+ * @returns {number} Amount rounded to two decimal places
+ */
+const roundCurrency = (value) => Math.round(value * 100) / 100;
+
+module.exports = {
+  roundCurrency
+};
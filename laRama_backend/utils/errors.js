@@ -0,0 +1,29 @@
+/**
+ * @fileoverview Error Helpers for LaRama E-commerce Platform
+ *
+ * Services throw these errors for request problems the customer or
+ * administrator can fix; controllers relay `error.status` and the message
+ * instead of answering 500.
+ *
+ * @author Mohamad Abou Naasse
+ * @course University of Balamand - Advances in Computer Science
+ * @project LaRama Handcrafted Products E-commerce Platform
+ * @business LaRama Handcrafted (Owner: Rama)
+ */
+
+/**
+ * Creates an error carrying an HTTP status code for controllers to relay.
+ *
+ * @param {number} status - HTTP status code to respond with
+ * @param {string} message - Human-readable error message
+ * @returns {Error} Error instance with a `status` property
+ */
+const createStatusError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+module.exports = {
+  createStatusError
+};
@@ -0,0 +1,82 @@
+/**
+ * @fileoverview Shared Regular Expressions for LaRama E-commerce Platform
+ *
+ * Data formats checked both by the request validation middleware and by
+ * controllers and services (route parameters, promotion rules), kept here so
+ * services do not depend on Express middleware.
+ *
+ * @author Mohamad Abou Naasse
+ * @course University of Balamand - Advances in Computer Science
+ * @project LaRama Handcrafted Products E-commerce Platform
+ * @business LaRama Handcrafted (Owner: Rama)
+ */
+
+/**
+ * Common Validation Patterns
+ * 
+ * Pre-defined regular expression patterns for common data format validation.
+ * These patterns ensure consistent validation across the application for
+ * frequently used data formats like emails and UUIDs.
+ */
+const patterns = {
+  /**
+   * Email Address Pattern
+   * Validates email format ensuring proper structure with @ symbol and domain
+   * Used for user registration, login, and newsletter subscriptions
+   */
+  email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+  
+  /**
+   * UUID Pattern (Version 1-5)
+   * Validates UUID format for database identifiers and product IDs
+   * Ensures proper UUID structure with correct versioning and variant bits
+   */
+  uuid: /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i,
+  
+  /**
+   * Order Status Pattern
+   * Matches the statuses allowed by the orders.status CHECK constraint
+   */
+  orderStatus: /^(pending|processing|shipped|delivered|cancelled)$/,
+  
+  /**
+   * Order Reference Pattern
+   * Matches customer-facing order references such as LRM-ORD-000123
+   */
+  orderReference: /^LRM-ORD-\d{6,}$/i,
+  
+  /**
+   * WhatsApp Number Pattern
+   * International phone number without "+" or spaces, as used by wa.me links
+   */
+  whatsappNumber: /^\d{8,15}$/,
+  
+  /**
+   * Country Code Pattern
+   * Two-letter ISO 3166-1 alpha-2 code used to pick the shipping zone
+   */
+  countryCode: /^[A-Za-z]{2}$/,
+  
+  /**
+   * Promotion Type Pattern
+   * Matches the promotion types priced by services/promotionService.js
+   */
+  promotionType: /^(buy_x_get_y|category_percentage|bundle_price)$/,
+  
+  /**
+   * Opaque Token Pattern
+   * 32 random bytes in hex: refresh tokens and the tokens emailed for
+   * password resets and email verification
+   */
+  opaqueToken: /^[0-9a-f]{64}$/i,
+  
+  /**
+   * Phone Number Pattern
+   * Digits with optional leading "+", spaces, dashes and parentheses (6-20 characters)
+   */
+  phone: /^\+?[0-9\s\-()]{6,20}$/
+};
+
+module.exports = {
+  patterns
+};
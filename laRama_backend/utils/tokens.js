@@ -0,0 +1,26 @@
+/**
+ * @fileoverview Token Helpers for LaRama E-commerce Platform
+ *
+ * Password reset, email verification and refresh tokens are only stored as
+ * SHA-256 digests, so a leaked table cannot be replayed as working links or
+ * sessions.
+ *
+ * @author Mohamad Abou Naasse
+ * @course University of Balamand - Advances in Computer Science
+ * @project LaRama Handcrafted Products E-commerce Platform
+ * @business LaRama Handcrafted (Owner: Rama)
+ */
+
+const crypto = require('crypto'); // SHA-256 hashing
+
+/**
+ * Hashes a raw token for storage and lookup.
+ *
+ * @param {string} token - Raw token from an email link or the client
+ * @returns {string} Hex SHA-256 digest
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+module.exports = {
+  hashToken
+};
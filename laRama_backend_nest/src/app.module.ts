@@ -4,6 +4,7 @@ import { join } from 'path';
 import { TypeOrmModule } from '@nestjs/typeorm';
 import { getTypeOrmConfig } from './utils/db.utils';
 import { ProductModule } from './product/product.module';
+import { DiscountModule } from './discount/discount.module';
 import { ApolloDriver, ApolloDriverConfig } from '@nestjs/apollo';
 
 @Module({
@@ -15,6 +16,7 @@ import { ApolloDriver, ApolloDriverConfig } from '@nestjs/apollo';
     }),
     TypeOrmModule.forRoot(getTypeOrmConfig()),
     ProductModule,
+    DiscountModule,
   ],
 })
 export class AppModule {}
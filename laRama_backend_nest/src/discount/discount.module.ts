@@ -0,0 +1,13 @@
+import { Module } from '@nestjs/common';
+import { TypeOrmModule } from '@nestjs/typeorm';
+import { DiscountService } from './discount.service';
+import { DiscountResolver } from './discount.resolver';
+import { DiscountCodeEntity } from './entities/discount-code.entity';
+import { AdminGuard } from '../product/guards/admin.guard';
+
+@Module({
+  imports: [TypeOrmModule.forFeature([DiscountCodeEntity])],
+  providers: [DiscountService, DiscountResolver, AdminGuard],
+  exports: [DiscountService],
+})
+export class DiscountModule {}
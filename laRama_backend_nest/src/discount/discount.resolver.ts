@@ -0,0 +1,32 @@
+import { Resolver, Query, Args, Mutation, ID, Int, ResolveField, Parent } from '@nestjs/graphql';
+import { UseGuards } from '@nestjs/common';
+import { AdminGuard } from '../product/guards/admin.guard';
+import { DiscountCodeEntity } from './entities/discount-code.entity';
+import { DiscountService } from './discount.service';
+import { CreateDiscountCodeInput } from './dto/create-discount-code.input';
+
+@Resolver(() => DiscountCodeEntity)
+@UseGuards(AdminGuard)
+export class DiscountResolver {
+  constructor(private readonly discountService: DiscountService) {}
+
+  @Query(() => [DiscountCodeEntity])
+  discountCodes() {
+    return this.discountService.findAll();
+  }
+
+  @Mutation(() => DiscountCodeEntity)
+  createDiscountCode(@Args('input') input: CreateDiscountCodeInput) {
+    return this.discountService.create(input);
+  }
+
+  @Mutation(() => DiscountCodeEntity)
+  deactivateDiscountCode(@Args('id', { type: () => ID }) id: string) {
+    return this.discountService.deactivate(id);
+  }
+
+  @ResolveField(() => Int, { description: 'Orders that used the code, excluding cancelled ones' })
+  timesUsed(@Parent() discountCode: DiscountCodeEntity) {
+    return this.discountService.countUses(discountCode.id);
+  }
+}
@@ -0,0 +1,84 @@
+import { BadRequestException, ConflictException, Injectable, NotFoundException } from '@nestjs/common';
+import { InjectRepository } from '@nestjs/typeorm';
+import { Repository } from 'typeorm';
+import { DiscountCodeEntity } from './entities/discount-code.entity';
+import { CreateDiscountCodeInput, DiscountType } from './dto/create-discount-code.input';
+
+@Injectable()
+export class DiscountService {
+  constructor(
+    @InjectRepository(DiscountCodeEntity)
+    private readonly repo: Repository<DiscountCodeEntity>,
+  ) {}
+
+  findAll(): Promise<DiscountCodeEntity[]> {
+    return this.repo.find({ order: { createdAt: 'DESC' } });
+  }
+
+  /**
+   * Creates an active code. Checkout pricing lives in the REST server
+   * (laRama_backend/services/discountService.js); this only guards the stored rules.
+   */
+  async create(input: CreateDiscountCodeInput): Promise<DiscountCodeEntity> {
+    const code = input.code?.trim().toUpperCase() ?? '';
+    if (!/^[A-Z0-9_-]{3,40}$/.test(code)) {
+      throw new BadRequestException('code must be 3-40 letters, digits, dashes or underscores');
+    }
+
+    const value = input.discountType === DiscountType.FREE_SHIPPING ? 0 : input.value ?? 0;
+    if (input.discountType === DiscountType.PERCENTAGE && (value <= 0 || value > 100)) {
+      throw new BadRequestException('A percentage discount must be between 0 and 100');
+    }
+    if (input.discountType === DiscountType.FIXED_AMOUNT && value <= 0) {
+      throw new BadRequestException('A fixed amount discount must be greater than 0');
+    }
+    if (input.startsAt && input.expiresAt && input.expiresAt <= input.startsAt) {
+      throw new BadRequestException('expiresAt must be after startsAt');
+    }
+
+    if (await this.repo.existsBy({ code })) {
+      throw new ConflictException(`Discount code ${code} already exists`);
+    }
+
+    const ent = this.repo.create({
+      code,
+      description: input.description?.trim() || null,
+      discountType: input.discountType,
+      value,
+      minSubtotal: input.minSubtotal ?? null,
+      category: input.category?.trim() || null,
+      startsAt: input.startsAt ?? null,
+      expiresAt: input.expiresAt ?? null,
+      usageLimit: input.usageLimit ?? null,
+      perCustomerLimit: input.perCustomerLimit ?? null,
+      isActive: true,
+    } as Partial<DiscountCodeEntity>);
+
+    return this.repo.save(ent);
+  }
+
+  /**
+   * Stops a code from being applied or redeemed. Orders that already used it keep their discount.
+   */
+  async deactivate(id: string): Promise<DiscountCodeEntity> {
+    const existing = await this.repo.findOneBy({ id });
+    if (!existing) throw new NotFoundException('Discount code not found');
+    existing.isActive = false;
+    return this.repo.save(existing);
+  }
+
+  /**
+   * Orders that used a code, not counting cancelled ones. order_discounts belongs to the
+   * REST schema (it references orders), so it is queried directly rather than mapped.
+   */
+  async countUses(id: string): Promise<number> {
+    const rows = (await this.repo.manager.query(
+      `SELECT COUNT(*)::int AS uses
+       FROM order_discounts od
+       JOIN orders o ON od.order_id = o.id
+       WHERE od.discount_code_id = $1 AND o.status <> 'cancelled'`,
+      [id],
+    )) as { uses: number }[];
+    return rows[0].uses;
+  }
+}
@@ -0,0 +1,70 @@
+import { InputType, Field, Float, Int, registerEnumType } from '@nestjs/graphql';
+import { IsOptional, IsString, IsNumber, IsInt, IsEnum, IsDate, Matches, Min, MaxLength } from 'class-validator';
+
+/**
+ * How a discount code reduces an order.
+ */
+export enum DiscountType {
+  PERCENTAGE = 'percentage',
+  FIXED_AMOUNT = 'fixed_amount',
+  FREE_SHIPPING = 'free_shipping',
+}
+
+registerEnumType(DiscountType, { name: 'DiscountType' });
+
+@InputType()
+export class CreateDiscountCodeInput {
+  @Field({ description: '3-40 letters, digits, dashes or underscores; stored upper-cased' })
+  @IsString()
+  @Matches(/^[A-Za-z0-9_-]{3,40}$/)
+  code: string;
+
+  @Field({ nullable: true })
+  @IsOptional()
+  @IsString()
+  @MaxLength(255)
+  description?: string;
+
+  @Field(() => DiscountType)
+  @IsEnum(DiscountType)
+  discountType: DiscountType;
+
+  @Field(() => Float, { nullable: true, description: 'Percent (1-100) or amount off; omit for free shipping' })
+  @IsOptional()
+  @IsNumber()
+  @Min(0)
+  value?: number;
+
+  @Field(() => Float, { nullable: true })
+  @IsOptional()
+  @IsNumber()
+  @Min(0)
+  minSubtotal?: number;
+
+  @Field({ nullable: true })
+  @IsOptional()
+  @IsString()
+  category?: string;
+
+  @Field({ nullable: true })
+  @IsOptional()
+  @IsDate()
+  startsAt?: Date;
+
+  @Field({ nullable: true })
+  @IsOptional()
+  @IsDate()
+  expiresAt?: Date;
+
+  @Field(() => Int, { nullable: true })
+  @IsOptional()
+  @IsInt()
+  @Min(1)
+  usageLimit?: number;
+
+  @Field(() => Int, { nullable: true })
+  @IsOptional()
+  @IsInt()
+  @Min(1)
+  perCustomerLimit?: number;
+}
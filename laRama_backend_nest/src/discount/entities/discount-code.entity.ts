@@ -0,0 +1,82 @@
+import {
+  Entity,
+  PrimaryGeneratedColumn,
+  Column,
+  CreateDateColumn,
+  UpdateDateColumn,
+  Unique,
+  Check,
+} from 'typeorm';
+import { ObjectType, Field, ID, Float, Int } from '@nestjs/graphql';
+
+export const DISCOUNT_TYPES = ['percentage', 'fixed_amount', 'free_shipping'] as const;
+export type DiscountTypeValue = (typeof DISCOUNT_TYPES)[number];
+
+// Constraint names mirror laRama_backend/database.sql so synchronize leaves them in place.
+// Carts and order_discounts reference this table from the REST schema.
+@ObjectType()
+@Entity({ name: 'discount_codes' })
+@Unique('uq_discount_codes_code', ['code'])
+@Check('chk_discount_codes_type', `"discount_type" IN ('percentage', 'fixed_amount', 'free_shipping')`)
+@Check('chk_discount_codes_value', `"value" >= 0 AND ("discount_type" <> 'percentage' OR "value" <= 100)`)
+@Check(
+  'chk_discount_codes_limits',
+  `("usage_limit" IS NULL OR "usage_limit" > 0) AND ("per_customer_limit" IS NULL OR "per_customer_limit" > 0)`,
+)
+export class DiscountCodeEntity {
+  @Field(() => ID)
+  @PrimaryGeneratedColumn('uuid')
+  id: string;
+
+  @Field({ description: 'Stored upper-cased; customers may type it in any case' })
+  @Column({ type: 'varchar', length: 40 })
+  code: string;
+
+  @Field({ nullable: true })
+  @Column({ type: 'varchar', length: 255, nullable: true })
+  description?: string | null;
+
+  @Field()
+  @Column({ type: 'varchar', length: 20, name: 'discount_type' })
+  discountType: DiscountTypeValue;
+
+  @Field(() => Float, { description: 'Percent off or amount off; 0 for free shipping' })
+  @Column({ type: 'numeric', precision: 10, scale: 2, default: 0 })
+  value: number;
+
+  @Field(() => Float, { nullable: true })
+  @Column({ type: 'numeric', precision: 10, scale: 2, nullable: true, name: 'min_subtotal' })
+  minSubtotal?: number | null;
+
+  @Field({ nullable: true, description: 'Only items of this product category are discounted' })
+  @Column({ type: 'varchar', length: 100, nullable: true })
+  category?: string | null;
+
+  @Field({ nullable: true })
+  @Column({ type: 'timestamp', nullable: true, name: 'starts_at' })
+  startsAt?: Date | null;
+
+  @Field({ nullable: true })
+  @Column({ type: 'timestamp', nullable: true, name: 'expires_at' })
+  expiresAt?: Date | null;
+
+  @Field(() => Int, { nullable: true, description: 'Orders allowed across all customers' })
+  @Column({ type: 'int', nullable: true, name: 'usage_limit' })
+  usageLimit?: number | null;
+
+  @Field(() => Int, { nullable: true, description: 'Orders allowed per customer' })
+  @Column({ type: 'int', nullable: true, name: 'per_customer_limit' })
+  perCustomerLimit?: number | null;
+
+  @Field()
+  @Column({ type: 'boolean', default: true, name: 'is_active' })
+  isActive: boolean;
+
+  @Field()
+  @CreateDateColumn({ name: 'created_at' })
+  createdAt: Date;
+
+  @Field()
+  @UpdateDateColumn({ name: 'updated_at' })
+  updatedAt: Date;
+}
@@ -0,0 +1,27 @@
+import { Module } from '@nestjs/common';
+import { join } from 'path';
+import { MailService } from './mail.service';
+import { MAIL_TRANSPORT, MailTransport } from './transports/mail-transport';
+import { ConsoleMailTransport } from './transports/console-mail.transport';
+import { FileMailTransport } from './transports/file-mail.transport';
+
+/**
+ * MAIL_TRANSPORT selects the transport: `console` (default) logs emails, `file` writes
+ * .eml files to MAIL_OUTBOX_DIR. Production providers plug in by adding a case here.
+ */
+function createMailTransport(): MailTransport {
+  switch (process.env.MAIL_TRANSPORT || 'console') {
+    case 'file':
+      return new FileMailTransport(process.env.MAIL_OUTBOX_DIR || join(process.cwd(), 'mail-outbox'));
+    case 'console':
+      return new ConsoleMailTransport();
+    default:
+      throw new Error(`Unknown MAIL_TRANSPORT: ${process.env.MAIL_TRANSPORT}`);
+  }
+}
+
+@Module({
+  providers: [MailService, { provide: MAIL_TRANSPORT, useFactory: createMailTransport }],
+  exports: [MailService],
+})
+export class MailModule {}
@@ -0,0 +1,40 @@
+import { Inject, Injectable, Logger } from '@nestjs/common';
+import { MAIL_TRANSPORT, MailMessage, MailTransport } from './transports/mail-transport';
+
+@Injectable()
+export class MailService {
+  private readonly logger = new Logger(MailService.name);
+  private readonly from = process.env.MAIL_FROM || 'LaRama Handcrafted <no-reply@larama.local>';
+  private readonly pending: MailMessage[] = [];
+  private draining = false;
+
+  constructor(@Inject(MAIL_TRANSPORT) private readonly transport: MailTransport) {}
+
+  /**
+   * Queues emails for background delivery so callers are not held up by the transport.
+   * Failed deliveries are logged and dropped.
+   */
+  queue(messages: MailMessage[]): void {
+    if (messages.length === 0) return;
+    this.pending.push(...messages);
+    if (!this.draining) {
+      void this.drain();
+    }
+  }
+
+  private async drain(): Promise<void> {
+    this.draining = true;
+    try {
+      let message: MailMessage | undefined;
+      while ((message = this.pending.shift())) {
+        try {
+          await this.transport.send({ ...message, from: this.from });
+        } catch (error) {
+          this.logger.error(`Failed to send "${message.subject}" to ${message.to}`, (error as Error).stack);
+        }
+      }
+    } finally {
+      this.draining = false;
+    }
+  }
+}
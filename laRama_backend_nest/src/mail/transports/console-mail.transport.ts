@@ -0,0 +1,13 @@
+import { Logger } from '@nestjs/common';
+import { MailMessage, MailTransport } from './mail-transport';
+
+/**
+ * Development transport: prints each email to the server log instead of sending it.
+ */
+export class ConsoleMailTransport implements MailTransport {
+  private readonly logger = new Logger('Mail');
+
+  async send(message: MailMessage & { from: string }): Promise<void> {
+    this.logger.log(`To: ${message.to} | Subject: ${message.subject}\n${message.text}`);
+  }
+}
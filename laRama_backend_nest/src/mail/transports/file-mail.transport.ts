@@ -0,0 +1,26 @@
+import { promises as fs } from 'fs';
+import { join } from 'path';
+import { randomUUID } from 'crypto';
+import { MailMessage, MailTransport } from './mail-transport';
+
+/**
+ * Development transport: writes each email as a .eml file so it can be opened in a mail client.
+ */
+export class FileMailTransport implements MailTransport {
+  constructor(private readonly directory: string) {}
+
+  async send(message: MailMessage & { from: string }): Promise<void> {
+    await fs.mkdir(this.directory, { recursive: true });
+    const fileName = `${new Date().toISOString().replace(/[:.]/g, '-')}-${randomUUID()}.eml`;
+    const content = [
+      `From: ${message.from}`,
+      `To: ${message.to}`,
+      `Subject: ${message.subject}`,
+      `Date: ${new Date().toUTCString()}`,
+      'Content-Type: text/plain; charset=utf-8',
+      '',
+      message.text,
+    ].join('\r\n');
+    await fs.writeFile(join(this.directory, fileName), content, 'utf8');
+  }
+}
@@ -0,0 +1,15 @@
+export const MAIL_TRANSPORT = Symbol('MAIL_TRANSPORT');
+
+export interface MailMessage {
+  to: string;
+  subject: string;
+  text: string;
+}
+
+/**
+ * Delivers a single email. Implementations are selected in MailModule;
+ * a real provider (SMTP, API) only has to implement this interface.
+ */
+export interface MailTransport {
+  send(message: MailMessage & { from: string }): Promise<void>;
+}
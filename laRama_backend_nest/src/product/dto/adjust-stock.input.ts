@@ -0,0 +1,33 @@
+import { InputType, Field, ID, Int, registerEnumType } from '@nestjs/graphql';
+import { IsOptional, IsString, IsInt, IsEnum } from 'class-validator';
+
+/**
+ * Reasons an administrator may give for a manual stock adjustment.
+ * Sales and cancellations are recorded by the order flow only.
+ */
+export enum StockAdjustmentReason {
+  RESTOCK = 'restock',
+  MANUAL_CORRECTION = 'manual_correction',
+  DAMAGED = 'damaged',
+}
+
+registerEnumType(StockAdjustmentReason, { name: 'StockAdjustmentReason' });
+
+@InputType()
+export class AdjustStockInput {
+  @Field(() => ID)
+  productId: string;
+
+  @Field(() => Int, { description: 'Signed change in units; negative for damaged or missing pieces' })
+  @IsInt()
+  quantityDelta: number;
+
+  @Field(() => StockAdjustmentReason)
+  @IsEnum(StockAdjustmentReason)
+  reason: StockAdjustmentReason;
+
+  @Field({ nullable: true })
+  @IsOptional()
+  @IsString()
+  note?: string;
+}
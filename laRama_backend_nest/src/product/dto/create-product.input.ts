@@ -1,5 +1,5 @@
-import { InputType, Field, Float } from '@nestjs/graphql';
-import { IsOptional, IsString, IsNumber, IsBoolean } from 'class-validator';
+import { InputType, Field, Float, Int } from '@nestjs/graphql';
+import { IsOptional, IsString, IsNumber, IsBoolean, IsInt, Min } from 'class-validator';
 
 @InputType()
 export class CreateProductInput {
@@ -31,6 +31,17 @@ export class CreateProductInput {
   @IsNumber()
   stockQuantity?: number;
 
+  @Field({ nullable: true, defaultValue: 250 })
+  @IsOptional()
+  @IsNumber()
+  weightGrams?: number;
+
+  @Field(() => Int, { nullable: true, defaultValue: 3 })
+  @IsOptional()
+  @IsInt()
+  @Min(0)
+  reorderThreshold?: number;
+
   @Field({ nullable: true, defaultValue: true })
   @IsOptional()
   @IsBoolean()
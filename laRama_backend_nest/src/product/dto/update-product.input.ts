@@ -1,5 +1,5 @@
-import { InputType, Field, ID, Float } from '@nestjs/graphql';
-import { IsOptional, IsString, IsBoolean, IsNumber } from 'class-validator';
+import { InputType, Field, ID, Float, Int } from '@nestjs/graphql';
+import { IsOptional, IsString, IsBoolean, IsNumber, IsInt, Min } from 'class-validator';
 
 @InputType()
 export class UpdateProductInput {
@@ -36,6 +36,17 @@ export class UpdateProductInput {
   @IsNumber()
   stockQuantity?: number;
 
+  @Field({ nullable: true })
+  @IsOptional()
+  @IsNumber()
+  weightGrams?: number;
+
+  @Field(() => Int, { nullable: true })
+  @IsOptional()
+  @IsInt()
+  @Min(0)
+  reorderThreshold?: number;
+
   @Field({ nullable: true })
   @IsOptional()
   @IsBoolean()
@@ -0,0 +1,71 @@
+import {
+  Entity,
+  PrimaryGeneratedColumn,
+  Column,
+  CreateDateColumn,
+  ManyToOne,
+  JoinColumn,
+  Index,
+  Check,
+} from 'typeorm';
+import { ObjectType, Field, ID, Int } from '@nestjs/graphql';
+import { ProductEntity } from './product.entity';
+
+export const INVENTORY_MOVEMENT_REASONS = ['sale', 'cancellation', 'restock', 'manual_correction', 'damaged'] as const;
+export type InventoryMovementReason = (typeof INVENTORY_MOVEMENT_REASONS)[number];
+
+// Constraint and index names mirror laRama_backend/database.sql so synchronize leaves them in place.
+@ObjectType()
+@Entity({ name: 'inventory_movements' })
+@Index('idx_inventory_movements_product_created', ['productId', 'createdAt'])
+@Check('chk_inventory_movements_delta', `"quantity_delta" <> 0`)
+@Check(
+  'chk_inventory_movements_reason',
+  `"reason" IN ('sale', 'cancellation', 'restock', 'manual_correction', 'damaged')`,
+)
+@Check('chk_inventory_movements_actor_type', `"actor_type" IN ('customer', 'admin', 'system')`)
+export class InventoryMovementEntity {
+  @Field(() => ID)
+  @PrimaryGeneratedColumn('uuid')
+  id: string;
+
+  @Field(() => ID)
+  @Column({ type: 'uuid', name: 'product_id' })
+  productId: string;
+
+  @ManyToOne(() => ProductEntity, { onDelete: 'CASCADE' })
+  @JoinColumn({ name: 'product_id', foreignKeyConstraintName: 'fk_inventory_movements_product' })
+  product?: ProductEntity;
+
+  @Field(() => Int)
+  @Column({ type: 'int', name: 'quantity_delta' })
+  quantityDelta: number;
+
+  @Field(() => Int)
+  @Column({ type: 'int', name: 'stock_after' })
+  stockAfter: number;
+
+  @Field()
+  @Column({ type: 'varchar', length: 30 })
+  reason: InventoryMovementReason;
+
+  @Field()
+  @Column({ type: 'varchar', length: 20, name: 'actor_type' })
+  actorType: string;
+
+  @Field({ nullable: true })
+  @Column({ type: 'varchar', length: 255, nullable: true, name: 'actor_id' })
+  actorId?: string | null;
+
+  @Field(() => ID, { nullable: true })
+  @Column({ type: 'uuid', nullable: true, name: 'order_id' })
+  orderId?: string | null;
+
+  @Field({ nullable: true })
+  @Column({ type: 'text', nullable: true })
+  note?: string | null;
+
+  @Field()
+  @CreateDateColumn({ name: 'created_at' })
+  createdAt: Date;
+}
@@ -5,7 +5,7 @@ import {
   CreateDateColumn,
   UpdateDateColumn,
 } from 'typeorm';
-import { ObjectType, Field, ID, Float } from '@nestjs/graphql';
+import { ObjectType, Field, ID, Float, Int } from '@nestjs/graphql';
 
 @ObjectType()
 @Entity({ name: 'products' })
@@ -38,6 +38,14 @@ export class ProductEntity {
   @Column({ type: 'int', default: 1, name: 'stock_quantity' })
   stockQuantity: number;
 
+  @Field()
+  @Column({ type: 'int', default: 250, name: 'weight_grams' })
+  weightGrams: number;
+
+  @Field(() => Int, { description: 'Low-stock alert once stockQuantity is at or below this' })
+  @Column({ type: 'int', default: 3, name: 'reorder_threshold' })
+  reorderThreshold: number;
+
   @Field()
   @Column({ type: 'boolean', default: true, name: 'is_active' })
   isActive: boolean;
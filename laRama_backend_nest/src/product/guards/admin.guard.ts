@@ -1,5 +1,12 @@
 import { Injectable, CanActivate, ExecutionContext, UnauthorizedException } from '@nestjs/common';
 import { GqlExecutionContext } from '@nestjs/graphql';
+import * as jwt from 'jsonwebtoken';
+
+/**
+ * Same secret the REST backend signs administrator sessions with. Read per request
+ * because main.ts loads .env after the modules are imported.
+ */
+const adminJwtSecret = () => process.env.ADMIN_JWT_SECRET || process.env.JWT_SECRET || 'larama_admin_secret';
 
 @Injectable()
 export class AdminGuard implements CanActivate {
@@ -16,6 +23,29 @@ export class AdminGuard implements CanActivate {
       throw new UnauthorizedException('Invalid or missing admin key');
     }
 
+    // The admin panel also sends its session token, which names the administrator for the stock ledger
+    const authHeader = (headers['authorization'] as string | undefined) || '';
+    if (authHeader.startsWith('Bearer ')) {
+      req.admin = this.verifyAdminToken(authHeader.substring(7));
+    }
+
     return true;
   }
-}
\ No newline at end of file
+
+  private verifyAdminToken(token: string): { email: string } {
+    try {
+      const decoded = jwt.verify(token, adminJwtSecret(), {
+        audience: 'larama-admin-panel',
+        subject: 'larama-admin-session',
+      }) as jwt.JwtPayload;
+
+      if (decoded.role === 'admin' && typeof decoded.email === 'string') {
+        return { email: decoded.email };
+      }
+    } catch {
+      // Reported below like a token for the wrong role
+    }
+
+    throw new UnauthorizedException('Invalid or expired administrator session');
+  }
+}
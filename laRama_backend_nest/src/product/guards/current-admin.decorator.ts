@@ -0,0 +1,17 @@
+import { createParamDecorator, ExecutionContext, UnauthorizedException } from '@nestjs/common';
+import { GqlExecutionContext } from '@nestjs/graphql';
+
+/**
+ * Email of the administrator whose session token AdminGuard verified.
+ * Mutations that write the stock ledger require it so every movement names its actor.
+ */
+export const CurrentAdmin = createParamDecorator((_data: unknown, context: ExecutionContext): string => {
+  const ctx = GqlExecutionContext.create(context).getContext();
+  const email = (ctx?.req || ctx?.request)?.admin?.email;
+
+  if (!email) {
+    throw new UnauthorizedException('Administrator session required to change stock');
+  }
+
+  return email;
+});
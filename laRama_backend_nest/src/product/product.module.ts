@@ -3,10 +3,12 @@ import { TypeOrmModule } from '@nestjs/typeorm';
 import { ProductService } from './product.service';
 import { ProductResolver } from './product.resolver';
 import { ProductEntity } from './entities/product.entity';
+import { InventoryMovementEntity } from './entities/inventory-movement.entity';
 import { AdminGuard } from './guards/admin.guard';
+import { MailModule } from '../mail/mail.module';
 
 @Module({
-  imports: [TypeOrmModule.forFeature([ProductEntity])],
+  imports: [TypeOrmModule.forFeature([ProductEntity, InventoryMovementEntity]), MailModule],
   providers: [ProductService, ProductResolver, AdminGuard],
   exports: [ProductService],
 })
@@ -1,10 +1,13 @@
-import { Resolver, Query, Args, Mutation, ID } from '@nestjs/graphql';
+import { Resolver, Query, Args, Mutation, ID, Int } from '@nestjs/graphql';
 import { UseGuards } from '@nestjs/common';
 import { AdminGuard } from './guards/admin.guard';
+import { CurrentAdmin } from './guards/current-admin.decorator';
 import { ProductEntity } from './entities/product.entity';
+import { InventoryMovementEntity } from './entities/inventory-movement.entity';
 import { ProductService } from './product.service';
 import { CreateProductInput } from './dto/create-product.input';
 import { UpdateProductInput } from './dto/update-product.input';
+import { AdjustStockInput } from './dto/adjust-stock.input';
 
 @Resolver(() => ProductEntity)
 @UseGuards(AdminGuard)
@@ -21,14 +24,32 @@ export class ProductResolver {
     return this.productService.findOne(id);
   }
 
+  @Query(() => [ProductEntity])
+  lowStockProducts() {
+    return this.productService.findLowStock();
+  }
+
+  @Query(() => [InventoryMovementEntity])
+  inventoryMovements(
+    @Args('productId', { type: () => ID }) productId: string,
+    @Args('limit', { type: () => Int, defaultValue: 50 }) limit: number,
+  ) {
+    return this.productService.findMovements(productId, limit);
+  }
+
+  @Mutation(() => ProductEntity)
+  createProduct(@Args('input') input: CreateProductInput, @CurrentAdmin() actor: string) {
+    return this.productService.create(input as any, actor);
+  }
+
   @Mutation(() => ProductEntity)
-  createProduct(@Args('input') input: CreateProductInput) {
-    return this.productService.create(input as any);
+  updateProduct(@Args('input') input: UpdateProductInput, @CurrentAdmin() actor: string) {
+    return this.productService.update(input as any, actor);
   }
 
   @Mutation(() => ProductEntity)
-  updateProduct(@Args('input') input: UpdateProductInput) {
-    return this.productService.update(input as any);
+  adjustStock(@Args('input') input: AdjustStockInput, @CurrentAdmin() actor: string) {
+    return this.productService.adjustStock(input, actor);
   }
 
   @Mutation(() => ProductEntity)
@@ -1,15 +1,24 @@
-import { Injectable, NotFoundException } from '@nestjs/common';
+import { BadRequestException, Injectable, NotFoundException } from '@nestjs/common';
 import { InjectRepository } from '@nestjs/typeorm';
-import { Repository } from 'typeorm';
+import { EntityManager, Repository } from 'typeorm';
 import { ProductEntity } from './entities/product.entity';
+import { InventoryMovementEntity, InventoryMovementReason } from './entities/inventory-movement.entity';
 import { CreateProductInput } from './dto/create-product.input';
 import { UpdateProductInput } from './dto/update-product.input';
+import { AdjustStockInput } from './dto/adjust-stock.input';
+import { MailService } from '../mail/mail.service';
+import { MailMessage } from '../mail/transports/mail-transport';
+
+const MAX_MOVEMENTS_PAGE = 200;
 
 @Injectable()
 export class ProductService {
   constructor(
     @InjectRepository(ProductEntity)
     private readonly repo: Repository<ProductEntity>,
+    @InjectRepository(InventoryMovementEntity)
+    private readonly movementRepo: Repository<InventoryMovementEntity>,
+    private readonly mailService: MailService,
   ) {}
 
   findAll(): Promise<ProductEntity[]> {
@@ -20,35 +29,110 @@ export class ProductService {
     return this.repo.findOneBy({ id });
   }
 
-  async create(input: CreateProductInput): Promise<ProductEntity> {
-    const ent = this.repo.create({
-      name: input.name,
-      description: input.description ?? null,
-      price: input.price,
-      imageUrl: input.imageUrl ?? null,
-      category: input.category ?? null,
-      stockQuantity: input.stockQuantity ?? 1,
-      isActive: typeof input.isActive === 'boolean' ? input.isActive : true,
-    } as Partial<ProductEntity>);
+  /**
+   * Active products at or below their reorder threshold, lowest stock first.
+   */
+  findLowStock(): Promise<ProductEntity[]> {
+    return this.repo
+      .createQueryBuilder('product')
+      .where('product.isActive = :isActive', { isActive: true })
+      .andWhere('product.stockQuantity <= product.reorderThreshold')
+      .orderBy('product.stockQuantity', 'ASC')
+      .addOrderBy('product.name', 'ASC')
+      .getMany();
+  }
+
+  /**
+   * `actor` is the email of the administrator making the change; it is stored on ledger rows.
+   */
+  async create(input: CreateProductInput, actor: string): Promise<ProductEntity> {
+    return this.repo.manager.transaction(async (manager) => {
+      const products = manager.getRepository(ProductEntity);
+      const ent = products.create({
+        name: input.name,
+        description: input.description ?? null,
+        price: input.price,
+        imageUrl: input.imageUrl ?? null,
+        category: input.category ?? null,
+        stockQuantity: input.stockQuantity ?? 1,
+        weightGrams: input.weightGrams ?? 250,
+        reorderThreshold: input.reorderThreshold ?? 3,
+        isActive: typeof input.isActive === 'boolean' ? input.isActive : true,
+      } as Partial<ProductEntity>);
 
-    return this.repo.save(ent);
+      const saved = await products.save(ent);
+      if (saved.stockQuantity > 0) {
+        await this.recordMovement(manager, saved, saved.stockQuantity, 'restock', 'Initial stock', actor);
+      }
+      return saved;
+    });
   }
 
-  async update(input: UpdateProductInput): Promise<ProductEntity> {
-    const existing = await this.repo.findOneBy({ id: input.id });
-    if (!existing) throw new NotFoundException('Product not found');
+  async update(input: UpdateProductInput, actor: string): Promise<ProductEntity> {
+    const { product, restockEmails } = await this.repo.manager.transaction(async (manager) => {
+      const existing = await this.lockProduct(manager, input.id);
+      const previousStock = existing.stockQuantity;
+
+      const products = manager.getRepository(ProductEntity);
+      const merged = products.merge(existing, {
+        name: input.name ?? existing.name,
+        description: input.description ?? existing.description,
+        price: input.price ?? existing.price,
+        imageUrl: input.imageUrl ?? existing.imageUrl,
+        category: input.category ?? existing.category,
+        stockQuantity: input.stockQuantity ?? existing.stockQuantity,
+        weightGrams: input.weightGrams ?? existing.weightGrams,
+        reorderThreshold: input.reorderThreshold ?? existing.reorderThreshold,
+        isActive: typeof input.isActive === 'boolean' ? input.isActive : existing.isActive,
+      } as Partial<ProductEntity>);
+
+      const saved = await products.save(merged);
+      const quantityDelta = saved.stockQuantity - previousStock;
+      if (quantityDelta !== 0) {
+        await this.recordMovement(manager, saved, quantityDelta, 'manual_correction', 'Edited in product catalog', actor);
+      }
+      return { product: saved, restockEmails: await this.fulfilRestockSubscriptions(manager, saved, quantityDelta) };
+    });
+
+    this.mailService.queue(restockEmails);
+    return product;
+  }
+
+  /**
+   * Applies a signed stock change with the reason the administrator gave for it.
+   * Stock may not go below zero; the product row is locked so concurrent checkouts wait.
+   */
+  async adjustStock(input: AdjustStockInput, actor: string): Promise<ProductEntity> {
+    if (!Number.isInteger(input.quantityDelta) || input.quantityDelta === 0) {
+      throw new BadRequestException('quantityDelta must be a non-zero whole number');
+    }
+
+    const { product, restockEmails } = await this.repo.manager.transaction(async (manager) => {
+      const product = await this.lockProduct(manager, input.productId);
+      const stockAfter = product.stockQuantity + input.quantityDelta;
+      if (stockAfter < 0) {
+        throw new BadRequestException(`Only ${product.stockQuantity} units in stock; cannot remove ${-input.quantityDelta}`);
+      }
 
-    const merged = this.repo.merge(existing, {
-      name: input.name ?? existing.name,
-      description: input.description ?? existing.description,
-      price: input.price ?? existing.price,
-      imageUrl: input.imageUrl ?? existing.imageUrl,
-      category: input.category ?? existing.category,
-      stockQuantity: input.stockQuantity ?? existing.stockQuantity,
-      isActive: typeof input.isActive === 'boolean' ? input.isActive : existing.isActive,
-    } as Partial<ProductEntity>);
+      product.stockQuantity = stockAfter;
+      const saved = await manager.save(product);
+      await this.recordMovement(manager, saved, input.quantityDelta, input.reason, input.note?.trim() || null, actor);
+      return { product: saved, restockEmails: await this.fulfilRestockSubscriptions(manager, saved, input.quantityDelta) };
+    });
 
-    return this.repo.save(merged);
+    this.mailService.queue(restockEmails);
+    return product;
+  }
+
+  /**
+   * Ledger entries of a product, newest first.
+   */
+  async findMovements(productId: string, limit = 50): Promise<InventoryMovementEntity[]> {
+    return this.movementRepo.find({
+      where: { productId },
+      order: { createdAt: 'DESC' },
+      take: Math.min(Math.max(limit, 1), MAX_MOVEMENTS_PAGE),
+    });
   }
 
   async remove(id: string): Promise<ProductEntity> {
@@ -57,4 +141,70 @@ export class ProductService {
     await this.repo.remove(existing);
     return existing;
   }
+
+  private async lockProduct(manager: EntityManager, id: string): Promise<ProductEntity> {
+    const product = await manager.findOne(ProductEntity, {
+      where: { id },
+      lock: { mode: 'pessimistic_write' },
+    });
+    if (!product) throw new NotFoundException('Product not found');
+    return product;
+  }
+
+  /**
+   * Marks open back-in-stock subscriptions fulfilled once stock is raised above zero and
+   * returns the emails to send after commit. The table belongs to the REST schema (it
+   * references users), so it is queried directly rather than mapped as an entity.
+   */
+  private async fulfilRestockSubscriptions(
+    manager: EntityManager,
+    product: ProductEntity,
+    quantityDelta: number,
+  ): Promise<MailMessage[]> {
+    if (quantityDelta <= 0 || product.stockQuantity <= 0 || !product.isActive) return [];
+
+    const [rows] = (await manager.query(
+      `UPDATE restock_subscriptions
+       SET fulfilled_at = NOW()
+       WHERE product_id = $1 AND fulfilled_at IS NULL
+       RETURNING email`,
+      [product.id],
+    )) as [{ email: string }[], number];
+
+    const productsUrl = `${process.env.STOREFRONT_URL || 'http://localhost:5173'}/products`;
+    return rows.map(({ email }) => ({
+      to: email,
+      subject: `${product.name} is back in stock at LaRama`,
+      text: [
+        'Good news!',
+        '',
+        `${product.name} is available again. Handcrafted pieces are made in small batches, so it may not stay long.`,
+        '',
+        `Shop now: ${productsUrl}`,
+        '',
+        'You are receiving this email because you asked to be notified when this product was restocked.',
+      ].join('\n'),
+    }));
+  }
+
+  private recordMovement(
+    manager: EntityManager,
+    product: ProductEntity,
+    quantityDelta: number,
+    reason: InventoryMovementReason,
+    note: string | null,
+    actor: string,
+  ): Promise<InventoryMovementEntity> {
+    const movement = manager.create(InventoryMovementEntity, {
+      productId: product.id,
+      quantityDelta,
+      stockAfter: product.stockQuantity,
+      reason,
+      actorType: 'admin',
+      actorId: actor,
+      orderId: null,
+      note,
+    });
+    return manager.save(movement);
+  }
 }
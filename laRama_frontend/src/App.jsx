@@ -22,9 +22,19 @@ import Returns from "./pages/Returns";
 import Shipping from "./pages/Shipping";
 import About from "./pages/About";
 import Cart from "./pages/Cart";
+import Checkout from "./pages/Checkout";
 import Customize from "./pages/Customize";
 import Auth from "./pages/Auth";
+import ForgotPassword from "./pages/ForgotPassword";
+import ResetPassword from "./pages/ResetPassword";
+import VerifyEmail from "./pages/VerifyEmail";
 import Dashboard from "./pages/Dashboard";
+import OrderHistory from "./pages/OrderHistory";
+import OrderDetail from "./pages/OrderDetail";
+import AddressBook from "./pages/AddressBook";
+import SignedInDevices from "./pages/SignedInDevices";
+import AccountSettings from "./pages/AccountSettings";
+import SavedStyles from "./pages/SavedStyles";
 
 // Authentication and routing protection
 import RequireAuth from "./components/auth/RequireAuth";
@@ -34,8 +44,10 @@ import AdminLogin from "./admin/pages/AdminLogin.jsx";
 import AdminDashboard from "./admin/pages/AdminDashboard.jsx";
 import AdminProducts from "./admin/pages/AdminProducts.jsx";
 import AdminOrders from "./admin/pages/AdminOrders.jsx";
+import AdminPromotions from "./admin/pages/AdminPromotions.jsx";
 import AdminLiveSessions from "./admin/pages/AdminLiveSessions.jsx";
 import AdminLiveRoom from "./admin/pages/AdminLiveRoom.jsx";
+import AdminWhatsApp from "./admin/pages/AdminWhatsApp.jsx";
 import RequireAdmin from "./admin/components/RequireAdmin.jsx";
 import { AdminAuthProvider } from "./admin/context/AdminAuthContext.jsx";
 import LiveSession from "./live/pages/LiveSession.jsx";
@@ -132,8 +144,10 @@ function App() {
               <Route path="dashboard" element={<AdminDashboard />} />
               <Route path="products" element={<AdminProducts />} />
               <Route path="orders" element={<AdminOrders />} />
+              <Route path="promotions" element={<AdminPromotions />} />
               <Route path="live-sessions" element={<AdminLiveSessions />} />
               <Route path="live-sessions/room/:roomId" element={<AdminLiveRoom />} />
+              <Route path="whatsapp" element={<AdminWhatsApp />} />
             </Route>
 
             <Route
@@ -156,8 +170,19 @@ function App() {
               <Route path="shipping" element={<Shipping />} />
               <Route path="about" element={<About />} />
               <Route path="cart" element={<Cart />} />
+              <Route
+                path="checkout"
+                element={(
+                  <RequireAuth>
+                    <Checkout />
+                  </RequireAuth>
+                )}
+              />
               <Route path="customize" element={<Customize />} />
               <Route path="auth" element={<Auth />} />
+              <Route path="forgot-password" element={<ForgotPassword />} />
+              <Route path="reset-password" element={<ResetPassword />} />
+              <Route path="verify-email" element={<VerifyEmail />} />
               <Route
                 path="live/:productId"
                 element={(
@@ -174,6 +199,54 @@ function App() {
                   </RequireAuth>
                 )}
               />
+              <Route
+                path="dashboard/orders"
+                element={(
+                  <RequireAuth>
+                    <OrderHistory />
+                  </RequireAuth>
+                )}
+              />
+              <Route
+                path="dashboard/orders/:id"
+                element={(
+                  <RequireAuth>
+                    <OrderDetail />
+                  </RequireAuth>
+                )}
+              />
+              <Route
+                path="dashboard/addresses"
+                element={(
+                  <RequireAuth>
+                    <AddressBook />
+                  </RequireAuth>
+                )}
+              />
+              <Route
+                path="dashboard/account"
+                element={(
+                  <RequireAuth>
+                    <AccountSettings />
+                  </RequireAuth>
+                )}
+              />
+              <Route
+                path="dashboard/devices"
+                element={(
+                  <RequireAuth>
+                    <SignedInDevices />
+                  </RequireAuth>
+                )}
+              />
+              <Route
+                path="dashboard/saved"
+                element={(
+                  <RequireAuth>
+                    <SavedStyles />
+                  </RequireAuth>
+                )}
+              />
             </Route>
 
             <Route path="*" element={<Navigate to="/" replace />} />
@@ -13,7 +13,9 @@ const AdminNavbar = () => {
   const getPageTitle = () => {
     if (location.pathname.startsWith('/admin/products')) return 'Product Management';
     if (location.pathname.startsWith('/admin/orders')) return 'Order Oversight';
+    if (location.pathname.startsWith('/admin/promotions')) return 'Promotions';
     if (location.pathname.startsWith('/admin/live-sessions')) return 'Live Sessions';
+    if (location.pathname.startsWith('/admin/whatsapp')) return 'WhatsApp Messaging';
     return 'Dashboard Overview';
   };
 
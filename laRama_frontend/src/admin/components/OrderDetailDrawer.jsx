@@ -0,0 +1,249 @@
+/**
+ * Order Detail Drawer Component - LaRama Frontend
+ * Slide-over panel showing an order's items, shipping address, status history,
+ * the status transitions the administrator may apply next and a WhatsApp
+ * status update built from the stored template.
+ */
+
+import { useCallback, useEffect, useState } from 'react';
+import { adminApi } from '../services/adminApi';
+import {
+  ORDER_STATUS_ACTION_LABELS,
+  ORDER_STATUS_CLASSES,
+  ORDER_STATUS_LABELS,
+} from '../constants/orderStatus';
+
+const IMAGE_PLACEHOLDER =
+  'data:image/svg+xml;utf8,<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 120 120"><rect width="120" height="120" rx="12" fill="%23f4f4f5"/><path fill="%239ca3af" d="M30 37a11 11 0 1 1 22 0 11 11 0 0 1-22 0Zm55 4a6 6 0 1 1-12 0 6 6 0 0 1 12 0Z"/><path fill="%23d1d5db" d="M23 88c0-8 7-17 15-17h45c8 0 14 6 14 14v7H23Z"/></svg>';
+
+const formatCurrency = (value) => `$${Number(value || 0).toFixed(2)}`;
+const formatDateTime = (value) => (value ? new Date(value).toLocaleString() : '—');
+
+const OrderDetailDrawer = ({ orderId, onClose, onStatusChanged }) => {
+  const [order, setOrder] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [note, setNote] = useState('');
+  const [updating, setUpdating] = useState(false);
+  const [whatsappNote, setWhatsappNote] = useState('');
+  const [preparingMessage, setPreparingMessage] = useState(false);
+
+  const loadOrder = useCallback(async () => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const response = await adminApi.getOrder(orderId);
+      setOrder(response.data.order);
+    } catch (loadError) {
+      setError(loadError.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [orderId]);
+
+  useEffect(() => {
+    loadOrder();
+  }, [loadOrder]);
+
+  const handleTransition = async (status) => {
+    if (status === 'cancelled' && !window.confirm('Cancel this order and return its items to stock?')) {
+      return;
+    }
+
+    setUpdating(true);
+    setError('');
+
+    try {
+      await adminApi.updateOrderStatus(orderId, status, note.trim() || undefined);
+      setNote('');
+      await loadOrder();
+      onStatusChanged?.();
+    } catch (updateError) {
+      setError(updateError.message);
+    } finally {
+      setUpdating(false);
+    }
+  };
+
+  const handleWhatsAppUpdate = async () => {
+    setPreparingMessage(true);
+    setError('');
+
+    try {
+      const response = await adminApi.getOrderWhatsAppMessage(orderId, whatsappNote.trim());
+      window.open(response.data.link, '_blank', 'noopener,noreferrer');
+      setWhatsappNote('');
+    } catch (messageError) {
+      setError(messageError.message);
+    } finally {
+      setPreparingMessage(false);
+    }
+  };
+
+  return (
+    <div className="admin-drawer-backdrop" onClick={onClose} role="presentation">
+      <aside
+        className="admin-drawer"
+        onClick={(event) => event.stopPropagation()}
+        aria-label="Order details"
+      >
+        <div className="admin-drawer-header">
+          <div>
+            <div className="admin-breadcrumbs">Order</div>
+            <h2>{order ? order.reference : '…'}</h2>
+          </div>
+          <button type="button" className="admin-button" onClick={onClose} aria-label="Close">
+            ✕
+          </button>
+        </div>
+
+        {loading && <p>Loading order…</p>}
+        {error && <div className="admin-login-error">{error}</div>}
+
+        {order && !loading && (
+          <div className="admin-drawer-body">
+            <section className="admin-drawer-section">
+              <span className={`admin-status ${ORDER_STATUS_CLASSES[order.status] || 'pending'}`}>
+                {ORDER_STATUS_LABELS[order.status] || order.status}
+              </span>
+              <p>
+                <strong>{order.customer.name}</strong>
+                <br />
+                {order.customer.email}
+              </p>
+              <p>Placed {formatDateTime(order.created_at)}</p>
+            </section>
+
+            <section className="admin-drawer-section">
+              <h3>Shipping Address</h3>
+              <p className="admin-preformatted">{order.shipping_address || 'No address provided'}</p>
+              {order.shipping_country && <p className="admin-muted">Country: {order.shipping_country}</p>}
+            </section>
+
+            {(order.order_notes || order.gift_message) && (
+              <section className="admin-drawer-section">
+                <h3>Customer Notes</h3>
+                {order.order_notes && <p className="admin-preformatted">{order.order_notes}</p>}
+                {order.gift_message && (
+                  <p className="admin-preformatted">
+                    <strong>Gift message:</strong> {order.gift_message}
+                  </p>
+                )}
+              </section>
+            )}
+
+            <section className="admin-drawer-section">
+              <h3>Items</h3>
+              <ul className="admin-order-items">
+                {order.items.map((item) => (
+                  <li key={item.id}>
+                    <img
+                      src={item.product?.image_url || IMAGE_PLACEHOLDER}
+                      alt={item.product?.name || 'Deleted product'}
+                      onError={(event) => {
+                        event.target.src = IMAGE_PLACEHOLDER;
+                      }}
+                    />
+                    <div>
+                      <strong>{item.product?.name || 'Deleted product'}</strong>
+                      <div className="admin-muted">
+                        {item.quantity} × {formatCurrency(item.price)}
+                      </div>
+                      {item.note && (
+                        <div className="admin-preformatted">
+                          <strong>Note:</strong> {item.note}
+                        </div>
+                      )}
+                    </div>
+                    <span>{formatCurrency(item.item_total)}</span>
+                  </li>
+                ))}
+              </ul>
+              <p className="admin-muted">
+                Subtotal {formatCurrency(order.subtotal_amount)} · Shipping{' '}
+                {order.shipping_method ? `(${order.shipping_method}) ` : ''}
+                {formatCurrency(order.shipping_amount)}
+                {order.discounts.length > 0 && (
+                  <>
+                    {' '}· Discount {order.discounts.map((discount) => discount.code || discount.description).join(', ')} -
+                    {formatCurrency(order.discount_amount)}
+                  </>
+                )}
+              </p>
+              <p className="admin-order-total">
+                Total <strong>{formatCurrency(order.total_amount)}</strong>
+              </p>
+            </section>
+
+            {order.allowed_transitions.length > 0 && (
+              <section className="admin-drawer-section">
+                <h3>Update Status</h3>
+                <textarea
+                  className="admin-input"
+                  rows="2"
+                  placeholder="Optional note for the order history"
+                  value={note}
+                  onChange={(event) => setNote(event.target.value)}
+                />
+                <div className="admin-button-row">
+                  {order.allowed_transitions.map((status) => (
+                    <button
+                      key={status}
+                      type="button"
+                      className={`admin-button${status === 'cancelled' ? ' danger' : ' primary'}`}
+                      disabled={updating}
+                      onClick={() => handleTransition(status)}
+                    >
+                      {ORDER_STATUS_ACTION_LABELS[status] || status}
+                    </button>
+                  ))}
+                </div>
+              </section>
+            )}
+
+            <section className="admin-drawer-section">
+              <h3>Customer Update</h3>
+              <textarea
+                className="admin-input"
+                rows="2"
+                placeholder="Optional note to include in the WhatsApp message"
+                value={whatsappNote}
+                onChange={(event) => setWhatsappNote(event.target.value)}
+              />
+              <div className="admin-button-row">
+                <button
+                  type="button"
+                  className="admin-button"
+                  disabled={preparingMessage}
+                  onClick={handleWhatsAppUpdate}
+                >
+                  {preparingMessage ? 'Preparing…' : 'Send WhatsApp update'}
+                </button>
+              </div>
+            </section>
+
+            <section className="admin-drawer-section">
+              <h3>History</h3>
+              <ol className="admin-timeline">
+                {order.history.map((entry) => (
+                  <li key={entry.id}>
+                    <strong>{ORDER_STATUS_LABELS[entry.to_status] || entry.to_status}</strong>
+                    <span className="admin-muted">
+                      {' '}
+                      {formatDateTime(entry.created_at)} · {entry.changed_by_type}
+                      {entry.changed_by ? ` (${entry.changed_by})` : ''}
+                    </span>
+                    {entry.note && <div>{entry.note}</div>}
+                  </li>
+                ))}
+              </ol>
+            </section>
+          </div>
+        )}
+      </aside>
+    </div>
+  );
+};
+
+export default OrderDetailDrawer;
@@ -0,0 +1,191 @@
+/**
+ * Stock Ledger Modal - LaRama Frontend
+ * Shows a product's inventory movements and lets administrators adjust stock with a reason.
+ */
+
+import React, { useCallback, useEffect, useState } from 'react';
+import { fetchInventoryMovements, adjustStock } from '../../api/graphql/products.API';
+
+const ADJUSTMENT_REASONS = [
+  { value: 'RESTOCK', label: 'Restock' },
+  { value: 'MANUAL_CORRECTION', label: 'Manual correction' },
+  { value: 'DAMAGED', label: 'Damaged' },
+];
+
+const REASON_LABELS = {
+  sale: 'Sale',
+  cancellation: 'Cancellation',
+  restock: 'Restock',
+  manual_correction: 'Manual correction',
+  damaged: 'Damaged',
+};
+
+const emptyAdjustment = { quantityDelta: '', reason: '', note: '' };
+
+const inputClassName =
+  'rounded-md border border-gray-300 px-3 py-2 text-sm focus:border-indigo-500 focus:outline-none focus:ring-1 focus:ring-indigo-500';
+
+/**
+ * StockLedgerModal Component
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.product - Product whose ledger is shown
+ * @param {Function} props.onClose - Closes the modal
+ * @param {Function} [props.onAdjusted] - Called after a successful adjustment
+ * @returns {JSX.Element} - Adjustment form and movement history
+ */
+const StockLedgerModal = ({ product, onClose, onAdjusted }) => {
+  const [movements, setMovements] = useState([]);
+  const [stockQuantity, setStockQuantity] = useState(product.stockQuantity);
+  const [isLoading, setIsLoading] = useState(true);
+  const [adjustment, setAdjustment] = useState(emptyAdjustment);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const loadMovements = useCallback(async () => {
+    try {
+      setMovements(await fetchInventoryMovements(product.id));
+    } catch (loadError) {
+      setError(loadError.message);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [product.id]);
+
+  useEffect(() => {
+    loadMovements();
+  }, [loadMovements]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setAdjustment((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const quantityDelta = parseInt(adjustment.quantityDelta, 10);
+    if (!quantityDelta || !adjustment.reason) {
+      setError('Enter a non-zero quantity and choose a reason.');
+      return;
+    }
+
+    setIsSaving(true);
+    setError('');
+    try {
+      const updated = await adjustStock({
+        productId: product.id,
+        quantityDelta,
+        reason: adjustment.reason,
+        note: adjustment.note || null,
+      });
+      setStockQuantity(updated.stockQuantity);
+      setAdjustment(emptyAdjustment);
+      await loadMovements();
+      if (onAdjusted) onAdjusted(updated);
+    } catch (adjustError) {
+      setError(adjustError.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/40 p-4">
+      <div className="w-full max-w-3xl rounded-lg bg-white shadow-xl">
+        <div className="flex items-center justify-between border-b border-gray-100 px-6 py-4">
+          <div>
+            <h3 className="text-lg font-semibold text-gray-800">Stock history</h3>
+            <p className="text-sm text-gray-500">
+              {product.name} · {stockQuantity} in stock
+            </p>
+          </div>
+          <button type="button" onClick={onClose} className="text-gray-500 hover:text-gray-700" aria-label="Close">
+            ✕
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit} className="grid grid-cols-1 gap-3 border-b border-gray-100 px-6 py-4 md:grid-cols-4">
+          <label className="flex flex-col gap-1 text-sm text-gray-700">
+            <span className="font-medium">Change</span>
+            <input
+              name="quantityDelta"
+              type="number"
+              step="1"
+              value={adjustment.quantityDelta}
+              onChange={handleChange}
+              placeholder="+5 or -1"
+              required
+              className={inputClassName}
+            />
+          </label>
+          <label className="flex flex-col gap-1 text-sm text-gray-700">
+            <span className="font-medium">Reason</span>
+            <select name="reason" value={adjustment.reason} onChange={handleChange} required className={inputClassName}>
+              <option value="">Select reason</option>
+              {ADJUSTMENT_REASONS.map((reason) => (
+                <option key={reason.value} value={reason.value}>{reason.label}</option>
+              ))}
+            </select>
+          </label>
+          <label className="flex flex-col gap-1 text-sm text-gray-700 md:col-span-2">
+            <span className="font-medium">Note</span>
+            <input
+              name="note"
+              value={adjustment.note}
+              onChange={handleChange}
+              placeholder="New batch from the studio..."
+              className={inputClassName}
+            />
+          </label>
+          <div className="flex items-center justify-between gap-3 md:col-span-4">
+            {error ? <p className="text-sm text-red-600">{error}</p> : <span />}
+            <button
+              type="submit"
+              disabled={isSaving}
+              className="inline-flex justify-center rounded-md bg-indigo-600 px-4 py-2 text-sm font-semibold text-white shadow-sm hover:bg-indigo-700 disabled:opacity-60"
+            >
+              {isSaving ? 'Saving...' : 'Adjust stock'}
+            </button>
+          </div>
+        </form>
+
+        <div className="max-h-80 overflow-y-auto px-6 py-4">
+          <table className="w-full text-left text-sm text-gray-700" aria-label="Inventory movements">
+            <thead className="text-xs uppercase tracking-wide text-gray-500">
+              <tr>
+                <th scope="col" className="py-2 font-medium">Date</th>
+                <th scope="col" className="py-2 font-medium">Reason</th>
+                <th scope="col" className="py-2 font-medium">Change</th>
+                <th scope="col" className="py-2 font-medium">Stock after</th>
+                <th scope="col" className="py-2 font-medium">By</th>
+                <th scope="col" className="py-2 font-medium">Note</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {movements.map((movement) => (
+                <tr key={movement.id}>
+                  <td className="py-2 text-xs text-gray-500">{new Date(movement.createdAt).toLocaleString()}</td>
+                  <td className="py-2">{REASON_LABELS[movement.reason] || movement.reason}</td>
+                  <td className={`py-2 font-semibold ${movement.quantityDelta > 0 ? 'text-green-700' : 'text-red-700'}`}>
+                    {movement.quantityDelta > 0 ? `+${movement.quantityDelta}` : movement.quantityDelta}
+                  </td>
+                  <td className="py-2">{movement.stockAfter}</td>
+                  <td className="py-2 text-xs text-gray-500">{movement.actorId || movement.actorType}</td>
+                  <td className="py-2 text-xs text-gray-500">{movement.note || '—'}</td>
+                </tr>
+              ))}
+              {!isLoading && movements.length === 0 && (
+                <tr>
+                  <td colSpan="6" className="py-6 text-center text-sm text-gray-500">No stock changes recorded yet.</td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+          {isLoading && <p className="py-4 text-center text-sm text-gray-500">Loading stock history...</p>}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default StockLedgerModal;
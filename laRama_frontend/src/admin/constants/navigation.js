@@ -6,5 +6,7 @@ export const ADMIN_NAV_ITEMS = [
   { to: '/admin/dashboard', label: 'Dashboard', icon: '📊' },
   { to: '/admin/products', label: 'Products', icon: '🧺' },
   { to: '/admin/orders', label: 'Orders', icon: '📦' },
+  { to: '/admin/promotions', label: 'Promotions', icon: '🏷️' },
   { to: '/admin/live-sessions', label: 'Live Sessions', icon: '🎥' },
+  { to: '/admin/whatsapp', label: 'WhatsApp', icon: '💬' },
 ];
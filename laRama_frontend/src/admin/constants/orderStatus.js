@@ -0,0 +1,35 @@
+/**
+ * Order status display configuration for the admin fulfilment console.
+ */
+
+export const ORDER_STATUS_TABS = [
+  { value: '', label: 'All' },
+  { value: 'pending', label: 'Pending' },
+  { value: 'processing', label: 'Processing' },
+  { value: 'shipped', label: 'Shipped' },
+  { value: 'delivered', label: 'Delivered' },
+  { value: 'cancelled', label: 'Cancelled' },
+];
+
+export const ORDER_STATUS_LABELS = {
+  pending: 'Pending',
+  processing: 'Processing',
+  shipped: 'Shipped',
+  delivered: 'Delivered',
+  cancelled: 'Cancelled',
+};
+
+export const ORDER_STATUS_CLASSES = {
+  pending: 'pending',
+  processing: 'info',
+  shipped: 'info',
+  delivered: 'success',
+  cancelled: 'danger',
+};
+
+export const ORDER_STATUS_ACTION_LABELS = {
+  processing: 'Start Processing',
+  shipped: 'Mark as Shipped',
+  delivered: 'Mark as Delivered',
+  cancelled: 'Cancel Order',
+};
@@ -1,9 +1,62 @@
 /**
  * Admin Dashboard Page - LaRama Frontend
- * Displays placeholder analytics for future administrative insights.
+ * Displays live inventory alerts alongside placeholder analytics for future administrative insights.
  */
 
+import { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { fetchLowStockProducts } from '../../api/graphql/products.API';
+import { createSignalingClient } from '../../live/services/signalingClient';
+import { useAdminAuth } from '../hooks/useAdminAuth';
+
+const LOW_STOCK_PREVIEW_COUNT = 5;
+
 const AdminDashboard = () => {
+  const { token } = useAdminAuth();
+  const [lowStockProducts, setLowStockProducts] = useState([]);
+  const [lowStockError, setLowStockError] = useState('');
+  const [latestAlert, setLatestAlert] = useState(null);
+
+  useEffect(() => {
+    const loadLowStock = async () => {
+      try {
+        setLowStockProducts(await fetchLowStockProducts());
+        setLowStockError('');
+      } catch (error) {
+        setLowStockError(error.message);
+      }
+    };
+
+    loadLowStock();
+
+    /**
+     * Real-time Low-Stock Alerts
+     * The REST server notifies the admin-watchers room when a sale reaches a reorder threshold;
+     * joining it requires the administrator token
+     */
+    const { socket, connect, disconnect } = createSignalingClient();
+
+    const handleLowStock = (alert) => {
+      setLatestAlert(alert);
+      loadLowStock();
+    };
+
+    socket.on('connect', () => {
+      socket.emit('registerAdminWatcher', { token });
+    });
+    socket.on('inventory:low-stock', handleLowStock);
+
+    connect();
+
+    return () => {
+      if (socket.connected) {
+        socket.emit('unregisterAdminWatcher');
+      }
+      socket.off('inventory:low-stock', handleLowStock);
+      disconnect();
+    };
+  }, [token]);
+
   return (
     <div>
       <div className="admin-grid">
@@ -13,7 +66,27 @@ const AdminDashboard = () => {
         </div>
         <div className="admin-card">
           <h2>Inventory Alerts</h2>
-          <p>0 products low in stock</p>
+          <p>
+            {lowStockProducts.length} {lowStockProducts.length === 1 ? 'product' : 'products'} low in stock
+          </p>
+          {latestAlert && (
+            <p className="admin-status danger" style={{ marginTop: '0.5rem' }}>
+              {latestAlert.product_name} just dropped to {latestAlert.stock_quantity}
+            </p>
+          )}
+          {lowStockProducts.length > 0 && (
+            <ul className="admin-muted" style={{ marginTop: '0.75rem' }}>
+              {lowStockProducts.slice(0, LOW_STOCK_PREVIEW_COUNT).map((product) => (
+                <li key={product.id}>
+                  {product.name}: {product.stockQuantity} left (reorder at {product.reorderThreshold})
+                </li>
+              ))}
+            </ul>
+          )}
+          {lowStockError && <p className="admin-muted">{lowStockError}</p>}
+          <Link to="/admin/products" className="admin-muted" style={{ display: 'inline-block', marginTop: '0.75rem' }}>
+            Manage stock →
+          </Link>
         </div>
         <div className="admin-card">
           <h2>Upcoming Live Sessions</h2>
@@ -6,8 +6,10 @@
 import { useEffect, useMemo, useState } from 'react';
 import { Link } from 'react-router-dom';
 import { createSignalingClient } from '../../live/services/signalingClient';
+import { useAdminAuth } from '../hooks/useAdminAuth';
 
 const AdminLiveSessions = () => {
+  const { token } = useAdminAuth();
   const [sessions, setSessions] = useState([]);
   const [connectionStatus, setConnectionStatus] = useState('disconnected');
 
@@ -20,7 +22,7 @@ const AdminLiveSessions = () => {
 
     socket.on('connect', () => {
       setConnectionStatus('connected');
-      socket.emit('registerAdminWatcher');
+      socket.emit('registerAdminWatcher', { token });
     });
 
     socket.on('disconnect', () => {
@@ -38,7 +40,7 @@ const AdminLiveSessions = () => {
       socket.off('sessions:update', handleSessionsUpdate);
       disconnect();
     };
-  }, []);
+  }, [token]);
 
   const waitingSessions = useMemo(
     () => sessions.filter((session) => session.status !== 'active'),
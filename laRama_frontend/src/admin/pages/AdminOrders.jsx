@@ -1,53 +1,257 @@
 /**
  * Admin Orders Page - LaRama Frontend
- * Placeholder order timeline ready for fulfillment tracking.
+ * Fulfilment console listing real orders with status tabs, search, pagination,
+ * a detail drawer and bulk shipping updates.
  */
 
-const placeholderOrders = [
-  { id: 'ORD-2001', customer: 'Rania Khalil', total: '$85.00', status: 'Pending' },
-  { id: 'ORD-2002', customer: 'Omar Itani', total: '$120.00', status: 'Shipped' },
-  { id: 'ORD-2003', customer: 'Sara Haddad', total: '$45.00', status: 'Processing' },
-];
+import { useCallback, useEffect, useState } from 'react';
+import { adminApi } from '../services/adminApi';
+import OrderDetailDrawer from '../components/OrderDetailDrawer';
+import {
+  ORDER_STATUS_CLASSES,
+  ORDER_STATUS_LABELS,
+  ORDER_STATUS_TABS,
+} from '../constants/orderStatus';
+
+const PAGE_SIZE = 20;
+
+const formatCurrency = (value) => `$${Number(value || 0).toFixed(2)}`;
 
 const AdminOrders = () => {
+  const [orders, setOrders] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [status, setStatus] = useState('');
+  const [searchInput, setSearchInput] = useState('');
+  const [search, setSearch] = useState('');
+  const [page, setPage] = useState(1);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [activeOrderId, setActiveOrderId] = useState(null);
+  const [bulkUpdating, setBulkUpdating] = useState(false);
+
+  const loadOrders = useCallback(async () => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const response = await adminApi.getOrders({ status, search, page, limit: PAGE_SIZE });
+      setOrders(response.data.orders);
+      setPagination(response.data.pagination);
+    } catch (loadError) {
+      setError(loadError.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [status, search, page]);
+
+  useEffect(() => {
+    loadOrders();
+  }, [loadOrders]);
+
+  useEffect(() => {
+    setSelectedIds([]);
+  }, [status, search, page]);
+
+  const handleTabChange = (value) => {
+    setStatus(value);
+    setPage(1);
+  };
+
+  const handleSearch = (event) => {
+    event.preventDefault();
+    setSearch(searchInput.trim());
+    setPage(1);
+  };
+
+  const toggleSelected = (orderId) => {
+    setSelectedIds((prev) => (
+      prev.includes(orderId) ? prev.filter((id) => id !== orderId) : [...prev, orderId]
+    ));
+  };
+
+  const shippableOrders = orders.filter((order) => order.allowed_transitions.includes('shipped'));
+  const allShippableSelected =
+    shippableOrders.length > 0 && shippableOrders.every((order) => selectedIds.includes(order.id));
+
+  const toggleSelectAll = () => {
+    setSelectedIds(allShippableSelected ? [] : shippableOrders.map((order) => order.id));
+  };
+
+  const handleBulkShip = async () => {
+    if (selectedIds.length === 0) return;
+    if (!window.confirm(`Mark ${selectedIds.length} order(s) as shipped?`)) return;
+
+    setBulkUpdating(true);
+    setError('');
+    setNotice('');
+
+    try {
+      const response = await adminApi.bulkUpdateOrderStatus(selectedIds, 'shipped');
+      const failures = response.data.failed;
+      const referenceFor = (orderId) => orders.find((order) => order.id === orderId)?.reference || orderId;
+      setNotice(
+        failures.length > 0
+          ? `${response.message}. ${failures.map((failure) => `${referenceFor(failure.id)}: ${failure.message}`).join('; ')}`
+          : response.message,
+      );
+      setSelectedIds([]);
+      await loadOrders();
+    } catch (bulkError) {
+      setError(bulkError.message);
+    } finally {
+      setBulkUpdating(false);
+    }
+  };
+
   return (
     <div>
       <div className="admin-card">
-        <h2>Order Management Overview</h2>
+        <h2>Order Fulfilment</h2>
         <p>
-          Track and fulfill e-commerce orders here. This section will provide
-          status transitions, customer communication tools, and invoice exports
-          in future iterations of the admin panel.
+          Review incoming orders, open an order to see its items and shipping
+          address, and move it through processing, shipping and delivery.
         </p>
       </div>
 
+      <div className="admin-tabs" role="tablist" aria-label="Order status">
+        {ORDER_STATUS_TABS.map((tab) => (
+          <button
+            key={tab.value || 'all'}
+            type="button"
+            role="tab"
+            aria-selected={status === tab.value}
+            className={`admin-tab${status === tab.value ? ' active' : ''}`}
+            onClick={() => handleTabChange(tab.value)}
+          >
+            {tab.label}
+          </button>
+        ))}
+      </div>
+
+      <div className="admin-toolbar">
+        <form onSubmit={handleSearch} className="admin-search">
+          <input
+            className="admin-input"
+            type="search"
+            placeholder="Search by customer email, order reference or id"
+            value={searchInput}
+            onChange={(event) => setSearchInput(event.target.value)}
+          />
+          <button type="submit" className="admin-button">Search</button>
+        </form>
+
+        <button
+          type="button"
+          className="admin-button primary"
+          disabled={selectedIds.length === 0 || bulkUpdating}
+          onClick={handleBulkShip}
+        >
+          {bulkUpdating ? 'Updating…' : `Mark selected as shipped (${selectedIds.length})`}
+        </button>
+      </div>
+
+      {error && <div className="admin-login-error">{error}</div>}
+      {notice && <div className="admin-notice">{notice}</div>}
+
       <table className="admin-table" aria-label="Orders">
         <thead>
           <tr>
-            <th scope="col">Order ID</th>
+            <th scope="col">
+              <input
+                type="checkbox"
+                aria-label="Select all shippable orders"
+                checked={allShippableSelected}
+                disabled={shippableOrders.length === 0}
+                onChange={toggleSelectAll}
+              />
+            </th>
+            <th scope="col">Reference</th>
             <th scope="col">Customer</th>
+            <th scope="col">Placed</th>
+            <th scope="col">Items</th>
             <th scope="col">Total</th>
             <th scope="col">Status</th>
+            <th scope="col">Action</th>
           </tr>
         </thead>
         <tbody>
-          {placeholderOrders.map((order) => {
-            const statusClass =
-              order.status === 'Shipped' ? 'success' : order.status === 'Pending' ? 'pending' : 'danger';
-
-            return (
+          {loading ? (
+            <tr>
+              <td colSpan="8">Loading orders…</td>
+            </tr>
+          ) : orders.length === 0 ? (
+            <tr>
+              <td colSpan="8">No orders match the current filters.</td>
+            </tr>
+          ) : (
+            orders.map((order) => (
               <tr key={order.id}>
-                <td>{order.id}</td>
-                <td>{order.customer}</td>
-                <td>{order.total}</td>
                 <td>
-                  <span className={`admin-status ${statusClass}`}>{order.status}</span>
+                  <input
+                    type="checkbox"
+                    aria-label={`Select order ${order.reference}`}
+                    checked={selectedIds.includes(order.id)}
+                    disabled={!order.allowed_transitions.includes('shipped')}
+                    onChange={() => toggleSelected(order.id)}
+                  />
+                </td>
+                <td title={order.id}>{order.reference}</td>
+                <td>
+                  {order.customer.name}
+                  <div className="admin-muted">{order.customer.email}</div>
+                </td>
+                <td>{new Date(order.created_at).toLocaleDateString()}</td>
+                <td>{order.item_count}</td>
+                <td>{formatCurrency(order.total_amount)}</td>
+                <td>
+                  <span className={`admin-status ${ORDER_STATUS_CLASSES[order.status] || 'pending'}`}>
+                    {ORDER_STATUS_LABELS[order.status] || order.status}
+                  </span>
+                </td>
+                <td>
+                  <button type="button" className="admin-button" onClick={() => setActiveOrderId(order.id)}>
+                    View
+                  </button>
                 </td>
               </tr>
-            );
-          })}
+            ))
+          )}
         </tbody>
       </table>
+
+      {pagination && pagination.totalPages > 1 && (
+        <div className="admin-pagination">
+          <button
+            type="button"
+            className="admin-button"
+            disabled={!pagination.hasPrevPage}
+            onClick={() => setPage((prev) => prev - 1)}
+          >
+            Previous
+          </button>
+          <span>
+            Page {pagination.currentPage} of {pagination.totalPages} · {pagination.totalOrders} orders
+          </span>
+          <button
+            type="button"
+            className="admin-button"
+            disabled={!pagination.hasNextPage}
+            onClick={() => setPage((prev) => prev + 1)}
+          >
+            Next
+          </button>
+        </div>
+      )}
+
+      {activeOrderId && (
+        <OrderDetailDrawer
+          orderId={activeOrderId}
+          onClose={() => setActiveOrderId(null)}
+          onStatusChanged={loadOrders}
+        />
+      )}
     </div>
   );
 };
@@ -2,6 +2,7 @@ import React, { useEffect, useState } from 'react';
 import { Provider, useDispatch, useSelector } from 'react-redux';
 import store from '../../store/store';
 import { loadProducts, addProduct, editProduct, deleteProduct } from '../../store/products/productsSlice';
+import StockLedgerModal from '../components/StockLedgerModal';
 
 const CATEGORY_OPTIONS = ['Purses', 'Prayer Beads', 'Neckties', 'Decorations', 'Phone Cases'];
 
@@ -12,6 +13,8 @@ const emptyForm = {
   category: '',
   imageUrl: '',
   stockQuantity: '',
+  weightGrams: '',
+  reorderThreshold: '',
   isActive: true,
 };
 
@@ -27,6 +30,7 @@ const ProductsTable = () => {
   const [formData, setFormData] = useState(emptyForm);
   const [editingId, setEditingId] = useState(null);
   const [validationError, setValidationError] = useState('');
+  const [ledgerProduct, setLedgerProduct] = useState(null);
 
   useEffect(() => {
     if (loading === 'idle') dispatch(loadProducts());
@@ -47,6 +51,8 @@ const ProductsTable = () => {
       category: product.category || '',
       imageUrl: product.imageUrl || '',
       stockQuantity: product.stockQuantity ?? '',
+      weightGrams: product.weightGrams ?? '',
+      reorderThreshold: product.reorderThreshold ?? '',
       isActive: typeof product.isActive === 'boolean' ? product.isActive : true,
     });
     setEditingId(product.id);
@@ -84,6 +90,14 @@ const ProductsTable = () => {
       payload.stockQuantity = parseInt(formData.stockQuantity, 10);
     }
 
+    if (formData.weightGrams !== '' && formData.weightGrams !== null && formData.weightGrams !== undefined) {
+      payload.weightGrams = parseInt(formData.weightGrams, 10);
+    }
+
+    if (formData.reorderThreshold !== '' && formData.reorderThreshold !== null && formData.reorderThreshold !== undefined) {
+      payload.reorderThreshold = parseInt(formData.reorderThreshold, 10);
+    }
+
     if (editingId) {
       await dispatch(editProduct({ id: editingId, ...payload }));
     } else {
@@ -163,7 +177,14 @@ const ProductsTable = () => {
                       </td>
                       <td className="px-3 py-3 text-sm text-gray-700">{product.category || '—'}</td>
                       <td className="px-3 py-3 text-sm text-gray-900">{product.price}</td>
-                      <td className="px-3 py-3 text-sm text-gray-700">{product.stockQuantity ?? '—'}</td>
+                      <td className="px-3 py-3 text-sm text-gray-700">
+                        {product.stockQuantity ?? '—'}
+                        {product.stockQuantity <= product.reorderThreshold && (
+                          <span className="ml-2 inline-flex items-center rounded-full bg-amber-50 px-2 py-0.5 text-xs font-medium text-amber-700">
+                            Low
+                          </span>
+                        )}
+                      </td>
                       <td className="px-3 py-3 text-sm">
                         <span
                           className={`inline-flex items-center rounded-full px-2.5 py-1 text-xs font-medium ${
@@ -181,6 +202,12 @@ const ProductsTable = () => {
                           >
                             Edit
                           </button>
+                          <button
+                            onClick={() => setLedgerProduct(product)}
+                            className="inline-flex items-center rounded-md border border-gray-300 px-2.5 py-1 text-xs font-medium text-gray-700 hover:bg-gray-100"
+                          >
+                            Stock
+                          </button>
                           <button
                             onClick={() => handleDelete(product.id)}
                             className="inline-flex items-center rounded-md border border-red-200 bg-red-50 px-2.5 py-1 text-xs font-medium text-red-700 hover:bg-red-100"
@@ -201,6 +228,14 @@ const ProductsTable = () => {
           </div>
         </div>
 
+        {ledgerProduct && (
+          <StockLedgerModal
+            product={ledgerProduct}
+            onClose={() => setLedgerProduct(null)}
+            onAdjusted={() => dispatch(loadProducts())}
+          />
+        )}
+
         {showModal && (
           <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/40 p-4">
             <div className="w-full max-w-3xl rounded-lg bg-white shadow-xl">
@@ -269,7 +304,37 @@ const ProductsTable = () => {
                       placeholder="10"
                       className="rounded-md border border-gray-300 px-3 py-2 text-sm focus:border-indigo-500 focus:outline-none focus:ring-1 focus:ring-indigo-500"
                     />
-                    <small className="text-xs text-gray-500">Leave blank to keep the default of 1 for new products.</small>
+                    <small className="text-xs text-gray-500">
+                      Leave blank to keep the default of 1 for new products. Changes are logged as manual corrections; use Stock for restocks and damage.
+                    </small>
+                  </label>
+
+                  <label className="flex flex-col gap-1 text-sm text-gray-700">
+                    <span className="font-medium">Shipping weight (g)</span>
+                    <input
+                      name="weightGrams"
+                      type="number"
+                      min="0"
+                      value={formData.weightGrams}
+                      onChange={handleChange}
+                      placeholder="250"
+                      className="rounded-md border border-gray-300 px-3 py-2 text-sm focus:border-indigo-500 focus:outline-none focus:ring-1 focus:ring-indigo-500"
+                    />
+                    <small className="text-xs text-gray-500">Packed weight used for weight-based shipping rates. Defaults to 250 g.</small>
+                  </label>
+
+                  <label className="flex flex-col gap-1 text-sm text-gray-700">
+                    <span className="font-medium">Reorder threshold</span>
+                    <input
+                      name="reorderThreshold"
+                      type="number"
+                      min="0"
+                      value={formData.reorderThreshold}
+                      onChange={handleChange}
+                      placeholder="3"
+                      className="rounded-md border border-gray-300 px-3 py-2 text-sm focus:border-indigo-500 focus:outline-none focus:ring-1 focus:ring-indigo-500"
+                    />
+                    <small className="text-xs text-gray-500">Flagged as low in stock at or below this quantity. Defaults to 3.</small>
                   </label>
 
                   <label className="flex flex-col gap-1 text-sm text-gray-700">
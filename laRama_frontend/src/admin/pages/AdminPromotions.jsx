@@ -0,0 +1,409 @@
+/**
+ * Admin Promotions Page - LaRama Frontend
+ * Creates and edits the automatic promotions applied to every matching cart:
+ * buy X get Y, percentage off a category and fixed prices for product sets.
+ */
+
+import { useCallback, useEffect, useState } from 'react';
+import { adminApi } from '../services/adminApi';
+import { fetchProducts } from '../../api/graphql/products.API';
+
+const PROMOTION_TYPE_LABELS = {
+  bundle_price: 'Bundle price',
+  buy_x_get_y: 'Buy X get Y',
+  category_percentage: 'Category percentage',
+};
+
+const emptyForm = {
+  name: '',
+  description: '',
+  promotion_type: 'bundle_price',
+  category: '',
+  percentage: '',
+  buy_quantity: '2',
+  get_quantity: '1',
+  bundle_price: '',
+  starts_at: '',
+  expires_at: '',
+  is_active: true,
+  products: {}, // product id -> units per bundle
+};
+
+const formatCurrency = (value) => `$${Number(value || 0).toFixed(2)}`;
+
+// datetime-local inputs take "YYYY-MM-DDTHH:mm"
+const toDateInput = (value) => (value ? value.slice(0, 16) : '');
+
+/**
+ * Describes a promotion's rule in one line for the table.
+ * @param {Object} promotion - Promotion from the admin API
+ * @returns {string} - Rule summary
+ */
+const describeRule = (promotion) => {
+  const productNames = promotion.products
+    .map((product) => (product.quantity > 1 ? `${product.quantity} × ${product.name}` : product.name))
+    .join(' + ');
+
+  if (promotion.promotion_type === 'bundle_price') {
+    return `${productNames} for ${formatCurrency(promotion.bundle_price)}`;
+  }
+  if (promotion.promotion_type === 'buy_x_get_y') {
+    const scope = productNames || promotion.category || 'any product';
+    return `Buy ${promotion.buy_quantity} get ${promotion.get_quantity} free · ${scope}`;
+  }
+  return `${promotion.percentage}% off ${promotion.category}`;
+};
+
+/**
+ * Builds the request body the admin API expects from a form or a stored promotion.
+ * @param {Object} form - Form values
+ * @returns {Object} - Promotion request body
+ */
+const toRequestBody = (form) => ({
+  name: form.name.trim(),
+  description: form.description.trim() || undefined,
+  promotion_type: form.promotion_type,
+  category: form.category || undefined,
+  percentage: form.percentage === '' ? undefined : Number(form.percentage),
+  buy_quantity: form.buy_quantity === '' ? undefined : Number(form.buy_quantity),
+  get_quantity: form.get_quantity === '' ? undefined : Number(form.get_quantity),
+  bundle_price: form.bundle_price === '' ? undefined : Number(form.bundle_price),
+  starts_at: form.starts_at || null,
+  expires_at: form.expires_at || null,
+  is_active: form.is_active,
+  products: Object.entries(form.products).map(([product_id, quantity]) => ({
+    product_id,
+    quantity: Number(quantity) || 1,
+  })),
+});
+
+const toForm = (promotion) => ({
+  name: promotion.name,
+  description: promotion.description || '',
+  promotion_type: promotion.promotion_type,
+  category: promotion.category || '',
+  percentage: promotion.percentage ?? '',
+  buy_quantity: promotion.buy_quantity ?? '',
+  get_quantity: promotion.get_quantity ?? '',
+  bundle_price: promotion.bundle_price ?? '',
+  starts_at: toDateInput(promotion.starts_at),
+  expires_at: toDateInput(promotion.expires_at),
+  is_active: promotion.is_active,
+  products: Object.fromEntries(promotion.products.map((product) => [product.product_id, product.quantity])),
+});
+
+const AdminPromotions = () => {
+  const [promotions, setPromotions] = useState([]);
+  const [products, setProducts] = useState([]);
+  const [form, setForm] = useState(emptyForm);
+  const [editingId, setEditingId] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+
+  const categories = [...new Set(products.map((product) => product.category).filter(Boolean))].sort();
+
+  const loadPromotions = useCallback(async () => {
+    setError('');
+
+    try {
+      const response = await adminApi.getPromotions();
+      setPromotions(response.data.promotions);
+    } catch (loadError) {
+      setError(loadError.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadPromotions();
+    fetchProducts()
+      .then((items) => setProducts(items.filter((product) => product.isActive)))
+      .catch((loadError) => setError(loadError.message));
+  }, [loadPromotions]);
+
+  const handleChange = (event) => {
+    const { name, value, type, checked } = event.target;
+    setForm((prev) => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+  };
+
+  const toggleProduct = (productId) => {
+    setForm((prev) => {
+      const next = { ...prev.products };
+      if (next[productId]) {
+        delete next[productId];
+      } else {
+        next[productId] = 1;
+      }
+      return { ...prev, products: next };
+    });
+  };
+
+  const setProductQuantity = (productId, quantity) => {
+    setForm((prev) => ({ ...prev, products: { ...prev.products, [productId]: quantity } }));
+  };
+
+  const resetForm = () => {
+    setForm(emptyForm);
+    setEditingId(null);
+  };
+
+  const runAction = async (action, message) => {
+    setSaving(true);
+    setError('');
+    setNotice('');
+
+    try {
+      await action();
+      setNotice(message);
+      await loadPromotions();
+      return true;
+    } catch (actionError) {
+      setError(actionError.message);
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    const body = toRequestBody(form);
+    const saved = await runAction(
+      () => (editingId ? adminApi.updatePromotion(editingId, body) : adminApi.createPromotion(body)),
+      editingId ? `${body.name} updated.` : `${body.name} created.`,
+    );
+    if (saved) {
+      resetForm();
+    }
+  };
+
+  const handleEdit = (promotion) => {
+    setForm(toForm(promotion));
+    setEditingId(promotion.id);
+    setNotice('');
+  };
+
+  const handleToggleActive = (promotion) => {
+    const body = toRequestBody({ ...toForm(promotion), is_active: !promotion.is_active });
+    runAction(
+      () => adminApi.updatePromotion(promotion.id, body),
+      `${promotion.name} ${promotion.is_active ? 'paused' : 'activated'}.`,
+    );
+  };
+
+  const handleDelete = (promotion) => {
+    if (!window.confirm(`Delete the ${promotion.name} promotion? Past orders keep their discount.`)) {
+      return;
+    }
+    if (editingId === promotion.id) {
+      resetForm();
+    }
+    runAction(() => adminApi.deletePromotion(promotion.id), `${promotion.name} deleted.`);
+  };
+
+  const usesProducts = form.promotion_type !== 'category_percentage';
+
+  return (
+    <div className="admin-stack">
+      {(notice || error) && (
+        <div>
+          {notice && <div className="admin-notice">{notice}</div>}
+          {error && <div className="admin-login-error">{error}</div>}
+        </div>
+      )}
+
+      <form className="admin-card" onSubmit={handleSubmit}>
+        <h2>{editingId ? 'Edit Promotion' : 'New Promotion'}</h2>
+        <p className="admin-muted">
+          Promotions apply automatically to every matching cart, bundles first, then buy X get Y, then
+          category percentages. A piece counted by one promotion is not counted by another, and discount
+          codes are taken off afterwards.
+        </p>
+
+        <div className="admin-form-grid">
+          <label className="admin-field">
+            Name
+            <input className="admin-input" name="name" value={form.name} onChange={handleChange} maxLength={120} required />
+          </label>
+          <label className="admin-field">
+            Type
+            <select className="admin-input" name="promotion_type" value={form.promotion_type} onChange={handleChange}>
+              {Object.entries(PROMOTION_TYPE_LABELS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </label>
+          <label className="admin-field">
+            Description
+            <input className="admin-input" name="description" value={form.description} onChange={handleChange} maxLength={255} />
+          </label>
+
+          {form.promotion_type === 'bundle_price' && (
+            <label className="admin-field">
+              Bundle price ($)
+              <input className="admin-input" type="number" name="bundle_price" min="0" step="0.01" value={form.bundle_price} onChange={handleChange} required />
+            </label>
+          )}
+
+          {form.promotion_type === 'buy_x_get_y' && (
+            <>
+              <label className="admin-field">
+                Buy
+                <input className="admin-input" type="number" name="buy_quantity" min="1" step="1" value={form.buy_quantity} onChange={handleChange} required />
+              </label>
+              <label className="admin-field">
+                Get free
+                <input className="admin-input" type="number" name="get_quantity" min="1" step="1" value={form.get_quantity} onChange={handleChange} required />
+              </label>
+            </>
+          )}
+
+          {form.promotion_type === 'category_percentage' && (
+            <label className="admin-field">
+              Percentage off
+              <input className="admin-input" type="number" name="percentage" min="0.01" max="100" step="0.01" value={form.percentage} onChange={handleChange} required />
+            </label>
+          )}
+
+          {form.promotion_type !== 'bundle_price' && (
+            <label className="admin-field">
+              Category{form.promotion_type === 'buy_x_get_y' && ' (optional)'}
+              <select
+                className="admin-input"
+                name="category"
+                value={form.category}
+                onChange={handleChange}
+                required={form.promotion_type === 'category_percentage'}
+              >
+                <option value="">{form.promotion_type === 'buy_x_get_y' ? 'Any category' : 'Choose a category'}</option>
+                {categories.map((category) => (
+                  <option key={category} value={category}>{category}</option>
+                ))}
+              </select>
+            </label>
+          )}
+
+          <label className="admin-field">
+            Starts
+            <input className="admin-input" type="datetime-local" name="starts_at" value={form.starts_at} onChange={handleChange} />
+          </label>
+          <label className="admin-field">
+            Ends
+            <input className="admin-input" type="datetime-local" name="expires_at" value={form.expires_at} onChange={handleChange} />
+          </label>
+        </div>
+
+        {usesProducts && (
+          <fieldset className="admin-product-picker">
+            <legend>
+              {form.promotion_type === 'bundle_price'
+                ? 'Products in the bundle (units per set)'
+                : 'Qualifying products (leave empty for every product in the category)'}
+            </legend>
+            {products.map((product) => (
+              <div key={product.id} className="admin-product-option">
+                <label>
+                  <input
+                    type="checkbox"
+                    checked={Boolean(form.products[product.id])}
+                    onChange={() => toggleProduct(product.id)}
+                  />{' '}
+                  {product.name} <span className="admin-muted">· {formatCurrency(product.price)}</span>
+                </label>
+                {form.promotion_type === 'bundle_price' && form.products[product.id] && (
+                  <input
+                    className="admin-input"
+                    type="number"
+                    min="1"
+                    max="100"
+                    aria-label={`Units of ${product.name} per set`}
+                    value={form.products[product.id]}
+                    onChange={(event) => setProductQuantity(product.id, event.target.value)}
+                  />
+                )}
+              </div>
+            ))}
+          </fieldset>
+        )}
+
+        <label className="admin-field admin-field-inline">
+          <input type="checkbox" name="is_active" checked={form.is_active} onChange={handleChange} /> Active
+        </label>
+
+        <div className="admin-button-row">
+          <button type="submit" className="admin-button primary" disabled={saving}>
+            {saving ? 'Saving…' : editingId ? 'Save changes' : 'Create promotion'}
+          </button>
+          {editingId && (
+            <button type="button" className="admin-button" onClick={resetForm} disabled={saving}>
+              Cancel
+            </button>
+          )}
+        </div>
+      </form>
+
+      <table className="admin-table" aria-label="Promotions">
+        <thead>
+          <tr>
+            <th scope="col">Name</th>
+            <th scope="col">Type</th>
+            <th scope="col">Rule</th>
+            <th scope="col">Runs</th>
+            <th scope="col">Status</th>
+            <th scope="col">Actions</th>
+          </tr>
+        </thead>
+        <tbody>
+          {loading ? (
+            <tr>
+              <td colSpan="6">Loading promotions…</td>
+            </tr>
+          ) : promotions.length === 0 ? (
+            <tr>
+              <td colSpan="6">No promotions yet.</td>
+            </tr>
+          ) : (
+            promotions.map((promotion) => (
+              <tr key={promotion.id}>
+                <td>
+                  {promotion.name}
+                  {promotion.description && <div className="admin-muted">{promotion.description}</div>}
+                </td>
+                <td>{PROMOTION_TYPE_LABELS[promotion.promotion_type] || promotion.promotion_type}</td>
+                <td>{describeRule(promotion)}</td>
+                <td className="admin-muted">
+                  {promotion.starts_at ? new Date(promotion.starts_at).toLocaleDateString() : 'Now'}
+                  {' – '}
+                  {promotion.expires_at ? new Date(promotion.expires_at).toLocaleDateString() : 'No end'}
+                </td>
+                <td>
+                  <span className={`admin-status ${promotion.is_active ? 'success' : 'pending'}`}>
+                    {promotion.is_active ? 'Active' : 'Paused'}
+                  </span>
+                </td>
+                <td>
+                  <div className="admin-button-row">
+                    <button type="button" className="admin-button" onClick={() => handleEdit(promotion)} disabled={saving}>
+                      Edit
+                    </button>
+                    <button type="button" className="admin-button" onClick={() => handleToggleActive(promotion)} disabled={saving}>
+                      {promotion.is_active ? 'Pause' : 'Activate'}
+                    </button>
+                    <button type="button" className="admin-button danger" onClick={() => handleDelete(promotion)} disabled={saving}>
+                      Delete
+                    </button>
+                  </div>
+                </td>
+              </tr>
+            ))
+          )}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default AdminPromotions;
@@ -0,0 +1,164 @@
+/**
+ * Admin WhatsApp Page - LaRama Frontend
+ * Edits the business WhatsApp number and the order, quote and status update
+ * message templates rendered by the backend.
+ */
+
+import { useCallback, useEffect, useState } from 'react';
+import { adminApi } from '../services/adminApi';
+
+const TEMPLATE_LABELS = {
+  order: 'Order Placed',
+  quote: 'Custom Quote Request',
+  status_update: 'Order Status Update',
+};
+
+const AdminWhatsApp = () => {
+  const [businessNumber, setBusinessNumber] = useState('');
+  const [templates, setTemplates] = useState([]);
+  const [drafts, setDrafts] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+
+  const applySettings = (settings) => {
+    setBusinessNumber(settings.business_number);
+    setTemplates(settings.templates);
+    setDrafts(Object.fromEntries(settings.templates.map((template) => [template.name, template.body])));
+  };
+
+  const loadSettings = useCallback(async () => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const response = await adminApi.getWhatsAppSettings();
+      applySettings(response.data);
+    } catch (loadError) {
+      setError(loadError.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadSettings();
+  }, [loadSettings]);
+
+  const handleSave = async (event) => {
+    event.preventDefault();
+    setSaving(true);
+    setError('');
+    setNotice('');
+
+    const changedTemplates = Object.fromEntries(
+      templates
+        .filter((template) => drafts[template.name] !== template.body)
+        .map((template) => [template.name, drafts[template.name]])
+    );
+
+    try {
+      const response = await adminApi.updateWhatsAppSettings({
+        business_number: businessNumber.trim(),
+        templates: changedTemplates,
+      });
+      applySettings(response.data);
+      setNotice('WhatsApp settings saved.');
+    } catch (saveError) {
+      setError(saveError.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleReset = async (name) => {
+    if (!window.confirm(`Restore the default ${TEMPLATE_LABELS[name] || name} template?`)) {
+      return;
+    }
+
+    setSaving(true);
+    setError('');
+    setNotice('');
+
+    try {
+      const response = await adminApi.resetWhatsAppTemplate(name);
+      applySettings(response.data);
+      setNotice(`${TEMPLATE_LABELS[name] || name} template restored to default.`);
+    } catch (resetError) {
+      setError(resetError.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return <p>Loading WhatsApp settings…</p>;
+  }
+
+  return (
+    <form className="admin-stack" onSubmit={handleSave}>
+      {(notice || error) && (
+        <div>
+          {notice && <div className="admin-notice">{notice}</div>}
+          {error && <div className="admin-login-error">{error}</div>}
+        </div>
+      )}
+
+      <div className="admin-card">
+        <h2>Business Number</h2>
+        <p className="admin-muted">
+          International format without “+” or spaces, e.g. 96171361960. Customer order and quote
+          messages are sent to this number.
+        </p>
+        <input
+          className="admin-input"
+          type="text"
+          inputMode="numeric"
+          value={businessNumber}
+          onChange={(event) => setBusinessNumber(event.target.value)}
+          required
+        />
+      </div>
+
+      {templates.map((template) => (
+        <div key={template.name} className="admin-card">
+          <h2>{TEMPLATE_LABELS[template.name] || template.name}</h2>
+          <p className="admin-muted">
+            Placeholders: {template.placeholders.map((placeholder) => `{{${placeholder}}}`).join(', ')}
+            {template.is_custom && template.updated_by && ` · Last edited by ${template.updated_by}`}
+            {template.is_custom && template.updated_at && ` on ${new Date(template.updated_at).toLocaleString()}`}
+          </p>
+          <textarea
+            className="admin-input"
+            rows="12"
+            value={drafts[template.name] ?? ''}
+            onChange={(event) =>
+              setDrafts((prev) => ({ ...prev, [template.name]: event.target.value }))
+            }
+          />
+          {template.is_custom && (
+            <div className="admin-button-row">
+              <button
+                type="button"
+                className="admin-button"
+                disabled={saving}
+                onClick={() => handleReset(template.name)}
+              >
+                Reset to default
+              </button>
+            </div>
+          )}
+        </div>
+      ))}
+
+      <div className="admin-button-row">
+        <button type="submit" className="admin-button primary" disabled={saving}>
+          {saving ? 'Saving…' : 'Save changes'}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default AdminWhatsApp;
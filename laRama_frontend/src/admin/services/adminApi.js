@@ -1,6 +1,6 @@
 /**
  * Administrative API Service - LaRama Frontend
- * Provides minimal request helpers for the administrative authentication flow.
+ * Provides request helpers for administrative authentication, order fulfilment, WhatsApp settings and promotions.
  */
 
 const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:5000';
@@ -49,6 +49,88 @@ class AdminApiService {
       method: 'GET',
     });
   }
+
+  getOrders(params = {}) {
+    const query = new URLSearchParams(
+      Object.entries(params).filter(([, value]) => value !== undefined && value !== null && value !== ''),
+    ).toString();
+
+    return this.request(`/api/admin/orders${query ? `?${query}` : ''}`, {
+      method: 'GET',
+    });
+  }
+
+  getOrder(orderId) {
+    return this.request(`/api/admin/orders/${orderId}`, {
+      method: 'GET',
+    });
+  }
+
+  updateOrderStatus(orderId, status, note) {
+    return this.request(`/api/admin/orders/${orderId}/status`, {
+      method: 'PUT',
+      body: JSON.stringify({ status, note }),
+    });
+  }
+
+  bulkUpdateOrderStatus(orderIds, status, note) {
+    return this.request('/api/admin/orders/bulk-status', {
+      method: 'POST',
+      body: JSON.stringify({ order_ids: orderIds, status, note }),
+    });
+  }
+
+  getOrderWhatsAppMessage(orderId, note) {
+    const query = note ? `?note=${encodeURIComponent(note)}` : '';
+    return this.request(`/api/admin/orders/${orderId}/whatsapp-message${query}`, {
+      method: 'GET',
+    });
+  }
+
+  getWhatsAppSettings() {
+    return this.request('/api/admin/whatsapp', {
+      method: 'GET',
+    });
+  }
+
+  updateWhatsAppSettings(settings) {
+    return this.request('/api/admin/whatsapp', {
+      method: 'PUT',
+      body: JSON.stringify(settings),
+    });
+  }
+
+  resetWhatsAppTemplate(name) {
+    return this.request(`/api/admin/whatsapp/templates/${name}`, {
+      method: 'DELETE',
+    });
+  }
+
+  getPromotions() {
+    return this.request('/api/admin/promotions', {
+      method: 'GET',
+    });
+  }
+
+  createPromotion(promotion) {
+    return this.request('/api/admin/promotions', {
+      method: 'POST',
+      body: JSON.stringify(promotion),
+    });
+  }
+
+  updatePromotion(promotionId, promotion) {
+    return this.request(`/api/admin/promotions/${promotionId}`, {
+      method: 'PUT',
+      body: JSON.stringify(promotion),
+    });
+  }
+
+  deletePromotion(promotionId) {
+    return this.request(`/api/admin/promotions/${promotionId}`, {
+      method: 'DELETE',
+    });
+  }
 }
 
 export const ADMIN_TOKEN_STORAGE_KEY = ADMIN_TOKEN_KEY;
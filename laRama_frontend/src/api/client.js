@@ -1,13 +1,17 @@
 import { ApolloClient, InMemoryCache, HttpLink, ApolloLink } from '@apollo/client';
+import { ADMIN_TOKEN_STORAGE_KEY } from '../admin/services/adminApi';
 
 const GRAPHQL_URL = 'http://localhost:4001/graphql';
 
 const authLink = new ApolloLink((operation, forward) => {
   const adminKey = import.meta.env?.VITE_ADMIN_KEY || '';
+  // The signed-in administrator's session names who changed stock in the inventory ledger
+  const adminToken = localStorage.getItem(ADMIN_TOKEN_STORAGE_KEY);
   operation.setContext(({ headers = {} }) => ({
     headers: {
       ...headers,
       'x-admin-key': adminKey,
+      ...(adminToken && { Authorization: `Bearer ${adminToken}` }),
     },
   }));
   return forward(operation);
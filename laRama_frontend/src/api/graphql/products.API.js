@@ -4,6 +4,9 @@ import {
   CREATE_PRODUCT,
   UPDATE_PRODUCT,
   REMOVE_PRODUCT,
+  GET_LOW_STOCK_PRODUCTS,
+  GET_INVENTORY_MOVEMENTS,
+  ADJUST_STOCK,
 } from './products.queries';
 
 export async function fetchProducts() {
@@ -26,9 +29,31 @@ export async function removeProduct(id) {
   return data?.removeProduct;
 }
 
+export async function fetchLowStockProducts() {
+  const { data } = await client.query({ query: GET_LOW_STOCK_PRODUCTS, fetchPolicy: 'no-cache' });
+  return data?.lowStockProducts || [];
+}
+
+export async function fetchInventoryMovements(productId, limit = 50) {
+  const { data } = await client.query({
+    query: GET_INVENTORY_MOVEMENTS,
+    variables: { productId, limit },
+    fetchPolicy: 'no-cache',
+  });
+  return data?.inventoryMovements || [];
+}
+
+export async function adjustStock(input) {
+  const { data } = await client.mutate({ mutation: ADJUST_STOCK, variables: { input } });
+  return data?.adjustStock;
+}
+
 export default {
   fetchProducts,
   createProduct,
   updateProduct,
   removeProduct,
+  fetchLowStockProducts,
+  fetchInventoryMovements,
+  adjustStock,
 };
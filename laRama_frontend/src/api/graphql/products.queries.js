@@ -10,6 +10,8 @@ export const GET_PRODUCTS = gql`
       imageUrl
       category
       stockQuantity
+      weightGrams
+      reorderThreshold
       isActive
       createdAt
       updatedAt
@@ -27,6 +29,8 @@ export const CREATE_PRODUCT = gql`
       imageUrl
       category
       stockQuantity
+      weightGrams
+      reorderThreshold
       isActive
       createdAt
       updatedAt
@@ -44,6 +48,8 @@ export const UPDATE_PRODUCT = gql`
       imageUrl
       category
       stockQuantity
+      weightGrams
+      reorderThreshold
       isActive
       createdAt
       updatedAt
@@ -58,3 +64,41 @@ export const REMOVE_PRODUCT = gql`
     }
   }
 `;
+
+export const GET_LOW_STOCK_PRODUCTS = gql`
+  query GetLowStockProducts {
+    lowStockProducts {
+      id
+      name
+      category
+      stockQuantity
+      reorderThreshold
+    }
+  }
+`;
+
+export const GET_INVENTORY_MOVEMENTS = gql`
+  query GetInventoryMovements($productId: ID!, $limit: Int) {
+    inventoryMovements(productId: $productId, limit: $limit) {
+      id
+      quantityDelta
+      stockAfter
+      reason
+      actorType
+      actorId
+      orderId
+      note
+      createdAt
+    }
+  }
+`;
+
+export const ADJUST_STOCK = gql`
+  mutation AdjustStock($input: AdjustStockInput!) {
+    adjustStock(input: $input) {
+      id
+      stockQuantity
+      updatedAt
+    }
+  }
+`;
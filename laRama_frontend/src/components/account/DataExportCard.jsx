@@ -0,0 +1,138 @@
+/**
+ * Data Export Card Component - LaRama Frontend
+ * Lets customers request a copy of their personal data and download it
+ * Exports are built in the background, so the card polls the job until it is ready
+ */
+
+import { useEffect, useState } from "react";
+import apiService from "../../services/api";
+
+// How often an export in progress is checked, in milliseconds
+const POLL_INTERVAL_MS = 3000;
+
+const isInProgress = (job) => job && (job.status === "pending" || job.status === "processing");
+
+const isDownloadable = (job) => job?.status === "ready" && new Date(job.expires_at) > new Date();
+
+// Human-readable archive size, e.g. "12.4 KB"
+const formatFileSize = (bytes) =>
+  bytes >= 1024 * 1024 ? `${(bytes / (1024 * 1024)).toFixed(1)} MB` : `${(bytes / 1024).toFixed(1)} KB`;
+
+/**
+ * DataExportCard Component
+ *
+ * @returns {JSX.Element} - Request button, export status and download link
+ */
+const DataExportCard = () => {
+  const [latestExport, setLatestExport] = useState(null);
+  const [error, setError] = useState("");
+  const [isRequesting, setIsRequesting] = useState(false);
+  const [isDownloading, setIsDownloading] = useState(false);
+
+  useEffect(() => {
+    apiService
+      .getDataExports()
+      .then((response) => setLatestExport(response.data.exports[0] || null))
+      .catch((loadError) => setError(loadError.message));
+  }, []);
+
+  // Poll the export while it is being prepared
+  const pollingId = isInProgress(latestExport) ? latestExport.id : null;
+
+  useEffect(() => {
+    if (!pollingId) return undefined;
+
+    const timer = window.setInterval(async () => {
+      try {
+        const response = await apiService.getDataExport(pollingId);
+        setLatestExport(response.data.export);
+      } catch (pollError) {
+        setError(pollError.message);
+      }
+    }, POLL_INTERVAL_MS);
+
+    return () => window.clearInterval(timer);
+  }, [pollingId]);
+
+  const handleRequest = async () => {
+    setIsRequesting(true);
+    setError("");
+
+    try {
+      const response = await apiService.requestDataExport();
+      setLatestExport(response.data.export);
+    } catch (requestError) {
+      setError(requestError.message);
+    } finally {
+      setIsRequesting(false);
+    }
+  };
+
+  const handleDownload = async () => {
+    setIsDownloading(true);
+    setError("");
+
+    try {
+      const blob = await apiService.downloadDataExport(latestExport.id);
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = `larama-data-export-${latestExport.completed_at.slice(0, 10)}.zip`;
+      link.click();
+      window.setTimeout(() => URL.revokeObjectURL(url), 0); // After the browser has started the download
+    } catch (downloadError) {
+      setError(downloadError.message);
+    } finally {
+      setIsDownloading(false);
+    }
+  };
+
+  return (
+    <article className="mb-8 rounded-3xl bg-white/80 p-6 shadow-xl shadow-[#d4bda8]/40 md:p-8">
+      <h2 className="mb-1 text-xl font-semibold">Your data</h2>
+      <p className="mb-4 text-sm text-[#7A6654]">
+        Download a ZIP archive of your profile, addresses, cart, wishlist, orders, newsletter status and signed-in
+        devices. Preparing it can take a moment; you can leave this page and come back.
+      </p>
+
+      {isInProgress(latestExport) && (
+        <p className="mb-4 text-sm text-[#5C4B3D]">Preparing your data export...</p>
+      )}
+      {latestExport?.status === "failed" && (
+        <p className="mb-4 text-sm text-[#B5533C]">Your last export could not be prepared. Please try again.</p>
+      )}
+      {isDownloadable(latestExport) && (
+        <p className="mb-4 text-sm text-[#5C4B3D]">
+          Your export ({formatFileSize(latestExport.file_size)}) is ready until{" "}
+          {new Date(latestExport.expires_at).toLocaleString(undefined, { dateStyle: "medium", timeStyle: "short" })}.
+        </p>
+      )}
+      {error && <p className="mb-4 text-sm text-[#B5533C]">{error}</p>}
+
+      <div className="flex flex-wrap gap-3">
+        {isDownloadable(latestExport) && (
+          <button
+            type="button"
+            onClick={handleDownload}
+            disabled={isDownloading}
+            className="rounded-full bg-[#5C4B3D] px-5 py-2 text-sm font-semibold text-[#F0E4D3] transition-all duration-300 hover:bg-[#3F3329] disabled:opacity-60"
+          >
+            {isDownloading ? "Downloading..." : "Download archive"}
+          </button>
+        )}
+        {!isInProgress(latestExport) && (
+          <button
+            type="button"
+            onClick={handleRequest}
+            disabled={isRequesting}
+            className="rounded-full border border-[#5C4B3D] px-5 py-2 text-sm font-semibold text-[#5C4B3D] transition-all duration-300 hover:bg-[#5C4B3D] hover:text-[#F0E4D3] disabled:opacity-60"
+          >
+            {isRequesting ? "Requesting..." : latestExport ? "Request a new export" : "Request my data"}
+          </button>
+        )}
+      </div>
+    </article>
+  );
+};
+
+export default DataExportCard;
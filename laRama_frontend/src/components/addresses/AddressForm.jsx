@@ -0,0 +1,142 @@
+/**
+ * Address Form Component - LaRama Frontend
+ * Create or edit a saved shipping address in the customer's address book
+ * Field limits mirror the backend address validation rules
+ */
+
+import { useState } from "react";
+import { COUNTRIES } from "../../constants/countries";
+
+const EMPTY_ADDRESS = {
+  label: "",
+  recipient_name: "",
+  phone: "",
+  country: "LB",
+  city: "",
+  region: "",
+  street: "",
+  building: "",
+  notes: "",
+  is_default: false,
+};
+
+const inputClassName =
+  "mt-1 w-full rounded-2xl border border-[#DCC5B2] bg-white/80 px-3 py-2 text-sm text-[#5C4B3D] focus:outline-none focus:ring-2 focus:ring-[#D9A299]";
+
+/**
+ * AddressForm Component
+ *
+ * @param {Object} props - Component props
+ * @param {Object} [props.address] - Existing address to edit; omitted for a new address
+ * @param {Function} props.onSubmit - Called with the address fields; may return a promise
+ * @param {Function} [props.onCancel] - Called when the customer closes the form
+ * @param {string} [props.submitLabel] - Text of the save button
+ * @returns {JSX.Element} - Address fields with save and cancel actions
+ */
+const AddressForm = ({ address, onSubmit, onCancel, submitLabel = "Save address" }) => {
+  const [values, setValues] = useState(() => {
+    if (!address) return EMPTY_ADDRESS;
+    return Object.fromEntries(
+      Object.keys(EMPTY_ADDRESS).map((field) => [field, address[field] ?? EMPTY_ADDRESS[field]])
+    );
+  });
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState("");
+
+  const handleChange = (event) => {
+    const { name, value, type, checked } = event.target;
+    setValues((prev) => ({ ...prev, [name]: type === "checkbox" ? checked : value }));
+  };
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setIsSubmitting(true);
+    setError("");
+
+    try {
+      await onSubmit(values);
+    } catch (submitError) {
+      setError(submitError.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <div className="grid gap-4 md:grid-cols-2">
+        <label className="block text-sm font-medium">
+          Label <span className="font-normal text-[#A3846C]">(optional)</span>
+          <input name="label" value={values.label} onChange={handleChange} maxLength={50} className={inputClassName} placeholder="Home, Work..." />
+        </label>
+        <label className="block text-sm font-medium">
+          Recipient name
+          <input name="recipient_name" value={values.recipient_name} onChange={handleChange} required minLength={2} maxLength={100} className={inputClassName} />
+        </label>
+        <label className="block text-sm font-medium">
+          Phone
+          <input name="phone" type="tel" value={values.phone} onChange={handleChange} required pattern="\+?[0-9\s\-\(\)]{6,20}" className={inputClassName} placeholder="+961 70 000 000" />
+        </label>
+        <label className="block text-sm font-medium">
+          Country
+          <select name="country" value={values.country} onChange={handleChange} required className={inputClassName}>
+            {COUNTRIES.map((entry) => (
+              <option key={entry.code} value={entry.code}>{entry.name}</option>
+            ))}
+          </select>
+        </label>
+        <label className="block text-sm font-medium">
+          City
+          <input name="city" value={values.city} onChange={handleChange} required maxLength={100} className={inputClassName} />
+        </label>
+        <label className="block text-sm font-medium">
+          Region <span className="font-normal text-[#A3846C]">(optional)</span>
+          <input name="region" value={values.region} onChange={handleChange} maxLength={100} className={inputClassName} />
+        </label>
+        <label className="block text-sm font-medium">
+          Street
+          <input name="street" value={values.street} onChange={handleChange} required maxLength={255} className={inputClassName} />
+        </label>
+        <label className="block text-sm font-medium">
+          Building, floor <span className="font-normal text-[#A3846C]">(optional)</span>
+          <input name="building" value={values.building} onChange={handleChange} maxLength={100} className={inputClassName} />
+        </label>
+      </div>
+
+      <label className="block text-sm font-medium">
+        Delivery notes <span className="font-normal text-[#A3846C]">(optional)</span>
+        <textarea name="notes" value={values.notes} onChange={handleChange} rows={2} maxLength={500} className={inputClassName} placeholder="Landmarks, best time to call..." />
+      </label>
+
+      {!address?.is_default && (
+        <label className="flex items-center gap-2 text-sm">
+          <input type="checkbox" name="is_default" checked={values.is_default} onChange={handleChange} className="accent-[#D9A299]" />
+          Use as my default address
+        </label>
+      )}
+
+      {error && <p className="text-sm text-[#B5533C]">{error}</p>}
+
+      <div className="flex gap-3">
+        <button
+          type="submit"
+          disabled={isSubmitting}
+          className="rounded-full bg-[#5C4B3D] px-5 py-2 text-sm font-semibold text-[#F0E4D3] transition-all duration-300 hover:bg-[#3F3329] disabled:opacity-60"
+        >
+          {isSubmitting ? "Saving..." : submitLabel}
+        </button>
+        {onCancel && (
+          <button
+            type="button"
+            onClick={onCancel}
+            className="rounded-full border border-[#5C4B3D] px-5 py-2 text-sm font-semibold text-[#5C4B3D] transition-all duration-300 hover:bg-[#5C4B3D] hover:text-[#F0E4D3]"
+          >
+            Cancel
+          </button>
+        )}
+      </div>
+    </form>
+  );
+};
+
+export default AddressForm;
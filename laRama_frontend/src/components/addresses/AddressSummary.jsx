@@ -0,0 +1,26 @@
+/**
+ * Address Summary Component - LaRama Frontend
+ * Compact read-only rendering of a structured shipping address
+ */
+
+import { getCountryName } from "../../constants/countries";
+
+/**
+ * AddressSummary Component
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.address - Saved address or an order's address snapshot
+ * @returns {JSX.Element} - Recipient, phone and address lines
+ */
+const AddressSummary = ({ address }) => (
+  <div className="text-sm text-[#7A6654]">
+    <p className="font-semibold text-[#5C4B3D]">{address.recipient_name}</p>
+    <p>{address.phone}</p>
+    <p>{[address.building, address.street].filter(Boolean).join(", ")}</p>
+    <p>{[address.city, address.region].filter(Boolean).join(", ")}</p>
+    <p>{getCountryName(address.country)}</p>
+    {address.notes && <p className="mt-1 italic">{address.notes}</p>}
+  </div>
+);
+
+export default AddressSummary;
@@ -0,0 +1,57 @@
+/**
+ * Email Verification Notice Component - LaRama Frontend
+ * Reminds customers to confirm their email and lets them resend the link
+ * The backend limits resends to one a minute and five a day
+ */
+
+import { useState } from "react";
+import apiService from "../../services/api";
+
+/**
+ * EmailVerificationNotice Component - Resend Prompt
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.email - Address the verification link goes to
+ * @param {string} [props.message] - Lead text, e.g. why checkout was blocked
+ * @returns {JSX.Element} - Notice with a resend button and its result
+ */
+const EmailVerificationNotice = ({ email, message }) => {
+  const [isSending, setIsSending] = useState(false);
+  const [result, setResult] = useState(null); // { ok, text } after a resend attempt
+
+  const handleResend = async () => {
+    setIsSending(true);
+    setResult(null);
+
+    try {
+      const response = await apiService.resendVerificationEmail();
+      setResult({ ok: true, text: response.message });
+    } catch (error) {
+      setResult({ ok: false, text: error.message });
+    } finally {
+      setIsSending(false);
+    }
+  };
+
+  return (
+    <div className="rounded-2xl bg-[#FBEAE5] p-4 text-sm text-[#7A6654]">
+      <p>
+        {message || "Please confirm your email address."} We sent a verification link to{" "}
+        <span className="font-semibold text-[#5C4B3D]">{email}</span>.
+      </p>
+      <button
+        type="button"
+        onClick={handleResend}
+        disabled={isSending}
+        className="mt-2 font-semibold text-[#B5533C] underline disabled:opacity-60"
+      >
+        {isSending ? "Sending..." : "Resend verification email"}
+      </button>
+      {result && (
+        <p className={`mt-2 ${result.ok ? "text-[#5C4B3D]" : "text-[#B5533C]"}`}>{result.text}</p>
+      )}
+    </div>
+  );
+};
+
+export default EmailVerificationNotice;
@@ -0,0 +1,98 @@
+/**
+ * Cancel Order Form Component - LaRama Frontend
+ * Lets customers cancel a pending or processing order with a short reason
+ * Items are returned to stock by the backend when the cancellation succeeds
+ */
+
+import { useState } from "react";
+import apiService from "../../services/api";
+
+/**
+ * CancelOrderForm Component - Inline Cancellation Flow
+ * Collapsed into a single button until the customer chooses to cancel,
+ * then asks for a reason before calling the cancellation endpoint
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.orderId - Identifier of the order to cancel
+ * @param {Function} [props.onCancelled] - Called with the updated order after a successful cancellation
+ * @returns {JSX.Element} - Cancel button or reason form
+ */
+const CancelOrderForm = ({ orderId, onCancelled }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [reason, setReason] = useState("");
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState("");
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+
+    if (reason.trim().length < 3) {
+      setError("Please tell us briefly why you are cancelling.");
+      return;
+    }
+
+    setIsSubmitting(true);
+    setError("");
+
+    try {
+      const response = await apiService.cancelOrder(orderId, reason.trim());
+      setIsOpen(false);
+      setReason("");
+      onCancelled?.(response.data.order);
+    } catch (cancelError) {
+      setError(cancelError.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  if (!isOpen) {
+    return (
+      <button
+        type="button"
+        onClick={() => setIsOpen(true)}
+        className="rounded-full border border-[#B5533C] px-4 py-1.5 text-xs font-semibold text-[#B5533C] transition-all duration-300 hover:bg-[#B5533C] hover:text-white"
+      >
+        Cancel order
+      </button>
+    );
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="mt-3 w-full space-y-3">
+      <label className="block text-sm font-medium text-[#5C4B3D]">
+        Reason for cancelling
+        <textarea
+          value={reason}
+          onChange={(event) => setReason(event.target.value)}
+          rows={2}
+          maxLength={500}
+          className="mt-1 w-full rounded-2xl border border-[#DCC5B2] bg-white/80 px-3 py-2 text-sm text-[#5C4B3D] focus:outline-none focus:ring-2 focus:ring-[#D9A299]"
+          placeholder="e.g. I ordered the wrong size"
+        />
+      </label>
+      {error && <p className="text-sm text-[#B5533C]">{error}</p>}
+      <div className="flex gap-3">
+        <button
+          type="submit"
+          disabled={isSubmitting}
+          className="rounded-full bg-[#B5533C] px-4 py-1.5 text-xs font-semibold text-white transition-all duration-300 hover:bg-[#8F3F2D] disabled:opacity-60"
+        >
+          {isSubmitting ? "Cancelling..." : "Confirm cancellation"}
+        </button>
+        <button
+          type="button"
+          onClick={() => {
+            setIsOpen(false);
+            setError("");
+          }}
+          className="rounded-full border border-[#5C4B3D] px-4 py-1.5 text-xs font-semibold text-[#5C4B3D] transition-all duration-300 hover:bg-[#5C4B3D] hover:text-[#F0E4D3]"
+        >
+          Keep order
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default CancelOrderForm;
@@ -0,0 +1,32 @@
+/**
+ * Order Status Badge Component - LaRama Frontend
+ * Colour-coded pill showing where an order is in the fulfilment process
+ */
+
+// Badge colours per order status, tuned to the LaRama palette
+const STATUS_STYLES = {
+  pending: "bg-[#F6E7C8] text-[#8A6A2F]",
+  processing: "bg-[#E3E8F2] text-[#435A7E]",
+  shipped: "bg-[#E3E8F2] text-[#435A7E]",
+  delivered: "bg-[#DDEFE1] text-[#3E7350]",
+  cancelled: "bg-[#F5DCD6] text-[#B5533C]",
+};
+
+/**
+ * OrderStatusBadge Component
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.status - Order status value from the API
+ * @returns {JSX.Element} - Styled status pill
+ */
+const OrderStatusBadge = ({ status }) => (
+  <span
+    className={`inline-flex rounded-full px-3 py-1 text-xs font-semibold uppercase tracking-wide ${
+      STATUS_STYLES[status] || "bg-[#F0E4D3] text-[#5C4B3D]"
+    }`}
+  >
+    {status}
+  </span>
+);
+
+export default OrderStatusBadge;
@@ -0,0 +1,70 @@
+/**
+ * Restock Notify Form Component - LaRama Frontend
+ * Lets customers ask to be emailed when a sold-out product is back in stock
+ * Signed-in customers use their account email; guests type one in
+ */
+
+import { useState } from 'react';
+import { apiService } from '../../services/api';
+import { useAuth } from '../../hooks/useAuth';
+
+/**
+ * RestockNotifyForm Component
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.product - Sold-out product
+ * @returns {JSX.Element} - Subscribe button, with an email field for guests
+ */
+const RestockNotifyForm = ({ product }) => {
+  const { isAuthenticated } = useAuth();
+  const [email, setEmail] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setIsSubmitting(true);
+    setError('');
+
+    try {
+      const response = await apiService.subscribeToRestock(product.id, isAuthenticated ? undefined : email);
+      setMessage(response.message);
+    } catch (submitError) {
+      setError(submitError.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  if (message) {
+    return <p className="rounded-lg bg-[#F0E4D3] p-3 text-sm text-[#5C4B3D]">{message}</p>;
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-3">
+      <p className="text-sm text-[#7A6654]">This piece is sold out. We can email you as soon as a new one is ready.</p>
+      {!isAuthenticated && (
+        <input
+          type="email"
+          value={email}
+          onChange={(event) => setEmail(event.target.value)}
+          required
+          maxLength={255}
+          placeholder="you@example.com"
+          className="w-full rounded-lg border border-[#DCC5B2] px-3 py-2 text-sm text-[#5C4B3D] focus:outline-none focus:ring-2 focus:ring-[#D9A299]"
+        />
+      )}
+      {error && <p className="text-sm text-[#B5533C]">{error}</p>}
+      <button
+        type="submit"
+        disabled={isSubmitting}
+        className="w-full rounded-lg bg-[#5C4B3D] px-6 py-3 font-semibold text-white transition-colors duration-300 hover:bg-[#3F3329] disabled:opacity-60"
+      >
+        {isSubmitting ? 'Saving...' : 'Notify me when available'}
+      </button>
+    </form>
+  );
+};
+
+export default RestockNotifyForm;
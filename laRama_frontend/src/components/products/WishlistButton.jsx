@@ -0,0 +1,47 @@
+/**
+ * Wishlist Heart Button - LaRama Frontend
+ * Saves or unsaves a product from a product card or detail view
+ */
+
+/**
+ * WishlistButton Component
+ *
+ * @param {Object} props - Component props
+ * @param {boolean} props.isSaved - Whether the product is in the wishlist
+ * @param {boolean} [props.isPending] - Disables the button while the request runs
+ * @param {Function} props.onToggle - Called when the heart is clicked
+ * @param {string} [props.className] - Extra classes for positioning
+ * @returns {JSX.Element} - Round heart button
+ */
+const WishlistButton = ({ isSaved, isPending = false, onToggle, className = "" }) => (
+  <button
+    type="button"
+    onClick={(event) => {
+      // Keep the click from opening the product detail modal underneath
+      event.stopPropagation();
+      onToggle();
+    }}
+    disabled={isPending}
+    aria-pressed={isSaved}
+    aria-label={isSaved ? "Remove from Saved Styles" : "Save to Saved Styles"}
+    title={isSaved ? "Remove from Saved Styles" : "Save to Saved Styles"}
+    className={`flex h-10 w-10 items-center justify-center rounded-full bg-white/90 shadow-md transition-all duration-300 hover:scale-105 disabled:opacity-60 ${className}`}
+  >
+    <svg
+      xmlns="http://www.w3.org/2000/svg"
+      viewBox="0 0 24 24"
+      className="h-5 w-5"
+      fill={isSaved ? "#D9A299" : "none"}
+      stroke={isSaved ? "#D9A299" : "#5C4B3D"}
+      strokeWidth={2}
+    >
+      <path
+        strokeLinecap="round"
+        strokeLinejoin="round"
+        d="M4.318 6.318a4.5 4.5 0 000 6.364L12 20.364l7.682-7.682a4.5 4.5 0 00-6.364-6.364L12 7.636l-1.318-1.318a4.5 4.5 0 00-6.364 0z"
+      />
+    </svg>
+  </button>
+);
+
+export default WishlistButton;
@@ -0,0 +1,114 @@
+/**
+ * Shipping Options Component - LaRama Frontend
+ * Destination picker and priced shipping methods for the cart summary
+ * Countries served by a dedicated zone are listed first, then every other country
+ * The destination picker is omitted when the country comes from a saved address
+ */
+
+import { useEffect, useState } from "react";
+import apiService from "../../services/api";
+import { COUNTRIES, getCountryName } from "../../constants/countries";
+
+const formatPrice = (value) => `$${Number(value || 0).toFixed(2)}`;
+
+const formatDeliveryTime = (option) => {
+  if (!option.min_days && !option.max_days) return "";
+  if (option.min_days === option.max_days) return `${option.min_days} business days`;
+  return `${option.min_days}-${option.max_days} business days`;
+};
+
+/**
+ * ShippingOptions Component
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.country - Selected destination country code
+ * @param {Function} [props.onCountryChange] - Called with the new country code; omit to hide the picker
+ * @param {Object|null} props.quote - Quote returned by the shipping quote endpoint
+ * @param {boolean} props.isLoading - Whether a quote is being fetched
+ * @param {string} props.error - Quote error message, if any
+ * @param {string} props.selectedMethod - Code of the chosen shipping method
+ * @param {Function} props.onMethodChange - Called with the chosen method code
+ * @returns {JSX.Element} - Destination select and shipping method choices
+ */
+const ShippingOptions = ({ country, onCountryChange, quote, isLoading, error, selectedMethod, onMethodChange }) => {
+  const [servedCountries, setServedCountries] = useState([]);
+
+  // Load the countries with their own zone so they can be listed first
+  useEffect(() => {
+    apiService
+      .getShippingZones()
+      .then((response) => {
+        const codes = response.data.zones.flatMap((zone) => zone.countries);
+        setServedCountries(codes.map((code) => ({ code, name: getCountryName(code) })));
+      })
+      .catch(() => setServedCountries([]));
+  }, []);
+
+  const servedCodes = new Set(servedCountries.map((entry) => entry.code));
+  const otherCountries = COUNTRIES.filter((entry) => !servedCodes.has(entry.code));
+
+  return (
+    <div className="space-y-3">
+      {onCountryChange && (
+        <label className="block text-sm text-[#8C8A87]">
+          Ship to
+          <select
+            value={country}
+            onChange={(event) => onCountryChange(event.target.value)}
+            className="mt-1 w-full rounded-lg border border-gray-300 bg-white px-3 py-2 text-sm text-[#5C4B3D] focus:outline-none focus:ring-2 focus:ring-[#D9A299]"
+          >
+            {servedCountries.length > 0 && (
+              <optgroup label="Lebanon & the region">
+                {servedCountries.map((entry) => (
+                  <option key={entry.code} value={entry.code}>{entry.name}</option>
+                ))}
+              </optgroup>
+            )}
+            <optgroup label="Worldwide">
+              {otherCountries.map((entry) => (
+                <option key={entry.code} value={entry.code}>{entry.name}</option>
+              ))}
+            </optgroup>
+          </select>
+        </label>
+      )}
+
+      {isLoading && <p className="text-sm text-[#8C8A87]">Calculating shipping...</p>}
+      {error && !isLoading && <p className="text-sm text-red-600">{error}</p>}
+
+      {quote && !isLoading && (
+        <div className="space-y-2">
+          {quote.options.map((option) => (
+            <label
+              key={option.code}
+              className={`flex cursor-pointer items-start gap-3 rounded-lg border p-3 text-sm transition-colors ${
+                selectedMethod === option.code ? "border-[#D9A299] bg-[#FAF7F3]" : "border-gray-200"
+              }`}
+            >
+              <input
+                type="radio"
+                name="shipping-method"
+                value={option.code}
+                checked={selectedMethod === option.code}
+                onChange={() => onMethodChange(option.code)}
+                className="mt-1 accent-[#D9A299]"
+              />
+              <span className="flex-grow">
+                <span className="block font-medium text-[#5C4B3D]">{option.name}</span>
+                <span className="block text-xs text-[#8C8A87]">{formatDeliveryTime(option)}</span>
+                {option.amount_until_free !== null && (
+                  <span className="block text-xs text-[#D9A299]">
+                    Add {formatPrice(option.amount_until_free)} more for free delivery
+                  </span>
+                )}
+              </span>
+              <span className="font-medium text-[#5C4B3D]">{option.is_free ? "Free" : formatPrice(option.cost)}</span>
+            </label>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ShippingOptions;
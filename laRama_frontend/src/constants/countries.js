@@ -0,0 +1,35 @@
+/**
+ * Country List - LaRama Frontend
+ * ISO 3166-1 alpha-2 codes with English names, generated from the browser's
+ * Intl region data so the list needs no maintenance
+ */
+
+// Region codes Intl can name that are not shipping destinations
+const NON_COUNTRY_CODES = new Set(["EU", "EZ", "QO", "UN", "XA", "XB", "ZZ"]);
+
+const LETTERS = "ABCDEFGHIJKLMNOPQRSTUVWXYZ";
+
+const regionNames = new Intl.DisplayNames(["en"], { type: "region", fallback: "none" });
+
+/**
+ * Returns the English name of a country code, or the code itself when unknown
+ *
+ * @param {string} code - Two-letter country code
+ * @returns {string} - Display name
+ */
+export const getCountryName = (code) => regionNames.of(code) || code;
+
+/**
+ * All countries sorted by name, as { code, name } pairs
+ * Deprecated codes (e.g. ZR) are skipped because their canonical form differs
+ */
+export const COUNTRIES = [...LETTERS]
+  .flatMap((first) => [...LETTERS].map((second) => `${first}${second}`))
+  .filter(
+    (code) =>
+      !NON_COUNTRY_CODES.has(code) &&
+      regionNames.of(code) &&
+      Intl.getCanonicalLocales(`und-${code}`)[0] === `und-${code}`
+  )
+  .map((code) => ({ code, name: regionNames.of(code) }))
+  .sort((a, b) => a.name.localeCompare(b.name));
@@ -7,7 +7,7 @@
 
 import { useCallback, useEffect, useMemo, useState } from "react";
 import { AuthContext } from "./AuthContext.js";
-import apiService from "../services/api.js";
+import apiService, { SESSION_ENDED_EVENT } from "../services/api.js";
 
 // localStorage key for persisting user authentication data
 const AUTH_STORAGE_KEY = "larama-auth-user";
@@ -48,13 +48,11 @@ export const AuthProvider = ({ children }) => {
             setUser(response.data.user);
           } else {
             // Token invalid, clear it
-            localStorage.removeItem('larama-auth-token');
-            localStorage.removeItem('larama-auth-user');
+            apiService.clearSession();
           }
         } catch (error) {
           console.warn('Token verification failed:', error);
-          localStorage.removeItem('larama-auth-token');
-          localStorage.removeItem('larama-auth-user');
+          apiService.clearSession();
         }
       }
       setLoading(false);
@@ -63,6 +61,14 @@ export const AuthProvider = ({ children }) => {
     verifyToken();
   }, [user]);
 
+  // Sign out when the API client finds the session revoked or no longer refreshable
+  useEffect(() => {
+    const handleSessionEnded = () => setUser(null);
+
+    window.addEventListener(SESSION_ENDED_EVENT, handleSessionEnded);
+    return () => window.removeEventListener(SESSION_ENDED_EVENT, handleSessionEnded);
+  }, []);
+
   useEffect(() => {
     if (typeof window === "undefined") return;
 
@@ -96,7 +102,7 @@ export const AuthProvider = ({ children }) => {
       const response = await apiService.register(userData);
       if (response.success) {
         setUser(response.data.user);
-        return { success: true };
+        return { success: true, cartMerge: response.data.cart_merge };
       }
       return { success: false, message: response.message };
     } catch (error) {
@@ -121,7 +127,7 @@ export const AuthProvider = ({ children }) => {
       const response = await apiService.login(credentials);
       if (response.success) {
         setUser(response.data.user);
-        return { success: true };
+        return { success: true, cartMerge: response.data.cart_merge };
       }
       return { success: false, message: response.message };
     } catch (error) {
@@ -0,0 +1,59 @@
+/**
+ * Shipping Quote Hook - LaRama Frontend
+ * Prices the signed-in customer's cart for a destination country
+ * Re-fetches whenever the destination or the cart contents change
+ */
+
+import { useEffect, useState } from "react";
+import apiService from "../services/api";
+
+/**
+ * useShippingQuote Hook
+ *
+ * @param {string} country - Two-letter destination country code
+ * @param {string|number} cartVersion - Any value that changes when the cart changes
+ * @returns {{quote: Object|null, isLoading: boolean, error: string}} - Latest quote from the API
+ */
+export const useShippingQuote = (country, cartVersion) => {
+  const [quote, setQuote] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    if (!country) {
+      setQuote(null);
+      return undefined;
+    }
+
+    let isActive = true;
+    setIsLoading(true);
+    setError("");
+
+    apiService
+      .getShippingQuote(country)
+      .then((response) => {
+        if (isActive) {
+          setQuote(response.data);
+        }
+      })
+      .catch((quoteError) => {
+        if (isActive) {
+          setQuote(null);
+          setError(quoteError.message);
+        }
+      })
+      .finally(() => {
+        if (isActive) {
+          setIsLoading(false);
+        }
+      });
+
+    return () => {
+      isActive = false;
+    };
+  }, [country, cartVersion]);
+
+  return { quote, isLoading, error };
+};
+
+export default useShippingQuote;
@@ -0,0 +1,84 @@
+/**
+ * Wishlist Hook - LaRama Frontend
+ * Tracks which products the signed-in customer has saved and toggles them
+ * Guests are sent to the sign-in page and brought back afterwards
+ */
+
+import { useCallback, useEffect, useState } from "react";
+import { useLocation, useNavigate } from "react-router-dom";
+import apiService from "../services/api";
+import { useAuth } from "./useAuth";
+
+/**
+ * useWishlist Hook
+ *
+ * @returns {{isSaved: Function, toggleSaved: Function, pendingIds: Object}} - Saved state helpers for heart buttons
+ */
+export const useWishlist = () => {
+  const { isAuthenticated } = useAuth();
+  const navigate = useNavigate();
+  const location = useLocation();
+  const [savedIds, setSavedIds] = useState(() => new Set());
+  const [pendingIds, setPendingIds] = useState({});
+
+  useEffect(() => {
+    if (!isAuthenticated) {
+      setSavedIds(new Set());
+      return undefined;
+    }
+
+    let isActive = true;
+
+    apiService
+      .getWishlist()
+      .then((response) => {
+        if (isActive) {
+          setSavedIds(new Set(response.data.items.map((item) => item.product.id)));
+        }
+      })
+      .catch(() => {
+        // Hearts simply show as empty when the wishlist cannot be loaded
+      });
+
+    return () => {
+      isActive = false;
+    };
+  }, [isAuthenticated]);
+
+  const isSaved = useCallback((productId) => savedIds.has(productId), [savedIds]);
+
+  const toggleSaved = useCallback(async (productId) => {
+    if (!isAuthenticated) {
+      navigate("/auth", { state: { from: location } });
+      return;
+    }
+
+    const wasSaved = savedIds.has(productId);
+    setPendingIds((prev) => ({ ...prev, [productId]: true }));
+
+    try {
+      if (wasSaved) {
+        await apiService.removeFromWishlist(productId);
+      } else {
+        await apiService.addToWishlist(productId);
+      }
+      setSavedIds((prev) => {
+        const next = new Set(prev);
+        if (wasSaved) {
+          next.delete(productId);
+        } else {
+          next.add(productId);
+        }
+        return next;
+      });
+    } catch (error) {
+      alert(error.message || "Could not update your wishlist. Please try again.");
+    } finally {
+      setPendingIds((prev) => ({ ...prev, [productId]: false }));
+    }
+  }, [isAuthenticated, location, navigate, savedIds]);
+
+  return { isSaved, toggleSaved, pendingIds };
+};
+
+export default useWishlist;
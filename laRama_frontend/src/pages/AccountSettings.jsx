@@ -0,0 +1,260 @@
+/**
+ * Account Settings Page - LaRama Frontend
+ * Lets signed-in customers edit their name and email, change their password,
+ * download their personal data and delete their account (orders are kept,
+ * anonymised, for the shop's records)
+ */
+
+import { useState } from "react";
+import { Link, useNavigate } from "react-router-dom";
+import apiService from "../services/api";
+import { useAuth } from "../hooks/useAuth";
+import DataExportCard from "../components/account/DataExportCard";
+
+const inputClassName =
+  "mt-1 w-full rounded-2xl border border-[#DCC5B2] bg-white/80 px-3 py-2 text-sm text-[#5C4B3D] focus:outline-none focus:ring-2 focus:ring-[#D9A299]";
+
+const primaryButtonClassName =
+  "rounded-full bg-[#5C4B3D] px-5 py-2 text-sm font-semibold text-[#F0E4D3] transition-all duration-300 hover:bg-[#3F3329] disabled:opacity-60";
+
+// Success or error line shown under a form
+const FormResult = ({ result }) =>
+  result ? (
+    <p className={`text-sm ${result.ok ? "text-[#5C4B3D]" : "text-[#B5533C]"}`}>{result.text}</p>
+  ) : null;
+
+/**
+ * AccountSettings Component - Main Export Function
+ * Profile, password, data export and account deletion cards
+ *
+ * @returns {JSX.Element} - Account management forms
+ */
+const AccountSettings = () => {
+  const { user, login, logout } = useAuth();
+  const navigate = useNavigate();
+
+  const [profile, setProfile] = useState({ name: user.name, email: user.email, currentPassword: "" });
+  const [profileResult, setProfileResult] = useState(null);
+  const [isSavingProfile, setIsSavingProfile] = useState(false);
+
+  const [passwords, setPasswords] = useState({ current: "", next: "", confirm: "" });
+  const [passwordResult, setPasswordResult] = useState(null);
+  const [isSavingPassword, setIsSavingPassword] = useState(false);
+
+  const [deletePassword, setDeletePassword] = useState("");
+  const [deleteResult, setDeleteResult] = useState(null);
+  const [isDeleting, setIsDeleting] = useState(false);
+
+  const emailChanged = profile.email.trim().toLowerCase() !== user.email;
+
+  const handleProfileSubmit = async (event) => {
+    event.preventDefault();
+    setIsSavingProfile(true);
+    setProfileResult(null);
+
+    try {
+      const response = await apiService.updateProfile({
+        name: profile.name,
+        email: profile.email,
+        ...(emailChanged && { current_password: profile.currentPassword }),
+      });
+      login({ ...user, ...response.data.user });
+      setProfile((prev) => ({ ...prev, email: response.data.user.email, currentPassword: "" }));
+      setProfileResult({ ok: true, text: response.message });
+    } catch (error) {
+      setProfileResult({ ok: false, text: error.message });
+    } finally {
+      setIsSavingProfile(false);
+    }
+  };
+
+  const handlePasswordSubmit = async (event) => {
+    event.preventDefault();
+
+    if (passwords.next !== passwords.confirm) {
+      setPasswordResult({ ok: false, text: "Passwords do not match" });
+      return;
+    }
+
+    setIsSavingPassword(true);
+    setPasswordResult(null);
+
+    try {
+      const response = await apiService.changePassword(passwords.current, passwords.next);
+      setPasswords({ current: "", next: "", confirm: "" });
+      setPasswordResult({ ok: true, text: response.message });
+    } catch (error) {
+      setPasswordResult({ ok: false, text: error.message });
+    } finally {
+      setIsSavingPassword(false);
+    }
+  };
+
+  const handleDelete = async (event) => {
+    event.preventDefault();
+
+    if (!window.confirm("Delete your LaRama account? This cannot be undone.")) {
+      return;
+    }
+
+    setIsDeleting(true);
+    setDeleteResult(null);
+
+    try {
+      await apiService.deleteAccount(deletePassword);
+      navigate("/", { replace: true });
+      await logout();
+    } catch (error) {
+      setDeleteResult({ ok: false, text: error.message });
+      setIsDeleting(false);
+    }
+  };
+
+  return (
+    <section className="min-h-[70vh] bg-[#F0E4D3] py-16 px-6 text-[#5C4B3D] transition-colors duration-700">
+      <div className="container mx-auto max-w-3xl">
+        <header className="mb-10">
+          <Link to="/dashboard" className="text-sm font-semibold text-[#A3846C] hover:underline">
+            ← Back to dashboard
+          </Link>
+          <h1 className="mt-3 text-4xl font-serif font-bold">Account Settings</h1>
+          <p className="mt-2 text-[#7A6654]">
+            Keep your details up to date. Manage where you are signed in on the{" "}
+            <Link to="/dashboard/devices" className="font-semibold underline-offset-4 hover:underline">
+              signed-in devices
+            </Link>{" "}
+            page.
+          </p>
+        </header>
+
+        {/* Profile Card - Name and Email */}
+        <article className="mb-8 rounded-3xl bg-white/80 p-6 shadow-xl shadow-[#d4bda8]/40 md:p-8">
+          <h2 className="mb-4 text-xl font-semibold">Profile</h2>
+          <form onSubmit={handleProfileSubmit} className="space-y-4">
+            <label className="block text-sm font-medium">
+              Name
+              <input
+                value={profile.name}
+                onChange={(e) => setProfile((prev) => ({ ...prev, name: e.target.value }))}
+                required
+                minLength={2}
+                maxLength={100}
+                className={inputClassName}
+              />
+            </label>
+            <label className="block text-sm font-medium">
+              Email
+              <input
+                type="email"
+                value={profile.email}
+                onChange={(e) => setProfile((prev) => ({ ...prev, email: e.target.value }))}
+                required
+                className={inputClassName}
+              />
+            </label>
+            {emailChanged && (
+              <label className="block text-sm font-medium">
+                Current password
+                <span className="block font-normal text-[#A3846C]">
+                  Needed to change your email. We will send a verification link to the new address.
+                </span>
+                <input
+                  type="password"
+                  value={profile.currentPassword}
+                  onChange={(e) => setProfile((prev) => ({ ...prev, currentPassword: e.target.value }))}
+                  required
+                  className={inputClassName}
+                />
+              </label>
+            )}
+            <FormResult result={profileResult} />
+            <button type="submit" disabled={isSavingProfile} className={primaryButtonClassName}>
+              {isSavingProfile ? "Saving..." : "Save profile"}
+            </button>
+          </form>
+        </article>
+
+        {/* Password Card - Change Password */}
+        <article className="mb-8 rounded-3xl bg-white/80 p-6 shadow-xl shadow-[#d4bda8]/40 md:p-8">
+          <h2 className="mb-1 text-xl font-semibold">Password</h2>
+          <p className="mb-4 text-sm text-[#7A6654]">Changing your password signs out your other devices.</p>
+          <form onSubmit={handlePasswordSubmit} className="space-y-4">
+            <label className="block text-sm font-medium">
+              Current password
+              <input
+                type="password"
+                value={passwords.current}
+                onChange={(e) => setPasswords((prev) => ({ ...prev, current: e.target.value }))}
+                required
+                className={inputClassName}
+              />
+            </label>
+            <div className="grid gap-4 md:grid-cols-2">
+              <label className="block text-sm font-medium">
+                New password
+                <input
+                  type="password"
+                  value={passwords.next}
+                  onChange={(e) => setPasswords((prev) => ({ ...prev, next: e.target.value }))}
+                  required
+                  minLength={6}
+                  maxLength={50}
+                  className={inputClassName}
+                />
+              </label>
+              <label className="block text-sm font-medium">
+                Confirm new password
+                <input
+                  type="password"
+                  value={passwords.confirm}
+                  onChange={(e) => setPasswords((prev) => ({ ...prev, confirm: e.target.value }))}
+                  required
+                  className={inputClassName}
+                />
+              </label>
+            </div>
+            <FormResult result={passwordResult} />
+            <button type="submit" disabled={isSavingPassword} className={primaryButtonClassName}>
+              {isSavingPassword ? "Saving..." : "Change password"}
+            </button>
+          </form>
+        </article>
+
+        {/* Data Export Card - Personal Data Download */}
+        <DataExportCard />
+
+        {/* Danger Zone - Account Deletion */}
+        <article className="rounded-3xl bg-[#FBEAE5] p-6 shadow-xl shadow-[#d4bda8]/40 md:p-8">
+          <h2 className="mb-1 text-xl font-semibold text-[#B5533C]">Delete account</h2>
+          <p className="mb-4 text-sm text-[#7A6654]">
+            Your profile, addresses, cart, wishlist and newsletter subscription are removed and you are signed out
+            everywhere. Past orders stay in our records without your name or email. Orders still on their way must
+            be delivered or cancelled first.
+          </p>
+          <form onSubmit={handleDelete} className="space-y-4">
+            <label className="block text-sm font-medium">
+              Password
+              <input
+                type="password"
+                value={deletePassword}
+                onChange={(e) => setDeletePassword(e.target.value)}
+                required
+                className={inputClassName}
+              />
+            </label>
+            <FormResult result={deleteResult} />
+            <button
+              type="submit"
+              disabled={isDeleting}
+              className="rounded-full bg-[#B5533C] px-5 py-2 text-sm font-semibold text-white transition-all duration-300 hover:bg-[#96412E] disabled:opacity-60"
+            >
+              {isDeleting ? "Deleting..." : "Delete my account"}
+            </button>
+          </form>
+        </article>
+      </div>
+    </section>
+  );
+};
+
+export default AccountSettings;
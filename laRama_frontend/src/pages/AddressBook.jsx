@@ -0,0 +1,153 @@
+/**
+ * Address Book Page - LaRama Frontend
+ * Lets signed-in customers save, edit, remove and choose a default shipping address
+ * The default address is preselected when placing an order
+ */
+
+import { useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import apiService from "../services/api";
+import AddressForm from "../components/addresses/AddressForm";
+import AddressSummary from "../components/addresses/AddressSummary";
+
+/**
+ * AddressBook Component - Main Export Function
+ * Lists saved addresses with inline add and edit forms
+ *
+ * @returns {JSX.Element} - Address cards with management actions
+ */
+const AddressBook = () => {
+  const [addresses, setAddresses] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState("");
+  const [editingId, setEditingId] = useState(null); // Address being edited, or "new"
+
+  const loadAddresses = async () => {
+    try {
+      const response = await apiService.getAddresses();
+      setAddresses(response.data.addresses);
+      setError("");
+    } catch (loadError) {
+      setError(loadError.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadAddresses();
+  }, []);
+
+  const handleCreate = async (values) => {
+    await apiService.createAddress(values);
+    setEditingId(null);
+    await loadAddresses();
+  };
+
+  const handleUpdate = async (addressId, values) => {
+    await apiService.updateAddress(addressId, values);
+    setEditingId(null);
+    await loadAddresses();
+  };
+
+  const handleSetDefault = async (addressId) => {
+    try {
+      await apiService.setDefaultAddress(addressId);
+      await loadAddresses();
+    } catch (actionError) {
+      setError(actionError.message);
+    }
+  };
+
+  const handleDelete = async (addressId) => {
+    if (!window.confirm("Remove this address from your address book?")) {
+      return;
+    }
+
+    try {
+      await apiService.deleteAddress(addressId);
+      await loadAddresses();
+    } catch (actionError) {
+      setError(actionError.message);
+    }
+  };
+
+  return (
+    <section className="min-h-[70vh] bg-[#F0E4D3] py-16 px-6 text-[#5C4B3D] transition-colors duration-700">
+      <div className="container mx-auto max-w-5xl">
+        <header className="mb-10">
+          <Link to="/dashboard" className="text-sm font-semibold text-[#A3846C] hover:underline">
+            ← Back to dashboard
+          </Link>
+          <h1 className="mt-3 text-4xl font-serif font-bold">Address Book</h1>
+          <p className="mt-2 text-[#7A6654]">Where we deliver your handcrafted pieces. Your default address is preselected at checkout.</p>
+        </header>
+
+        {error && <p className="mb-6 text-sm text-[#B5533C]">{error}</p>}
+
+        {/* New Address Form */}
+        <div className="mb-8 rounded-3xl bg-white/80 p-6 shadow-xl shadow-[#d4bda8]/40 md:p-8">
+          {editingId === "new" ? (
+            <>
+              <h2 className="mb-4 text-xl font-semibold">New address</h2>
+              <AddressForm onSubmit={handleCreate} onCancel={() => setEditingId(null)} />
+            </>
+          ) : (
+            <button
+              type="button"
+              onClick={() => setEditingId("new")}
+              className="rounded-full bg-[#5C4B3D] px-5 py-2 text-sm font-semibold text-[#F0E4D3] transition-all duration-300 hover:bg-[#3F3329]"
+            >
+              + Add an address
+            </button>
+          )}
+        </div>
+
+        {/* Saved Addresses */}
+        {isLoading && <p className="text-sm text-[#7A6654]">Loading your addresses...</p>}
+        {!isLoading && addresses.length === 0 && (
+          <p className="text-sm text-[#7A6654]">You have not saved any addresses yet.</p>
+        )}
+
+        <div className="grid gap-6 md:grid-cols-2">
+          {addresses.map((address) => (
+            <article key={address.id} className="rounded-3xl bg-white/70 p-6 shadow-lg shadow-[#d4bda8]/50">
+              {editingId === address.id ? (
+                <AddressForm
+                  address={address}
+                  onSubmit={(values) => handleUpdate(address.id, values)}
+                  onCancel={() => setEditingId(null)}
+                />
+              ) : (
+                <>
+                  <div className="mb-3 flex items-center justify-between gap-3">
+                    <h2 className="text-lg font-semibold">{address.label || "Address"}</h2>
+                    {address.is_default && (
+                      <span className="rounded-full bg-[#F0E4D3] px-3 py-1 text-xs font-semibold text-[#A3846C]">Default</span>
+                    )}
+                  </div>
+                  <AddressSummary address={address} />
+                  <div className="mt-5 flex flex-wrap gap-3 text-sm font-semibold">
+                    <button type="button" onClick={() => setEditingId(address.id)} className="text-[#5C4B3D] hover:underline">
+                      Edit
+                    </button>
+                    {!address.is_default && (
+                      <button type="button" onClick={() => handleSetDefault(address.id)} className="text-[#A3846C] hover:underline">
+                        Make default
+                      </button>
+                    )}
+                    <button type="button" onClick={() => handleDelete(address.id)} className="text-[#B5533C] hover:underline">
+                      Remove
+                    </button>
+                  </div>
+                </>
+              )}
+            </article>
+          ))}
+        </div>
+      </div>
+    </section>
+  );
+};
+
+export default AddressBook;
@@ -6,7 +6,7 @@
  */
 
 import { useState } from "react";
-import { useLocation, useNavigate } from "react-router-dom";
+import { Link, useLocation, useNavigate } from "react-router-dom";
 import { useAuth } from "../hooks/useAuth";
 
 /**
@@ -55,6 +55,20 @@ const Auth = () => {
   // Redirect target - returns user to intended page after successful authentication
   const redirectTo = location.state?.from?.pathname || "/dashboard";
 
+  /**
+   * Guest Cart Merge Notice
+   * Tells the user which guest cart items could not be merged in full because of stock
+   */
+  const notifyCartMerge = (cartMerge) => {
+    if (cartMerge?.adjusted_items?.length > 0) {
+      alert(
+        `Some items from your guest cart were limited by stock:\n\n${cartMerge.adjusted_items
+          .map((item) => item.message)
+          .join("\n")}`
+      );
+    }
+  };
+
   /**
    * Login Form Change Handler
    * Updates login form fields and clears previous errors when user types
@@ -107,6 +121,7 @@ const Auth = () => {
       if (result.success) {
         // Successful login - clear form and redirect to intended destination
         setLoginData({ email: "", password: "", error: "", isSubmitting: false });
+        notifyCartMerge(result.cartMerge);
         navigate(redirectTo, { replace: true });
       } else {
         // Authentication failed - display error message from server
@@ -193,6 +208,7 @@ const Auth = () => {
       if (result.success) {
         // Successful registration - clear form and redirect
         setSignupData({ name: "", email: "", password: "", error: "", isSubmitting: false });
+        notifyCartMerge(result.cartMerge);
         navigate(redirectTo, { replace: true });
       } else {
         // Registration failed - display server error message
@@ -328,6 +344,14 @@ const Auth = () => {
                         required
                         disabled={loginData.isSubmitting || loading}
                       />
+                      <div className="mt-2 text-right">
+                        <Link
+                          to="/forgot-password"
+                          className="text-sm text-[#D9A299] hover:text-[#c18981] font-medium transition-colors duration-300"
+                        >
+                          Forgot password?
+                        </Link>
+                      </div>
                     </div>
 
                     <button
@@ -1,19 +1,22 @@
 /**
  * Shopping Cart Page Component - LaRama Frontend
- * Manages user's shopping cart with item modification and WhatsApp checkout
- * Handles cart data fetching, quantity updates, item removal, and order processing
- * Integrates WhatsApp for professional order communication workflow
+ * Manages user's shopping cart with item modification and a shipping estimate
+ * Handles cart data fetching, quantity updates, item notes, save-for-later, discount codes and item removal
+ * Automatic promotions are shown on the lines they discount
+ * Orders are placed on the checkout page, which hands off to WhatsApp
  */
 
 import { useState, useEffect } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import { apiService } from '../services/api';
 import { useAuth } from '../hooks/useAuth';
+import { useShippingQuote } from '../hooks/useShippingQuote';
+import ShippingOptions from '../components/shipping/ShippingOptions';
 
 /**
  * Cart Component
- * Shopping cart management with WhatsApp-based checkout integration
- * Protected route requiring user authentication for cart access
+ * Shopping cart management leading to the multi-step checkout
+ * Open to guests, whose cart is named by a cart token; checkout requires signing in
  */
 const Cart = () => {
   // Cart state management
@@ -21,18 +24,29 @@ const Cart = () => {
   const [loading, setLoading] = useState(true); // Cart loading state
   const [error, setError] = useState(''); // Error message display
   const [updating, setUpdating] = useState({}); // Item update loading states
+  const [noteDrafts, setNoteDrafts] = useState({}); // Item notes being typed, saved on blur
+  const [shippingCountry, setShippingCountry] = useState('LB'); // Destination for the shipping estimate
+  const [shippingMethod, setShippingMethod] = useState(''); // Chosen shipping rate code
+  const [discountInput, setDiscountInput] = useState(''); // Discount code being typed
+  const [discountError, setDiscountError] = useState(''); // Why the code could not be applied
+  const [discountUpdating, setDiscountUpdating] = useState(false); // Apply/remove in flight
   
   // Authentication and navigation context
   const { isAuthenticated, user } = useAuth();
   const navigate = useNavigate();
 
+  // Shipping quote for the destination, refreshed whenever the cart changes
+  const { quote: shippingQuote, isLoading: quoteLoading, error: quoteError } = useShippingQuote(
+    cart && cart.items.length > 0 ? shippingCountry : '',
+    cart ? `${cart.total_items}-${cart.cart_total}-${cart.discount?.code || ''}` : ''
+  );
+  const shippingOption =
+    shippingQuote?.options.find((option) => option.code === shippingMethod) || shippingQuote?.options[0] || null;
+
+  // Reload after signing in, when the guest cart has been merged into the user's cart
   useEffect(() => {
-    if (!isAuthenticated) {
-      navigate('/auth', { state: { from: { pathname: '/cart' } } });
-      return;
-    }
     fetchCart();
-  }, [isAuthenticated, navigate]);
+  }, [isAuthenticated]);
 
   const fetchCart = async () => {
     try {
@@ -49,16 +63,11 @@ const Cart = () => {
     }
   };
 
-  const updateQuantity = async (cartItemId, newQuantity) => {
-    if (newQuantity <= 0) {
-      removeFromCart(cartItemId);
-      return;
-    }
-
+  const updateItem = async (cartItemId, changes) => {
     setUpdating(prev => ({ ...prev, [cartItemId]: true }));
     
     try {
-      const response = await apiService.updateCartItem(cartItemId, newQuantity);
+      const response = await apiService.updateCartItem(cartItemId, changes);
       if (response.success) {
         await fetchCart(); // Refresh cart
       } else {
@@ -71,6 +80,34 @@ const Cart = () => {
     }
   };
 
+  const updateQuantity = (cartItemId, newQuantity) => {
+    if (newQuantity <= 0) {
+      removeFromCart(cartItemId);
+      return;
+    }
+
+    updateItem(cartItemId, { quantity: newQuantity });
+  };
+
+  // Saved items stay in the cart but are left out of the total and the order
+  const setSavedForLater = (cartItemId, savedForLater) => {
+    updateItem(cartItemId, { saved_for_later: savedForLater });
+  };
+
+  const saveNote = async (item) => {
+    const draft = noteDrafts[item.cart_item_id];
+    if (draft === undefined || draft.trim() === (item.note || '')) {
+      return;
+    }
+
+    await updateItem(item.cart_item_id, { note: draft.trim() });
+    setNoteDrafts(prev => {
+      const next = { ...prev };
+      delete next[item.cart_item_id];
+      return next;
+    });
+  };
+
   const removeFromCart = async (cartItemId) => {
     setUpdating(prev => ({ ...prev, [cartItemId]: true }));
     
@@ -109,100 +146,47 @@ const Cart = () => {
     }
   };
 
-  const proceedToCheckout = async () => {
-    if (!cart || !cart.items || cart.items.length === 0) {
-      alert('Your cart is empty!');
+  const applyDiscountCode = async (event) => {
+    event.preventDefault();
+    if (!discountInput.trim()) {
       return;
     }
 
-    // Generate order reference number
-    const orderRef = `LRM-ORD-${Date.now()}`;
-    
-    // Create professional order summary
-    let orderSummary = `Dear LaRama Team,\n\n`;
-    orderSummary += `I would like to place an order for the following items:\n\n`;
-    orderSummary += `*ORDER DETAILS*\n`;
-    orderSummary += `━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n`;
-    orderSummary += `Order Reference: ${orderRef}\n`;
-    orderSummary += `Customer Name: ${user?.name || 'Not provided'}\n`;
-    orderSummary += `Email Address: ${user?.email || 'Not provided'}\n`;
-    orderSummary += `Order Date: ${new Date().toLocaleDateString()}\n\n`;
-    
-    orderSummary += `*ITEM BREAKDOWN (${cart.total_items} items):*\n`;
-    orderSummary += `━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n`;
-    
-    cart.items.forEach((item, index) => {
-      orderSummary += `${index + 1}. ${item.product.name}\n`;
-      orderSummary += `    Quantity: ${item.quantity}\n`;
-      orderSummary += `    Unit Price: ${formatPrice(item.product.price)}\n`;
-      orderSummary += `    Subtotal: ${formatPrice(item.item_total)}\n`;
-      if (index < cart.items.length - 1) orderSummary += `\n`;
-    });
-    
-    orderSummary += `\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n`;
-    orderSummary += `*ORDER TOTAL: ${formatPrice(cart.cart_total)}*\n`;
-    orderSummary += `*Shipping: To be calculated based on location*\n\n`;
-    
-    orderSummary += `*NEXT STEPS REQUESTED:*\n`;
-    orderSummary += `• Order confirmation and availability check\n`;
-    orderSummary += `• Shipping cost calculation\n`;
-    orderSummary += `• Payment method and instructions\n`;
-    orderSummary += `• Estimated delivery timeline\n\n`;
-    
-    orderSummary += `Please let me know the total cost including shipping and your preferred payment method.\n\n`;
-    orderSummary += `Thank you for your excellent craftsmanship and service.\n\n`;
-    orderSummary += `Best regards`;
-
-    // Encode message for WhatsApp
-    const encodedMessage = encodeURIComponent(orderSummary);
-    const whatsappUrl = `https://wa.me/96171361960?text=${encodedMessage}`;
-    
-    // Show confirmation dialog
-    const confirmed = confirm(
-      `Order Summary:\n\n` +
-      `Order Reference: ${orderRef}\n` +
-      `Items: ${cart.total_items}\n` +
-      `Total: ${formatPrice(cart.cart_total)}\n\n` +
-      `This will open WhatsApp to send your order details to LaRama.\n\n` +
-      `Click OK to proceed with your order.`
-    );
-    
-    if (!confirmed) return;
-
-    // Collect a shipping address for backend order creation
-    const shippingAddress = prompt(
-      'Please provide your shipping address for this order (required to confirm stock):',
-      ''
-    );
-
-    if (!shippingAddress || shippingAddress.trim().length < 10) {
-      alert('Shipping address must be at least 10 characters. Order was not submitted.');
-      return;
-    }
+    setDiscountUpdating(true);
+    setDiscountError('');
 
     try {
-      setLoading(true);
-      const orderResponse = await apiService.createOrder({ shipping_address: shippingAddress.trim() });
-
-      if (!orderResponse.success) {
-        alert(orderResponse.message || 'Failed to create order.');
-        return;
-      }
-
-      // Refresh cart to reflect cleared cart after successful order
-      await fetchCart();
+      await apiService.applyDiscountCode(discountInput.trim());
+      setDiscountInput('');
+      await fetchCart(); // Refresh cart
+    } catch (error) {
+      setDiscountError(error.message);
+    } finally {
+      setDiscountUpdating(false);
+    }
+  };
 
-      // Open WhatsApp in new tab only after backend confirms order
-      window.open(whatsappUrl, '_blank');
+  const removeDiscountCode = async () => {
+    setDiscountUpdating(true);
+    setDiscountError('');
 
-      alert(
-        `Order submitted successfully!\n\nOrder Reference: ${orderRef}\n\nWe'll contact you via WhatsApp to confirm details and provide payment instructions.`
-      );
+    try {
+      await apiService.removeDiscountCode();
+      await fetchCart(); // Refresh cart
     } catch (error) {
-      alert(error.message || 'Unable to create order.');
+      setDiscountError(error.message);
     } finally {
-      setLoading(false);
+      setDiscountUpdating(false);
+    }
+  };
+
+  const proceedToCheckout = () => {
+    if (!cart || !cart.items || cart.items.length === 0) {
+      alert('Your cart is empty!');
+      return;
     }
+
+    navigate('/checkout');
   };
 
   const formatPrice = (price) => {
@@ -222,10 +206,6 @@ const Cart = () => {
     );
   }
 
-  if (!isAuthenticated) {
-    return null; // Will redirect via useEffect
-  }
-
   return (
     <div className="min-h-screen py-12 px-4 bg-[#FAF7F3]">
       <div className="container mx-auto max-w-6xl">
@@ -236,7 +216,9 @@ const Cart = () => {
         <div className="text-center mb-12">
           <h1 className="text-4xl font-serif font-bold text-[#5C4B3D] mb-4">Your Cart</h1>
           <p className="text-lg text-[#8C8A87]">
-            Welcome back, {user?.name}! Review your selected items below.
+            {isAuthenticated
+              ? `Welcome back, ${user?.name}! Review your selected items below.`
+              : "Review your selected items below. You'll sign in at checkout and your cart comes with you."}
           </p>
           {error && (
             <div className="mt-4 p-3 bg-red-100 border border-red-400 text-red-700 rounded">
@@ -284,7 +266,17 @@ const Cart = () => {
                         <h3 className="font-semibold text-[#5C4B3D] mb-1">{item.product.name}</h3>
                         <p className="text-sm text-[#8C8A87] mb-2">{item.product.category}</p>
                         <p className="font-medium text-[#D9A299]">{formatPrice(item.product.price)} each</p>
-                        <p className="text-xs text-[#8C8A87]">Stock: {item.product.stock_quantity}</p>
+                        <p className="text-xs text-[#8C8A87]">Available: {item.product.available_quantity}</p>
+                        <input
+                          type="text"
+                          value={noteDrafts[item.cart_item_id] ?? item.note ?? ''}
+                          onChange={(e) => setNoteDrafts(prev => ({ ...prev, [item.cart_item_id]: e.target.value }))}
+                          onBlur={() => saveNote(item)}
+                          maxLength={300}
+                          aria-label={`Note for ${item.product.name}`}
+                          placeholder='Note for Rama, e.g. "gift for my mother, include card"'
+                          className="mt-3 w-full px-3 py-2 text-sm border border-gray-200 rounded-lg text-[#5C4B3D] focus:outline-none focus:border-[#D9A299]"
+                        />
                       </div>
                       
                       <div className="flex flex-col items-end gap-2">
@@ -299,15 +291,34 @@ const Cart = () => {
                           <span className="w-8 text-center font-medium">{item.quantity}</span>
                           <button
                             onClick={() => updateQuantity(item.cart_item_id, item.quantity + 1)}
-                            disabled={updating[item.cart_item_id] || item.quantity >= item.product.stock_quantity}
+                            disabled={updating[item.cart_item_id] || item.quantity >= item.product.available_quantity}
                             className="w-8 h-8 flex items-center justify-center rounded-full border border-[#D9A299] text-[#D9A299] hover:bg-[#D9A299] hover:text-white disabled:opacity-50"
                           >
                             +
                           </button>
                         </div>
                         
-                        <p className="font-bold text-[#5C4B3D]">{formatPrice(item.item_total)}</p>
+                        {item.promotions.length > 0 ? (
+                          <div className="text-right">
+                            <p className="text-sm text-[#8C8A87] line-through">{formatPrice(item.item_total)}</p>
+                            <p className="font-bold text-[#5C4B3D]">{formatPrice(item.discounted_total)}</p>
+                            {item.promotions.map((promotion) => (
+                              <p key={promotion.promotion_id} className="text-xs text-[#A3846C]">
+                                {promotion.name} -{formatPrice(promotion.amount)}
+                              </p>
+                            ))}
+                          </div>
+                        ) : (
+                          <p className="font-bold text-[#5C4B3D]">{formatPrice(item.item_total)}</p>
+                        )}
                         
+                        <button
+                          onClick={() => setSavedForLater(item.cart_item_id, true)}
+                          disabled={updating[item.cart_item_id]}
+                          className="text-[#A3846C] hover:text-[#5C4B3D] text-sm disabled:opacity-50"
+                        >
+                          Save for later
+                        </button>
                         <button
                           onClick={() => removeFromCart(item.cart_item_id)}
                           disabled={updating[item.cart_item_id]}
@@ -332,28 +343,91 @@ const Cart = () => {
                     <span className="text-[#8C8A87]">Subtotal ({cart.total_items} items)</span>
                     <span className="font-medium">{formatPrice(cart.cart_total)}</span>
                   </div>
+                  {cart.promotions.length > 0 && (
+                    <div className="flex justify-between">
+                      <span className="text-[#8C8A87]">Promotions</span>
+                      <span className="font-medium text-[#5C4B3D]">-{formatPrice(parseFloat(cart.promotion_amount))}</span>
+                    </div>
+                  )}
+                  {cart.discount ? (
+                    <div>
+                      <div className="flex justify-between items-center">
+                        <span className="text-[#8C8A87]">
+                          Discount <span className="font-semibold text-[#5C4B3D]">{cart.discount.code}</span>
+                          <button
+                            onClick={removeDiscountCode}
+                            disabled={discountUpdating}
+                            className="ml-2 text-red-600 hover:text-red-800 text-xs disabled:opacity-50"
+                          >
+                            Remove
+                          </button>
+                        </span>
+                        <span className="font-medium text-[#5C4B3D]">
+                          {cart.discount.is_valid
+                            ? (cart.discount.discount_type === 'free_shipping' ? 'Free shipping' : `-${formatPrice(cart.discount.amount)}`)
+                            : '—'}
+                        </span>
+                      </div>
+                      {!cart.discount.is_valid && (
+                        <p className="mt-1 text-xs text-[#B5533C]">{cart.discount.message}</p>
+                      )}
+                    </div>
+                  ) : (
+                    <form onSubmit={applyDiscountCode} className="flex gap-2">
+                      <input
+                        type="text"
+                        value={discountInput}
+                        onChange={(e) => setDiscountInput(e.target.value)}
+                        maxLength={40}
+                        aria-label="Discount code"
+                        placeholder="Discount code"
+                        className="flex-grow min-w-0 px-3 py-2 text-sm border border-gray-200 rounded-lg uppercase text-[#5C4B3D] focus:outline-none focus:border-[#D9A299]"
+                      />
+                      <button
+                        type="submit"
+                        disabled={discountUpdating || !discountInput.trim()}
+                        className="px-4 py-2 text-sm font-semibold rounded-lg border border-[#5C4B3D] text-[#5C4B3D] hover:bg-[#5C4B3D] hover:text-white transition-colors disabled:opacity-50"
+                      >
+                        Apply
+                      </button>
+                    </form>
+                  )}
+                  {discountError && <p className="text-xs text-[#B5533C]">{discountError}</p>}
+                  <ShippingOptions
+                    country={shippingCountry}
+                    onCountryChange={setShippingCountry}
+                    quote={shippingQuote}
+                    isLoading={quoteLoading}
+                    error={quoteError}
+                    selectedMethod={shippingOption?.code || ''}
+                    onMethodChange={setShippingMethod}
+                  />
                   <div className="flex justify-between">
-                    <span className="text-[#8C8A87]">Shipping</span>
-                    <span className="font-medium">Calculated at checkout</span>
+                    <span className="text-[#8C8A87]">Estimated shipping</span>
+                    <span className="font-medium">
+                      {shippingOption ? (shippingOption.is_free ? 'Free' : formatPrice(shippingOption.cost)) : '—'}
+                    </span>
                   </div>
                   <div className="border-t pt-4">
                     <div className="flex justify-between">
                       <span className="text-lg font-semibold text-[#5C4B3D]">Total</span>
-                      <span className="text-lg font-bold text-[#D9A299]">{formatPrice(cart.cart_total)}</span>
+                      <span className="text-lg font-bold text-[#D9A299]">
+                        {formatPrice(shippingOption ? shippingOption.grand_total : parseFloat(cart.cart_total) - parseFloat(cart.discount_amount))}
+                      </span>
                     </div>
                   </div>
                 </div>
                 
                 <button
                   onClick={proceedToCheckout}
-                  className="w-full bg-[#D9A299] hover:bg-[#c18981] text-white font-semibold py-3 px-6 rounded-lg transition-colors duration-300 mb-4"
+                  className="w-full bg-[#D9A299] hover:bg-[#c18981] text-white font-semibold py-3 px-6 rounded-lg transition-colors duration-300 mb-4 disabled:opacity-50"
                 >
-                  📱 Place Order via WhatsApp
+                  {isAuthenticated ? 'Proceed to Checkout' : 'Sign in to Checkout'}
                 </button>
                 
                 {/* Information Text */}
                 <p className="text-center text-xs text-[#8C8A87] mb-4">
-                  🌟 Your order will be sent via WhatsApp for personal service and payment coordination.
+                  🌟 After checkout your order is sent via WhatsApp for personal service and payment coordination.
                 </p>
                 
                 <Link
@@ -393,6 +467,63 @@ const Cart = () => {
             </Link>
           </div>
         )}
+
+        {/* Saved for Later */}
+        {cart && cart.saved_items && cart.saved_items.length > 0 && (
+          <div className="mt-12 bg-white rounded-lg shadow-md">
+            <div className="p-6 border-b border-gray-200">
+              <h2 className="text-xl font-serif font-semibold text-[#5C4B3D]">
+                Saved for Later ({cart.saved_items.length})
+              </h2>
+              <p className="text-sm text-[#8C8A87] mt-1">
+                Kept aside while you check with Rama. These items are not part of your total or your order.
+              </p>
+            </div>
+
+            <div className="p-6 space-y-4">
+              {cart.saved_items.map((item) => (
+                <div key={item.cart_item_id} className="flex gap-4 p-4 border border-gray-200 rounded-lg">
+                  <div className="w-16 h-16 flex-shrink-0 bg-[#FAF7F3] rounded-lg overflow-hidden">
+                    <img
+                      src={item.product.image_url || fallbackSvg}
+                      alt={item.product.name}
+                      className="w-full h-full object-contain"
+                      onError={(e) => {
+                        e.target.src = fallbackSvg;
+                      }}
+                    />
+                  </div>
+
+                  <div className="flex-grow">
+                    <h3 className="font-semibold text-[#5C4B3D]">{item.product.name}</h3>
+                    <p className="text-sm text-[#8C8A87]">
+                      {item.quantity} × {formatPrice(item.product.price)}
+                      {item.product.available_quantity < item.quantity && ` · Only ${item.product.available_quantity} available`}
+                    </p>
+                    {item.note && <p className="text-sm italic text-[#7A6654] mt-1">Note: {item.note}</p>}
+                  </div>
+
+                  <div className="flex flex-col items-end gap-2">
+                    <button
+                      onClick={() => setSavedForLater(item.cart_item_id, false)}
+                      disabled={updating[item.cart_item_id] || item.product.available_quantity < item.quantity}
+                      className="text-[#D9A299] hover:text-[#c18981] text-sm font-medium disabled:opacity-50"
+                    >
+                      Move to cart
+                    </button>
+                    <button
+                      onClick={() => removeFromCart(item.cart_item_id)}
+                      disabled={updating[item.cart_item_id]}
+                      className="text-red-600 hover:text-red-800 text-sm disabled:opacity-50"
+                    >
+                      Remove
+                    </button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
       </div>
     </div>
   );
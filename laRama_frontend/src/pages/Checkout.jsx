@@ -0,0 +1,511 @@
+/**
+ * Checkout Page - LaRama Frontend
+ * Guides the customer through address, shipping, notes and review before placing the order
+ * Places the order once, then offers the WhatsApp hand-off for payment coordination
+ * Stock problems reported by the server are shown next to the affected items
+ * Opening checkout holds the cart quantities for a short time; leaving releases them
+ */
+
+import { useEffect, useRef, useState } from "react";
+import { Link } from "react-router-dom";
+import apiService from "../services/api";
+import { useAuth } from "../hooks/useAuth";
+import { useShippingQuote } from "../hooks/useShippingQuote";
+import ShippingOptions from "../components/shipping/ShippingOptions";
+import AddressForm from "../components/addresses/AddressForm";
+import AddressSummary from "../components/addresses/AddressSummary";
+import EmailVerificationNotice from "../components/auth/EmailVerificationNotice";
+
+// Checkout steps, in order
+const STEPS = ["Address", "Shipping", "Notes", "Review"];
+
+const formatPrice = (value) => `$${Number(value || 0).toFixed(2)}`;
+
+const formatTime = (value) => new Date(value).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+
+// Index stock_issues from the API by cart item so they can be shown next to each item
+const indexStockIssues = (issues = []) => Object.fromEntries(issues.map((issue) => [issue.cart_item_id, issue]));
+
+const primaryButtonClassName =
+  "rounded-full bg-[#5C4B3D] px-6 py-2 text-sm font-semibold text-[#F0E4D3] transition-all duration-300 hover:bg-[#3F3329] disabled:opacity-60";
+const secondaryButtonClassName =
+  "rounded-full border border-[#5C4B3D] px-6 py-2 text-sm font-semibold text-[#5C4B3D] transition-all duration-300 hover:bg-[#5C4B3D] hover:text-[#F0E4D3]";
+const inputClassName =
+  "mt-1 w-full rounded-2xl border border-[#DCC5B2] bg-white/80 px-3 py-2 text-sm text-[#5C4B3D] focus:outline-none focus:ring-2 focus:ring-[#D9A299]";
+
+/**
+ * Checkout Component - Main Export Function
+ *
+ * @returns {JSX.Element} - Step indicator, the current step and the order summary
+ */
+const Checkout = () => {
+  const { user } = useAuth();
+  const [cart, setCart] = useState(null);
+  const [addresses, setAddresses] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [loadError, setLoadError] = useState("");
+
+  const [step, setStep] = useState(0);
+  const [addressId, setAddressId] = useState("");
+  const [isAddingAddress, setIsAddingAddress] = useState(false);
+  const [shippingMethod, setShippingMethod] = useState("");
+  const [orderNotes, setOrderNotes] = useState("");
+  const [isGift, setIsGift] = useState(false);
+  const [giftMessage, setGiftMessage] = useState("");
+
+  const [isPlacing, setIsPlacing] = useState(false);
+  const [placeError, setPlaceError] = useState("");
+  const [stockIssues, setStockIssues] = useState({}); // Keyed by cart_item_id
+  const [needsEmailVerification, setNeedsEmailVerification] = useState(false);
+  const [placedOrder, setPlacedOrder] = useState(null);
+  const [whatsAppError, setWhatsAppError] = useState("");
+  const [reservationExpiresAt, setReservationExpiresAt] = useState(null);
+  const placedOrderRef = useRef(false);
+  // One key per checkout attempt: a double click or a retried request replays the same order
+  const [idempotencyKey] = useState(() => apiService.createIdempotencyKey());
+
+  const selectedAddress = addresses.find((address) => address.id === addressId) || null;
+
+  const { quote, isLoading: quoteLoading, error: quoteError } = useShippingQuote(
+    cart && cart.items.length > 0 && selectedAddress ? selectedAddress.country : "",
+    cart ? `${cart.total_items}-${cart.cart_total}-${cart.discount?.code || ""}` : ""
+  );
+  const shippingOption =
+    quote?.options.find((option) => option.code === shippingMethod) || quote?.options[0] || null;
+
+  // Load the cart and the address book (default address first), then hold the cart's stock
+  useEffect(() => {
+    Promise.all([apiService.getCart(), apiService.getAddresses()])
+      .then(([cartResponse, addressResponse]) => {
+        const saved = addressResponse.data.addresses;
+        setCart(cartResponse.data.cart);
+        setAddresses(saved);
+        setAddressId(saved.length > 0 ? saved[0].id : "");
+        setIsAddingAddress(saved.length === 0);
+
+        if (cartResponse.data.cart.items.length > 0) {
+          apiService
+            .startCheckoutReservation()
+            .then((response) => setReservationExpiresAt(response.data.reservation.expires_at))
+            .catch((error) => {
+              setStockIssues(indexStockIssues(error.data?.stock_issues));
+              setPlaceError(error.message);
+            });
+        }
+      })
+      .catch((error) => setLoadError(error.message))
+      .finally(() => setIsLoading(false));
+
+    // Leaving checkout without ordering gives the held units back to other customers
+    return () => {
+      if (!placedOrderRef.current) {
+        apiService.releaseCheckoutReservation().catch(() => {});
+      }
+    };
+  }, []);
+
+  const handleAddAddress = async (values) => {
+    const response = await apiService.createAddress(values);
+    const created = response.data.address;
+    setAddresses((prev) => [...prev, created]);
+    setAddressId(created.id);
+    setIsAddingAddress(false);
+  };
+
+  const canContinue = [
+    Boolean(selectedAddress),
+    Boolean(shippingOption),
+    true,
+    true,
+  ][step];
+
+  const handlePlaceOrder = async () => {
+    setIsPlacing(true);
+    setPlaceError("");
+    setStockIssues({});
+    setNeedsEmailVerification(false);
+
+    try {
+      const response = await apiService.createOrder({
+        address_id: selectedAddress.id,
+        shipping_method: shippingOption.code,
+        order_notes: orderNotes.trim() || undefined,
+        gift_message: isGift && giftMessage.trim() ? giftMessage.trim() : undefined,
+      }, idempotencyKey);
+      placedOrderRef.current = true;
+      setPlacedOrder(response.data.order);
+    } catch (error) {
+      setStockIssues(indexStockIssues(error.data?.stock_issues));
+      setNeedsEmailVerification(Boolean(error.data?.email_verification_required));
+      setPlaceError(error.message);
+    } finally {
+      setIsPlacing(false);
+    }
+  };
+
+  const handleWhatsApp = async () => {
+    setWhatsAppError("");
+
+    try {
+      const response = await apiService.getOrderWhatsAppLink(placedOrder.id);
+      window.open(response.data.link, "_blank");
+    } catch (error) {
+      setWhatsAppError(error.message);
+    }
+  };
+
+  if (isLoading) {
+    return (
+      <section className="min-h-[70vh] bg-[#F0E4D3] py-16 px-6 text-center text-[#5C4B3D]">
+        <p>Preparing your checkout...</p>
+      </section>
+    );
+  }
+
+  // Order placed - confirmation and WhatsApp hand-off
+  if (placedOrder) {
+    return (
+      <section className="min-h-[70vh] bg-[#F0E4D3] py-16 px-6 text-[#5C4B3D]">
+        <div className="container mx-auto max-w-2xl rounded-3xl bg-white/80 p-8 text-center shadow-xl shadow-[#d4bda8]/40">
+          <p className="text-sm uppercase tracking-[0.3em] text-[#A3846C]">Thank you</p>
+          <h1 className="mt-2 text-3xl font-serif font-bold">Order {placedOrder.reference} placed</h1>
+          <p className="mt-4 text-[#7A6654]">
+            Total {formatPrice(placedOrder.total_amount)}. Send your order on WhatsApp so Rama can confirm
+            the details and share payment instructions.
+          </p>
+          {whatsAppError && <p className="mt-4 text-sm text-[#B5533C]">{whatsAppError}</p>}
+          <div className="mt-8 flex flex-wrap justify-center gap-3">
+            <button type="button" onClick={handleWhatsApp} className={primaryButtonClassName}>
+              📱 Send order on WhatsApp
+            </button>
+            <Link to={`/dashboard/orders/${placedOrder.id}`} className={secondaryButtonClassName}>
+              View order
+            </Link>
+          </div>
+        </div>
+      </section>
+    );
+  }
+
+  if (loadError || !cart || cart.items.length === 0) {
+    return (
+      <section className="min-h-[70vh] bg-[#F0E4D3] py-16 px-6 text-center text-[#5C4B3D]">
+        <h1 className="text-3xl font-serif font-bold">Checkout</h1>
+        <p className="mt-4 text-[#7A6654]">{loadError || "Your cart is empty."}</p>
+        <Link to="/products" className={`mt-6 inline-block ${primaryButtonClassName}`}>
+          Browse the collection
+        </Link>
+      </section>
+    );
+  }
+
+  const hasStockIssues = Object.keys(stockIssues).length > 0;
+
+  return (
+    <section className="min-h-[70vh] bg-[#F0E4D3] py-16 px-6 text-[#5C4B3D]">
+      <div className="container mx-auto max-w-5xl">
+        <header className="mb-10">
+          <Link to="/cart" className="text-sm font-semibold text-[#A3846C] hover:underline">
+            ← Back to cart
+          </Link>
+          <h1 className="mt-3 text-4xl font-serif font-bold">Checkout</h1>
+
+          {/* Step Indicator */}
+          <ol className="mt-6 flex flex-wrap gap-3 text-sm">
+            {STEPS.map((label, index) => (
+              <li key={label}>
+                <button
+                  type="button"
+                  onClick={() => setStep(index)}
+                  disabled={index > step}
+                  className={`rounded-full px-4 py-1.5 font-semibold transition-colors ${
+                    index === step
+                      ? "bg-[#5C4B3D] text-[#F0E4D3]"
+                      : index < step
+                        ? "bg-white/80 text-[#5C4B3D] hover:bg-white"
+                        : "bg-white/40 text-[#A3846C]"
+                  }`}
+                >
+                  {index + 1}. {label}
+                </button>
+              </li>
+            ))}
+          </ol>
+        </header>
+
+        <div className="grid gap-8 lg:grid-cols-3">
+          <div className="rounded-3xl bg-white/80 p-6 shadow-xl shadow-[#d4bda8]/40 md:p-8 lg:col-span-2">
+            {/* Step 1 - Delivery Address */}
+            {step === 0 && (
+              <div className="space-y-4">
+                <h2 className="text-xl font-semibold">Where should we deliver?</h2>
+                {addresses.map((address) => (
+                  <label
+                    key={address.id}
+                    className={`flex cursor-pointer gap-3 rounded-2xl border p-4 transition-colors ${
+                      address.id === addressId ? "border-[#D9A299] bg-[#FAF7F3]" : "border-[#E8D8C8]"
+                    }`}
+                  >
+                    <input
+                      type="radio"
+                      name="checkout-address"
+                      checked={address.id === addressId}
+                      onChange={() => setAddressId(address.id)}
+                      className="mt-1 accent-[#D9A299]"
+                    />
+                    <span>
+                      {address.label && <span className="block text-sm font-semibold text-[#A3846C]">{address.label}</span>}
+                      <AddressSummary address={address} />
+                    </span>
+                  </label>
+                ))}
+
+                {isAddingAddress ? (
+                  <div className="rounded-2xl border border-[#E8D8C8] p-4">
+                    <h3 className="mb-4 font-semibold">New address</h3>
+                    <AddressForm
+                      onSubmit={handleAddAddress}
+                      onCancel={addresses.length > 0 ? () => setIsAddingAddress(false) : undefined}
+                      submitLabel="Save and use this address"
+                    />
+                  </div>
+                ) : (
+                  <button
+                    type="button"
+                    onClick={() => setIsAddingAddress(true)}
+                    className="text-sm font-semibold text-[#A3846C] hover:underline"
+                  >
+                    + Deliver to a new address
+                  </button>
+                )}
+              </div>
+            )}
+
+            {/* Step 2 - Shipping Method */}
+            {step === 1 && (
+              <div className="space-y-4">
+                <h2 className="text-xl font-semibold">How should we ship it?</h2>
+                <ShippingOptions
+                  country={selectedAddress?.country || ""}
+                  quote={quote}
+                  isLoading={quoteLoading}
+                  error={quoteError}
+                  selectedMethod={shippingOption?.code || ""}
+                  onMethodChange={setShippingMethod}
+                />
+              </div>
+            )}
+
+            {/* Step 3 - Order Notes and Gift Message */}
+            {step === 2 && (
+              <div className="space-y-4">
+                <h2 className="text-xl font-semibold">Anything we should know?</h2>
+                <label className="block text-sm font-medium">
+                  Order notes <span className="font-normal text-[#A3846C]">(optional)</span>
+                  <textarea
+                    value={orderNotes}
+                    onChange={(event) => setOrderNotes(event.target.value)}
+                    rows={3}
+                    maxLength={500}
+                    className={inputClassName}
+                    placeholder="Colour preferences, delivery timing..."
+                  />
+                </label>
+                <label className="flex items-center gap-2 text-sm">
+                  <input
+                    type="checkbox"
+                    checked={isGift}
+                    onChange={(event) => setIsGift(event.target.checked)}
+                    className="accent-[#D9A299]"
+                  />
+                  This order is a gift
+                </label>
+                {isGift && (
+                  <label className="block text-sm font-medium">
+                    Gift message
+                    <textarea
+                      value={giftMessage}
+                      onChange={(event) => setGiftMessage(event.target.value)}
+                      rows={3}
+                      maxLength={300}
+                      className={inputClassName}
+                      placeholder="We will handwrite this on a card"
+                    />
+                  </label>
+                )}
+              </div>
+            )}
+
+            {/* Step 4 - Review */}
+            {step === 3 && (
+              <div className="space-y-6">
+                <h2 className="text-xl font-semibold">Review your order</h2>
+
+                <ul className="divide-y divide-[#E8D8C8]">
+                  {cart.items.map((item) => {
+                    const issue = stockIssues[item.cart_item_id];
+                    return (
+                      <li key={item.cart_item_id} className="py-3">
+                        <div className="flex justify-between gap-4 text-sm">
+                          <span>
+                            {item.product.name} × {item.quantity}
+                          </span>
+                          <span className="font-semibold">{formatPrice(item.discounted_total)}</span>
+                        </div>
+                        {item.promotions.map((promotion) => (
+                          <p key={promotion.promotion_id} className="mt-1 text-xs text-[#A3846C]">
+                            {promotion.name} -{formatPrice(promotion.amount)}
+                          </p>
+                        ))}
+                        {item.note && <p className="mt-1 text-sm italic text-[#7A6654]">Note: {item.note}</p>}
+                        {issue && (
+                          <p className="mt-1 text-sm text-[#B5533C]">
+                            {issue.available > 0
+                              ? `Only ${issue.available} left in stock — please reduce the quantity.`
+                              : "This piece is now out of stock — please remove it from your cart."}
+                          </p>
+                        )}
+                      </li>
+                    );
+                  })}
+                </ul>
+
+                <div className="grid gap-4 text-sm md:grid-cols-2">
+                  <div>
+                    <div className="mb-1 flex justify-between">
+                      <span className="font-semibold">Deliver to</span>
+                      <button type="button" onClick={() => setStep(0)} className="text-[#A3846C] hover:underline">Change</button>
+                    </div>
+                    {selectedAddress && <AddressSummary address={selectedAddress} />}
+                  </div>
+                  <div>
+                    <div className="mb-1 flex justify-between">
+                      <span className="font-semibold">Shipping</span>
+                      <button type="button" onClick={() => setStep(1)} className="text-[#A3846C] hover:underline">Change</button>
+                    </div>
+                    <p className="text-[#7A6654]">{shippingOption?.name}</p>
+                    <div className="mb-1 mt-4 flex justify-between">
+                      <span className="font-semibold">Notes</span>
+                      <button type="button" onClick={() => setStep(2)} className="text-[#A3846C] hover:underline">Change</button>
+                    </div>
+                    <p className="whitespace-pre-line text-[#7A6654]">{orderNotes.trim() || "None"}</p>
+                    {isGift && giftMessage.trim() && (
+                      <p className="mt-2 whitespace-pre-line italic text-[#7A6654]">🎁 {giftMessage.trim()}</p>
+                    )}
+                  </div>
+                </div>
+              </div>
+            )}
+
+            {/* Order Problems - failed reservation or order attempt */}
+            {needsEmailVerification && (
+              <div className="mt-6">
+                <EmailVerificationNotice email={user.email} message={placeError} />
+              </div>
+            )}
+            {placeError && !needsEmailVerification && (
+              <div className="mt-6 rounded-2xl bg-[#FBEAE5] p-4 text-sm text-[#B5533C]">
+                <p>{placeError}</p>
+                {hasStockIssues && (
+                  <>
+                    {step !== 3 && (
+                      <ul className="mt-2 list-disc pl-5">
+                        {Object.values(stockIssues).map((issue) => (
+                          <li key={issue.cart_item_id}>{issue.message}</li>
+                        ))}
+                      </ul>
+                    )}
+                    <Link to="/cart" className="mt-2 inline-block font-semibold underline">
+                      Update your cart
+                    </Link>
+                  </>
+                )}
+              </div>
+            )}
+
+            {/* Step Navigation */}
+            <div className="mt-8 flex justify-between gap-3">
+              {step > 0 ? (
+                <button type="button" onClick={() => setStep(step - 1)} className={secondaryButtonClassName}>
+                  Back
+                </button>
+              ) : (
+                <span />
+              )}
+              {step < STEPS.length - 1 ? (
+                <button
+                  type="button"
+                  onClick={() => setStep(step + 1)}
+                  disabled={!canContinue}
+                  className={primaryButtonClassName}
+                >
+                  Continue
+                </button>
+              ) : (
+                <button
+                  type="button"
+                  onClick={handlePlaceOrder}
+                  disabled={isPlacing || !selectedAddress || !shippingOption || hasStockIssues}
+                  className={primaryButtonClassName}
+                >
+                  {isPlacing ? "Placing order..." : "Place order"}
+                </button>
+              )}
+            </div>
+          </div>
+
+          {/* Order Summary */}
+          <aside className="h-fit rounded-3xl bg-white/70 p-6 shadow-lg shadow-[#d4bda8]/50">
+            <h2 className="text-lg font-semibold">Order summary</h2>
+            <dl className="mt-4 space-y-2 text-sm">
+              <div className="flex justify-between">
+                <dt className="text-[#7A6654]">Subtotal ({cart.total_items} items)</dt>
+                <dd>{formatPrice(cart.cart_total)}</dd>
+              </div>
+              <div className="flex justify-between">
+                <dt className="text-[#7A6654]">Shipping</dt>
+                <dd>{shippingOption ? (shippingOption.is_free ? "Free" : formatPrice(shippingOption.cost)) : "—"}</dd>
+              </div>
+              {cart.promotions.length > 0 && (
+                <div className="flex justify-between">
+                  <dt className="text-[#7A6654]">Promotions</dt>
+                  <dd>-{formatPrice(cart.promotion_amount)}</dd>
+                </div>
+              )}
+              {cart.discount && (
+                <div className="flex justify-between">
+                  <dt className="text-[#7A6654]">Discount ({cart.discount.code})</dt>
+                  <dd>
+                    {cart.discount.is_valid
+                      ? `-${formatPrice((shippingOption ? shippingOption.discount_amount : cart.discount_amount) - cart.promotion_amount)}`
+                      : "—"}
+                  </dd>
+                </div>
+              )}
+              <div className="flex justify-between border-t border-[#E8D8C8] pt-2 text-base font-semibold">
+                <dt>Total</dt>
+                <dd>{formatPrice(shippingOption ? shippingOption.grand_total : cart.cart_total - cart.discount_amount)}</dd>
+              </div>
+            </dl>
+            {cart.discount && !cart.discount.is_valid && (
+              <p className="mt-4 rounded-2xl bg-[#FBEAE5] p-3 text-xs text-[#B5533C]">
+                {cart.discount.message}.{" "}
+                <Link to="/cart" className="font-semibold underline">Remove it in your cart</Link> to place the order.
+              </p>
+            )}
+            {reservationExpiresAt && !hasStockIssues && (
+              <p className="mt-4 rounded-2xl bg-[#F0E4D3] p-3 text-xs text-[#5C4B3D]">
+                We are holding these pieces for you until {formatTime(reservationExpiresAt)}.
+              </p>
+            )}
+            <p className="mt-4 text-xs text-[#7A6654]">
+              Payment is arranged on WhatsApp once Rama confirms your order.
+            </p>
+          </aside>
+        </div>
+      </div>
+    </section>
+  );
+};
+
+export default Checkout;
@@ -7,6 +7,7 @@
 
 import { useState, useMemo } from "react";
 import { Link } from "react-router-dom";
+import apiService from "../services/api";
 
 // Product category images for customization preview
 import purseArt from "../assets/products-images/white-snow.jpg";
@@ -206,49 +207,49 @@ const Customize = () => {
 
   /**
    * WhatsApp Quote Request Handler
-   * Generates professional custom order inquiry and sends via WhatsApp Business
-   * Creates formatted message with complete specifications and unique order reference
-   * Integrates with LaRama's business WhatsApp for direct customer communication
+   * Sends the selected specifications to the backend, which renders the quote
+   * template and returns a WhatsApp Business link with a unique quote reference
    */
-  const handleRequestQuote = () => {
+  const handleRequestQuote = async () => {
     // Only proceed if all required form fields are completed
-    if (isFormComplete) {
-      const customProduct = getCurrentProduct; // Get current product configuration
-      
-      // Generate unique order reference number with timestamp
-      const orderRef = `LRM-CUS-${Date.now()}`;
-      
-      // Create professional WhatsApp message with complete customization details
-      const message = `Dear LaRama Team,\n\n` +
-        `I would like to request a custom order quote for the following specifications:\n\n` +
-        `*Order Reference:* ${orderRef}\n` +
-        `*Product Category:* ${activeTab === 'purses' ? 'Handcrafted Custom Purse' : activeTab === 'prayer' ? 'Custom Prayer Beads' : 'Custom Handcrafted Product'}\n\n` +
-        `*DETAILED SPECIFICATIONS:*\n` +
-        `━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n` +
-        `• Bead Type: ${beadType}\n` +
-        `• Color Preference: ${color}\n` +
-        // Add category-specific specifications dynamically
-        (activeTab === 'purses' ? `• Chain Type: ${chainType}\n• Size Requirements: ${purseSize}\n• Decorative Elements: ${purseDecorations.length > 0 ? purseDecorations.join(', ') : 'Standard'}\n` : '') +
-        (activeTab === 'prayer' ? `• Bead Count: ${beadCount} beads\n• String Material: ${stringMaterial}\n• Decorative Elements: ${prayerDecorations.length > 0 ? prayerDecorations.join(', ') : 'Traditional'}\n` : '') +
-        (activeTab === 'others' ? `• Product Type: ${productType}\n• Material Preference: ${material}\n• Decorative Elements: ${otherDecorations.length > 0 ? otherDecorations.join(', ') : 'Standard'}\n` : '') +
-        `━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n\n` +
-        `*Estimated Base Price:* ${customProduct.price}\n\n` +
-        `Could you please provide:\n` +
-        `• Final pricing with customizations\n` +
-        `• Estimated completion timeframe\n` +
-        `• Available delivery options\n\n` +
-        `Thank you for your time and craftsmanship. I look forward to hearing from you.\n\n` +
-        `Best regards`;
-
-      // Encode message for URL compatibility and create WhatsApp Business link
-      const encodedMessage = encodeURIComponent(message);
-      const whatsappUrl = `https://wa.me/96171361960?text=${encodedMessage}`;
-      
+    if (!isFormComplete) return;
+
+    const customProduct = getCurrentProduct; // Get current product configuration
+
+    // Collect universal and category-specific specifications for the quote template
+    const specifications = {
+      'Bead Type': beadType,
+      'Color Preference': color,
+    };
+
+    if (activeTab === 'purses') {
+      specifications['Chain Type'] = chainType;
+      specifications['Size Requirements'] = purseSize;
+      specifications['Decorative Elements'] = purseDecorations.length > 0 ? purseDecorations.join(', ') : 'Standard';
+    } else if (activeTab === 'prayer') {
+      specifications['Bead Count'] = `${beadCount} beads`;
+      specifications['String Material'] = stringMaterial;
+      specifications['Decorative Elements'] = prayerDecorations.length > 0 ? prayerDecorations.join(', ') : 'Traditional';
+    } else {
+      specifications['Product Type'] = productType;
+      specifications['Material Preference'] = material;
+      specifications['Decorative Elements'] = otherDecorations.length > 0 ? otherDecorations.join(', ') : 'Standard';
+    }
+
+    try {
+      const response = await apiService.createQuoteLink({
+        category: activeTab === 'purses' ? 'Handcrafted Custom Purse' : activeTab === 'prayer' ? 'Custom Prayer Beads' : 'Custom Handcrafted Product',
+        specifications,
+        estimated_price: String(customProduct.price),
+      });
+
       // Open WhatsApp in new browser tab for customer communication
-      window.open(whatsappUrl, '_blank');
-      
-      // Display confirmation message with order reference for customer records
-      alert(`Custom order request sent! Order reference: ${orderRef}\n\nWe'll contact you soon with a quote via WhatsApp.`);
+      window.open(response.data.link, '_blank');
+
+      // Display confirmation message with quote reference for customer records
+      alert(`Custom order request sent! Order reference: ${response.data.reference}\n\nWe'll contact you soon with a quote via WhatsApp.`);
+    } catch (error) {
+      alert(error.message || 'Unable to prepare your WhatsApp quote request.');
     }
   };
 
@@ -5,8 +5,16 @@
  * Serves as the main landing page after successful authentication
  */
 
+import { useEffect, useState } from "react";
 import { Link } from "react-router-dom";
 import { useAuth } from "../hooks/useAuth";
+import apiService from "../services/api";
+import CancelOrderForm from "../components/orders/CancelOrderForm";
+import EmailVerificationNotice from "../components/auth/EmailVerificationNotice";
+import OrderStatusBadge from "../components/orders/OrderStatusBadge";
+
+// Number of recent orders shown on the dashboard
+const RECENT_ORDERS_LIMIT = 5;
 
 /**
  * Dashboard Component - Main Export Function
@@ -22,6 +30,44 @@ const Dashboard = () => {
   // Generate display name with fallback hierarchy: name > email prefix > generic greeting
   const displayName = user?.name || user?.email?.split("@")[0] || "Style Enthusiast";
 
+  // Recent orders state for the order tracking section
+  const [orders, setOrders] = useState([]);
+  const [ordersLoading, setOrdersLoading] = useState(true);
+  const [ordersError, setOrdersError] = useState("");
+
+  useEffect(() => {
+    let isActive = true;
+
+    apiService
+      .getOrders()
+      .then((response) => {
+        if (isActive) {
+          setOrders(response.data.orders.slice(0, RECENT_ORDERS_LIMIT));
+        }
+      })
+      .catch((error) => {
+        if (isActive) {
+          setOrdersError(error.message);
+        }
+      })
+      .finally(() => {
+        if (isActive) {
+          setOrdersLoading(false);
+        }
+      });
+
+    return () => {
+      isActive = false;
+    };
+  }, []);
+
+  // Replace a cancelled order in place so its status and actions update immediately
+  const handleOrderCancelled = (updatedOrder) => {
+    setOrders((prev) => prev.map((order) => (
+      order.id === updatedOrder.id ? { ...order, ...updatedOrder } : order
+    )));
+  };
+
   /**
    * Component JSX Return - Dashboard Interface
    * Renders personalized dashboard with welcome header and feature navigation cards
@@ -40,19 +86,26 @@ const Dashboard = () => {
           </p>
         </header>
 
+        {/* Email Verification Reminder - shown until the emailed link is opened */}
+        {user && !user.email_verified_at && (
+          <div className="mb-8">
+            <EmailVerificationNotice email={user.email} />
+          </div>
+        )}
+
         {/* Feature Navigation Grid - Three Main Dashboard Actions */}
         <div className="grid gap-8 md:grid-cols-3">
           {/* Saved Styles Card - Product Collection Access */}
           <article className="rounded-3xl bg-white/70 p-6 shadow-lg shadow-[#d4bda8]/50 backdrop-blur">
             <h2 className="text-lg font-semibold text-[#5C4B3D]">Saved Styles</h2>
             <p className="mt-3 text-sm text-[#7A6654]">
-              Revisit your handpicked outfits and mood boards whenever inspiration strikes.
+              Revisit the pieces you saved with the heart button, with today's price and stock.
             </p>
             <Link
-              to="/products"
+              to="/dashboard/saved"
               className="mt-5 inline-flex items-center rounded-full bg-[#5C4B3D] px-4 py-2 text-sm font-semibold text-[#F0E4D3] transition-all duration-300 hover:bg-[#3F3329]"
             >
-              Explore collections
+              View saved styles
             </Link>
           </article>
 
@@ -63,10 +116,10 @@ const Dashboard = () => {
               Track recent purchases, follow shipments, and manage returns with ease.
             </p>
             <Link
-              to="/contact"
+              to="/dashboard/orders"
               className="mt-5 inline-flex items-center rounded-full border border-[#5C4B3D] px-4 py-2 text-sm font-semibold text-[#5C4B3D] transition-all duration-300 hover:bg-[#5C4B3D] hover:text-[#F0E4D3]"
             >
-              Need assistance?
+              View order history
             </Link>
           </article>
 
@@ -74,7 +127,7 @@ const Dashboard = () => {
           <article className="rounded-3xl bg-white/70 p-6 shadow-lg shadow-[#d4bda8]/50 backdrop-blur">
             <h2 className="text-lg font-semibold text-[#5C4B3D]">Preferences</h2>
             <p className="mt-3 text-sm text-[#7A6654]">
-              Update profile details, manage your newsletter, and fine-tune your aesthetic.
+              Update profile details, manage your delivery addresses, and fine-tune your aesthetic.
             </p>
             <Link
               to="/customize"
@@ -82,9 +135,59 @@ const Dashboard = () => {
             >
               Personalize now
             </Link>
+            <Link
+              to="/dashboard/addresses"
+              className="mt-3 block text-sm font-semibold text-[#5C4B3D] underline-offset-4 hover:underline"
+            >
+              Manage addresses
+            </Link>
+            <Link
+              to="/dashboard/account"
+              className="mt-3 block text-sm font-semibold text-[#5C4B3D] underline-offset-4 hover:underline"
+            >
+              Account settings
+            </Link>
+            <Link
+              to="/dashboard/devices"
+              className="mt-3 block text-sm font-semibold text-[#5C4B3D] underline-offset-4 hover:underline"
+            >
+              Signed-in devices
+            </Link>
           </article>
         </div>
 
+        {/* Recent Orders Section - Status Tracking and Self-Service Cancellation */}
+        <section className="mt-12 rounded-3xl bg-white/80 p-8 shadow-xl shadow-[#d4bda8]/40 backdrop-blur">
+          <p className="text-sm uppercase tracking-[0.3em] text-[#A3846C]">Recent Orders</p>
+          <h2 className="mt-2 text-2xl font-semibold text-[#5C4B3D]">Your latest purchases</h2>
+
+          {ordersLoading && <p className="mt-4 text-sm text-[#7A6654]">Loading your orders...</p>}
+          {ordersError && <p className="mt-4 text-sm text-[#B5533C]">{ordersError}</p>}
+          {!ordersLoading && !ordersError && orders.length === 0 && (
+            <p className="mt-4 text-sm text-[#7A6654]">
+              You have not placed any orders yet.{" "}
+              <Link to="/products" className="font-semibold underline">Browse the collection</Link>
+            </p>
+          )}
+
+          <ul className="mt-6 divide-y divide-[#E8D8C8]">
+            {orders.map((order) => (
+              <li key={order.id} className="flex flex-wrap items-center justify-between gap-4 py-4">
+                <Link to={`/dashboard/orders/${order.id}`} className="hover:text-[#A3846C]">
+                  <p className="font-semibold">{order.reference}</p>
+                  <p className="text-sm text-[#7A6654]">
+                    {new Date(order.created_at).toLocaleDateString()} · ${order.total_amount.toFixed(2)}
+                  </p>
+                </Link>
+                <OrderStatusBadge status={order.status} />
+                {order.can_cancel && (
+                  <CancelOrderForm orderId={order.id} onCancelled={handleOrderCancelled} />
+                )}
+              </li>
+            ))}
+          </ul>
+        </section>
+
         <section className="mt-12 rounded-3xl bg-white/80 p-8 shadow-xl shadow-[#d4bda8]/40 backdrop-blur">
           <div className="flex flex-col gap-4 md:flex-row md:items-center md:justify-between">
             <div>
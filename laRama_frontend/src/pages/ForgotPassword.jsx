@@ -0,0 +1,118 @@
+/**
+ * Forgot Password Page - LaRama Frontend
+ * Requests a password reset link by email for customers who cannot log in
+ * Shows the same confirmation whether or not the email is registered
+ */
+
+import { useState } from "react";
+import { Link } from "react-router-dom";
+import apiService from "../services/api";
+
+/**
+ * ForgotPassword Component - Main Export Function
+ * Email form that asks the backend to send a single-use reset link
+ *
+ * @returns {JSX.Element} - Reset request form or confirmation message
+ */
+const ForgotPassword = () => {
+  const [email, setEmail] = useState("");
+  const [error, setError] = useState("");
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [sentMessage, setSentMessage] = useState("");
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+
+    if (!email.includes("@")) {
+      setError("Please enter a valid email address");
+      return;
+    }
+
+    setIsSubmitting(true);
+    setError("");
+
+    try {
+      const response = await apiService.requestPasswordReset(email.trim());
+      setSentMessage(response.message);
+    } catch (requestError) {
+      setError(requestError.message || "Unable to connect to server. Please try again.");
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-[#FAF7F3] py-12 px-4 flex items-center justify-center">
+      <div className="max-w-md w-full bg-white rounded-2xl shadow-xl p-8 lg:p-10">
+        <h1 className="text-2xl font-serif font-bold text-[#5C4B3D] mb-2">
+          Forgot your password?
+        </h1>
+
+        {sentMessage ? (
+          <div className="space-y-6">
+            <p className="text-[#8C8A87]">
+              {sentMessage}. Check your inbox and follow the link to choose a new password.
+            </p>
+            <Link
+              to="/auth"
+              className="inline-block text-[#D9A299] hover:text-[#c18981] font-medium transition-colors duration-300"
+            >
+              Back to login
+            </Link>
+          </div>
+        ) : (
+          <>
+            <p className="text-[#8C8A87] mb-6">
+              Enter the email you shop with and we&apos;ll send you a link to reset your password.
+            </p>
+
+            {error && (
+              <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg text-red-700 text-sm">
+                {error}
+              </div>
+            )}
+
+            <form onSubmit={handleSubmit} className="space-y-6">
+              <div>
+                <label className="block text-sm font-medium text-[#5C4B3D] mb-2">
+                  Email address
+                </label>
+                <input
+                  type="email"
+                  value={email}
+                  onChange={(e) => {
+                    setEmail(e.target.value);
+                    setError("");
+                  }}
+                  className="w-full px-4 py-3 border border-[#DCC5B2] rounded-lg focus:outline-none focus:ring-2 focus:ring-[#D9A299] focus:border-transparent transition-all duration-300"
+                  placeholder="you@example.com"
+                  required
+                  disabled={isSubmitting}
+                />
+              </div>
+
+              <button
+                type="submit"
+                disabled={isSubmitting}
+                className="w-full bg-[#D9A299] hover:bg-[#c18981] disabled:bg-gray-300 disabled:cursor-not-allowed text-white font-semibold py-3 px-4 rounded-lg transition-colors duration-300"
+              >
+                {isSubmitting ? "Sending link..." : "Send reset link"}
+              </button>
+            </form>
+
+            <div className="mt-8 pt-6 border-t border-[#F0E4D3] text-center">
+              <Link
+                to="/auth"
+                className="text-sm text-[#D9A299] hover:text-[#c18981] font-medium transition-colors duration-300"
+              >
+                Back to login
+              </Link>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ForgotPassword;
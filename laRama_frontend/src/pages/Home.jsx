@@ -5,8 +5,8 @@
  * Integrates cart functionality with authentication-aware product interactions
  */
 
-import { useState } from 'react';
-import { Link, useNavigate } from 'react-router-dom';
+import { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
 
 // Featured product images for home page display
 import Noiré from '../assets/products-images/black-hq.jpg';
@@ -15,7 +15,29 @@ import prayer from '../assets/products-images/prayer.jpg';
 
 // Core services and hooks
 import { apiService } from '../services/api';
-import { useAuth } from '../hooks/useAuth';
+import { useWishlist } from '../hooks/useWishlist';
+import WishlistButton from '../components/products/WishlistButton';
+
+/**
+ * Catalog Product Matching
+ * Featured cards are curated here rather than loaded from the API, so cart and
+ * wishlist actions find the matching catalog product by name
+ * @param {Object} product - Featured product card
+ * @param {Array} catalogProducts - Products returned by the API
+ * @returns {Object|null} - Matching catalog product, if any
+ */
+const matchCatalogProduct = (product, catalogProducts) => {
+  if (product.name.includes('Noiré') || product.name.includes('Purse')) {
+    return catalogProducts.find(p => p.name.toLowerCase().includes('purse') || p.name.toLowerCase().includes('bag')) || null;
+  }
+  if (product.name.includes('Necktie')) {
+    return catalogProducts.find(p => p.name.toLowerCase().includes('necktie') || p.name.toLowerCase().includes('tie')) || null;
+  }
+  if (product.name.includes('Prayer')) {
+    return catalogProducts.find(p => p.name.toLowerCase().includes('prayer') || p.name.toLowerCase().includes('beads')) || null;
+  }
+  return null;
+};
 
 /**
  * Home Component
@@ -63,25 +85,36 @@ const Home = () => {
   const [isSubscribed, setIsSubscribed] = useState(false);
   const [isLoading, setIsLoading] = useState(false);
   const [addingToCart, setAddingToCart] = useState({});
-  
-  const { isAuthenticated } = useAuth();
-  const navigate = useNavigate();
+  const [catalogProducts, setCatalogProducts] = useState([]); // Catalog used to match featured cards for the heart buttons
+
+  // Saved Styles state for the heart buttons
+  const { isSaved, toggleSaved, pendingIds } = useWishlist();
+
+  useEffect(() => {
+    apiService
+      .getProducts()
+      .then((response) => setCatalogProducts(response.data?.products || []))
+      .catch(() => setCatalogProducts([]));
+  }, []);
+
+  // Heart button for a featured card; hidden until the card matches a catalog product
+  const renderWishlistButton = (product, className) => {
+    const catalogProduct = matchCatalogProduct(product, catalogProducts);
+    if (!catalogProduct) return null;
+
+    return (
+      <WishlistButton
+        isSaved={isSaved(catalogProduct.id)}
+        isPending={pendingIds[catalogProduct.id]}
+        onToggle={() => toggleSaved(catalogProduct.id)}
+        className={className}
+      />
+    );
+  };
 
   const handleAddToCart = async (product, event) => {
     // Prevent opening the product detail modal
     event.stopPropagation();
-    
-    if (!isAuthenticated) {
-      const shouldRedirect = confirm(
-        `Please sign in to add items to your cart.\n\nWould you like to go to the login page now?`
-      );
-      if (shouldRedirect) {
-        navigate('/auth', { 
-          state: { from: { pathname: '/' } }
-        });
-      }
-      return;
-    }
 
     setAddingToCart(prev => ({ ...prev, [product.id]: true }));
     
@@ -92,17 +125,7 @@ const Home = () => {
       
       if (response.success && response.data && response.data.products) {
         // Try to find a matching product by name similarity
-        const products = response.data.products;
-        let matchedProduct = null;
-        
-        // Simple name matching logic
-        if (product.name.includes('Noiré') || product.name.includes('Purse')) {
-          matchedProduct = products.find(p => p.name.toLowerCase().includes('purse') || p.name.toLowerCase().includes('bag'));
-        } else if (product.name.includes('Necktie')) {
-          matchedProduct = products.find(p => p.name.toLowerCase().includes('necktie') || p.name.toLowerCase().includes('tie'));
-        } else if (product.name.includes('Prayer')) {
-          matchedProduct = products.find(p => p.name.toLowerCase().includes('prayer') || p.name.toLowerCase().includes('beads'));
-        }
+        const matchedProduct = matchCatalogProduct(product, response.data.products);
         
         if (matchedProduct) {
           const addResponse = await apiService.addToCart(matchedProduct.id, 1);
@@ -206,7 +229,8 @@ const Home = () => {
           <div className="grid grid-cols-1 md:grid-cols-3 gap-8">
             {featuredProducts.map((product) => (
               <div key={product.id} className="group text-center">
-                <div className="overflow-hidden rounded-lg mb-4">
+                <div className="relative overflow-hidden rounded-lg mb-4">
+                  {renderWishlistButton(product, 'absolute top-3 right-3 z-10')}
                   <img 
                     src={product.image} 
                     alt={product.name} 
@@ -262,7 +286,8 @@ const Home = () => {
               </div>
 
               <div className="grid grid-cols-1 md:grid-cols-2 gap-8">
-                <div className="h-96 rounded-lg overflow-hidden bg-[#FAF7F3] flex items-center justify-center">
+                <div className="relative h-96 rounded-lg overflow-hidden bg-[#FAF7F3] flex items-center justify-center">
+                  {renderWishlistButton(selectedProduct, 'absolute top-3 right-3')}
                   <img 
                     src={selectedProduct.image} 
                     alt={selectedProduct.name}
@@ -0,0 +1,212 @@
+/**
+ * Order Detail Page - LaRama Frontend
+ * Shows the line items, shipping address and status of a single customer order
+ * Offers cancellation while the order is still open and one-click reordering
+ */
+
+import { useEffect, useState } from "react";
+import { Link, useNavigate, useParams } from "react-router-dom";
+import apiService from "../services/api";
+import OrderStatusBadge from "../components/orders/OrderStatusBadge";
+import CancelOrderForm from "../components/orders/CancelOrderForm";
+import AddressSummary from "../components/addresses/AddressSummary";
+import { getCountryName } from "../constants/countries";
+
+/**
+ * OrderDetail Component - Main Export Function
+ * Reads the order id from the route and renders the order returned by the API
+ *
+ * @returns {JSX.Element} - Order summary, items list and order actions
+ */
+const OrderDetail = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+
+  const [order, setOrder] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState("");
+  const [isReordering, setIsReordering] = useState(false);
+  const [reorderNotice, setReorderNotice] = useState("");
+  const [reorderError, setReorderError] = useState("");
+
+  useEffect(() => {
+    let isActive = true;
+    setIsLoading(true);
+    setError("");
+
+    apiService
+      .getOrder(id)
+      .then((response) => {
+        if (isActive) {
+          setOrder(response.data.order);
+        }
+      })
+      .catch((loadError) => {
+        if (isActive) {
+          setError(loadError.message);
+        }
+      })
+      .finally(() => {
+        if (isActive) {
+          setIsLoading(false);
+        }
+      });
+
+    return () => {
+      isActive = false;
+    };
+  }, [id]);
+
+  /**
+   * Reorder Handler
+   * Adds the order's available products to the cart and opens the cart page,
+   * staying here to list any pieces that could not be added
+   */
+  const handleReorder = async () => {
+    setIsReordering(true);
+    setReorderNotice("");
+    setReorderError("");
+
+    try {
+      const response = await apiService.reorder(id);
+      const skippedNames = response.data.skipped.map((item) => item.name || "A removed product");
+
+      if (skippedNames.length === 0) {
+        navigate("/cart");
+        return;
+      }
+
+      setReorderNotice(`${response.message}. Not available right now: ${skippedNames.join(", ")}.`);
+    } catch (reorderError) {
+      setReorderError(reorderError.message);
+    } finally {
+      setIsReordering(false);
+    }
+  };
+
+  const handleCancelled = (updatedOrder) => {
+    setOrder((prev) => ({ ...prev, ...updatedOrder }));
+  };
+
+  return (
+    <section className="min-h-[70vh] bg-[#F0E4D3] py-16 px-6 text-[#5C4B3D] transition-colors duration-700">
+      <div className="container mx-auto max-w-4xl">
+        <Link to="/dashboard/orders" className="text-sm font-semibold text-[#A3846C] hover:underline">
+          ← All orders
+        </Link>
+
+        {isLoading && <p className="mt-6 text-sm text-[#7A6654]">Loading order...</p>}
+        {error && <p className="mt-6 text-sm text-[#B5533C]">{error}</p>}
+
+        {order && !isLoading && (
+          <>
+            <header className="mt-4 mb-8 flex flex-wrap items-center justify-between gap-4">
+              <div>
+                <h1 className="text-3xl font-serif font-bold">{order.reference}</h1>
+                <p className="mt-1 text-sm text-[#7A6654]">
+                  Placed {new Date(order.created_at).toLocaleString()}
+                </p>
+              </div>
+              <OrderStatusBadge status={order.status} />
+            </header>
+
+            {/* Line Items */}
+            <div className="rounded-3xl bg-white/80 p-6 shadow-xl shadow-[#d4bda8]/40 md:p-8">
+              <h2 className="text-lg font-semibold">Items</h2>
+              <ul className="mt-4 divide-y divide-[#E8D8C8]">
+                {order.items.map((item, index) => (
+                  <li key={item.product?.id || index} className="flex items-center gap-4 py-4">
+                    {item.product?.image_url ? (
+                      <img
+                        src={item.product.image_url}
+                        alt={item.product.name}
+                        className="h-16 w-16 rounded-2xl object-cover"
+                      />
+                    ) : (
+                      <div className="h-16 w-16 rounded-2xl bg-[#F0E4D3]" />
+                    )}
+                    <div className="flex-1">
+                      <p className="font-semibold">{item.product?.name || "Product no longer available"}</p>
+                      <p className="text-sm text-[#7A6654]">
+                        {item.quantity} × ${item.price.toFixed(2)}
+                      </p>
+                      {item.note && <p className="mt-1 text-sm italic text-[#7A6654]">Note: {item.note}</p>}
+                    </div>
+                    <p className="font-semibold">${item.item_total.toFixed(2)}</p>
+                  </li>
+                ))}
+              </ul>
+              <div className="mt-4 space-y-1 border-t border-[#E8D8C8] pt-4 text-sm text-[#7A6654]">
+                <div className="flex justify-between">
+                  <span>Subtotal</span>
+                  <span>${order.subtotal_amount.toFixed(2)}</span>
+                </div>
+                <div className="flex justify-between">
+                  <span>Shipping{order.shipping_method ? ` · ${order.shipping_method}` : ""}</span>
+                  <span>{order.shipping_amount === 0 ? "Free" : `$${order.shipping_amount.toFixed(2)}`}</span>
+                </div>
+                {order.discounts.map((discount) => (
+                  <div key={discount.code || discount.description} className="flex justify-between">
+                    <span>{discount.code ? `Discount · ${discount.code}` : discount.description}</span>
+                    <span>-${discount.amount.toFixed(2)}</span>
+                  </div>
+                ))}
+              </div>
+              <div className="mt-3 flex justify-between text-lg font-semibold">
+                <span>Total</span>
+                <span>${order.total_amount.toFixed(2)}</span>
+              </div>
+            </div>
+
+            {/* Shipping Address */}
+            <div className="mt-8 rounded-3xl bg-white/70 p-6 shadow-lg shadow-[#d4bda8]/40">
+              <h2 className="text-lg font-semibold">Shipping address</h2>
+              {order.shipping_address_details ? (
+                <div className="mt-2">
+                  <AddressSummary address={order.shipping_address_details} />
+                </div>
+              ) : (
+                <>
+                  <p className="mt-2 whitespace-pre-line text-sm text-[#7A6654]">{order.shipping_address}</p>
+                  {order.shipping_country && (
+                    <p className="mt-1 text-sm text-[#7A6654]">{getCountryName(order.shipping_country)}</p>
+                  )}
+                </>
+              )}
+              {order.order_notes && (
+                <p className="mt-4 whitespace-pre-line text-sm text-[#7A6654]">
+                  <span className="font-semibold text-[#5C4B3D]">Notes:</span> {order.order_notes}
+                </p>
+              )}
+              {order.gift_message && (
+                <p className="mt-2 whitespace-pre-line text-sm italic text-[#7A6654]">🎁 {order.gift_message}</p>
+              )}
+            </div>
+
+            {/* Order Actions */}
+            <div className="mt-8 flex flex-wrap items-start gap-4">
+              <button
+                type="button"
+                onClick={handleReorder}
+                disabled={isReordering}
+                className="rounded-full bg-[#5C4B3D] px-6 py-2.5 text-sm font-semibold text-[#F0E4D3] transition-all duration-300 hover:bg-[#3F3329] disabled:opacity-60"
+              >
+                {isReordering ? "Adding to cart..." : "Reorder"}
+              </button>
+              {order.can_cancel && <CancelOrderForm orderId={order.id} onCancelled={handleCancelled} />}
+            </div>
+            {reorderError && <p className="mt-3 text-sm text-[#B5533C]">{reorderError}</p>}
+            {reorderNotice && (
+              <p className="mt-3 text-sm text-[#7A6654]">
+                {reorderNotice}{" "}
+                <Link to="/cart" className="font-semibold underline">Go to cart</Link>
+              </p>
+            )}
+          </>
+        )}
+      </div>
+    </section>
+  );
+};
+
+export default OrderDetail;
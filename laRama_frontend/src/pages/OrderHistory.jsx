@@ -0,0 +1,191 @@
+/**
+ * Order History Page - LaRama Frontend
+ * Lists every order placed by the signed-in customer with pagination and reference search
+ * Shows a spending summary from the order statistics endpoint
+ */
+
+import { useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import apiService from "../services/api";
+import OrderStatusBadge from "../components/orders/OrderStatusBadge";
+
+// Orders shown per page of history
+const PAGE_SIZE = 10;
+
+/**
+ * OrderHistory Component - Main Export Function
+ * Fetches order statistics once and the order list for the current page
+ *
+ * @returns {JSX.Element} - Spending summary cards and paginated order list
+ */
+const OrderHistory = () => {
+  const [orders, setOrders] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [stats, setStats] = useState(null);
+  const [page, setPage] = useState(1);
+  const [searchInput, setSearchInput] = useState("");
+  const [search, setSearch] = useState("");
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState("");
+
+  // Load spending summary once per visit
+  useEffect(() => {
+    apiService
+      .getOrderStats()
+      .then((response) => setStats(response.data.stats))
+      .catch(() => setStats(null));
+  }, []);
+
+  // Load the requested page of orders
+  useEffect(() => {
+    let isActive = true;
+    setIsLoading(true);
+    setError("");
+
+    apiService
+      .getOrders(page, PAGE_SIZE, search)
+      .then((response) => {
+        if (isActive) {
+          setOrders(response.data.orders);
+          setPagination(response.data.pagination);
+        }
+      })
+      .catch((loadError) => {
+        if (isActive) {
+          setError(loadError.message);
+        }
+      })
+      .finally(() => {
+        if (isActive) {
+          setIsLoading(false);
+        }
+      });
+
+    return () => {
+      isActive = false;
+    };
+  }, [page, search]);
+
+  const handleSearch = (event) => {
+    event.preventDefault();
+    setSearch(searchInput.trim());
+    setPage(1);
+  };
+
+  const summaryCards = stats
+    ? [
+        { label: "Orders placed", value: stats.total_orders },
+        { label: "Total spent", value: `$${stats.total_spent.toFixed(2)}` },
+        { label: "In progress", value: stats.pending_orders + stats.processing_orders + stats.shipped_orders },
+        { label: "Delivered", value: stats.delivered_orders },
+      ]
+    : [];
+
+  return (
+    <section className="min-h-[70vh] bg-[#F0E4D3] py-16 px-6 text-[#5C4B3D] transition-colors duration-700">
+      <div className="container mx-auto max-w-5xl">
+        <header className="mb-10">
+          <Link to="/dashboard" className="text-sm font-semibold text-[#A3846C] hover:underline">
+            ← Back to dashboard
+          </Link>
+          <h1 className="mt-3 text-4xl font-serif font-bold">Your Orders</h1>
+          <p className="mt-2 text-[#7A6654]">Every handcrafted piece you have ordered from LaRama.</p>
+        </header>
+
+        {/* Spending Summary - Order Statistics */}
+        {summaryCards.length > 0 && (
+          <div className="mb-10 grid grid-cols-2 gap-4 md:grid-cols-4">
+            {summaryCards.map((card) => (
+              <div key={card.label} className="rounded-3xl bg-white/70 p-5 text-center shadow-lg shadow-[#d4bda8]/40">
+                <p className="text-xs uppercase tracking-[0.2em] text-[#A3846C]">{card.label}</p>
+                <p className="mt-2 text-2xl font-semibold">{card.value}</p>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {/* Order List - Paginated History */}
+        <div className="rounded-3xl bg-white/80 p-6 shadow-xl shadow-[#d4bda8]/40 md:p-8">
+          <form onSubmit={handleSearch} className="mb-6 flex gap-3">
+            <input
+              type="search"
+              value={searchInput}
+              onChange={(event) => setSearchInput(event.target.value)}
+              placeholder="Search by order number (e.g. LRM-ORD-000123)"
+              className="flex-1 rounded-full border border-[#DCC5B2] bg-white/80 px-4 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-[#D9A299]"
+            />
+            <button
+              type="submit"
+              className="rounded-full bg-[#5C4B3D] px-5 py-2 text-sm font-semibold text-[#F0E4D3] transition-all duration-300 hover:bg-[#3F3329]"
+            >
+              Search
+            </button>
+          </form>
+
+          {isLoading && <p className="text-sm text-[#7A6654]">Loading your orders...</p>}
+          {error && <p className="text-sm text-[#B5533C]">{error}</p>}
+          {!isLoading && !error && orders.length === 0 && search && (
+            <p className="text-sm text-[#7A6654]">No orders match &ldquo;{search}&rdquo;.</p>
+          )}
+          {!isLoading && !error && orders.length === 0 && !search && (
+            <p className="text-sm text-[#7A6654]">
+              You have not placed any orders yet.{" "}
+              <Link to="/products" className="font-semibold underline">Browse the collection</Link>
+            </p>
+          )}
+
+          {!isLoading && orders.length > 0 && (
+            <ul className="divide-y divide-[#E8D8C8]">
+              {orders.map((order) => (
+                <li key={order.id}>
+                  <Link
+                    to={`/dashboard/orders/${order.id}`}
+                    className="flex flex-wrap items-center justify-between gap-4 py-4 transition-colors duration-300 hover:text-[#A3846C]"
+                  >
+                    <div>
+                      <p className="font-semibold">{order.reference}</p>
+                      <p className="text-sm text-[#7A6654]">
+                        {new Date(order.created_at).toLocaleDateString()} · {order.item_count} item
+                        {order.item_count === 1 ? "" : "s"}
+                      </p>
+                    </div>
+                    <div className="flex items-center gap-4">
+                      <span className="font-semibold">${order.total_amount.toFixed(2)}</span>
+                      <OrderStatusBadge status={order.status} />
+                    </div>
+                  </Link>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {pagination && pagination.totalPages > 1 && (
+            <div className="mt-6 flex items-center justify-center gap-4 text-sm">
+              <button
+                type="button"
+                disabled={!pagination.hasPrevPage}
+                onClick={() => setPage((prev) => prev - 1)}
+                className="rounded-full border border-[#5C4B3D] px-4 py-1.5 font-semibold transition-all duration-300 hover:bg-[#5C4B3D] hover:text-[#F0E4D3] disabled:opacity-40 disabled:hover:bg-transparent disabled:hover:text-[#5C4B3D]"
+              >
+                Previous
+              </button>
+              <span className="text-[#7A6654]">
+                Page {pagination.currentPage} of {pagination.totalPages}
+              </span>
+              <button
+                type="button"
+                disabled={!pagination.hasNextPage}
+                onClick={() => setPage((prev) => prev + 1)}
+                className="rounded-full border border-[#5C4B3D] px-4 py-1.5 font-semibold transition-all duration-300 hover:bg-[#5C4B3D] hover:text-[#F0E4D3] disabled:opacity-40 disabled:hover:bg-transparent disabled:hover:text-[#5C4B3D]"
+              >
+                Next
+              </button>
+            </div>
+          )}
+        </div>
+      </div>
+    </section>
+  );
+};
+
+export default OrderHistory;
@@ -52,8 +52,17 @@ const Privacy = () => {
               <p>We implement appropriate security measures to protect your personal information. However, no method of transmission over the Internet is 100% secure, and we cannot guarantee absolute security.</p>
             </section>
             
+            <section className="mb-8">
+              <h2 className="text-xl font-serif font-semibold mb-4">4. Your Data</h2>
+              <p>
+                You can correct your details, download a copy of everything we store about you, or delete your account from your{" "}
+                <Link to="/dashboard/account" className="text-[#D9A299] hover:text-[#c18981]">account settings</Link>.
+                When you delete your account we keep your past orders for our bookkeeping, without your name or email.
+              </p>
+            </section>
+            
             <section>
-              <h2 className="text-xl font-serif font-semibold mb-4">4. Contact Us</h2>
+              <h2 className="text-xl font-serif font-semibold mb-4">5. Contact Us</h2>
               <p>For privacy-related questions, please contact us at <span className="text-[#D9A299]">larama.handmade@gmail.com</span></p>
             </section>
           </div>
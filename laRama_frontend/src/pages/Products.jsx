@@ -8,7 +8,9 @@
 import { useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
 import { apiService } from '../services/api';
-import { useAuth } from '../hooks/useAuth';
+import RestockNotifyForm from '../components/products/RestockNotifyForm';
+import WishlistButton from '../components/products/WishlistButton';
+import { useWishlist } from '../hooks/useWishlist';
 
 /**
  * Products Component
@@ -24,9 +26,9 @@ const Products = () => {
   const [loading, setLoading] = useState(true); // Data loading state
   const [error, setError] = useState(''); // Error message display
   const [addingToCart, setAddingToCart] = useState({}); // Cart addition loading states
-  
-  // Authentication context for cart functionality
-  const { isAuthenticated } = useAuth();
+
+  // Saved Styles state for the heart buttons
+  const { isSaved, toggleSaved, pendingIds } = useWishlist();
 
   // Fetch products and categories on component mount
   useEffect(() => {
@@ -122,11 +124,6 @@ const Products = () => {
   };
 
   const handleAddToCart = async (productId) => {
-    if (!isAuthenticated) {
-      alert('Please log in to add items to cart');
-      return;
-    }
-
     setAddingToCart(prev => ({ ...prev, [productId]: true }));
     
     try {
@@ -147,6 +144,9 @@ const Products = () => {
     return typeof price === 'number' ? `$${price.toFixed(2)}` : price;
   };
 
+  // Units not held by other customers' checkouts; fallback products only carry stock_quantity
+  const getAvailableStock = (product) => product.available_quantity ?? product.stock_quantity;
+
   const fallbackSvg = 'data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iMjAwIiBoZWlnaHQ9IjIwMCIgeG1sbnM9Imh0dHA6Ly93d3cudzMub3JnLzIwMDAvc3ZnIj48cmVjdCB3aWR0aD0iMjAwIiBoZWlnaHQ9IjIwMCIgZmlsbD0iI0YwRTREMyIvPjx0ZXh0IHg9IjUwJSIgeT0iNTAlIiBkeT0iMC4zNWVtIiB0ZXh0LWFuY2hvcj0ibWlkZGxlIiBmb250LWZhbWlseT0ic2Fucy1zZXJpZiIgZm9udC1zaXplPSIxNCIgZmlsbD0iIzVDNEIzRCI+UHJvZHVjdCBJbWFnZTwvdGV4dD48L3N2Zz4=';
 
   // Debug logging
@@ -226,6 +226,12 @@ const Products = () => {
                     View Details
                   </button>
                 </div>
+                <WishlistButton
+                  isSaved={isSaved(product.id)}
+                  isPending={pendingIds[product.id]}
+                  onToggle={() => toggleSaved(product.id)}
+                  className="absolute top-3 right-3 z-10"
+                />
               </div>
               <div className="p-5 flex flex-col flex-1">
                 <h3 className="font-serif font-semibold text-[#5C4B3D] mb-2 truncate" onClick={() => openProductDetail(product)}>
@@ -234,15 +240,24 @@ const Products = () => {
                 <p className="text-sm text-[#6b6259] line-clamp-2 mb-4 min-h-[40px]">{product.description || 'Handmade piece crafted with care and attention to detail.'}</p>
                 <div className="flex items-center justify-between text-sm mb-2">
                   <p className="text-[#D9A299] font-bold">{formatPrice(product.price)}</p>
-                  <p className="text-xs text-[#8C8A87]">Stock: {product.stock_quantity}</p>
+                  <p className="text-xs text-[#8C8A87]">Stock: {getAvailableStock(product)}</p>
                 </div>
-                <button
-                  onClick={() => handleAddToCart(product.id)}
-                  disabled={addingToCart[product.id] || product.stock_quantity === 0}
-                  className="mt-auto w-full bg-[#D9A299] hover:bg-[#c18981] disabled:bg-gray-300 disabled:cursor-not-allowed text-white font-semibold py-2.5 px-4 rounded-lg transition-colors duration-300 shadow-sm"
-                >
-                  {addingToCart[product.id] ? 'Adding...' : product.stock_quantity === 0 ? 'Out of Stock' : 'Add to Cart'}
-                </button>
+                {getAvailableStock(product) === 0 ? (
+                  <button
+                    onClick={() => openProductDetail(product)}
+                    className="mt-auto w-full border border-[#5C4B3D] text-[#5C4B3D] hover:bg-[#5C4B3D] hover:text-white font-semibold py-2.5 px-4 rounded-lg transition-colors duration-300 shadow-sm"
+                  >
+                    Out of Stock · Notify Me
+                  </button>
+                ) : (
+                  <button
+                    onClick={() => handleAddToCart(product.id)}
+                    disabled={addingToCart[product.id]}
+                    className="mt-auto w-full bg-[#D9A299] hover:bg-[#c18981] disabled:bg-gray-300 disabled:cursor-not-allowed text-white font-semibold py-2.5 px-4 rounded-lg transition-colors duration-300 shadow-sm"
+                  >
+                    {addingToCart[product.id] ? 'Adding...' : 'Add to Cart'}
+                  </button>
+                )}
               </div>
             </div>
           ))}
@@ -273,7 +288,13 @@ const Products = () => {
                 </div>
 
                 <div className="grid grid-cols-1 md:grid-cols-2 gap-8">
-                  <div className="h-96 rounded-lg overflow-hidden bg-[#FAF7F3] flex items-center justify-center">
+                  <div className="relative h-96 rounded-lg overflow-hidden bg-[#FAF7F3] flex items-center justify-center">
+                    <WishlistButton
+                      isSaved={isSaved(selectedProduct.id)}
+                      isPending={pendingIds[selectedProduct.id]}
+                      onToggle={() => toggleSaved(selectedProduct.id)}
+                      className="absolute top-3 right-3"
+                    />
                     <img 
                       src={selectedProduct.image_url || fallbackSvg} 
                       alt={selectedProduct.name}
@@ -288,7 +309,7 @@ const Products = () => {
                   <div>
                     <p className="text-[#D9A299] font-bold text-2xl mb-4">{formatPrice(selectedProduct.price)}</p>
                     <p className="text-[#5C4B3D] mb-4 line-clamp-2">{selectedProduct.description}</p>
-                    <p className="text-[#5C4B3D] mb-6"><strong>Stock:</strong> {selectedProduct.stock_quantity} available</p>
+                    <p className="text-[#5C4B3D] mb-6"><strong>Stock:</strong> {getAvailableStock(selectedProduct)} available</p>
                     
                     <div className="mb-6">
                       <h3 className="font-semibold text-[#5C4B3D] mb-2">Details</h3>
@@ -300,13 +321,19 @@ const Products = () => {
                       </ul>
                     </div>
 
+                    {getAvailableStock(selectedProduct) === 0 && (
+                      <div className="mb-6">
+                        <RestockNotifyForm key={selectedProduct.id} product={selectedProduct} />
+                      </div>
+                    )}
+
                     <div className="flex space-x-4">
                       <button 
                         onClick={() => handleAddToCart(selectedProduct.id)}
-                        disabled={addingToCart[selectedProduct.id] || selectedProduct.stock_quantity === 0}
+                        disabled={addingToCart[selectedProduct.id] || getAvailableStock(selectedProduct) === 0}
                         className="flex-1 bg-[#D9A299] hover:bg-[#c18981] disabled:bg-gray-300 disabled:cursor-not-allowed text-white font-semibold py-3 px-6 rounded-lg transition-colors duration-300"
                       >
-                        {addingToCart[selectedProduct.id] ? 'Adding to Cart...' : selectedProduct.stock_quantity === 0 ? 'Out of Stock' : 'Add to Cart'}
+                        {addingToCart[selectedProduct.id] ? 'Adding to Cart...' : getAvailableStock(selectedProduct) === 0 ? 'Out of Stock' : 'Add to Cart'}
                       </button>
                       <button className="flex-1 border border-[#5C4B3D] text-[#5C4B3D] hover:bg-[#5C4B3D] hover:text-white font-semibold py-3 px-6 rounded-lg transition-colors duration-300">
                         Custom Order
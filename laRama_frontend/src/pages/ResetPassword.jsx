@@ -0,0 +1,158 @@
+/**
+ * Reset Password Page - LaRama Frontend
+ * Opened from the emailed reset link (/reset-password?token=...)
+ * Sets a new password; the backend then signs the account out everywhere,
+ * so any session in this browser is cleared as well
+ */
+
+import { useState } from "react";
+import { Link, useSearchParams } from "react-router-dom";
+import apiService from "../services/api";
+import { useAuth } from "../hooks/useAuth";
+
+/**
+ * ResetPassword Component - Main Export Function
+ * New password form for a single-use reset token
+ *
+ * @returns {JSX.Element} - New password form, success message, or invalid link notice
+ */
+const ResetPassword = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get("token") || "";
+  const { logout } = useAuth();
+
+  const [password, setPassword] = useState("");
+  const [confirmPassword, setConfirmPassword] = useState("");
+  const [error, setError] = useState("");
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [isDone, setIsDone] = useState(false);
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+
+    if (password.length < 6) {
+      setError("Password must be at least 6 characters long");
+      return;
+    }
+
+    if (password !== confirmPassword) {
+      setError("Passwords do not match");
+      return;
+    }
+
+    setIsSubmitting(true);
+    setError("");
+
+    try {
+      await apiService.resetPassword(token, password);
+      await logout();
+      setIsDone(true);
+    } catch (resetError) {
+      setError(resetError.message || "Unable to connect to server. Please try again.");
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const renderContent = () => {
+    if (!token) {
+      return (
+        <p className="text-[#8C8A87]">
+          This reset link is incomplete. Please open the link from your email again or{" "}
+          <Link to="/forgot-password" className="text-[#D9A299] hover:text-[#c18981] font-medium">
+            request a new one
+          </Link>
+          .
+        </p>
+      );
+    }
+
+    if (isDone) {
+      return (
+        <div className="space-y-6">
+          <p className="text-[#8C8A87]">
+            Your password has been updated and you have been signed out on every device.
+          </p>
+          <Link
+            to="/auth"
+            className="block w-full text-center bg-[#D9A299] hover:bg-[#c18981] text-white font-semibold py-3 px-4 rounded-lg transition-colors duration-300"
+          >
+            Log in
+          </Link>
+        </div>
+      );
+    }
+
+    return (
+      <>
+        {error && (
+          <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg text-red-700 text-sm">
+            {error}{" "}
+            <Link to="/forgot-password" className="underline font-medium">
+              Request a new link
+            </Link>
+          </div>
+        )}
+
+        <form onSubmit={handleSubmit} className="space-y-6">
+          <div>
+            <label className="block text-sm font-medium text-[#5C4B3D] mb-2">
+              New password
+            </label>
+            <input
+              type="password"
+              value={password}
+              onChange={(e) => {
+                setPassword(e.target.value);
+                setError("");
+              }}
+              className="w-full px-4 py-3 border border-[#DCC5B2] rounded-lg focus:outline-none focus:ring-2 focus:ring-[#D9A299] focus:border-transparent transition-all duration-300"
+              placeholder="At least 6 characters"
+              required
+              disabled={isSubmitting}
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-[#5C4B3D] mb-2">
+              Confirm new password
+            </label>
+            <input
+              type="password"
+              value={confirmPassword}
+              onChange={(e) => {
+                setConfirmPassword(e.target.value);
+                setError("");
+              }}
+              className="w-full px-4 py-3 border border-[#DCC5B2] rounded-lg focus:outline-none focus:ring-2 focus:ring-[#D9A299] focus:border-transparent transition-all duration-300"
+              placeholder="Repeat your new password"
+              required
+              disabled={isSubmitting}
+            />
+          </div>
+
+          <button
+            type="submit"
+            disabled={isSubmitting}
+            className="w-full bg-[#D9A299] hover:bg-[#c18981] disabled:bg-gray-300 disabled:cursor-not-allowed text-white font-semibold py-3 px-4 rounded-lg transition-colors duration-300"
+          >
+            {isSubmitting ? "Saving..." : "Set new password"}
+          </button>
+        </form>
+      </>
+    );
+  };
+
+  return (
+    <div className="min-h-screen bg-[#FAF7F3] py-12 px-4 flex items-center justify-center">
+      <div className="max-w-md w-full bg-white rounded-2xl shadow-xl p-8 lg:p-10">
+        <h1 className="text-2xl font-serif font-bold text-[#5C4B3D] mb-6">
+          Choose a new password
+        </h1>
+        {renderContent()}
+      </div>
+    </div>
+  );
+};
+
+export default ResetPassword;
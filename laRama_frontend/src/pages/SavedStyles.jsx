@@ -0,0 +1,167 @@
+/**
+ * Saved Styles Page - LaRama Frontend
+ * Lists the products a signed-in customer saved with the heart button
+ * Shows today's price and stock so customers can move pieces to the cart when available
+ */
+
+import { useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import apiService from "../services/api";
+
+const fallbackSvg = "data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iMjAwIiBoZWlnaHQ9IjIwMCIgeG1sbnM9Imh0dHA6Ly93d3cudzMub3JnLzIwMDAvc3ZnIj48cmVjdCB3aWR0aD0iMjAwIiBoZWlnaHQ9IjIwMCIgZmlsbD0iI0YwRTREMyIvPjx0ZXh0IHg9IjUwJSIgeT0iNTAlIiBkeT0iMC4zNWVtIiB0ZXh0LWFuY2hvcj0ibWlkZGxlIiBmb250LWZhbWlseT0ic2Fucy1zZXJpZiIgZm9udC1zaXplPSIxNCIgZmlsbD0iIzVDNEIzRCI+UHJvZHVjdCBJbWFnZTwvdGV4dD48L3N2Zz4=";
+
+/**
+ * Stock Label
+ * Describes a saved product's availability in the customer's words
+ * @param {Object} product - Saved product with is_active and available_quantity
+ * @returns {string} - Short availability label
+ */
+const getStockLabel = (product) => {
+  if (!product.is_active) return "No longer available";
+  if (product.available_quantity === 0) return "Out of stock";
+  if (product.available_quantity <= 3) return `Only ${product.available_quantity} left`;
+  return "In stock";
+};
+
+/**
+ * SavedStyles Component - Main Export Function
+ * Saved product cards with move-to-cart and remove actions
+ *
+ * @returns {JSX.Element} - Saved Styles page
+ */
+const SavedStyles = () => {
+  const [items, setItems] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState("");
+  const [notice, setNotice] = useState(null); // { message, showCartLink } after an action
+  const [busyIds, setBusyIds] = useState({}); // Products with a request in flight
+
+  const loadWishlist = async () => {
+    try {
+      const response = await apiService.getWishlist();
+      setItems(response.data.items);
+      setError("");
+    } catch (loadError) {
+      setError(loadError.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadWishlist();
+  }, []);
+
+  const runItemAction = async (productId, action, showCartLink) => {
+    setBusyIds((prev) => ({ ...prev, [productId]: true }));
+    setError("");
+    setNotice(null);
+
+    try {
+      const response = await action();
+      setNotice({ message: response.message, showCartLink });
+      await loadWishlist();
+    } catch (actionError) {
+      setError(actionError.message);
+    } finally {
+      setBusyIds((prev) => ({ ...prev, [productId]: false }));
+    }
+  };
+
+  const handleMoveToCart = (productId) =>
+    runItemAction(productId, () => apiService.moveWishlistItemToCart(productId), true);
+
+  const handleRemove = (productId) =>
+    runItemAction(productId, () => apiService.removeFromWishlist(productId), false);
+
+  return (
+    <section className="min-h-[70vh] bg-[#F0E4D3] py-16 px-6 text-[#5C4B3D] transition-colors duration-700">
+      <div className="container mx-auto max-w-5xl">
+        <header className="mb-10">
+          <Link to="/dashboard" className="text-sm font-semibold text-[#A3846C] hover:underline">
+            ← Back to dashboard
+          </Link>
+          <h1 className="mt-3 text-4xl font-serif font-bold">Saved Styles</h1>
+          <p className="mt-2 text-[#7A6654]">Pieces you saved with the heart button, with today's price and stock.</p>
+        </header>
+
+        {error && <p className="mb-6 text-sm text-[#B5533C]">{error}</p>}
+        {notice && (
+          <p className="mb-6 text-sm text-[#7A6654]">
+            {notice.message}
+            {notice.showCartLink && (
+              <>
+                {" · "}
+                <Link to="/cart" className="font-semibold text-[#A3846C] hover:underline">View cart</Link>
+              </>
+            )}
+          </p>
+        )}
+
+        {isLoading && <p className="text-sm text-[#7A6654]">Loading your saved styles...</p>}
+        {!isLoading && items.length === 0 && (
+          <div className="rounded-3xl bg-white/70 p-8 text-center shadow-lg shadow-[#d4bda8]/50">
+            <p className="text-sm text-[#7A6654]">You have not saved any pieces yet.</p>
+            <Link
+              to="/products"
+              className="mt-5 inline-flex items-center rounded-full bg-[#5C4B3D] px-4 py-2 text-sm font-semibold text-[#F0E4D3] transition-all duration-300 hover:bg-[#3F3329]"
+            >
+              Explore collections
+            </Link>
+          </div>
+        )}
+
+        <div className="grid gap-6 sm:grid-cols-2 lg:grid-cols-3">
+          {items.map(({ wishlist_item_id, product }) => {
+            const isAvailable = product.is_active && product.available_quantity > 0;
+
+            return (
+              <article key={wishlist_item_id} className="flex flex-col overflow-hidden rounded-3xl bg-white/70 shadow-lg shadow-[#d4bda8]/50">
+                <div className="h-48 bg-[#FAF7F3]">
+                  <img
+                    src={product.image_url || fallbackSvg}
+                    alt={product.name}
+                    className={`h-full w-full ${product.image_url ? "object-cover" : "object-contain p-5"} ${isAvailable ? "" : "opacity-60"}`}
+                    onError={(e) => {
+                      e.target.src = fallbackSvg;
+                    }}
+                  />
+                </div>
+                <div className="flex flex-1 flex-col p-5">
+                  <span className="text-xs font-medium text-[#D9A299]">{product.category}</span>
+                  <h2 className="mt-1 font-serif text-lg font-semibold">{product.name}</h2>
+                  <div className="mt-2 flex items-center justify-between text-sm">
+                    <span className="font-bold text-[#D9A299]">${product.price.toFixed(2)}</span>
+                    <span className={isAvailable ? "text-[#7A6654]" : "font-semibold text-[#B5533C]"}>
+                      {getStockLabel(product)}
+                    </span>
+                  </div>
+                  <div className="mt-auto flex flex-wrap gap-3 pt-5 text-sm font-semibold">
+                    <button
+                      type="button"
+                      onClick={() => handleMoveToCart(product.id)}
+                      disabled={!isAvailable || busyIds[product.id]}
+                      className="rounded-full bg-[#5C4B3D] px-4 py-2 text-[#F0E4D3] transition-all duration-300 hover:bg-[#3F3329] disabled:cursor-not-allowed disabled:opacity-50"
+                    >
+                      Move to cart
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => handleRemove(product.id)}
+                      disabled={busyIds[product.id]}
+                      className="text-[#B5533C] hover:underline disabled:opacity-50"
+                    >
+                      Remove
+                    </button>
+                  </div>
+                </div>
+              </article>
+            );
+          })}
+        </div>
+      </div>
+    </section>
+  );
+};
+
+export default SavedStyles;
@@ -7,6 +7,19 @@
 
 import { useState } from 'react';
 import { Link } from 'react-router-dom';
+import { apiService } from '../services/api';
+
+/**
+ * Customer-Facing Order Status Copy
+ * Maps backend order statuses to the production steps listed on this page
+ */
+const TRACKING_STATUS_COPY = {
+  pending: { label: 'Waiting in Queue', description: 'Your order is in queue for production.' },
+  processing: { label: 'Under Creation', description: 'Your handmade item is being crafted with care.' },
+  shipped: { label: 'Delivered to Shipper', description: 'Your order has been handed to our shipping partner.' },
+  delivered: { label: 'Completed/Received', description: 'Your order has been successfully delivered.' },
+  cancelled: { label: 'Cancelled', description: 'This order was cancelled. Contact us on WhatsApp if this is unexpected.' },
+};
 
 /**
  * Shipping Component - Main Export Function
@@ -20,45 +33,36 @@ const Shipping = () => {
   const [activeTab, setActiveTab] = useState('lebanon');
   
   // Order tracking state management
-  const [orderId, setOrderId] = useState(''); // User input for order ID lookup
-  const [orderStatus, setOrderStatus] = useState(null); // Retrieved order status information
+  const [orderReference, setOrderReference] = useState(''); // User input for order reference lookup
+  const [orderEmail, setOrderEmail] = useState(''); // Email used when placing the order
+  const [orderStatus, setOrderStatus] = useState(null); // Retrieved tracking information
+  const [trackingError, setTrackingError] = useState(''); // Lookup failure message
   const [isLoading, setIsLoading] = useState(false); // Loading state for status checking
 
   /**
    * Order Status Lookup Handler
-   * Simulates order tracking system with mock data for demonstration
-   * Validates input and provides realistic order status responses
+   * Queries the public tracking endpoint with the order reference and email
    * 
    * @param {Event} e - Form submission event to prevent default behavior
    */
   const checkOrderStatus = async (e) => {
     e.preventDefault();
-    if (!orderId.trim()) return; // Validate order ID input
+    if (!orderReference.trim() || !orderEmail.trim()) return; // Validate lookup input
     
     setIsLoading(true);
-    
-    // Mock order status simulation for demonstration purposes
-    setTimeout(() => {
-      const mockStatuses = [
-        { id: 'LR1001', status: 'Under Creation', description: 'Your handmade item is being crafted with care.' },
-        { id: 'LR1002', status: 'Delivered to Shipper', description: 'Your order has been handed to our shipping partner.' },
-        { id: 'LR1003', status: 'Completed/Received', description: 'Your order has been successfully delivered.' },
-        { id: 'LR1004', status: 'Waiting in Queue', description: 'Your order is in queue for production.' },
-      ];
-      
-      const foundOrder = mockStatuses.find(order => order.id === orderId.toUpperCase());
-      
-      if (foundOrder) {
-        setOrderStatus(foundOrder);
-      } else {
-        setOrderStatus({ 
-          status: 'Not Found', 
-          description: 'No order found with this ID. Please check your order number and try again.' 
-        });
-      }
-      
+    setOrderStatus(null);
+    setTrackingError('');
+
+    try {
+      const response = await apiService.trackOrder(orderReference.trim(), orderEmail.trim());
+      setOrderStatus(response.data.tracking);
+    } catch (error) {
+      setTrackingError(
+        error.message || 'No order found with these details. Please check your order number and email and try again.'
+      );
+    } finally {
       setIsLoading(false);
-    }, 1500);
+    }
   };
 
   return (
@@ -200,7 +204,7 @@ const Shipping = () => {
                     <li>• <span className="font-semibold">Syria & Jordan:</span> $15 - 7-10 business days</li>
                     <li>• <span className="font-semibold">Turkey:</span> $20 - 10-14 business days</li>
                     <li>• <span className="font-semibold">Egypt:</span> $18 - 8-12 business days</li>
-                    <li>• Other nearby countries: Calculated at checkout</li>
+                    <li>• Other nearby countries: International rates, shown in your cart</li>
                   </ul>
                 </div>
 
@@ -240,8 +244,8 @@ const Shipping = () => {
                   <div>
                     <h3 className="font-serif font-semibold text-[#5C4B3D] mb-2">Worldwide Shipping</h3>
                     <p className="text-[#5C4B3D]">
-                      We can ship to most countries worldwide. Contact us for specific shipping quotes 
-                      and delivery estimates for your location.
+                      We can ship to most countries worldwide. Choose your country in the cart to see the 
+                      exact shipping cost and delivery estimate before you order.
                     </p>
                   </div>
                 </div>
@@ -251,7 +255,7 @@ const Shipping = () => {
                 <div className="p-6 border border-[#F0E4D3] rounded-lg">
                   <h3 className="font-serif font-semibold text-[#5C4B3D] mb-4">Shipping Information</h3>
                   <ul className="text-[#5C4B3D] space-y-2">
-                    <li>• Shipping costs vary by destination</li>
+                    <li>• <span className="font-semibold">$25.00</span> for the first kilogram, $10.00 per additional kilogram</li>
                     <li>• Typically 2-4 weeks delivery time</li>
                     <li>• Fully tracked shipping available</li>
                     <li>• Insurance included for valuable items</li>
@@ -261,8 +265,8 @@ const Shipping = () => {
                 <div className="p-6 border border-[#F0E4D3] rounded-lg">
                   <h3 className="font-serif font-semibold text-[#5C4B3D] mb-4">Order Process</h3>
                   <ul className="text-[#5C4B3D] space-y-2">
-                    <li>1. Contact us with your desired items</li>
-                    <li>2. We'll provide a shipping quote</li>
+                    <li>1. Add your pieces to the cart</li>
+                    <li>2. Pick your country to see the shipping cost</li>
                     <li>3. Complete payment</li>
                     <li>4. We ship your order</li>
                     <li>5. Receive tracking information</li>
@@ -294,7 +298,7 @@ const Shipping = () => {
                   <div>
                     <h3 className="font-serif font-semibold text-[#5C4B3D] mb-2">Check Your Order Status</h3>
                     <p className="text-[#5C4B3D]">
-                      Enter your order number to check the current status of your purchase.
+                      Enter your order number and the email used at checkout to see the current status of your purchase.
                     </p>
                   </div>
                 </div>
@@ -304,22 +308,37 @@ const Shipping = () => {
               <div className="p-6 border border-[#F0E4D3] rounded-lg">
                 <form onSubmit={checkOrderStatus} className="space-y-4">
                   <div>
-                    <label htmlFor="orderId" className="block text-sm font-medium text-[#5C4B3D] mb-2">
+                    <label htmlFor="orderReference" className="block text-sm font-medium text-[#5C4B3D] mb-2">
                       Order Number *
                     </label>
                     <input
                       type="text"
-                      id="orderId"
-                      value={orderId}
-                      onChange={(e) => setOrderId(e.target.value)}
+                      id="orderReference"
+                      value={orderReference}
+                      onChange={(e) => setOrderReference(e.target.value)}
                       className="w-full px-4 py-3 border border-[#DCC5B2] rounded-lg focus:outline-none focus:ring-2 focus:ring-[#D9A299] focus:border-transparent"
-                      placeholder="Enter your order number (e.g., LR1001)"
+                      placeholder="Enter your order number (e.g., LRM-ORD-000123)"
                       required
                     />
                     <p className="text-sm text-[#8C8A87] mt-2">
-                      Your order number can be found in your confirmation email.
+                      Your order number is shown after checkout and in your WhatsApp order message.
                     </p>
                   </div>
+
+                  <div>
+                    <label htmlFor="orderEmail" className="block text-sm font-medium text-[#5C4B3D] mb-2">
+                      Email Address *
+                    </label>
+                    <input
+                      type="email"
+                      id="orderEmail"
+                      value={orderEmail}
+                      onChange={(e) => setOrderEmail(e.target.value)}
+                      className="w-full px-4 py-3 border border-[#DCC5B2] rounded-lg focus:outline-none focus:ring-2 focus:ring-[#D9A299] focus:border-transparent"
+                      placeholder="The email you used to place the order"
+                      required
+                    />
+                  </div>
                   
                   <button
                     type="submit"
@@ -332,23 +351,32 @@ const Shipping = () => {
               </div>
 
               
+              {trackingError && (
+                <div className="p-6 rounded-lg bg-[#FFEDED] border border-[#F5C6C6]">
+                  <h3 className="font-serif font-semibold text-[#5C4B3D] mb-2">Order Status: Not Found</h3>
+                  <p className="text-[#5C4B3D]">{trackingError}</p>
+                </div>
+              )}
+
               {orderStatus && (
-                <div className={`p-6 rounded-lg ${
-                  orderStatus.status === 'Not Found' 
-                    ? 'bg-[#FFEDED] border border-[#F5C6C6]' 
-                    : 'bg-[#F0F9FF] border border-[#B8E2F2]'
-                }`}>
+                <div className="p-6 rounded-lg bg-[#F0F9FF] border border-[#B8E2F2]">
                   <h3 className="font-serif font-semibold text-[#5C4B3D] mb-2">
-                    Order Status: {orderStatus.status}
+                    Order Status: {TRACKING_STATUS_COPY[orderStatus.status]?.label || orderStatus.status}
                   </h3>
                   <p className="text-[#5C4B3D] mb-4">
-                    {orderStatus.description}
+                    {TRACKING_STATUS_COPY[orderStatus.status]?.description}
+                  </p>
+                  <ol className="space-y-2 mb-4">
+                    {orderStatus.timeline.map((entry) => (
+                      <li key={`${entry.status}-${entry.created_at}`} className="text-sm text-[#5C4B3D]">
+                        <span className="font-semibold">{TRACKING_STATUS_COPY[entry.status]?.label || entry.status}</span>
+                        {' '}&middot; {new Date(entry.created_at).toLocaleString()}
+                      </li>
+                    ))}
+                  </ol>
+                  <p className="text-sm text-[#8C8A87]">
+                    Order Number: {orderStatus.reference} &middot; {orderStatus.item_count} item{orderStatus.item_count === 1 ? '' : 's'}
                   </p>
-                  {orderStatus.id && (
-                    <p className="text-sm text-[#8C8A87]">
-                      Order ID: {orderStatus.id}
-                    </p>
-                  )}
                 </div>
               )}
 
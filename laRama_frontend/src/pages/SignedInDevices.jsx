@@ -0,0 +1,139 @@
+/**
+ * Signed-in Devices Page - LaRama Frontend
+ * Lists every device signed in to the account and lets customers sign out
+ * the ones they no longer use, one at a time or all but this device
+ */
+
+import { useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import apiService from "../services/api";
+
+// Format a session timestamp for display, e.g. "Mar 4, 2025, 10:15 AM"
+const formatDateTime = (value) =>
+  new Date(value).toLocaleString(undefined, { dateStyle: "medium", timeStyle: "short" });
+
+/**
+ * SignedInDevices Component - Main Export Function
+ * Session cards with a sign-out action for every device but the current one
+ *
+ * @returns {JSX.Element} - Device list with sign-out actions
+ */
+const SignedInDevices = () => {
+  const [sessions, setSessions] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState("");
+  const [notice, setNotice] = useState("");
+
+  const loadSessions = async () => {
+    try {
+      const response = await apiService.getSessions();
+      setSessions(response.data.sessions);
+      setError("");
+    } catch (loadError) {
+      setError(loadError.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadSessions();
+  }, []);
+
+  const handleRevoke = async (sessionId) => {
+    try {
+      const response = await apiService.revokeSession(sessionId);
+      setNotice(response.message);
+      await loadSessions();
+    } catch (actionError) {
+      setError(actionError.message);
+    }
+  };
+
+  const handleRevokeOthers = async () => {
+    if (!window.confirm("Sign out of every other device?")) {
+      return;
+    }
+
+    try {
+      const response = await apiService.revokeOtherSessions();
+      setNotice(response.message);
+      await loadSessions();
+    } catch (actionError) {
+      setError(actionError.message);
+    }
+  };
+
+  const hasOtherSessions = sessions.some((session) => !session.current);
+
+  return (
+    <section className="min-h-[70vh] bg-[#F0E4D3] py-16 px-6 text-[#5C4B3D] transition-colors duration-700">
+      <div className="container mx-auto max-w-5xl">
+        <header className="mb-10">
+          <Link to="/dashboard" className="text-sm font-semibold text-[#A3846C] hover:underline">
+            ← Back to dashboard
+          </Link>
+          <h1 className="mt-3 text-4xl font-serif font-bold">Signed-in Devices</h1>
+          <p className="mt-2 text-[#7A6654]">
+            Devices that stay signed in to your account. Sign out any you do not recognise or no longer use.
+          </p>
+        </header>
+
+        {error && <p className="mb-6 text-sm text-[#B5533C]">{error}</p>}
+        {notice && <p className="mb-6 text-sm text-[#5C4B3D]">{notice}</p>}
+
+        {hasOtherSessions && (
+          <button
+            type="button"
+            onClick={handleRevokeOthers}
+            className="mb-8 rounded-full bg-[#5C4B3D] px-5 py-2 text-sm font-semibold text-[#F0E4D3] transition-all duration-300 hover:bg-[#3F3329]"
+          >
+            Sign out of all other devices
+          </button>
+        )}
+
+        {isLoading && <p className="text-sm text-[#7A6654]">Loading your devices...</p>}
+
+        <div className="grid gap-6 md:grid-cols-2">
+          {sessions.map((session) => (
+            <article key={session.id} className="rounded-3xl bg-white/70 p-6 shadow-lg shadow-[#d4bda8]/50">
+              <div className="mb-3 flex items-center justify-between gap-3">
+                <h2 className="text-lg font-semibold">{session.device_name || "Unknown device"}</h2>
+                {session.current && (
+                  <span className="rounded-full bg-[#F0E4D3] px-3 py-1 text-xs font-semibold text-[#A3846C]">This device</span>
+                )}
+              </div>
+              <dl className="space-y-1 text-sm text-[#7A6654]">
+                {session.ip_address && (
+                  <div>
+                    <dt className="inline font-semibold">IP address: </dt>
+                    <dd className="inline">{session.ip_address}</dd>
+                  </div>
+                )}
+                <div>
+                  <dt className="inline font-semibold">Signed in: </dt>
+                  <dd className="inline">{formatDateTime(session.created_at)}</dd>
+                </div>
+                <div>
+                  <dt className="inline font-semibold">Last active: </dt>
+                  <dd className="inline">{formatDateTime(session.last_used_at)}</dd>
+                </div>
+              </dl>
+              {!session.current && (
+                <button
+                  type="button"
+                  onClick={() => handleRevoke(session.id)}
+                  className="mt-5 text-sm font-semibold text-[#B5533C] hover:underline"
+                >
+                  Sign out
+                </button>
+              )}
+            </article>
+          ))}
+        </div>
+      </div>
+    </section>
+  );
+};
+
+export default SignedInDevices;
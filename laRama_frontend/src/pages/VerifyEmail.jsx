@@ -0,0 +1,83 @@
+/**
+ * Verify Email Page - LaRama Frontend
+ * Opened from the emailed verification link (/verify-email?token=...)
+ * Confirms the address with the backend and, when the same customer is
+ * signed in here, marks their session as verified
+ */
+
+import { useEffect, useRef, useState } from "react";
+import { Link, useSearchParams } from "react-router-dom";
+import apiService from "../services/api";
+import { useAuth } from "../hooks/useAuth";
+
+/**
+ * VerifyEmail Component - Main Export Function
+ *
+ * @returns {JSX.Element} - Verification progress, success or failure message
+ */
+const VerifyEmail = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get("token") || "";
+  const { user, login } = useAuth();
+
+  const [status, setStatus] = useState(token ? "verifying" : "error");
+  const [message, setMessage] = useState(token ? "" : "This verification link is incomplete.");
+  const requestedRef = useRef(false); // Tokens are deleted once used, so verify only once
+
+  useEffect(() => {
+    if (!token || requestedRef.current) return;
+    requestedRef.current = true;
+
+    apiService
+      .verifyEmail(token)
+      .then((response) => {
+        setStatus("verified");
+        if (user?.id === response.data.user.id) {
+          login({ ...user, email_verified_at: response.data.user.email_verified_at });
+        }
+      })
+      .catch((error) => {
+        setStatus("error");
+        setMessage(error.message);
+      });
+  }, [token, user, login]);
+
+  return (
+    <div className="min-h-screen bg-[#FAF7F3] py-12 px-4 flex items-center justify-center">
+      <div className="max-w-md w-full bg-white rounded-2xl shadow-xl p-8 lg:p-10 text-center">
+        <h1 className="text-2xl font-serif font-bold text-[#5C4B3D] mb-4">
+          Email verification
+        </h1>
+
+        {status === "verifying" && <p className="text-[#8C8A87]">Confirming your email...</p>}
+
+        {status === "verified" && (
+          <div className="space-y-6">
+            <p className="text-[#8C8A87]">Thank you! Your email address is confirmed.</p>
+            <Link
+              to={user ? "/dashboard" : "/auth"}
+              className="block w-full bg-[#D9A299] hover:bg-[#c18981] text-white font-semibold py-3 px-4 rounded-lg transition-colors duration-300"
+            >
+              {user ? "Go to your dashboard" : "Log in"}
+            </Link>
+          </div>
+        )}
+
+        {status === "error" && (
+          <div className="space-y-4">
+            <p className="text-red-700">{message}</p>
+            <p className="text-sm text-[#8C8A87]">
+              You can request a new link from your{" "}
+              <Link to="/dashboard" className="text-[#D9A299] hover:text-[#c18981] font-medium">
+                dashboard
+              </Link>
+              .
+            </p>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmail;
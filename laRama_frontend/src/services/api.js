@@ -8,6 +8,16 @@
 // Environment-based API base URL configuration
 const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:5000';
 
+// Signed token naming the visitor's guest cart until they sign in
+const CART_TOKEN_STORAGE_KEY = 'larama-cart-token';
+
+// Short-lived access token and the refresh token that renews it
+const AUTH_TOKEN_STORAGE_KEY = 'larama-auth-token';
+const REFRESH_TOKEN_STORAGE_KEY = 'larama-refresh-token';
+
+// Dispatched on window when the session can no longer be refreshed; AuthContext signs the user out
+export const SESSION_ENDED_EVENT = 'larama:session-ended';
+
 /**
  * ApiService Class
  * Singleton service class managing all HTTP requests to the backend
@@ -16,42 +26,79 @@ const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:5000
 class ApiService {
   constructor() {
     this.baseURL = API_BASE_URL;
+    this.refreshPromise = null; // Shared by requests that hit an expired token at the same time
   }
 
   /**
    * Generic HTTP Request Method
    * Handles authentication headers, error responses, and JSON parsing
+   * An expired access token is refreshed once and the request retried
    * @param {string} endpoint - API endpoint path
-   * @param {object} options - Fetch options (method, headers, body)
-   * @returns {Promise<object>} - Parsed JSON response
+   * @param {object} options - Fetch options (method, headers, body), plus responseType 'blob' for file downloads
+   * @param {boolean} [isRetry] - Set on the retry after a refresh
+   * @returns {Promise<object|Blob>} - Parsed JSON response, or the file for responseType 'blob'
    */
-  async request(endpoint, options = {}) {
+  async request(endpoint, options = {}, isRetry = false) {
     // Construct full URL from base URL and endpoint
     const url = `${this.baseURL}${endpoint}`;
     
-    // Default request configuration with JSON content type
+    // Default request configuration with JSON content type, merged with any extra headers
+    const { headers, responseType, ...fetchOptions } = options;
     const config = {
+      ...fetchOptions,
       headers: {
         'Content-Type': 'application/json',
-        ...options.headers,
+        ...headers,
       },
-      ...options,
     };
 
     // Attach JWT authentication token if available in localStorage
-    const token = localStorage.getItem('larama-auth-token');
+    const token = localStorage.getItem(AUTH_TOKEN_STORAGE_KEY);
     if (token) {
       config.headers.Authorization = `Bearer ${token}`;
+    } else {
+      // Guests identify their cart with the cart token instead
+      const cartToken = localStorage.getItem(CART_TOKEN_STORAGE_KEY);
+      if (cartToken) {
+        config.headers['X-Cart-Token'] = cartToken;
+      }
     }
 
     try {
       // Execute HTTP request and parse JSON response
       const response = await fetch(url, config);
+
+      // Cart requests re-issue the guest's cart token so an active cart never expires
+      const refreshedCartToken = response.headers.get('X-Cart-Token');
+      if (refreshedCartToken && !token && localStorage.getItem(CART_TOKEN_STORAGE_KEY)) {
+        localStorage.setItem(CART_TOKEN_STORAGE_KEY, refreshedCartToken);
+      }
+
+      // Downloads return the file; their errors are JSON like every other endpoint
+      if (response.ok && responseType === 'blob') {
+        return response.blob();
+      }
+
       const data = await response.json();
 
       // Handle HTTP error status codes
       if (!response.ok) {
-        throw new Error(data.message || `HTTP error! status: ${response.status}`);
+        if (token && data.token_expired && !isRetry) {
+          // Access tokens are short-lived: renew and retry, or end the session if that fails
+          if (await this.refreshSession()) {
+            return this.request(endpoint, options, true);
+          }
+          this.endSession();
+        } else if (token && response.status === 401) {
+          // The session was revoked (logout elsewhere, device sign-out or password reset)
+          this.endSession();
+        }
+
+        const error = new Error(data.message || `HTTP error! status: ${response.status}`);
+        // Keep the response body so callers can read details such as stock_issues
+        error.status = response.status;
+        error.data = data;
+        throw error;
       }
 
       return data;
@@ -91,9 +138,15 @@ class ApiService {
     });
   }
 
-  // DELETE request for data removal
-  async delete(endpoint) {
-    return this.request(endpoint, { method: 'DELETE' });
+  // DELETE request for data removal, with an optional JSON body
+  async delete(endpoint, data) {
+    if (data === undefined) {
+      return this.request(endpoint, { method: 'DELETE' });
+    }
+    return this.request(endpoint, {
+      method: 'DELETE',
+      body: JSON.stringify(data),
+    });
   }
 
   /**
@@ -102,30 +155,100 @@ class ApiService {
    * Manage JWT token storage and validation
    */
 
-  // Register new user account and store authentication token
+  // Register new user account, store the session tokens and merge the guest cart
   async register(userData) {
-    const response = await this.post('/api/auth/register', userData);
+    const response = await this.post('/api/auth/register', this.withCartToken(userData));
     if (response.success && response.data.token) {
-      localStorage.setItem('larama-auth-token', response.data.token);
+      this.storeTokens(response.data);
+      localStorage.removeItem(CART_TOKEN_STORAGE_KEY);
     }
     return response;
   }
 
-  // Authenticate user login and store authentication token
+  // Authenticate user login, store the session tokens and merge the guest cart
   async login(credentials) {
-    const response = await this.post('/api/auth/login', credentials);
+    const response = await this.post('/api/auth/login', this.withCartToken(credentials));
     if (response.success && response.data.token) {
-      localStorage.setItem('larama-auth-token', response.data.token);
+      this.storeTokens(response.data);
+      localStorage.removeItem(CART_TOKEN_STORAGE_KEY);
     }
     return response;
   }
 
-  // Clear authentication data from local storage
-  async logout() {
-    localStorage.removeItem('larama-auth-token');
+  // Keep the access token and refresh token of the current session
+  storeTokens({ token, refresh_token: refreshToken }) {
+    localStorage.setItem(AUTH_TOKEN_STORAGE_KEY, token);
+    localStorage.setItem(REFRESH_TOKEN_STORAGE_KEY, refreshToken);
+  }
+
+  // Renew the access token; concurrent callers share one refresh request
+  async refreshSession() {
+    if (!this.refreshPromise) {
+      this.refreshPromise = this.rotateRefreshToken().finally(() => {
+        this.refreshPromise = null;
+      });
+    }
+    return this.refreshPromise;
+  }
+
+  // Trade the stored refresh token for a new token pair; resolves false when the session is over
+  async rotateRefreshToken() {
+    const refreshToken = localStorage.getItem(REFRESH_TOKEN_STORAGE_KEY);
+    if (!refreshToken) return false;
+
+    try {
+      const response = await fetch(`${this.baseURL}/api/auth/refresh`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ refresh_token: refreshToken }),
+      });
+
+      if (response.status === 409) {
+        // Another tab rotated this token moments ago; use the pair it stores
+        await new Promise((resolve) => setTimeout(resolve, 1000));
+        return localStorage.getItem(REFRESH_TOKEN_STORAGE_KEY) !== refreshToken;
+      }
+
+      if (!response.ok) return false;
+
+      const data = await response.json();
+      this.storeTokens(data.data);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  // Forget the session locally and tell AuthContext the user is signed out
+  endSession() {
+    this.clearSession();
+    window.dispatchEvent(new Event(SESSION_ENDED_EVENT));
+  }
+
+  clearSession() {
+    localStorage.removeItem(AUTH_TOKEN_STORAGE_KEY);
+    localStorage.removeItem(REFRESH_TOKEN_STORAGE_KEY);
     localStorage.removeItem('larama-auth-user');
   }
 
+  // Add the guest cart token to a login or registration body so the backend can merge it
+  withCartToken(body) {
+    const cartToken = localStorage.getItem(CART_TOKEN_STORAGE_KEY);
+    return cartToken ? { ...body, cart_token: cartToken } : body;
+  }
+
+  // Revoke this device's session on the server, then clear authentication data from local storage
+  async logout() {
+    const refreshToken = localStorage.getItem(REFRESH_TOKEN_STORAGE_KEY);
+    try {
+      if (refreshToken) {
+        await this.post('/api/auth/logout', { refresh_token: refreshToken });
+      }
+    } finally {
+      this.clearSession();
+    }
+  }
+
   // Retrieve current authenticated user profile information
   async getProfile() {
     return this.get('/api/auth/profile');
@@ -136,6 +259,84 @@ class ApiService {
     return this.get('/api/auth/verify');
   }
 
+  // Email a single-use password reset link (the response never reveals whether the email is registered)
+  async requestPasswordReset(email) {
+    return this.post('/api/auth/forgot-password', { email });
+  }
+
+  // Set a new password with the token from the reset link; signs out every existing session
+  async resetPassword(token, password) {
+    return this.post('/api/auth/reset-password', { token, password });
+  }
+
+  // Change name and/or email; a new email needs the current password and is re-verified
+  async updateProfile(profile) {
+    return this.put('/api/auth/profile', profile);
+  }
+
+  // Change the password; other devices are signed out
+  async changePassword(currentPassword, newPassword) {
+    return this.put('/api/auth/password', {
+      current_password: currentPassword,
+      new_password: newPassword,
+    });
+  }
+
+  // Delete the account (orders are kept, anonymised) and forget this session
+  async deleteAccount(password) {
+    const response = await this.delete('/api/auth/account', { password });
+    this.clearSession();
+    return response;
+  }
+
+  // Start a personal data export (or get the one in progress); poll getDataExport until it is ready
+  async requestDataExport() {
+    return this.post('/api/data-exports', {});
+  }
+
+  // List the user's data exports, newest first
+  async getDataExports() {
+    return this.get('/api/data-exports');
+  }
+
+  // Status of one data export
+  async getDataExport(exportId) {
+    return this.get(`/api/data-exports/${exportId}`);
+  }
+
+  // Download a ready data export as a ZIP Blob
+  async downloadDataExport(exportId) {
+    return this.request(`/api/data-exports/${exportId}/download`, {
+      method: 'GET',
+      responseType: 'blob',
+    });
+  }
+
+  // List the devices signed in to this account; the current one has current: true
+  async getSessions() {
+    return this.get('/api/auth/sessions');
+  }
+
+  // Sign one device out
+  async revokeSession(sessionId) {
+    return this.delete(`/api/auth/sessions/${sessionId}`);
+  }
+
+  // Sign out every device except this one
+  async revokeOtherSessions() {
+    return this.delete('/api/auth/sessions');
+  }
+
+  // Confirm the email address with the token from the verification link
+  async verifyEmail(token) {
+    return this.get(`/api/auth/verify-email?token=${encodeURIComponent(token)}`);
+  }
+
+  // Email the signed-in customer a new verification link (throttled by the backend)
+  async resendVerificationEmail() {
+    return this.post('/api/auth/resend-verification');
+  }
+
   // Product methods
   async getProducts(params = {}) {
     const queryString = new URLSearchParams(params).toString();
@@ -167,41 +368,158 @@ class ApiService {
     return this.getProducts(params);
   }
 
+  async subscribeToRestock(productId, email) {
+    return this.post(`/api/products/${productId}/restock-subscriptions`, email ? { email } : {});
+  }
+
   // Cart methods
   async getCart() {
     return this.get('/api/cart');
   }
 
+  // Guests receive a cart token on every addition; keep the latest one
   async addToCart(productId, quantity) {
-    return this.post('/api/cart/add', {
+    const response = await this.post('/api/cart/add', {
       product_id: productId,
       quantity: quantity,
     });
+    if (response.success && response.data?.cart_token) {
+      localStorage.setItem(CART_TOKEN_STORAGE_KEY, response.data.cart_token);
+    }
+    return response;
   }
 
-  async updateCartItem(cartItemId, quantity) {
-    return this.put(`/api/cart/items/${cartItemId}`, { quantity });
+  // Changes any of quantity, saved_for_later and note
+  async updateCartItem(cartItemId, changes) {
+    return this.put(`/api/cart/items/${cartItemId}`, changes);
   }
 
   async removeFromCart(cartItemId) {
     return this.delete(`/api/cart/items/${cartItemId}`);
   }
 
+  // Apply a discount code to the cart, replacing any code already applied
+  async applyDiscountCode(code) {
+    return this.post('/api/cart/discount', { code });
+  }
+
+  async removeDiscountCode() {
+    return this.delete('/api/cart/discount');
+  }
+
+  // Hold the cart quantities while the customer completes checkout
+  async startCheckoutReservation() {
+    return this.post('/api/cart/reservation');
+  }
+
+  async releaseCheckoutReservation() {
+    return this.delete('/api/cart/reservation');
+  }
+
   async clearCart() {
     return this.delete('/api/cart');
   }
 
   // Order methods
-  async getOrders() {
-    return this.get('/api/orders');
+  async getOrders(page = 1, limit = 10, search = '') {
+    const searchParam = search ? `&search=${encodeURIComponent(search)}` : '';
+    return this.get(`/api/orders?page=${page}&limit=${limit}${searchParam}`);
+  }
+
+  async getOrderStats() {
+    return this.get('/api/orders/stats');
   }
 
   async getOrder(id) {
     return this.get(`/api/orders/${id}`);
   }
 
-  async createOrder(orderData) {
-    return this.post('/api/orders', orderData);
+  // Unique key for one checkout attempt; retries reuse it so the backend never creates a second order
+  createIdempotencyKey() {
+    if (globalThis.crypto?.randomUUID) {
+      return globalThis.crypto.randomUUID();
+    }
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+  }
+
+  async createOrder(orderData, idempotencyKey = this.createIdempotencyKey()) {
+    return this.request('/api/orders', {
+      method: 'POST',
+      headers: { 'Idempotency-Key': idempotencyKey },
+      body: JSON.stringify(orderData),
+    });
+  }
+
+  async cancelOrder(id, reason) {
+    return this.post(`/api/orders/${id}/cancel`, { reason });
+  }
+
+  async reorder(id) {
+    return this.post(`/api/orders/${id}/reorder`);
+  }
+
+  async trackOrder(reference, email) {
+    return this.post('/api/orders/track', { reference, email });
+  }
+
+  async getOrderWhatsAppLink(id) {
+    return this.get(`/api/orders/${id}/whatsapp-link`);
+  }
+
+  // Address book methods
+  async getAddresses() {
+    return this.get('/api/addresses');
+  }
+
+  async createAddress(addressData) {
+    return this.post('/api/addresses', addressData);
+  }
+
+  async updateAddress(id, addressData) {
+    return this.put(`/api/addresses/${id}`, addressData);
+  }
+
+  async setDefaultAddress(id) {
+    return this.post(`/api/addresses/${id}/default`);
+  }
+
+  async deleteAddress(id) {
+    return this.delete(`/api/addresses/${id}`);
+  }
+
+  // Wishlist (Saved Styles) methods
+  async getWishlist() {
+    return this.get('/api/wishlist');
+  }
+
+  async addToWishlist(productId) {
+    return this.post('/api/wishlist', { product_id: productId });
+  }
+
+  async removeFromWishlist(productId) {
+    return this.delete(`/api/wishlist/${productId}`);
+  }
+
+  async moveWishlistItemToCart(productId, quantity = 1) {
+    return this.post(`/api/wishlist/${productId}/move-to-cart`, { quantity });
+  }
+
+  // Shipping methods
+  async getShippingZones() {
+    return this.get('/api/shipping/zones');
+  }
+
+  async getShippingQuote(country) {
+    return this.get(`/api/shipping/quote?country=${encodeURIComponent(country)}`);
+  }
+
+  // WhatsApp methods
+  async getWhatsAppConfig() {
+    return this.get('/api/whatsapp/config');
+  }
+
+  async createQuoteLink(quote) {
+    return this.post('/api/whatsapp/quote-link', quote);
   }
 
   // Newsletter methods